@@ -0,0 +1,177 @@
+/**
+ * Headless Multiplayer Bots
+ * Joins a running server with a number of headless players, to try multiplayer
+ * without opening several browsers:
+ *
+ *   npm run bots -- [count] [--url ws://localhost:3000/ws] [--seconds 30] [--edit]
+ *
+ * Each bot loads the 3x3 chunks around the origin chunk, walks its own circle
+ * over them and reports which messages it received. With --edit every bot also
+ * raises the hex it stands on every few seconds and lowers it again on the next
+ * go. A hex still raised when the time is up is lowered before the bots leave,
+ * so the stored world ends up as it was unless one of those edits fails, which
+ * is reported.
+ */
+
+const { WebSocket } = require('ws');
+const { loadShared } = require('./terrain/sharedModules');
+
+/**
+ * Read the command line
+ * @returns {Object} { count, url, seconds, edit }
+ */
+function parseArgs() {
+    const options = { count: 2, url: 'ws://localhost:3000/ws', seconds: 30, edit: false };
+    const args = process.argv.slice(2);
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--url') {
+            options.url = args[++i];
+        } else if (arg === '--seconds') {
+            options.seconds = parseFloat(args[++i]);
+        } else if (arg === '--edit') {
+            options.edit = true;
+        } else if (/^\d+$/.test(arg)) {
+            options.count = parseInt(arg, 10);
+        } else {
+            throw new Error('Usage: npm run bots -- [count] [--url ws://host:port/ws] [--seconds 30] [--edit]');
+        }
+    }
+    if (!(options.seconds > 0) || options.count < 1) {
+        throw new Error('Need at least one bot and a positive number of seconds');
+    }
+    return options;
+}
+
+/**
+ * Fetch the stored chunks a bot walks over from the chunk API
+ * @param {string} url - WebSocket URL of the server, the chunk API is on the same host
+ * @returns {Promise<Map>} Stored chunks keyed by "cx,cz"
+ */
+async function loadChunks(url) {
+    const base = url.replace(/^ws/, 'http').replace(/\/ws$/, '');
+    const chunks = new Map();
+    for (let cz = -1; cz <= 1; cz++) {
+        for (let cx = -1; cx <= 1; cx++) {
+            const response = await fetch(`${base}/api/chunks/${cx}/${cz}`);
+            if (!response.ok) {
+                throw new Error(`Could not load chunk ${cx},${cz}: HTTP ${response.status}`);
+            }
+            chunks.set(`${cx},${cz}`, await response.json());
+        }
+    }
+    return chunks;
+}
+
+/**
+ * Raise or lower one hex for a bot and report the revisions it made
+ * @param {Object} bot - Bot, whose raised hex is updated
+ * @param {string} tool - 'raise' or 'lower'
+ * @param {Array} center - Global [col, row] of the hex
+ * @returns {Promise<void>} Resolves once the server answered
+ */
+async function editHex(bot, tool, center) {
+    // Cleared while the edit is in flight, so the next go does not lower the hex twice
+    bot.raised = null;
+    let result;
+    try {
+        result = await bot.client.edit({ strokes: [{ center, tool, radius: 0 }] });
+    } catch (error) {
+        if (tool === 'lower') {
+            bot.raised = center;
+        }
+        throw error;
+    }
+    bot.raised = tool === 'raise' && result.revisions.length > 0 ? center : null;
+    const revisions = result.revisions.map(([cx, cz, revision]) => `${cx},${cz} r${revision}`);
+    console.log(`Bot ${bot.index + 1} ${tool === 'raise' ? 'raised' : 'lowered'} ${center.join(',')}: ${revisions.join(' ') || 'no change'}`);
+}
+
+/**
+ * Run the bots until the time is up
+ */
+async function main() {
+    const options = parseArgs();
+    const [MultiplayerClient, HexUtils] = await Promise.all([
+        loadShared('network/MultiplayerClient.js'),
+        loadShared('utils/HexUtils.js')
+    ]);
+    const hexUtils = new HexUtils(16, 1, 0.1, 0);
+    const chunks = await loadChunks(options.url);
+
+    // Ground height of the stored hex under a world position
+    const heightAt = (x, z) => {
+        const { chunk, local } = hexUtils.globalToChunk(hexUtils.worldToHex(x, z));
+        const data = chunks.get(chunk.join());
+        return data ? data.baseHeight + data.hexes[hexUtils.localIndex(local)].heightOffset * 0.5 : 0;
+    };
+
+    const bots = [];
+    for (let i = 0; i < options.count; i++) {
+        const client = new MultiplayerClient(options.url, { name: `Bot ${i + 1}`, WebSocket });
+        const received = {};
+        ['joined', 'left', 'transform', 'hide', 'chunk'].forEach(type => {
+            client.addEventListener(type, event => {
+                received[type] = (received[type] || 0) + 1;
+                // Keep the chunk copies up to date, so the bots walk on the edited terrain
+                if (type === 'chunk') {
+                    chunks.set(`${event.cx},${event.cz}`, event.chunk);
+                }
+            });
+        });
+
+        await client.connect();
+        client.setLoadedChunks([...chunks.keys()].map(key => key.split(',').map(Number)));
+        bots.push({ client, received, index: i, raised: null, editing: Promise.resolve() });
+        console.log(`Bot ${i + 1} joined as ${client.id}`);
+    }
+
+    const start = Date.now();
+    const walk = setInterval(() => {
+        const time = (Date.now() - start) / 1000;
+        for (const bot of bots) {
+            // Circles of different sizes around the middle of the origin chunk
+            const angle = time * 0.5 + bot.index;
+            const radius = 3 + bot.index % 4;
+            const x = 8 + Math.cos(angle) * radius;
+            const z = 7 + Math.sin(angle) * radius;
+            bot.client.sendTransform([x, heightAt(x, z), z], Math.atan2(-Math.sin(angle), Math.cos(angle)), hexUtils.worldToChunk(x, z), time);
+        }
+    }, 50);
+
+    const edits = options.edit ? setInterval(() => {
+        for (const bot of bots) {
+            // Lower the hex raised last time, otherwise raise the one underfoot
+            const position = JSON.parse(bot.client.lastTransform).position;
+            const tool = bot.raised ? 'lower' : 'raise';
+            const center = bot.raised || hexUtils.worldToHex(position[0], position[2]);
+            bot.editing = editHex(bot, tool, center)
+                .catch(error => console.warn(`Bot ${bot.index + 1} edit failed: ${error.message}`));
+        }
+    }, 3000) : null;
+
+    await new Promise(resolve => setTimeout(resolve, options.seconds * 1000));
+    clearInterval(walk);
+    if (edits) clearInterval(edits);
+
+    // Put back the hexes still raised, once the edits in flight are answered
+    await Promise.all(bots.map(async bot => {
+        await bot.editing;
+        if (bot.raised) {
+            const center = bot.raised;
+            await editHex(bot, 'lower', center).catch(error =>
+                console.warn(`Bot ${bot.index + 1} could not lower ${center.join(',')}, it stays raised: ${error.message}`));
+        }
+    }));
+
+    for (const bot of bots) {
+        const counts = Object.entries(bot.received).map(([type, count]) => `${type} ${count}`).join(', ');
+        console.log(`Bot ${bot.index + 1} received: ${counts || 'nothing'}`);
+        bot.client.close();
+    }
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
@@ -0,0 +1,472 @@
+/**
+ * Multiplayer Server
+ * WebSocket endpoint that lets players see each other move and edit the stored
+ * chunks together. Messages follow the shared protocol in network/Protocol.js.
+ *
+ * Each client tells the server which chunks it has loaded, and only hears about
+ * those: other players' transforms while they stand in one of them, and changes
+ * to them. A client that loads an edited chunk gets its latest state, in case it
+ * fetched the chunk before the edit was stored.
+ *
+ * Edits are applied by the server, one at a time in the order they arrive, to the
+ * stored chunks: brush strokes are replayed with the shared TerrainBrush, so strokes
+ * of two players on the same chunk both take effect, and chunk snapshots (undo and
+ * redo) replace the chunk, but only while it is still at the revision the snapshot
+ * names, so an undo never reverts another player's edit. Edits go through the ChunkAuthority shared with the chunk
+ * API, so they are ordered with its writes too. Every change is stored before it is
+ * sent out, with a revision number per chunk so clients can drop updates older than
+ * what they hold; chunks PUT through the chunk API are sent out the same way.
+ * Biomes and features in edits are swapped for the server's definitions of them
+ * (see terrain/palettes.js); edits using any the server does not know are refused.
+ */
+
+const crypto = require('crypto');
+const { WebSocketServer, WebSocket } = require('ws');
+const { loadShared } = require('../terrain/sharedModules');
+const { findDefinition, resolvePalettes } = require('../terrain/palettes');
+const ChunkAuthority = require('../terrain/ChunkAuthority');
+
+// initial.json list each paint tool takes its definitions from
+const PAINT_DEFINITIONS = { biome: 'globalBiomes', feature: 'globalFeatures' };
+
+class MultiplayerServer {
+    /**
+     * @param {http.Server} server - HTTP server the WebSocket endpoint is attached to
+     * @param {ChunkAuthority|ChunkStore|RegionStore} chunks - Authority shared with the chunk API, or a
+     *                                                       store to make one for
+     * @param {Object} options - Server options
+     * @param {string} options.path - URL path of the WebSocket endpoint
+     * @param {number} options.chunkSize - Hexes per chunk side of the stored world
+     * @param {number} options.heightScale - World units per heightOffset step
+     * @param {number} options.maxNameLength - Longest player name kept
+     * @param {number} options.maxRadius - Largest brush radius an edit may use
+     * @param {number} options.maxStrokes - Most strokes one edit may hold
+     * @param {Object} options.definitions - initial.json, whose biomes and features edits may paint
+     */
+    constructor(server, chunks, options = {}) {
+        this.params = {
+            path: '/ws',
+            chunkSize: 16,
+            heightScale: 0.5,
+            maxNameLength: 32,
+            maxRadius: 8,
+            maxStrokes: 1000,
+            definitions: null,
+            ...options
+        };
+
+        this.chunks = chunks instanceof ChunkAuthority ? chunks : new ChunkAuthority(chunks);
+        this.chunks.addListener(change => this.onChunkChanged(change));
+
+        // Joined clients keyed by player id
+        this.clients = new Map();
+
+        // Edits waiting to be applied, one after another
+        this.edits = Promise.resolve();
+
+        this.ready = this.loadModules();
+
+        this.wss = new WebSocketServer({ server, path: this.params.path });
+        this.wss.on('connection', socket => this.onConnection(socket));
+    }
+
+    /**
+     * Load the modules shared with the client
+     * @returns {Promise<void>} Resolves once the protocol and the brush are ready
+     */
+    async loadModules() {
+        const [Protocol, TerrainBrush, HexUtils, TerrainDataCompressor] = await Promise.all([
+            loadShared('network/Protocol.js'),
+            loadShared('terrain/TerrainBrush.js'),
+            loadShared('utils/HexUtils.js'),
+            loadShared('terrain/TerrainDataCompressor.js')
+        ]);
+
+        this.Protocol = Protocol;
+        this.HexUtils = HexUtils;
+        this.hexUtils = new HexUtils(this.params.chunkSize, 1, 0.1, 0);
+        this.brush = new TerrainBrush(this.hexUtils, { heightScale: this.params.heightScale });
+        this.compressor = new TerrainDataCompressor();
+    }
+
+    /**
+     * Build the key of a chunk
+     * @param {number} cx - Chunk x coordinate
+     * @param {number} cz - Chunk z coordinate
+     * @returns {string} Key in the form "cx,cz"
+     */
+    static key(cx, cz) {
+        return `${cx},${cz}`;
+    }
+
+    /**
+     * Set up a new connection; it becomes a player once it sends join
+     * @param {WebSocket} socket - Client connection
+     */
+    onConnection(socket) {
+        const client = {
+            id: crypto.randomBytes(6).toString('hex'),
+            name: null,
+            socket,
+            loaded: new Set(),
+            position: null,
+            heading: 0,
+            chunk: null,
+            // Players this client currently receives transforms of
+            visible: new Set(),
+            // Messages of one client are handled in order
+            queue: this.ready
+        };
+
+        socket.on('message', data => {
+            client.queue = client.queue
+                .then(() => this.onMessage(client, data.toString()))
+                .catch(error => console.error(`Multiplayer error from ${client.id}:`, error));
+        });
+        socket.on('close', () => {
+            client.queue = client.queue.then(() => this.onClose(client));
+        });
+        socket.on('error', error => console.warn(`Multiplayer connection ${client.id} failed:`, error.message));
+    }
+
+    /**
+     * Handle one message from a client
+     * @param {Object} client - Sending client
+     * @param {string} text - Message text
+     * @returns {Promise<void>} Resolves once the message is handled
+     */
+    async onMessage(client, text) {
+        let message;
+        try {
+            message = this.Protocol.decode(text);
+        } catch (error) {
+            this.send(client, 'error', { message: error.message });
+            // A client that cannot even join speaks another protocol
+            if (!client.name) {
+                client.socket.close(1002, 'Protocol error');
+            }
+            return;
+        }
+
+        if (!client.name && message.type !== 'join') {
+            this.send(client, 'error', { message: 'Send join before any other message' });
+            return;
+        }
+
+        switch (message.type) {
+            case 'join':
+                this.join(client, message);
+                break;
+            case 'transform':
+                this.moveClient(client, message);
+                break;
+            case 'chunks':
+                await this.setLoaded(client, message.loaded);
+                break;
+            case 'edit':
+                await this.queueEdit(client, message);
+                break;
+            default:
+                this.send(client, 'error', { message: `Clients cannot send ${message.type}` });
+        }
+    }
+
+    /**
+     * Make a connection a player and introduce it to the others
+     * @param {Object} client - Joining client
+     * @param {Object} message - Join message
+     */
+    join(client, message) {
+        if (client.name) {
+            this.send(client, 'error', { message: 'Already joined' });
+            return;
+        }
+
+        const name = message.name.trim().slice(0, this.params.maxNameLength);
+        client.name = name || `Player ${client.id.slice(0, 4)}`;
+
+        const players = [...this.clients.values()].map(other => MultiplayerServer.describe(other));
+        this.clients.set(client.id, client);
+        this.send(client, 'welcome', { id: client.id, players });
+        this.broadcast('joined', { player: MultiplayerServer.describe(client) }, other => other !== client);
+        console.log(`${client.name} (${client.id}) joined, ${this.clients.size} playing`);
+    }
+
+    /**
+     * Public description of a player
+     * @param {Object} client - Player's client
+     * @returns {Object} { id, name }
+     */
+    static describe(client) {
+        return { id: client.id, name: client.name };
+    }
+
+    /**
+     * Store a player's transform and pass it on to the clients that have its chunk loaded
+     * @param {Object} client - Moving client
+     * @param {Object} message - Transform message
+     */
+    moveClient(client, message) {
+        const chunk = message.chunk;
+        if (!Array.isArray(chunk) || chunk.length !== 2 || !chunk.every(Number.isInteger)) {
+            this.send(client, 'error', { message: 'Message transform has an invalid chunk' });
+            return;
+        }
+
+        client.position = message.position;
+        client.heading = message.heading;
+        client.chunk = chunk;
+        for (const other of this.clients.values()) {
+            if (other !== client) {
+                this.updateVisibility(other, client);
+            }
+        }
+    }
+
+    /**
+     * Send a player's transform to a client if it stands in one of the client's chunks,
+     * or tell the client to hide it if it just left them
+     * @param {Object} receiver - Client that may see the player
+     * @param {Object} player - Player's client
+     */
+    updateVisibility(receiver, player) {
+        const visible = player.chunk !== null && receiver.loaded.has(MultiplayerServer.key(player.chunk[0], player.chunk[1]));
+        if (visible) {
+            receiver.visible.add(player.id);
+            this.send(receiver, 'transform', { id: player.id, position: player.position, heading: player.heading });
+        } else if (receiver.visible.delete(player.id)) {
+            this.send(receiver, 'hide', { id: player.id });
+        }
+    }
+
+    /**
+     * Replace the set of chunks a client has loaded
+     * Players in newly loaded chunks appear, players in dropped ones are hidden, and newly
+     * loaded chunks that were edited are sent again.
+     * @param {Object} client - Client
+     * @param {Array} loaded - [cx, cz] of every chunk the client has loaded
+     * @returns {Promise<void>} Resolves once the edited chunks are sent
+     */
+    async setLoaded(client, loaded) {
+        const previous = client.loaded;
+        client.loaded = new Set(loaded.map(([cx, cz]) => MultiplayerServer.key(cx, cz)));
+
+        for (const other of this.clients.values()) {
+            if (other !== client) {
+                this.updateVisibility(client, other);
+            }
+        }
+
+        for (const key of client.loaded) {
+            if (previous.has(key)) continue;
+            const [cx, cz] = key.split(',').map(Number);
+            if (this.chunks.getRevision(cx, cz) === 0) continue;
+
+            const { chunk, revision } = await this.chunks.run([[cx, cz]], async () => ({
+                chunk: await this.chunks.get(cx, cz),
+                revision: this.chunks.getRevision(cx, cz)
+            }));
+            if (chunk) {
+                this.send(client, 'chunk', { cx, cz, revision, chunk });
+            }
+        }
+    }
+
+    /**
+     * Queue an edit behind those already received
+     * The client's next messages wait until the edit is applied, so its view stays in order.
+     * @param {Object} client - Editing client
+     * @param {Object} message - Edit message
+     * @returns {Promise<void>} Resolves once the edit is applied or refused
+     */
+    queueEdit(client, message) {
+        let problem = this.Protocol.checkEdit(message);
+        if (!problem && message.strokes && message.strokes.length > this.params.maxStrokes) {
+            problem = `Edit has more than ${this.params.maxStrokes} strokes`;
+        } else if (!problem && message.strokes && message.strokes.some(stroke => stroke.radius > this.params.maxRadius)) {
+            problem = `Brush radius is limited to ${this.params.maxRadius}`;
+        }
+        if (!problem && message.strokes) {
+            problem = this.resolveStrokeDefinitions(message.strokes);
+        }
+        if (problem) {
+            this.send(client, 'error', { message: problem, id: message.id });
+            return Promise.resolve();
+        }
+
+        const edit = this.edits.then(() => this.applyEdit(client, message)).catch(error => {
+            console.warn(`Refused edit ${message.id} from ${client.name}: ${error.message}`);
+            this.send(client, 'error', { message: error.message, id: message.id });
+        });
+        this.edits = edit;
+        return edit;
+    }
+
+    /**
+     * Replace the definition of every paint stroke with the server's own
+     * @param {Array} strokes - Checked strokes of an edit, changed in place
+     * @returns {string|null} Problem with the first unknown definition, or null
+     */
+    resolveStrokeDefinitions(strokes) {
+        const definitions = this.params.definitions || {};
+        for (const stroke of strokes) {
+            const list = PAINT_DEFINITIONS[stroke.tool];
+            if (!list) continue;
+            const known = findDefinition(stroke.definition, definitions[list] || []);
+            if (!known) {
+                return `Edit paints a ${stroke.tool} the server does not know`;
+            }
+            stroke.definition = known;
+        }
+        return null;
+    }
+
+    /**
+     * Apply an edit to the stored chunks the editor has loaded, store the changed
+     * chunks and send them to every client that has them loaded
+     * Nothing is stored unless the whole edit applies.
+     * @param {Object} client - Editing client
+     * @param {Object} message - Checked edit message
+     * @returns {Promise<void>} Resolves once the changes are stored and sent
+     */
+    async applyEdit(client, message) {
+        // Chunks the edit may read or write: those the strokes can reach, with the ring
+        // around them that smoothing reads, or those of the snapshots
+        const keys = new Set();
+        if (message.strokes) {
+            for (const stroke of message.strokes) {
+                for (const coords of this.HexUtils.range(stroke.center, stroke.radius + 1)) {
+                    const { chunk } = this.hexUtils.globalToChunk(coords);
+                    keys.add(MultiplayerServer.key(chunk[0], chunk[1]));
+                }
+            }
+        } else {
+            message.chunks.forEach(({ cx, cz }) => keys.add(MultiplayerServer.key(cx, cz)));
+        }
+        const coords = [...keys].filter(key => client.loaded.has(key)).map(key => key.split(',').map(Number));
+
+        const { revisions, warnings } = await this.chunks.run(coords, () => this.editChunks(client, message, coords));
+        this.send(client, 'edited', { id: message.id, revisions, warnings });
+    }
+
+    /**
+     * Read, change and store the chunks of an edit; runs while no other operation uses them
+     * @param {Object} client - Editing client
+     * @param {Object} message - Checked edit message
+     * @param {Array} coords - [cx, cz] of the chunks the edit may use that the editor has loaded
+     * @returns {Promise<Object>} { revisions, warnings } - [cx, cz, revision] of every chunk stored
+     */
+    async editChunks(client, message, coords) {
+        const chunks = new Map();
+        const changed = new Set();
+        const warnings = [];
+
+        if (message.strokes) {
+            for (const [cx, cz] of coords) {
+                chunks.set(MultiplayerServer.key(cx, cz), await this.chunks.get(cx, cz));
+            }
+
+            const getChunk = (cx, cz) => chunks.get(MultiplayerServer.key(cx, cz)) || null;
+            for (const stroke of message.strokes) {
+                const result = this.brush.apply(getChunk, stroke.center, stroke);
+                result.chunks.forEach(key => changed.add(key));
+                result.warnings.forEach(warning => {
+                    if (!warnings.includes(warning)) warnings.push(warning);
+                });
+            }
+        } else {
+            for (const { cx, cz, revision, chunk } of message.chunks) {
+                const key = MultiplayerServer.key(cx, cz);
+                if (!client.loaded.has(key)) {
+                    warnings.push(`Chunk ${key} is not loaded and was not changed`);
+                    continue;
+                }
+                // A snapshot taken before someone else's edit would silently revert it
+                if (this.chunks.getRevision(cx, cz) !== revision) {
+                    throw new Error(`Chunk ${key} was changed by another edit since revision ${revision}`);
+                }
+                this.compressor.validate(chunk);
+                chunks.set(key, resolvePalettes(chunk, this.params.definitions, await this.chunks.get(cx, cz)));
+                changed.add(key);
+            }
+        }
+
+        for (const key of changed) {
+            this.compressor.validate(chunks.get(key));
+        }
+
+        const revisions = [];
+        for (const key of changed) {
+            const [cx, cz] = key.split(',').map(Number);
+            const revision = await this.chunks.write(cx, cz, chunks.get(key), client.id);
+            revisions.push([cx, cz, revision]);
+        }
+        return { revisions, warnings };
+    }
+
+    /**
+     * Send a stored change to every client that has the chunk loaded
+     * @param {Object} change - { cx, cz, revision, chunk, player } from the ChunkAuthority
+     */
+    onChunkChanged({ cx, cz, revision, chunk, player }) {
+        // Nobody can have joined before the protocol is loaded
+        if (!this.Protocol) return;
+
+        const key = MultiplayerServer.key(cx, cz);
+        this.broadcast('chunk', { cx, cz, revision, chunk, player }, other => other.loaded.has(key));
+    }
+
+    /**
+     * Remove a player that disconnected and tell the others
+     * @param {Object} client - Disconnected client
+     */
+    onClose(client) {
+        if (!this.clients.delete(client.id)) return;
+
+        for (const other of this.clients.values()) {
+            other.visible.delete(client.id);
+        }
+        this.broadcast('left', { id: client.id });
+        console.log(`${client.name} (${client.id}) left, ${this.clients.size} playing`);
+    }
+
+    /**
+     * Send a message to one client, if it is still connected
+     * @param {Object} client - Receiving client
+     * @param {string} type - Message type
+     * @param {Object} fields - Message fields
+     */
+    send(client, type, fields) {
+        if (client.socket.readyState === WebSocket.OPEN) {
+            client.socket.send(this.Protocol.encode(type, fields));
+        }
+    }
+
+    /**
+     * Send a message to every joined client that passes a filter
+     * @param {string} type - Message type
+     * @param {Object} fields - Message fields
+     * @param {Function} filter - Returns true for the clients to send to, optional
+     */
+    broadcast(type, fields, filter = () => true) {
+        const text = this.Protocol.encode(type, fields);
+        for (const client of this.clients.values()) {
+            if (filter(client) && client.socket.readyState === WebSocket.OPEN) {
+                client.socket.send(text);
+            }
+        }
+    }
+
+    /**
+     * Disconnect every client and stop accepting connections
+     * @returns {Promise<void>} Resolves once the endpoint is closed
+     */
+    close() {
+        for (const client of this.wss.clients) {
+            client.close(1001, 'Server shutting down');
+        }
+        return new Promise(resolve => this.wss.close(() => resolve()));
+    }
+}
+
+module.exports = MultiplayerServer;
@@ -6,8 +6,24 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
 import HexGenerator from './hex/hexGenerator.js';
+import ChunkManager from './hex/ChunkManager.js';
+import BiomeDecorator from './hex/BiomeDecorator.js';
+import HexPicker from './hex/HexPicker.js';
+import PathRenderer from './hex/PathRenderer.js';
+import Pathfinder from './utils/Pathfinder.js';
+import PlayerController from './player/PlayerController.js';
+import ChunkSource from './terrain/ChunkSource.js';
+import TerrainEditor from './editor/TerrainEditor.js';
+import WorldClock from './environment/WorldClock.js';
+import DayNightCycle from './environment/DayNightCycle.js';
+import Weather from './environment/Weather.js';
+import WeatherEffects from './environment/WeatherEffects.js';
+import HexUtils from './utils/HexUtils.js';
+import MultiplayerClient from './network/MultiplayerClient.js';
+import RemotePlayers from './network/RemotePlayers.js';
+import Minimap from './map/Minimap.js';
+import ModelLibrary from './models/ModelLibrary.js';
 // import HexRenderer from './hex/hexRenderer.js';
-// import HexDebugger from './hex/hexDebugger.js';
 
 class HexGame {
     constructor() {
@@ -16,7 +32,28 @@ class HexGame {
             gridSize: 16,
             hexSize: 1.0,
             hexGap: 0.1,
-            debugMode: false
+            loadRadius: 2,      // Chunks loaded around the focus point
+            unloadRadius: 3,    // Chunks beyond this distance are disposed
+            decorations: true,  // Scatter the biome models over the terrain
+            rivers: true,       // Generate rivers and draw their water
+            textures: false,    // Draw the terrain with the triplanar texture shader
+            blend: false,       // Blend biomes across hex skirts and corners
+            blendWidth: 0.5,    // Share of a skirt textures blend over (textured blend only)
+            edgeNoise: 0,       // Noise breaking up the blend edge (textured blend only)
+            seed: null,         // World seed from the server or ?seed=, random when null
+            seaLevel: 0,        // Elevation of the sea surface, from the server or ?seaLevel=
+            maxClimb: 2,        // Highest step up a path may take, in world units
+            player: true,       // Walk an avatar with WASD; false orbits and pans a free camera
+            stepHeight: 1,      // Highest difference in hex height the avatar can step across
+            editor: false,      // Load the stored chunks from the server and edit them with brushes
+            multiplayer: false, // Join the server's shared world: see the other players and share edits
+            name: '',           // Player name shown to the others in multiplayer
+            time: 9,            // Time of day at start, in hours
+            dayLength: 600,     // Real seconds per world day
+            pauseTime: false,   // Keep the time of day fixed
+            weather: null,      // Weather state to keep (see Weather.states), null to follow the seed
+            minimap: true,      // Show the minimap and the world map (M)
+            debugMode: false    // Highlight the neighbours of the selected hex
         };
 
         // FPS tracking variables
@@ -47,6 +84,36 @@ class HexGame {
     parseUrlParams() {
         const urlParams = new URLSearchParams(window.location.search);
 
+        // The server picks the world seed; ?seed= below overrides it
+        if (window.gameParams && window.gameParams.seed !== undefined) {
+            this.params.seed = window.gameParams.seed;
+        }
+
+        // The server sends the world's sea level; ?seaLevel= below overrides it
+        if (window.gameParams && typeof window.gameParams.seaLevel === 'number') {
+            this.params.seaLevel = window.gameParams.seaLevel;
+        }
+
+        // Parse seed parameter: 1-64 letters, digits, '-' or '_', as the server accepts
+        if (urlParams.has('seed') && urlParams.get('seed') !== '') {
+            const seed = urlParams.get('seed');
+            if (/^[\w-]{1,64}$/.test(seed)) {
+                this.params.seed = seed;
+                console.log(`Setting seed from URL: ${seed}`);
+            } else {
+                console.warn('Ignoring invalid seed from URL');
+            }
+        }
+
+        // Parse seaLevel parameter
+        if (urlParams.has('seaLevel')) {
+            const seaLevel = parseFloat(urlParams.get('seaLevel'));
+            if (!isNaN(seaLevel)) {
+                this.params.seaLevel = seaLevel;
+                console.log(`Setting seaLevel from URL: ${seaLevel}`);
+            }
+        }
+
         // Parse gridSize parameter
         if (urlParams.has('gridSize')) {
             const gridSize = parseInt(urlParams.get('gridSize'));
@@ -73,6 +140,142 @@ class HexGame {
                 console.log(`Setting hexGap from URL: ${hexGap}`);
             }
         }
+
+        // Parse loadRadius parameter
+        if (urlParams.has('loadRadius')) {
+            const loadRadius = parseInt(urlParams.get('loadRadius'));
+            if (!isNaN(loadRadius) && loadRadius >= 0) {
+                this.params.loadRadius = loadRadius;
+                this.params.unloadRadius = Math.max(this.params.unloadRadius, loadRadius + 1);
+                console.log(`Setting loadRadius from URL: ${loadRadius}`);
+            }
+        }
+
+        // Parse unloadRadius parameter
+        if (urlParams.has('unloadRadius')) {
+            const unloadRadius = parseInt(urlParams.get('unloadRadius'));
+            if (!isNaN(unloadRadius) && unloadRadius > this.params.loadRadius) {
+                this.params.unloadRadius = unloadRadius;
+                console.log(`Setting unloadRadius from URL: ${unloadRadius}`);
+            }
+        }
+
+        // Parse decorations parameter
+        if (urlParams.has('decorations')) {
+            this.params.decorations = urlParams.get('decorations') !== 'false';
+            console.log(`Setting decorations from URL: ${this.params.decorations}`);
+        }
+
+        // Parse rivers parameter
+        if (urlParams.has('rivers')) {
+            this.params.rivers = urlParams.get('rivers') !== 'false';
+            console.log(`Setting rivers from URL: ${this.params.rivers}`);
+        }
+
+        // Parse minimap parameter
+        if (urlParams.has('minimap')) {
+            this.params.minimap = urlParams.get('minimap') !== 'false';
+            console.log(`Setting minimap from URL: ${this.params.minimap}`);
+        }
+
+        // Parse textures parameter
+        if (urlParams.has('textures')) {
+            this.params.textures = urlParams.get('textures') === 'true';
+            console.log(`Setting textures from URL: ${this.params.textures}`);
+        }
+
+        // Parse biome blending parameters
+        if (urlParams.has('blend')) {
+            this.params.blend = urlParams.get('blend') === 'true';
+            console.log(`Setting blend from URL: ${this.params.blend}`);
+        }
+        if (urlParams.has('blendWidth')) {
+            const blendWidth = parseFloat(urlParams.get('blendWidth'));
+            if (!isNaN(blendWidth) && blendWidth > 0 && blendWidth <= 1) {
+                this.params.blendWidth = blendWidth;
+                console.log(`Setting blendWidth from URL: ${blendWidth}`);
+            }
+        }
+        if (urlParams.has('edgeNoise')) {
+            const edgeNoise = parseFloat(urlParams.get('edgeNoise'));
+            if (!isNaN(edgeNoise) && edgeNoise >= 0) {
+                this.params.edgeNoise = edgeNoise;
+                console.log(`Setting edgeNoise from URL: ${edgeNoise}`);
+            }
+        }
+
+        // Parse maxClimb parameter
+        if (urlParams.has('maxClimb')) {
+            const maxClimb = parseFloat(urlParams.get('maxClimb'));
+            if (!isNaN(maxClimb) && maxClimb >= 0) {
+                this.params.maxClimb = maxClimb;
+                console.log(`Setting maxClimb from URL: ${maxClimb}`);
+            }
+        }
+
+        // Parse player parameters
+        if (urlParams.has('player')) {
+            this.params.player = urlParams.get('player') !== 'false';
+            console.log(`Setting player from URL: ${this.params.player}`);
+        }
+        if (urlParams.has('stepHeight')) {
+            const stepHeight = parseFloat(urlParams.get('stepHeight'));
+            if (!isNaN(stepHeight) && stepHeight >= 0) {
+                this.params.stepHeight = stepHeight;
+                console.log(`Setting stepHeight from URL: ${stepHeight}`);
+            }
+        }
+
+        // Parse time of day parameters
+        if (urlParams.has('time')) {
+            const time = WorldClock.parseTime(urlParams.get('time'));
+            if (time !== null) {
+                this.params.time = time;
+                console.log(`Setting time from URL: ${time}`);
+            }
+        }
+        if (urlParams.has('dayLength')) {
+            const dayLength = parseFloat(urlParams.get('dayLength'));
+            if (!isNaN(dayLength) && dayLength > 0) {
+                this.params.dayLength = dayLength;
+                console.log(`Setting dayLength from URL: ${dayLength}`);
+            }
+        }
+        if (urlParams.has('pauseTime')) {
+            this.params.pauseTime = urlParams.get('pauseTime') === 'true';
+            console.log(`Setting pauseTime from URL: ${this.params.pauseTime}`);
+        }
+
+        // Parse weather parameter
+        if (urlParams.has('weather')) {
+            const weather = urlParams.get('weather');
+            if (Weather.states.includes(weather)) {
+                this.params.weather = weather;
+                console.log(`Setting weather from URL: ${weather}`);
+            }
+        }
+
+        // Parse editor parameter
+        if (urlParams.has('editor')) {
+            this.params.editor = urlParams.get('editor') === 'true';
+            console.log(`Setting editor from URL: ${this.params.editor}`);
+        }
+
+        // Parse multiplayer parameters
+        if (urlParams.has('multiplayer')) {
+            this.params.multiplayer = urlParams.get('multiplayer') === 'true';
+            console.log(`Setting multiplayer from URL: ${this.params.multiplayer}`);
+        }
+        if (urlParams.has('name')) {
+            this.params.name = urlParams.get('name');
+            console.log(`Setting name from URL: ${this.params.name}`);
+        }
+
+        // Parse debug parameter
+        if (urlParams.has('debug')) {
+            this.params.debugMode = urlParams.get('debug') === 'true';
+            console.log(`Setting debugMode from URL: ${this.params.debugMode}`);
+        }
     }
 
     /**
@@ -100,6 +303,169 @@ class HexGame {
         this.infoPanel.style.minWidth = '200px';
         this.updateInfoPanel();
         uiContainer.appendChild(this.infoPanel);
+
+        // Toggle between flat biome colours and textured terrain
+        this.textureButton = document.createElement('button');
+        this.textureButton.style.marginTop = '10px';
+        this.textureButton.style.padding = '6px 10px';
+        this.textureButton.style.fontFamily = 'monospace';
+        this.textureButton.style.cursor = 'pointer';
+        this.textureButton.addEventListener('click', () => {
+            this.updateGrid({ textures: !this.params.textures });
+            this.updateTextureButton();
+        });
+        this.updateTextureButton();
+        uiContainer.appendChild(this.textureButton);
+
+        // Toggle the terrain editor, which switches to the chunks stored on the server
+        this.editorButton = document.createElement('button');
+        this.editorButton.style.marginTop = '10px';
+        this.editorButton.style.marginLeft = '10px';
+        this.editorButton.style.padding = '6px 10px';
+        this.editorButton.style.fontFamily = 'monospace';
+        this.editorButton.style.cursor = 'pointer';
+        this.editorButton.addEventListener('click', () => {
+            this.updateGrid({ editor: !this.params.editor });
+            this.updateEditorButton();
+        });
+        this.updateEditorButton();
+        uiContainer.appendChild(this.editorButton);
+
+        // Time of day: a slider to set it and a button to stop the clock
+        const timeRow = document.createElement('div');
+        timeRow.style.marginTop = '10px';
+        timeRow.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+        timeRow.style.color = 'white';
+        timeRow.style.padding = '6px 10px';
+        timeRow.style.borderRadius = '4px';
+        timeRow.style.fontFamily = 'monospace';
+        this.timeLabel = document.createElement('span');
+        this.timeInput = document.createElement('input');
+        this.timeInput.type = 'range';
+        this.timeInput.min = '0';
+        this.timeInput.max = '24';
+        this.timeInput.step = '0.05';
+        this.timeInput.style.verticalAlign = 'middle';
+        this.timeInput.addEventListener('input', () => {
+            this.worldClock.setTime(parseFloat(this.timeInput.value));
+            this.updateTimeControls();
+        });
+        this.pauseButton = document.createElement('button');
+        this.pauseButton.style.marginLeft = '6px';
+        this.pauseButton.style.fontFamily = 'monospace';
+        this.pauseButton.style.cursor = 'pointer';
+        this.pauseButton.addEventListener('click', () => {
+            this.worldClock.setPaused(!this.worldClock.paused);
+            this.updateTimeControls();
+        });
+        timeRow.append(this.timeLabel, this.timeInput, this.pauseButton);
+        uiContainer.appendChild(timeRow);
+        this.updateTimeControls();
+
+        // Side panel describing the selected hex, hidden until a hex is clicked
+        this.inspectorPanel = document.createElement('div');
+        this.inspectorPanel.style.position = 'absolute';
+        this.inspectorPanel.style.top = '10px';
+        this.inspectorPanel.style.right = '10px';
+        this.inspectorPanel.style.zIndex = '100';
+        this.inspectorPanel.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+        this.inspectorPanel.style.color = 'white';
+        this.inspectorPanel.style.padding = '10px';
+        this.inspectorPanel.style.borderRadius = '4px';
+        this.inspectorPanel.style.fontFamily = 'monospace';
+        this.inspectorPanel.style.fontSize = '14px';
+        this.inspectorPanel.style.lineHeight = '1.5';
+        this.inspectorPanel.style.minWidth = '200px';
+        this.inspectorPanel.style.display = 'none';
+        document.body.appendChild(this.inspectorPanel);
+    }
+
+    /**
+     * Show the selected hex in the inspector panel
+     * @param {Object} event - 'hexselected' event from the HexPicker
+     * @param {Object|null} path - Result of Pathfinder.findPath() to the hex, null if unreachable, omit when no path was planned
+     */
+    updateInspector({ hex, chunkCoords, localCoords }, path = undefined) {
+        if (!hex) {
+            this.inspectorPanel.style.display = 'none';
+            return;
+        }
+
+        const biomes = this.hexGenerator.knownBiomes;
+        const biome = biomes && biomes[hex.biomeIndex];
+        const features = this.definitions && this.definitions.globalFeatures;
+        const feature = features && features[hex.featureIndex];
+
+        const lines = [
+            `Grid: ${hex.gridCoords.join(', ')}`,
+            `Chunk: ${chunkCoords.join(', ')}`,
+            `Local: ${localCoords.join(', ')}`,
+            `Elevation: ${hex.elevation.toFixed(2)}${hex.submerged ? ' (under water)' : ''}`,
+            `Biome: ${biome ? biome.name : '-'} (${hex.biomeIndex})`,
+            `Feature: ${feature ? feature.name : '-'} (${hex.featureIndex})`
+        ];
+        if (path !== undefined) {
+            lines.push(`Path: ${path ? `${path.path.length - 1} steps, cost ${path.cost.toFixed(1)}` : 'unreachable'}`);
+        }
+
+        // Names come from stored chunks, so they are set as text rather than markup
+        const title = document.createElement('strong');
+        title.textContent = 'Selected Hex';
+        this.inspectorPanel.replaceChildren(title);
+        for (const line of lines) {
+            this.inspectorPanel.append(document.createElement('br'), line);
+        }
+        this.inspectorPanel.style.display = 'block';
+    }
+
+    /**
+     * Update the texture toggle label to match the current rendering mode
+     */
+    updateTextureButton() {
+        if (this.textureButton) {
+            this.textureButton.textContent = this.params.textures ? 'Use Colours' : 'Use Textures';
+        }
+    }
+
+    /**
+     * Show the clock's time on the time slider and its state on the pause button
+     */
+    updateTimeControls() {
+        if (!this.timeInput) return;
+
+        this.timeLabel.textContent = `Time ${this.worldClock.format()} `;
+        if (document.activeElement !== this.timeInput) {
+            this.timeInput.value = String(this.worldClock.time);
+        }
+        this.pauseButton.textContent = this.worldClock.paused ? 'Resume' : 'Pause';
+    }
+
+    /**
+     * Update the editor toggle label to match the current mode
+     */
+    updateEditorButton() {
+        if (this.editorButton) {
+            this.editorButton.textContent = this.params.editor ? 'Stop Editing' : 'Edit Terrain';
+        }
+    }
+
+    /**
+     * Create or remove the terrain editor to match params.editor, and point it at the current chunks
+     */
+    updateEditor() {
+        if (this.params.editor && !this.editor) {
+            this.editor = new TerrainEditor(this.scene, this.controls, this.picker, this.chunkManager, this.chunkSource, {
+                biomes: this.hexGenerator.biomes || [],
+                features: this.definitions ? this.definitions.globalFeatures : [],
+                heightScale: this.hexGenerator.params.heightScale,
+                sync: this.multiplayer
+            });
+        } else if (!this.params.editor && this.editor) {
+            this.editor.dispose();
+            this.editor = null;
+        } else if (this.editor) {
+            this.editor.setChunkManager(this.chunkManager);
+        }
     }
 
     /**
@@ -107,11 +473,21 @@ class HexGame {
      */
     updateInfoPanel() {
         if (this.infoPanel) {
+            const focusChunk = this.chunkManager && this.chunkManager.focusChunk;
+            const playerHex = this.player && this.chunkManager ? this.player.hex : null;
             this.infoPanel.innerHTML = `
                 FPS: ${this.fps.toFixed(1)}<br>
                 Hex Size: ${this.params.hexSize.toFixed(2)}<br>
                 Hex Gap: ${this.params.hexGap.toFixed(2)}<br>
-                Grid Size: ${this.params.gridSize}
+                Chunk Size: ${this.params.gridSize}<br>
+                Terrain: ${this.params.textures ? 'Textured' : 'Colours'}<br>
+                Seed: ${this.params.seed !== null ? this.params.seed : '-'}<br>
+                Day ${this.worldClock.day + 1}, ${this.worldClock.format()}<br>
+                Weather: ${this.conditions ? this.conditions.state : '-'}${this.params.weather ? ' (fixed)' : ''}<br>
+                Chunk: ${focusChunk ? focusChunk.join(', ') : '-'}<br>
+                ${this.player ? `Player Hex: ${playerHex ? playerHex.gridCoords.join(', ') : '-'}<br>` : ''}
+                Loaded Chunks: ${this.chunkManager ? this.chunkManager.loadedCount : 0}
+                ${this.multiplayer ? `<br>Players: ${this.multiplayer.connected ? this.multiplayer.players.size + 1 : 'offline'}` : ''}
             `;
         }
     }
@@ -124,6 +500,9 @@ class HexGame {
         this.scene = new THREE.Scene();
         this.scene.background = new THREE.Color(0x87CEEB); // Sky blue background
 
+        // Frame timer for the player's movement
+        this.clock = new THREE.Clock();
+
         // Create camera
         this.camera = new THREE.PerspectiveCamera(
             75, window.innerWidth / window.innerHeight, 0.1, 1000
@@ -138,23 +517,26 @@ class HexGame {
         this.renderer.shadowMap.enabled = true;
         document.body.appendChild(this.renderer.domElement);
 
-        // Add lighting
-        // Ambient light
-        const ambientLight = new THREE.AmbientLight(0x404040, 1);
-        this.scene.add(ambientLight);
+        // Sun, moon, sky and fog follow the world clock
+        this.worldClock = new WorldClock({
+            time: this.params.time,
+            dayLength: this.params.dayLength,
+            paused: this.params.pauseTime
+        });
+        this.dayNight = new DayNightCycle(this.scene, this.worldClock, {
+            skyRadius: this.camera.far * 0.9
+        });
 
-        // Directional light (sun)
-        const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
-        directionalLight.position.set(10, 20, 10);
-        directionalLight.castShadow = true;
-        directionalLight.shadow.mapSize.width = 2048;
-        directionalLight.shadow.mapSize.height = 2048;
-        this.scene.add(directionalLight);
+        // Rain and snow around the player; the weather itself needs the world seed, see createChunkManager
+        this.weatherEffects = new WeatherEffects(this.scene);
+        this.conditions = null;
 
         // Add orbit controls for camera
         this.controls = new OrbitControls(this.camera, this.renderer.domElement);
         this.controls.enableDamping = true;
         this.controls.dampingFactor = 0.05;
+        // Pan across the ground plane so panning moves the chunk focus point
+        this.controls.screenSpacePanning = false;
 
         // Add grid helper for reference
         const gridHelper = new THREE.GridHelper(50, 50);
@@ -162,27 +544,58 @@ class HexGame {
     }
 
     /**
-     * Initialize the hex grid
+     * Initialize the hex generator and chunk streaming
      */
     async init() {
         try {
-            // Create hex generator and renderer
-            this.hexGenerator = new HexGenerator(
-                this.params.gridSize,
-                this.params.hexSize,
-                this.params.hexGap
-            );
-
-            // Render the scene - now using async method
-            const meshes = await this.hexGenerator.renderGrid(this.scene);
-            this.hexMeshes = meshes;
-            console.log('Hex grid generated successfully with', meshes.length, 'hexes');
-
-            // Center camera on the grid
+            // Load the biome and feature definitions shared with the server
+            this.definitions = await this.loadDefinitions();
+
+            this.createChunkManager();
+
+            // Pick hexes under the pointer and show the clicked one in the inspector
+            this.picker = new HexPicker(this.camera, this.renderer.domElement, this.scene, this.chunkManager, {
+                highlightNeighbors: this.params.debugMode
+            });
+            this.picker.addEventListener('hexselected', event => this.onHexSelected(event));
+
+            // Shift-click plans a path from the selected hex to the clicked one
+            this.createPathfinder();
+            this.pathRenderer = new PathRenderer(this.scene);
+
+            // Map of the explored chunks; clicking it moves the player or the camera there
+            if (this.params.minimap) {
+                this.minimap = new Minimap(this.chunkManager);
+                this.minimap.addEventListener('travel', event => this.travel(event.x, event.z));
+            }
+
+            // Other players and shared edits when started with ?multiplayer=true
+            if (this.params.multiplayer) {
+                this.connectMultiplayer();
+            }
+
+            // Brushes for the stored chunks when started with ?editor=true
+            this.updateEditor();
+
+            // Center camera on the origin chunk
             const gridCenter = this.calculateGridCenter();
             this.controls.target.set(gridCenter.x, 0, gridCenter.z);
             this.camera.position.set(gridCenter.x, 20, gridCenter.z + 20);
             this.controls.update();
+
+            // Load every chunk around the camera before the first frame
+            this.chunkManager.update(this.controls.target, Infinity);
+            console.log('Hex terrain initialized with', this.chunkManager.loadedCount, 'chunks');
+
+            // Put the player in the middle of the origin chunk; the camera follows it from here on
+            if (this.params.player) {
+                this.player = new PlayerController(this.scene, this.camera, this.controls, this.chunkManager, {
+                    stepHeight: this.params.stepHeight
+                });
+                this.player.spawn(gridCenter.x, gridCenter.z);
+                this.controls.enablePan = false;
+                this.controls.update();
+            }
                 
             // Start animation loop
             this.animate();
@@ -192,28 +605,253 @@ class HexGame {
     }
 
     /**
-     * Calculate the center point of the hex grid
+     * Join the multiplayer server on the page's host and show the other players
+     */
+    connectMultiplayer() {
+        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+        this.multiplayer = new MultiplayerClient(`${protocol}//${window.location.host}/ws`, { name: this.params.name });
+        this.remotePlayers = new RemotePlayers(this.scene);
+
+        this.multiplayer.addEventListener('transform', event => {
+            const player = this.multiplayer.players.get(event.id);
+            this.remotePlayers.push(event.id, player ? player.name : event.id, event.position, event.heading, performance.now() / 1000);
+        });
+        this.multiplayer.addEventListener('hide', event => this.remotePlayers.remove(event.id));
+        this.multiplayer.addEventListener('left', event => this.remotePlayers.remove(event.id));
+        this.multiplayer.addEventListener('chunk', event => this.onChunkChanged(event));
+        this.multiplayer.addEventListener('close', event => {
+            console.warn(`Left multiplayer: ${event.reason}`);
+            this.remotePlayers.clear();
+        });
+
+        this.multiplayer.connect()
+            .then(welcome => console.log(`Joined multiplayer as ${welcome.id} with ${welcome.players.length} other players`))
+            .catch(error => console.error('Error joining multiplayer:', error));
+    }
+
+    /**
+     * Show a chunk another player (or this one, through the server) changed
+     * @param {Object} event - 'chunk' event from the MultiplayerClient
+     */
+    onChunkChanged(event) {
+        const loaded = this.chunkManager.getChunk(event.cx, event.cz);
+        // The server's copy of our own stroke usually matches what the brush already did here
+        if (!loaded || !loaded.data || JSON.stringify(loaded.data) === JSON.stringify(event.chunk)) {
+            return;
+        }
+        this.chunkManager.replaceChunkData(new Map([[ChunkManager.key(event.cx, event.cz), event.chunk]]));
+    }
+
+    /**
+     * Tell the multiplayer server where the player is and which chunks are loaded,
+     * and move the other players' avatars
+     */
+    updateMultiplayer() {
+        if (!this.multiplayer.connected) return;
+
+        const time = performance.now() / 1000;
+        this.multiplayer.setLoadedChunks(this.chunkManager.loadedChunks);
+        if (this.player) {
+            const { x, y, z } = this.player.position;
+            this.multiplayer.sendTransform([x, y, z], this.player.heading, this.chunkManager.worldToChunk(x, z), time);
+        }
+        this.remotePlayers.update(time);
+    }
+
+    /**
+     * Move the player, or the camera without one, to a world position picked on the map
+     * @param {number} x - World x
+     * @param {number} z - World z
+     */
+    travel(x, z) {
+        // Load the chunks there first: generated ones are built at once, stored ones arrive over the next frames
+        const target = new THREE.Vector3(x, 0, z);
+        this.chunkManager.update(target, Infinity);
+
+        if (this.player) {
+            this.player.spawn(x, z);
+        } else {
+            const height = this.chunkManager.getHeightAt(x, z);
+            target.y = height !== null ? height : 0;
+            this.camera.position.add(target.clone().sub(this.controls.target));
+            this.controls.target.copy(target);
+        }
+        console.log(`Travelled to ${x.toFixed(1)}, ${z.toFixed(1)}`);
+    }
+
+    /**
+     * Show a newly selected hex, and plan a path to it when Shift was held
+     * @param {Object} event - 'hexselected' event from the HexPicker
+     */
+    onHexSelected(event) {
+        this.pathRenderer.clear();
+
+        if (!event.shiftKey || !event.hex || !event.previous) {
+            this.updateInspector(event);
+            return;
+        }
+
+        const path = this.pathfinder.findPath(event.previous.gridCoords, event.hex.gridCoords);
+        if (path) {
+            this.pathRenderer.show(path.path.map(coords => this.chunkManager.getHex(coords)));
+        }
+        this.updateInspector(event, path);
+    }
+
+    /**
+     * Load the global biome and feature definitions
+     * @returns {Promise<Object|null>} Contents of initial.json, or null if it could not be loaded
+     */
+    async loadDefinitions() {
+        try {
+            const response = await fetch('/assets/terrainData/initial.json');
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            return await response.json();
+        } catch (error) {
+            console.error('Error loading terrain definitions, using default biomes:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Create the hex generator and the chunk manager that streams its chunks
+     */
+    createChunkManager() {
+        this.hexGenerator = new HexGenerator(
+            this.params.gridSize,
+            this.params.hexSize,
+            this.params.hexGap,
+            this.definitions ? this.definitions.globalBiomes : null,
+            {
+                seed: this.params.seed,
+                textured: this.params.textures,
+                blend: this.params.blend,
+                blendWidth: this.params.blendWidth,
+                edgeNoise: this.params.edgeNoise,
+                rivers: this.params.rivers,
+                seaLevel: this.params.seaLevel
+            }
+        );
+
+        // Keep a randomly chosen seed so grid updates rebuild the same world
+        if (this.params.seed === null) {
+            this.params.seed = this.hexGenerator.seed;
+        }
+        this.weather = new Weather(this.params.seed);
+
+        if (this.params.decorations && !this.decorator) {
+            // Models do not depend on the grid, so the library outlives grid updates
+            if (!this.modelLibrary) {
+                this.modelLibrary = new ModelLibrary();
+            }
+            this.decorator = new BiomeDecorator({
+                hexSize: this.hexGenerator.effectiveSize,
+                modelLibrary: this.modelLibrary
+            });
+        }
+
+        // The editor works on the chunks stored on the server instead of the local generator's
+        if (!this.chunkSource) {
+            this.chunkSource = new ChunkSource();
+        }
+
+        this.chunkManager = new ChunkManager(this.scene, this.hexGenerator, {
+            loadRadius: this.params.loadRadius,
+            unloadRadius: this.params.unloadRadius,
+            decorator: this.params.decorations ? this.decorator : null,
+            // Multiplayer shares the stored world, so every player sees the same terrain and edits
+            source: this.params.editor || this.params.multiplayer ? this.chunkSource : null
+        });
+
+        // Shadows cover the loaded chunks around the player, and the fog hides their outer edge
+        const loadedRadius = (this.params.loadRadius + 0.5) *
+            Math.max(this.chunkManager.chunkWorldWidth, this.chunkManager.chunkWorldDepth);
+        this.dayNight.setShadowRadius(loadedRadius);
+        this.dayNight.setFogRange(loadedRadius * 0.5, loadedRadius * 1.2);
+    }
+
+    /**
+     * Create the pathfinder for the current hex generator
+     * It reads the generator's biomes, so a grid update that replaces the generator needs a new one.
+     */
+    createPathfinder() {
+        this.pathfinder = new Pathfinder(coords => this.chunkManager.getHex(coords), {
+            biomes: this.hexGenerator.knownBiomes,
+            features: this.definitions ? this.definitions.globalFeatures : null,
+            maxClimb: this.params.maxClimb,
+            isSubmerged: hex => this.hexGenerator.isSubmerged(hex)
+        });
+    }
+
+    /**
+     * Sample the weather at the focus and show it: sky, fog, precipitation and wet ground
+     * @param {THREE.Vector3} focus - Player position or camera target
+     * @param {number} delta - Real seconds since the last frame
+     */
+    updateWeather(focus, delta) {
+        const hours = this.worldClock.hours;
+        const climate = Weather.getClimate(this.getNearbyBiomes(focus));
+        this.conditions = this.params.weather
+            ? this.weather.getTypical(this.params.weather, climate)
+            : this.weather.sample(focus.x, focus.z, hours, climate);
+
+        this.dayNight.setConditions(this.conditions);
+        this.weatherEffects.update(focus, this.conditions, hours, delta);
+        this.hexGenerator.setWetness(this.weatherEffects.wetness);
+    }
+
+    /**
+     * Biomes of the loaded hexes around a position, which set the local climate
+     * @param {THREE.Vector3} position - World position
+     * @param {number} radius - Hex radius to look within
+     * @returns {Array} Biome definition of each hex found
+     */
+    getNearbyBiomes(position, radius = 4) {
+        const biomes = this.hexGenerator.knownBiomes;
+        const center = this.chunkManager.getHexAt(position.x, position.z);
+        if (!biomes || !center) {
+            return [];
+        }
+
+        return HexUtils.range(center.gridCoords, radius)
+            .map(coords => this.chunkManager.getHex(coords))
+            .filter(hex => hex)
+            .map(hex => biomes[hex.biomeIndex]);
+    }
+
+    /**
+     * Show the player, or the camera, and the other players on the minimap
+     * @param {THREE.Vector3} focus - Player position or camera target
+     */
+    updateMinimap(focus) {
+        let heading;
+        if (this.player) {
+            heading = this.player.heading;
+        } else {
+            // The direction the camera looks in, flattened onto the ground
+            const direction = new THREE.Vector3();
+            this.camera.getWorldDirection(direction);
+            heading = Math.atan2(direction.x, direction.z);
+        }
+        this.minimap.update(focus, heading, this.remotePlayers ? this.remotePlayers.positions : []);
+    }
+
+    /**
+     * Calculate the center point of the origin chunk
      * @returns {THREE.Vector3} Center point coordinates
      */
     calculateGridCenter() {
-        // if (!this.hexGrid || this.hexGrid.length === 0) {
-        //     return new THREE.Vector3();
-        // }
-
-        // // Get grid extents
-        // const minX = Math.min(...this.hexGrid.map(hex => hex.position[0]));
-        // const maxX = Math.max(...this.hexGrid.map(hex => hex.position[0]));
-        // const minZ = Math.min(...this.hexGrid.map(hex => hex.position[2]));
-        // const maxZ = Math.max(...this.hexGrid.map(hex => hex.position[2]));
-
-        // // Calculate center
-        // return new THREE.Vector3(
-        //     minX + (maxX - minX) / 2,
-        //     0,
-        //     minZ + (maxZ - minZ) / 2
-        // );
-
-        return new THREE.Vector3(0, 0, 0);
+        if (!this.chunkManager) {
+            return new THREE.Vector3();
+        }
+
+        return new THREE.Vector3(
+            this.chunkManager.chunkWorldWidth / 2,
+            0,
+            this.chunkManager.chunkWorldDepth / 2
+        );
     }
 
     /**
@@ -222,9 +860,41 @@ class HexGame {
     animate() {
         requestAnimationFrame(this.animate.bind(this));
 
+        // Move the player and carry the camera along
+        const delta = Math.min(this.clock.getDelta(), 0.1);
+        if (this.player) {
+            this.player.update(delta);
+        }
+        this.worldClock.update(delta);
+
         // Update controls
         this.controls.update();
 
+        // Stream chunks around the player, or the camera target without one
+        this.chunkManager.update(this.player ? this.player.position : this.controls.target);
+
+        // Animate the water
+        this.hexGenerator.update(performance.now() / 1000);
+
+        // Weather where the player is, then the sun and moon under it; light the terrain and water shaders to match
+        const focus = this.player ? this.player.position : this.controls.target;
+        this.updateWeather(focus, delta);
+        this.dayNight.update(focus, this.camera, delta);
+        this.hexGenerator.setLighting(this.dayNight.getLighting());
+
+        // Share the player's position and show the others
+        if (this.multiplayer) {
+            this.updateMultiplayer();
+        }
+
+        // Draw the newly loaded chunks onto the map and mark the players on it
+        if (this.minimap) {
+            this.updateMinimap(focus);
+        }
+
+        // Move the hover highlight to the hex under the pointer
+        this.picker.update();
+
         // Render the scene
         this.renderer.render(this.scene, this.camera);
 
@@ -240,6 +910,7 @@ class HexGame {
 
             // Update the info panel with current FPS and other stats
             this.updateInfoPanel();
+            this.updateTimeControls();
         }
     }
 
@@ -259,28 +930,39 @@ class HexGame {
      * Update hex grid parameters and regenerate
      * @param {Object} params - New parameters
      */
-    async updateGrid(params) {
+    updateGrid(params) {
         // Update parameters
         this.params = { ...this.params, ...params };
 
-        // Clear old grid and debug visualizations
-        if (this.hexMeshes) {
-            // Remove each mesh from the scene
-            this.hexMeshes.forEach(mesh => this.scene.remove(mesh));
+        // Dispose the old chunks and their shared materials
+        if (this.chunkManager) {
+            this.chunkManager.dispose();
+            this.hexGenerator.dispose();
+        }
+        if (this.decorator) {
+            this.decorator.dispose();
+            this.decorator = null;
         }
-
-        // Create new hex generator with updated parameters
-        this.hexGenerator = new HexGenerator(
-            this.params.gridSize,
-            this.params.hexSize,
-            this.params.hexGap
-        );
 
         try {
-            // Regenerate grid
-            const meshes = await this.hexGenerator.generateHexGrid(this.scene);
-            this.hexMeshes = meshes;
-            console.log('Hex grid updated successfully with', meshes.length, 'hexes');
+            // Recreate the generator and reload the chunks around the current focus
+            this.createChunkManager();
+            if (this.picker) {
+                this.picker.setChunkManager(this.chunkManager);
+                this.createPathfinder();
+                this.pathRenderer.clear();
+            }
+            if (this.player) {
+                this.player.setChunkManager(this.chunkManager);
+            }
+            if (this.minimap) {
+                this.minimap.setChunkManager(this.chunkManager);
+            }
+            if (this.picker) {
+                this.updateEditor();
+            }
+            this.chunkManager.update(this.player ? this.player.position : this.controls.target, Infinity);
+            console.log('Hex grid updated successfully with', this.chunkManager.loadedCount, 'chunks');
         } catch (error) {
             console.error('Error updating hex grid:', error);
         }
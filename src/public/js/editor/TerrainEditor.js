@@ -0,0 +1,642 @@
+/**
+ * Terrain Editor
+ * Hand-edits the stored chunks the server serves: drag with the left mouse button to
+ * raise, lower, flatten or smooth the terrain, or to paint a biome or feature, with a
+ * brush whose radius is measured in hexes. The camera orbits with the right button
+ * while editing.
+ *
+ * Every stroke (press to release) is one undo step. Edited chunks rebuild their meshes
+ * as the brush moves and are saved to the server when the stroke ends; undo and redo
+ * save the chunks they restore.
+ *
+ * With a multiplayer client the edits go to the server over its WebSocket instead:
+ * strokes are sent as the brush applications they were made of, so the server can
+ * replay them on top of other players' edits, and undo and redo send the chunks
+ * they restore. Each step remembers the revisions its chunks had on the server
+ * after it, and the server only puts snapshots back while the chunks are still at
+ * those revisions; a step whose chunks another player changed since is dropped.
+ *
+ * Keys: Ctrl+Z undo, Ctrl+Shift+Z or Ctrl+Y redo, [ and ] shrink and grow the brush.
+ */
+
+import * as THREE from 'three';
+import TerrainBrush from '../terrain/TerrainBrush.js';
+import PathRenderer from '../hex/PathRenderer.js';
+import HexUtils from '../utils/HexUtils.js';
+
+// Button labels of the brush tools
+const TOOL_LABELS = {
+    raise: 'Raise',
+    lower: 'Lower',
+    flatten: 'Flatten',
+    smooth: 'Smooth',
+    biome: 'Paint Biome',
+    feature: 'Paint Feature'
+};
+
+class TerrainEditor {
+    /**
+     * @param {THREE.Scene} scene - Scene the brush outline is added to
+     * @param {OrbitControls} controls - Camera controls, moved off the left mouse button while editing
+     * @param {HexPicker} picker - Picker used to find the hex under the pointer
+     * @param {ChunkManager} chunkManager - Chunk manager holding the stored chunks being edited
+     * @param {ChunkSource} source - Chunk API the edits are saved to
+     * @param {Object} options - Editor options
+     * @param {Array} options.biomes - Biome definitions that can be painted (globalBiomes)
+     * @param {Array} options.features - Feature definitions that can be painted (globalFeatures)
+     * @param {number} options.heightScale - World units per heightOffset step
+     * @param {string} options.tool - Tool selected at start
+     * @param {number} options.radius - Brush radius in hexes at start, 0 for a single hex
+     * @param {number} options.maxRadius - Largest brush radius
+     * @param {number} options.maxUndo - Strokes kept for undo
+     * @param {number} options.brushColor - Colour of the brush outline
+     * @param {MultiplayerClient} options.sync - Sends the edits to the multiplayer server instead of saving them, optional
+     */
+    constructor(scene, controls, picker, chunkManager, source, options = {}) {
+        this.params = {
+            biomes: [],
+            features: [],
+            heightScale: 0.5,
+            tool: 'raise',
+            radius: 1,
+            maxRadius: 8,
+            maxUndo: 50,
+            brushColor: 0x42A5F5,
+            sync: null,
+            ...options
+        };
+
+        this.controls = controls;
+        this.picker = picker;
+        this.domElement = picker.domElement;
+        this.chunkManager = chunkManager;
+        this.source = source;
+
+        this.brush = new TerrainBrush(chunkManager.hexGenerator.hexUtils, { heightScale: this.params.heightScale });
+        this.tool = this.params.tool;
+        this.radius = this.params.radius;
+        this.biomeIndex = 0;
+        this.featureIndex = Math.min(1, this.params.features.length - 1);
+
+        // Stroke in progress: chunk snapshots from before it, the last hex brushed, the flatten height
+        // and the brush applications made, for the multiplayer server
+        this.stroke = null;
+
+        // Undo and redo steps: { before, after } chunk snapshots keyed by "cx,cz", the chunks'
+        // revisions on the multiplayer server after the step, and the promise of its last save
+        this.undoStack = [];
+        this.redoStack = [];
+
+        // Last multiplayer undo or redo, which the next one waits for
+        this.restoring = Promise.resolve();
+
+        // Hexes under the brush, drawn as an overlay
+        this.brushHex = null;
+        this.brushRenderer = new PathRenderer(scene, { color: this.params.brushColor, opacity: 0.35, line: false });
+
+        // Left button edits, right button orbits
+        this.savedMouseButtons = { ...controls.mouseButtons };
+        controls.mouseButtons.LEFT = -1;
+        controls.mouseButtons.RIGHT = THREE.MOUSE.ROTATE;
+
+        this.panel = this.createPanel();
+        document.body.appendChild(this.panel);
+
+        this.onPointerDown = this.onPointerDown.bind(this);
+        this.onPointerMove = this.onPointerMove.bind(this);
+        this.onPointerUp = this.onPointerUp.bind(this);
+        this.onKeyDown = this.onKeyDown.bind(this);
+        this.domElement.addEventListener('pointerdown', this.onPointerDown);
+        this.domElement.addEventListener('pointermove', this.onPointerMove);
+        this.domElement.addEventListener('pointerup', this.onPointerUp);
+        this.domElement.addEventListener('pointerleave', this.onPointerUp);
+        window.addEventListener('keydown', this.onKeyDown);
+    }
+
+    /**
+     * Build the editor panel: tools, brush radius, biome and feature, undo and redo, status
+     * @returns {HTMLElement} Panel element
+     */
+    createPanel() {
+        const panel = document.createElement('div');
+        panel.style.position = 'absolute';
+        panel.style.bottom = '10px';
+        panel.style.left = '10px';
+        panel.style.zIndex = '100';
+        panel.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+        panel.style.color = 'white';
+        panel.style.padding = '10px';
+        panel.style.borderRadius = '4px';
+        panel.style.fontFamily = 'monospace';
+        panel.style.fontSize = '14px';
+        panel.style.lineHeight = '1.5';
+        panel.style.minWidth = '260px';
+
+        const title = document.createElement('div');
+        title.innerHTML = '<strong>Terrain Editor</strong>';
+        panel.appendChild(title);
+
+        // Tool buttons
+        const tools = document.createElement('div');
+        this.toolButtons = {};
+        for (const tool of TerrainBrush.tools) {
+            const button = this.createButton(TOOL_LABELS[tool], () => this.setTool(tool));
+            this.toolButtons[tool] = button;
+            tools.appendChild(button);
+        }
+        panel.appendChild(tools);
+
+        // Brush radius
+        const radiusRow = document.createElement('div');
+        this.radiusLabel = document.createElement('span');
+        this.radiusInput = document.createElement('input');
+        this.radiusInput.type = 'range';
+        this.radiusInput.min = '0';
+        this.radiusInput.max = String(this.params.maxRadius);
+        this.radiusInput.addEventListener('input', () => this.setRadius(parseInt(this.radiusInput.value, 10)));
+        radiusRow.append(this.radiusLabel, this.radiusInput);
+        panel.appendChild(radiusRow);
+
+        // What the paint tools paint
+        this.biomeSelect = this.createSelect('Biome', this.params.biomes, this.biomeIndex, index => {
+            this.biomeIndex = index;
+            this.setTool('biome');
+        });
+        this.featureSelect = this.createSelect('Feature', this.params.features, this.featureIndex, index => {
+            this.featureIndex = index;
+            this.setTool('feature');
+        });
+        panel.append(this.biomeSelect.parentElement, this.featureSelect.parentElement);
+
+        // Undo and redo
+        const history = document.createElement('div');
+        this.undoButton = this.createButton('Undo', () => this.undo());
+        this.redoButton = this.createButton('Redo', () => this.redo());
+        history.append(this.undoButton, this.redoButton);
+        panel.appendChild(history);
+
+        this.statusLine = document.createElement('div');
+        panel.appendChild(this.statusLine);
+
+        this.setTool(this.tool);
+        this.setRadius(this.radius);
+        this.updateHistoryButtons();
+        this.setStatus('Left-drag to edit, right-drag to orbit');
+        return panel;
+    }
+
+    /**
+     * Create a panel button
+     * @param {string} label - Button text
+     * @param {Function} onClick - Click handler
+     * @returns {HTMLButtonElement} Button
+     */
+    createButton(label, onClick) {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.style.margin = '2px';
+        button.style.padding = '4px 8px';
+        button.style.fontFamily = 'monospace';
+        button.style.cursor = 'pointer';
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    /**
+     * Create a labelled drop-down of definitions
+     * @param {string} label - Label text
+     * @param {Array} definitions - Biome or feature definitions
+     * @param {number} selected - Index selected at start
+     * @param {Function} onChange - Called with the chosen index
+     * @returns {HTMLSelectElement} Drop-down, inside its labelled row
+     */
+    createSelect(label, definitions, selected, onChange) {
+        const row = document.createElement('div');
+        row.textContent = `${label}: `;
+        const select = document.createElement('select');
+        select.style.fontFamily = 'monospace';
+        definitions.forEach((definition, index) => {
+            const option = document.createElement('option');
+            option.value = String(index);
+            option.textContent = definition.name;
+            select.appendChild(option);
+        });
+        select.value = String(selected);
+        select.addEventListener('change', () => onChange(parseInt(select.value, 10)));
+        row.appendChild(select);
+        return select;
+    }
+
+    /**
+     * Choose the brush tool
+     * @param {string} tool - Tool name, see TerrainBrush.tools
+     */
+    setTool(tool) {
+        this.tool = tool;
+        for (const [name, button] of Object.entries(this.toolButtons)) {
+            button.style.fontWeight = name === tool ? 'bold' : 'normal';
+            button.style.outline = name === tool ? '2px solid #42A5F5' : 'none';
+        }
+    }
+
+    /**
+     * Set the brush radius
+     * @param {number} radius - Radius in hexes, 0 for a single hex
+     */
+    setRadius(radius) {
+        this.radius = Math.max(0, Math.min(this.params.maxRadius, radius));
+        this.radiusInput.value = String(this.radius);
+        this.radiusLabel.textContent = `Radius: ${this.radius} `;
+        this.showBrush(this.brushHex);
+    }
+
+    /**
+     * Show a message in the panel
+     * @param {string} message - Message text
+     */
+    setStatus(message) {
+        this.statusLine.textContent = message;
+    }
+
+    /**
+     * Enable the undo and redo buttons only when there is something to undo or redo
+     */
+    updateHistoryButtons() {
+        this.undoButton.disabled = this.undoStack.length === 0;
+        this.redoButton.disabled = this.redoStack.length === 0;
+    }
+
+    /**
+     * Switch to another chunk manager, e.g. after the grid was rebuilt
+     * Undo history is kept, since it restores stored chunks rather than meshes.
+     * @param {ChunkManager} chunkManager - New chunk manager
+     */
+    setChunkManager(chunkManager) {
+        this.endStroke();
+        this.chunkManager = chunkManager;
+        this.brush.hexUtils = chunkManager.hexGenerator.hexUtils;
+        this.showBrush(null);
+    }
+
+    /**
+     * Stored chunk of a loaded chunk
+     * @param {number} cx - Chunk x coordinate
+     * @param {number} cz - Chunk z coordinate
+     * @returns {Object|null} Stored chunk, null if the chunk is not loaded from the server
+     */
+    getChunkData(cx, cz) {
+        const chunk = this.chunkManager.getChunk(cx, cz);
+        return chunk && chunk.data ? chunk.data : null;
+    }
+
+    /**
+     * Outline the hexes the brush covers around a hex
+     * @param {Object|null} hex - Hex under the pointer, null to hide the outline
+     */
+    showBrush(hex) {
+        this.brushHex = hex;
+        if (!hex) {
+            this.brushRenderer.clear();
+            return;
+        }
+        const hexes = HexUtils.range(hex.gridCoords, this.radius)
+            .map(coords => this.chunkManager.getHex(coords))
+            .filter(Boolean);
+        this.brushRenderer.show(hexes);
+    }
+
+    /**
+     * Hex under a pointer event
+     * @param {PointerEvent} event - Pointer event on the canvas
+     * @returns {Object|null} Hex data object
+     */
+    pickHex(event) {
+        const result = this.picker.pick(this.picker.getPointer(event));
+        return result ? result.hex : null;
+    }
+
+    /**
+     * Start a stroke with the left button
+     * @param {PointerEvent} event - Pointer event
+     */
+    onPointerDown(event) {
+        if (event.button !== 0) return;
+
+        const hex = this.pickHex(event);
+        if (!hex) return;
+
+        // Flatten levels everything to the height of the hex the stroke starts on
+        this.stroke = { before: new Map(), lastHex: null, level: hex.elevation, warnings: new Set(), applied: [] };
+        this.applyAt(hex);
+    }
+
+    /**
+     * Move the brush outline, and keep brushing while the button is held
+     * @param {PointerEvent} event - Pointer event
+     */
+    onPointerMove(event) {
+        const hex = this.pickHex(event);
+        if (this.stroke && hex) {
+            this.applyAt(hex);
+        } else if (!hex || !this.brushHex || hex.gridCoords.join() !== this.brushHex.gridCoords.join()) {
+            this.showBrush(hex);
+        }
+    }
+
+    /**
+     * End the stroke when the button is released or the pointer leaves the canvas
+     * @param {PointerEvent} event - Pointer event
+     */
+    onPointerUp(event) {
+        if (event.type === 'pointerleave') {
+            this.showBrush(null);
+        }
+        this.endStroke();
+    }
+
+    /**
+     * Apply the brush at a hex, once per hex the pointer moves onto
+     * @param {Object} hex - Hex under the pointer
+     */
+    applyAt(hex) {
+        const key = hex.gridCoords.join();
+        if (this.stroke.lastHex === key) return;
+        this.stroke.lastHex = key;
+
+        const definition = this.tool === 'biome' ? this.params.biomes[this.biomeIndex] :
+            this.tool === 'feature' ? this.params.features[this.featureIndex] : null;
+        if ((this.tool === 'biome' || this.tool === 'feature') && !definition) {
+            this.setStatus(`No ${this.tool} definitions to paint with`);
+            return;
+        }
+
+        // Snapshot every chunk the brush could touch before its first change in this stroke
+        const hexUtils = this.chunkManager.hexGenerator.hexUtils;
+        for (const coords of HexUtils.range(hex.gridCoords, this.radius)) {
+            const { chunk } = hexUtils.globalToChunk(coords);
+            const chunkKey = chunk.join();
+            const data = this.getChunkData(chunk[0], chunk[1]);
+            if (data && !this.stroke.before.has(chunkKey)) {
+                this.stroke.before.set(chunkKey, TerrainEditor.snapshot(data));
+            }
+        }
+
+        const application = { tool: this.tool, radius: this.radius, level: this.stroke.level, definition };
+        const result = this.brush.apply((cx, cz) => this.getChunkData(cx, cz), hex.gridCoords, application);
+        this.stroke.applied.push({ center: hex.gridCoords, ...application });
+        result.warnings.forEach(warning => this.stroke.warnings.add(warning));
+
+        this.rebuild(result.hexes);
+        const brushHex = this.chunkManager.getHex(hex.gridCoords);
+        this.showBrush(brushHex);
+    }
+
+    /**
+     * Rebuild the chunks holding changed hexes, and those whose skirts reach them
+     * @param {Array} hexes - Global [col, row] of the changed hexes
+     */
+    rebuild(hexes) {
+        const hexUtils = this.chunkManager.hexGenerator.hexUtils;
+        const chunks = new Set();
+        for (const coords of hexes) {
+            for (const nearby of [coords, ...HexUtils.neighbors(coords)]) {
+                chunks.add(hexUtils.globalToChunk(nearby).chunk.join());
+            }
+        }
+        for (const key of chunks) {
+            const [cx, cz] = key.split(',').map(Number);
+            this.chunkManager.rebuildChunk(cx, cz);
+        }
+    }
+
+    /**
+     * Finish the stroke: record it for undo and save the chunks it changed
+     */
+    endStroke() {
+        const stroke = this.stroke;
+        if (!stroke) return;
+        this.stroke = null;
+
+        // Keep only the chunks the stroke actually changed. In multiplayer each chunk's
+        // revision starts at the one seen before the stroke; the server's answer moves it on
+        const step = { before: new Map(), after: new Map(), revisions: new Map(), sent: null };
+        for (const [key, before] of stroke.before) {
+            const [cx, cz] = key.split(',').map(Number);
+            const data = this.getChunkData(cx, cz);
+            if (!data) continue;
+            const after = TerrainEditor.snapshot(data);
+            if (JSON.stringify(after) !== JSON.stringify(before)) {
+                step.before.set(key, before);
+                step.after.set(key, after);
+                step.revisions.set(key, this.params.sync ? this.params.sync.revisions.get(key) || 0 : 0);
+            }
+        }
+
+        const warnings = [...stroke.warnings];
+        if (step.after.size === 0) {
+            this.setStatus(warnings.length > 0 ? warnings.join('; ') : 'Nothing changed');
+            return;
+        }
+
+        this.undoStack.push(step);
+        if (this.undoStack.length > this.params.maxUndo) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.updateHistoryButtons();
+        step.sent = this.save(step.after, warnings, stroke.applied, step);
+    }
+
+    /**
+     * Undo the last stroke
+     * @returns {Promise<void>} Resolves once the undo is saved or refused
+     */
+    undo() {
+        this.endStroke();
+        const step = this.undoStack.pop();
+        if (!step) return Promise.resolve();
+        this.redoStack.push(step);
+        return this.restore(step, step.before);
+    }
+
+    /**
+     * Redo the last undone stroke
+     * @returns {Promise<void>} Resolves once the redo is saved or refused
+     */
+    redo() {
+        this.endStroke();
+        const step = this.redoStack.pop();
+        if (!step) return Promise.resolve();
+        this.undoStack.push(step);
+        return this.restore(step, step.after);
+    }
+
+    /**
+     * Put chunk snapshots back, rebuild the loaded ones and save them all
+     * In multiplayer a step is put back once the server has answered its last save, which
+     * gives the revisions it left, and is dropped instead if another player changed its
+     * chunks since. Undos and redos then run one after another.
+     * @param {Object} step - Undo step the snapshots belong to
+     * @param {Map} snapshots - Stored chunks keyed by "cx,cz"
+     * @returns {Promise<void>} Resolves once the snapshots are saved or refused
+     */
+    restore(step, snapshots) {
+        const sync = this.params.sync;
+        if (!sync) {
+            this.putBack(snapshots);
+            step.sent = this.save(snapshots, [], null, step);
+            return step.sent;
+        }
+
+        this.restoring = this.restoring.then(() => step.sent).then(() => {
+            const changed = [...step.revisions].find(([key, revision]) => (sync.revisions.get(key) || 0) !== revision);
+            if (changed) {
+                this.dropStep(step);
+                this.setStatus(`Chunk ${changed[0]} was changed by another player since, so that step can no longer be undone or redone`);
+                return;
+            }
+            this.putBack(snapshots);
+            step.sent = this.save(snapshots, [], null, step);
+            return step.sent;
+        });
+        return this.restoring;
+    }
+
+    /**
+     * Replace the loaded chunks with copies of snapshots and rebuild them
+     * @param {Map} snapshots - Stored chunks keyed by "cx,cz"
+     */
+    putBack(snapshots) {
+        const copies = new Map([...snapshots].map(([key, snapshot]) => [key, TerrainEditor.snapshot(snapshot)]));
+        this.chunkManager.replaceChunkData(copies);
+        this.showBrush(this.brushHex ? this.chunkManager.getHex(this.brushHex.gridCoords) : null);
+        this.updateHistoryButtons();
+    }
+
+    /**
+     * Remove a step from the undo and redo history
+     * @param {Object} step - Undo step
+     */
+    dropStep(step) {
+        this.undoStack = this.undoStack.filter(other => other !== step);
+        this.redoStack = this.redoStack.filter(other => other !== step);
+        this.updateHistoryButtons();
+    }
+
+    /**
+     * Save chunks to the server and report the outcome
+     * @param {Map} snapshots - Stored chunks keyed by "cx,cz"
+     * @param {Array} warnings - Messages about limited edits to show with the outcome
+     * @param {Array} applied - Brush applications that made the snapshots, null when restoring them
+     * @param {Object} step - Undo step being saved, whose revisions multiplayer keeps up to date
+     * @returns {Promise<void>} Resolves once every save has finished
+     */
+    async save(snapshots, warnings, applied, step) {
+        if (this.params.sync) {
+            return this.send(snapshots, warnings, applied, step);
+        }
+
+        const count = snapshots.size;
+        this.setStatus(`Saving ${count} chunk${count === 1 ? '' : 's'}...`);
+
+        const saves = [...snapshots].map(([key, snapshot]) => {
+            const [cx, cz] = key.split(',').map(Number);
+            return this.source.save(cx, cz, snapshot);
+        });
+        const results = await Promise.allSettled(saves);
+
+        const failures = results.filter(result => result.status === 'rejected');
+        failures.forEach(failure => console.error('Failed to save chunk:', failure.reason));
+        const outcome = failures.length > 0 ?
+            `Failed to save ${failures.length} of ${count} chunks: ${failures[0].reason.message}` :
+            `Saved ${count} chunk${count === 1 ? '' : 's'}`;
+        this.setStatus([outcome, ...warnings].join('; '));
+    }
+
+    /**
+     * Send an edit to the multiplayer server, which applies and stores it, and report the outcome
+     * @param {Map} snapshots - Stored chunks keyed by "cx,cz"
+     * @param {Array} warnings - Messages about limited edits to show with the outcome
+     * @param {Array} applied - Brush applications to replay, null to send the snapshots
+     * @param {Object} step - Undo step being sent; snapshots name its revisions, and the answer updates them
+     * @returns {Promise<void>} Resolves once the server has answered
+     */
+    async send(snapshots, warnings, applied, step) {
+        const edit = applied ? { strokes: applied } : {
+            chunks: [...snapshots].map(([key, chunk]) => {
+                const [cx, cz] = key.split(',').map(Number);
+                return { cx, cz, revision: step.revisions.get(key) || 0, chunk };
+            })
+        };
+
+        this.setStatus('Sending edit...');
+        try {
+            const result = await this.params.sync.edit(edit);
+            result.revisions.forEach(([cx, cz, revision]) => step.revisions.set(`${cx},${cz}`, revision));
+            const count = result.revisions.length;
+            const notes = [...new Set([...warnings, ...result.warnings])];
+            this.setStatus([`Shared ${count} chunk${count === 1 ? '' : 's'}`, ...notes].join('; '));
+        } catch (error) {
+            console.error('Failed to send edit:', error);
+            this.setStatus(`Failed to share the edit: ${error.message}`);
+            // A refused undo or redo leaves the step out of date; the server sends the chunks as they are
+            if (!applied) {
+                this.dropStep(step);
+            }
+        }
+    }
+
+    /**
+     * Undo, redo and brush size shortcuts
+     * @param {KeyboardEvent} event - Keyboard event
+     */
+    onKeyDown(event) {
+        const tag = event.target && event.target.tagName;
+        if (tag === 'INPUT' || tag === 'SELECT' || tag === 'TEXTAREA') return;
+
+        const command = event.ctrlKey || event.metaKey;
+        const key = event.key.toLowerCase();
+        if (command && key === 'z') {
+            event.preventDefault();
+            if (event.shiftKey) {
+                this.redo();
+            } else {
+                this.undo();
+            }
+        } else if (command && key === 'y') {
+            event.preventDefault();
+            this.redo();
+        } else if (event.key === '[') {
+            this.setRadius(this.radius - 1);
+        } else if (event.key === ']') {
+            this.setRadius(this.radius + 1);
+        }
+    }
+
+    /**
+     * Remove the panel, the brush outline and the listeners, and give the left button back to the camera
+     */
+    dispose() {
+        this.endStroke();
+        this.domElement.removeEventListener('pointerdown', this.onPointerDown);
+        this.domElement.removeEventListener('pointermove', this.onPointerMove);
+        this.domElement.removeEventListener('pointerup', this.onPointerUp);
+        this.domElement.removeEventListener('pointerleave', this.onPointerUp);
+        window.removeEventListener('keydown', this.onKeyDown);
+
+        Object.assign(this.controls.mouseButtons, this.savedMouseButtons);
+        this.brushRenderer.dispose();
+        this.panel.remove();
+    }
+
+    /**
+     * Deep copy of a stored chunk
+     * @param {Object} data - Stored chunk
+     * @returns {Object} Copy sharing nothing with data
+     */
+    static snapshot(data) {
+        return JSON.parse(JSON.stringify(data));
+    }
+}
+
+export default TerrainEditor;
@@ -0,0 +1,396 @@
+/**
+ * Day/Night Cycle
+ * Lights the scene from the time of a WorldClock. The sun rises in the east (+x)
+ * at 6:00, passes high over the south at noon and sets at 18:00; the moon runs
+ * the opposite arc at night. Both are drawn on a gradient sky dome that also
+ * shows stars after dark.
+ *
+ * One shadow-casting directional light follows whichever of the two is up, so
+ * the light fades out as the sun reaches the horizon and back in with the moon.
+ * Its colour and intensity, the ambient light, the sky gradient and the distance
+ * fog are interpolated between keyframes by the height of the sun.
+ *
+ * The directional light's shadow camera is centred on the focus passed to
+ * update(), normally the player, and covers shadowRadius around it, so shadows
+ * stay sharp over the loaded chunks wherever the player goes.
+ *
+ * Weather conditions passed to setConditions() cloud the sky over: clouds dim
+ * the light, grey the sky and hide the sun and stars, fog closes in, and storms
+ * flash the scene with lightning.
+ */
+
+import * as THREE from 'three';
+
+// Lighting by the height of the sun (the y of its direction, -1 to 1).
+// lightScale and ambientScale multiply the noon light and ambient intensities.
+const KEYFRAMES = [
+    { elevation: -0.3, skyTop: 0x050816, skyHorizon: 0x0E1630, light: 0x8CA0D8, lightScale: 0.3, ambient: 0x5A6A9A, ambientScale: 0.45, stars: 1 },
+    { elevation: -0.02, skyTop: 0x1C2250, skyHorizon: 0x5A4470, light: 0x9A90B8, lightScale: 0.05, ambient: 0x8A7A9A, ambientScale: 0.6, stars: 0.4 },
+    { elevation: 0.02, skyTop: 0x3A5494, skyHorizon: 0xF09A5C, light: 0xFF9A5A, lightScale: 0.1, ambient: 0xC09080, ambientScale: 0.7, stars: 0 },
+    { elevation: 0.15, skyTop: 0x3E74C4, skyHorizon: 0xF2C59A, light: 0xFFC890, lightScale: 0.7, ambient: 0xE0C8B8, ambientScale: 0.9, stars: 0 },
+    { elevation: 0.4, skyTop: 0x3A80D8, skyHorizon: 0xA8D8F0, light: 0xFFFFFF, lightScale: 1, ambient: 0xFFFFFF, ambientScale: 1, stars: 0 }
+];
+
+// Colour of the sun disc high in the sky and at the horizon
+const SUN_COLOR = new THREE.Color(0xFFF4E0);
+const SUNSET_COLOR = new THREE.Color(0xFF8040);
+
+// Colour of a full cloud cover at noon, darkened with the light at other times
+const CLOUD_COLOR = new THREE.Color(0x9AA2AA);
+const LIGHTNING_COLOR = new THREE.Color(0xDDE4FF);
+
+class DayNightCycle {
+    /**
+     * @param {THREE.Scene} scene - Scene to light
+     * @param {WorldClock} clock - Clock giving the time of day
+     * @param {Object} options - Lighting options
+     * @param {number} options.tilt - Angle in radians the sun's arc leans south from the zenith
+     * @param {number} options.lightIntensity - Directional light intensity at noon
+     * @param {number} options.ambientColor - Ambient light colour at noon
+     * @param {number} options.ambientIntensity - Ambient light intensity at noon
+     * @param {number} options.skyRadius - Radius of the sky dome, inside the camera's far plane
+     * @param {number} options.fogNear - Distance the fog starts at
+     * @param {number} options.fogFar - Distance the fog hides everything at
+     * @param {number} options.shadowRadius - Half the width of the area the shadow camera covers
+     * @param {number} options.shadowMapSize - Shadow map resolution
+     */
+    constructor(scene, clock, options = {}) {
+        this.params = {
+            tilt: 0.45,
+            lightIntensity: 0.8,
+            ambientColor: 0x404040,
+            ambientIntensity: 1,
+            skyRadius: 900,
+            fogNear: 40,
+            fogFar: 120,
+            shadowRadius: 60,
+            shadowMapSize: 2048,
+            ...options
+        };
+
+        this.scene = scene;
+        this.clock = clock;
+
+        // Directions towards the sun and the moon, and the interpolated keyframe
+        this.sunDirection = new THREE.Vector3();
+        this.moonDirection = new THREE.Vector3();
+        this.lightDirection = new THREE.Vector3();
+        this.state = {
+            skyTop: new THREE.Color(),
+            skyHorizon: new THREE.Color(),
+            light: new THREE.Color(),
+            lightScale: 0,
+            ambient: new THREE.Color(),
+            ambientScale: 0,
+            stars: 0
+        };
+
+        // Weather from setConditions(), and the fading brightness of the last lightning flash
+        this.conditions = { cloudCover: 0, fog: 0, lightning: false };
+        this.flash = 0;
+
+        this.ambientLight = new THREE.AmbientLight(this.params.ambientColor, this.params.ambientIntensity);
+        this.scene.add(this.ambientLight);
+
+        this.light = new THREE.DirectionalLight(0xffffff, this.params.lightIntensity);
+        this.light.castShadow = true;
+        this.light.shadow.mapSize.width = this.params.shadowMapSize;
+        this.light.shadow.mapSize.height = this.params.shadowMapSize;
+        this.scene.add(this.light);
+        this.scene.add(this.light.target);
+        this.setShadowRadius(this.params.shadowRadius);
+
+        this.scene.fog = new THREE.Fog(0xffffff, this.params.fogNear, this.params.fogFar);
+
+        this.sky = this.createSky();
+        this.scene.add(this.sky);
+
+        this.update(new THREE.Vector3());
+    }
+
+    /**
+     * Build the sky dome: a gradient from the horizon up, a sun and a moon disc with a glow, and stars
+     * @returns {THREE.Mesh} Sky dome, centred on the camera every frame
+     */
+    createSky() {
+        const vertexShader = `
+            varying vec3 vDirection;
+
+            void main() {
+                vDirection = normalize(position);
+                gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+            }
+        `;
+
+        const fragmentShader = `
+            uniform vec3 topColor;
+            uniform vec3 horizonColor;
+            uniform vec3 sunDirection;
+            uniform vec3 sunColor;
+            uniform vec3 moonDirection;
+            uniform float stars;
+            uniform float clouds;
+
+            varying vec3 vDirection;
+
+            float hash(vec3 p) {
+                return fract(sin(dot(p, vec3(127.1, 311.7, 74.7))) * 43758.5453);
+            }
+
+            void main() {
+                vec3 direction = normalize(vDirection);
+                float height = direction.y;
+
+                // Gradient from the horizon colour up to the zenith, darkening below the horizon
+                vec3 color = mix(horizonColor, topColor, pow(clamp(height, 0.0, 1.0), 0.5));
+                color = mix(color, horizonColor * 0.6, clamp(-height * 4.0, 0.0, 1.0));
+
+                // Stars on a fixed grid of directions, only above the horizon
+                vec3 cell = floor(direction * 180.0);
+                float star = step(0.997, hash(cell)) * hash(cell + 7.0);
+                color += vec3(star * stars * smoothstep(0.0, 0.1, height));
+
+                // Sun disc and glow
+                float sun = dot(direction, sunDirection);
+                color += sunColor * (pow(max(sun, 0.0), 12.0) * 0.35 + smoothstep(0.9990, 0.9995, sun));
+
+                // Moon disc, faintly lit, behind any clouds
+                float moon = dot(direction, moonDirection);
+                color = mix(color, vec3(0.86, 0.88, 0.95), smoothstep(0.9993, 0.9996, moon) * (1.0 - 0.9 * clouds));
+
+                gl_FragColor = vec4(color, 1.0);
+
+                #include <colorspace_fragment>
+            }
+        `;
+
+        this.skyMaterial = new THREE.ShaderMaterial({
+            uniforms: {
+                topColor: { value: new THREE.Color() },
+                horizonColor: { value: new THREE.Color() },
+                sunDirection: { value: new THREE.Vector3() },
+                sunColor: { value: new THREE.Color() },
+                moonDirection: { value: new THREE.Vector3() },
+                stars: { value: 0 },
+                clouds: { value: 0 }
+            },
+            vertexShader,
+            fragmentShader,
+            side: THREE.BackSide,
+            depthWrite: false
+        });
+
+        const sky = new THREE.Mesh(new THREE.SphereGeometry(this.params.skyRadius, 32, 16), this.skyMaterial);
+        sky.name = 'sky';
+        sky.renderOrder = -1;
+        sky.frustumCulled = false;
+        return sky;
+    }
+
+    /**
+     * Set the distance range of the fog
+     * @param {number} near - Distance the fog starts at
+     * @param {number} far - Distance the fog hides everything at
+     */
+    setFogRange(near, far) {
+        this.params.fogNear = near;
+        this.params.fogFar = far;
+        this.scene.fog.near = near;
+        this.scene.fog.far = far;
+    }
+
+    /**
+     * Set the weather the sky and lighting show
+     * A lightning flash starts whenever lightning turns on.
+     * @param {Object} conditions - Conditions from Weather.sample()
+     * @param {number} conditions.cloudCover - Share of the sky under cloud, 0 to 1
+     * @param {number} conditions.fog - Thickness of the fog, 0 to 1
+     * @param {boolean} conditions.lightning - True while lightning strikes
+     */
+    setConditions({ cloudCover, fog, lightning }) {
+        if (lightning && !this.conditions.lightning) {
+            this.flash = 1;
+        }
+        this.conditions = { cloudCover, fog, lightning };
+    }
+
+    /**
+     * Set the area the shadow camera covers around the focus
+     * @param {number} radius - Half the width of the shadowed area
+     */
+    setShadowRadius(radius) {
+        this.params.shadowRadius = radius;
+        const camera = this.light.shadow.camera;
+        camera.left = -radius;
+        camera.right = radius;
+        camera.top = radius;
+        camera.bottom = -radius;
+        camera.near = 0.5;
+        camera.far = radius * 4;
+        camera.updateProjectionMatrix();
+    }
+
+    /**
+     * Direction towards the sun at a time of day
+     * @param {number} time - Hours since midnight
+     * @param {THREE.Vector3} target - Vector to write the unit direction to
+     * @returns {THREE.Vector3} target
+     */
+    getSunDirection(time, target = new THREE.Vector3()) {
+        // 0 at sunrise, PI / 2 at noon, PI at sunset
+        const angle = (time - 6) / 24 * Math.PI * 2;
+        const { tilt } = this.params;
+        return target.set(Math.cos(angle), Math.sin(angle) * Math.cos(tilt), Math.sin(angle) * Math.sin(tilt));
+    }
+
+    /**
+     * Interpolate the keyframes at a sun height into this.state
+     * @param {number} elevation - y of the direction towards the sun
+     */
+    interpolate(elevation) {
+        let upper = KEYFRAMES.findIndex(frame => frame.elevation >= elevation);
+        if (upper < 0) upper = KEYFRAMES.length - 1;
+        const lower = Math.max(0, upper - 1);
+        const a = KEYFRAMES[lower];
+        const b = KEYFRAMES[upper];
+        const span = b.elevation - a.elevation;
+        const t = span > 0 ? THREE.MathUtils.clamp((elevation - a.elevation) / span, 0, 1) : 0;
+
+        const state = this.state;
+        const color = new THREE.Color();
+        for (const key of ['skyTop', 'skyHorizon', 'light', 'ambient']) {
+            state[key].set(a[key]).lerp(color.set(b[key]), t);
+        }
+        for (const key of ['lightScale', 'ambientScale', 'stars']) {
+            state[key] = THREE.MathUtils.lerp(a[key], b[key], t);
+        }
+    }
+
+    /**
+     * Cloud over the interpolated keyframe in this.state and fade the lightning flash
+     * @param {number} delta - Real seconds since the last update
+     */
+    applyConditions(delta) {
+        const { cloudCover, fog } = this.conditions;
+        const state = this.state;
+
+        // Clouds block most direct light and some of the ambient light
+        state.lightScale *= 1 - 0.75 * cloudCover;
+        state.ambientScale *= 1 - 0.3 * cloudCover;
+        state.stars *= 1 - cloudCover;
+
+        // The sky turns grey, as bright as the light that gets through
+        const clouds = CLOUD_COLOR.clone().multiplyScalar(0.15 + 0.85 * Math.min(1, state.ambientScale));
+        state.skyTop.lerp(clouds, cloudCover * 0.9);
+        state.skyHorizon.lerp(clouds, cloudCover * 0.8);
+
+        // Lightning lights up the sky and ambient light, fading in a fraction of a second
+        if (this.flash > 0) {
+            state.skyTop.lerp(LIGHTNING_COLOR, this.flash * 0.6);
+            state.skyHorizon.lerp(LIGHTNING_COLOR, this.flash * 0.6);
+            state.ambient.lerp(LIGHTNING_COLOR, this.flash);
+            state.ambientScale += this.flash * 1.5;
+            this.flash = Math.max(0, this.flash - delta * 5);
+        }
+
+        // Fog closes in, far edge less than near so distant hexes still fade out
+        this.scene.fog.near = this.params.fogNear * (1 - 0.8 * fog);
+        this.scene.fog.far = this.params.fogFar * (1 - 0.5 * fog);
+    }
+
+    /**
+     * Move the sun and moon to the clock's time and light the scene around a focus
+     * @param {THREE.Vector3} focus - Centre of the shadowed area, e.g. the player position
+     * @param {THREE.Camera} camera - Camera the sky dome is centred on, optional
+     * @param {number} delta - Real seconds since the last update, to fade lightning
+     */
+    update(focus, camera = null, delta = 0) {
+        this.getSunDirection(this.clock.time, this.sunDirection);
+        this.moonDirection.copy(this.sunDirection).negate();
+        this.interpolate(this.sunDirection.y);
+        this.applyConditions(delta);
+
+        // Light from whichever of the sun and moon is above the horizon
+        this.lightDirection.copy(this.sunDirection.y >= 0 ? this.sunDirection : this.moonDirection);
+        const state = this.state;
+        this.light.color.copy(state.light);
+        this.light.intensity = this.params.lightIntensity * state.lightScale;
+        this.ambientLight.color.set(this.params.ambientColor).multiply(state.ambient);
+        this.ambientLight.intensity = this.params.ambientIntensity * state.ambientScale;
+
+        this.placeLight(focus);
+
+        this.scene.fog.color.copy(state.skyHorizon);
+        this.scene.background = this.scene.fog.color;
+
+        const uniforms = this.skyMaterial.uniforms;
+        uniforms.topColor.value.copy(state.skyTop);
+        uniforms.horizonColor.value.copy(state.skyHorizon);
+        uniforms.sunDirection.value.copy(this.sunDirection);
+        // The sun reddens as it nears the horizon
+        const low = 1 - THREE.MathUtils.clamp(this.sunDirection.y * 4, 0, 1);
+        uniforms.sunColor.value.copy(SUN_COLOR).lerp(SUNSET_COLOR, low);
+        // Clouds hide the sun disc and glow
+        uniforms.sunColor.value.multiplyScalar(1 - 0.9 * this.conditions.cloudCover);
+        uniforms.moonDirection.value.copy(this.moonDirection);
+        uniforms.stars.value = state.stars;
+        uniforms.clouds.value = this.conditions.cloudCover;
+
+        if (camera) {
+            this.sky.position.copy(camera.position);
+        }
+    }
+
+    /**
+     * Point the light at the focus and centre its shadow camera there
+     * The centre is snapped to whole shadow map texels so shadow edges do not shimmer as the focus moves.
+     * @param {THREE.Vector3} focus - Centre of the shadowed area
+     */
+    placeLight(focus) {
+        const radius = this.params.shadowRadius;
+        const texel = radius * 2 / this.params.shadowMapSize;
+
+        // Axes of the shadow camera, which looks along -lightDirection
+        const forward = this.lightDirection;
+        const up = Math.abs(forward.y) > 0.99 ? new THREE.Vector3(0, 0, 1) : new THREE.Vector3(0, 1, 0);
+        const right = new THREE.Vector3().crossVectors(up, forward).normalize();
+        const cameraUp = new THREE.Vector3().crossVectors(forward, right);
+
+        const x = focus.dot(right);
+        const y = focus.dot(cameraUp);
+        const center = focus.clone()
+            .addScaledVector(right, Math.round(x / texel) * texel - x)
+            .addScaledVector(cameraUp, Math.round(y / texel) * texel - y);
+
+        this.light.target.position.copy(center);
+        this.light.position.copy(center).addScaledVector(forward, radius * 2);
+        this.light.target.updateMatrixWorld();
+    }
+
+    /**
+     * Lighting for the custom terrain and water shaders, relative to noon
+     * @returns {Object} { direction, color, ambientColor } - direction towards the light, and the
+     *                   light and ambient colours scaled by their strength
+     */
+    getLighting() {
+        return {
+            direction: this.lightDirection,
+            color: this.state.light.clone().multiplyScalar(this.state.lightScale),
+            ambientColor: this.state.ambient.clone().multiplyScalar(this.state.ambientScale)
+        };
+    }
+
+    /**
+     * Remove the lights, fog and sky
+     */
+    dispose() {
+        this.scene.remove(this.ambientLight, this.light, this.light.target, this.sky);
+        this.light.dispose();
+        this.sky.geometry.dispose();
+        this.skyMaterial.dispose();
+        this.scene.fog = null;
+        this.scene.background = null;
+    }
+}
+
+export default DayNightCycle;
@@ -0,0 +1,197 @@
+/**
+ * Weather
+ * Works out the weather at a place and world time from the world seed alone,
+ * so every client with the same seed and clock sees the same sky.
+ *
+ * Moisture comes from fractal noise that drifts across the world with the wind,
+ * so fronts roll in and move on, plus a slower world-wide swing between wet and
+ * dry spells. The climate of the biomes around the place shifts it: each biome
+ * definition may give a humidity (added to the moisture, e.g. negative for
+ * deserts) and a precipitation type, "rain" (default), "snow" or "none".
+ *
+ * Rising moisture turns the weather clear, then overcast, then rain (snow where
+ * the climate is snowy) and finally storm; where the climate has no precipitation
+ * it never gets past overcast.
+ *
+ * This module only depends on the noise utilities, so the server can share it.
+ */
+
+import PerlinNoise from '../utils/noise.js';
+import SeededRandom from '../utils/SeededRandom.js';
+
+// Moisture at which each state begins
+const THRESHOLDS = { overcast: 0.5, precipitation: 0.6, storm: 0.74 };
+
+// Moisture in the middle of each state, used when a state is forced
+const TYPICAL_MOISTURE = { clear: 0.35, overcast: 0.55, rain: 0.67, snow: 0.67, storm: 0.85 };
+
+/**
+ * Smooth step from 0 at edge0 to 1 at edge1
+ * @param {number} edge0 - Input giving 0
+ * @param {number} edge1 - Input giving 1
+ * @param {number} value - Input
+ * @returns {number} Value in [0, 1]
+ */
+function smoothstep(edge0, edge1, value) {
+    const t = Math.max(0, Math.min(1, (value - edge0) / (edge1 - edge0)));
+    return t * t * (3 - 2 * t);
+}
+
+class Weather {
+    /**
+     * @param {number|string} seed - World seed
+     * @param {Object} options - Weather options
+     * @param {number} options.frontSize - Typical size of a weather front in world units
+     * @param {Array} options.wind - [x, z] world units the fronts drift per world hour
+     * @param {number} options.spellHours - World hours over which wet and dry spells change
+     * @param {number} options.lightningRate - Chance of a lightning flash in each flash slot of a storm
+     * @param {number} options.flashesPerHour - Flash slots per world hour
+     */
+    constructor(seed, options = {}) {
+        this.params = {
+            frontSize: 160,
+            wind: [24, 10],
+            spellHours: 18,
+            lightningRate: 0.04,
+            flashesPerHour: 120,
+            ...options
+        };
+
+        this.seed = SeededRandom.toSeed(seed);
+        this.noise = new PerlinNoise(SeededRandom.hash(this.seed, 'weather'));
+    }
+
+    /**
+     * Names of the weather states, from driest to wettest
+     * @returns {Array} State names
+     */
+    static get states() {
+        return ['clear', 'overcast', 'rain', 'snow', 'storm'];
+    }
+
+    /**
+     * Average climate of a set of biomes
+     * @param {Array} biomes - Biome definitions, repeated by how often they occur; null entries are skipped
+     * @returns {Object} { humidity, precipitation } - mean humidity and the most common precipitation type
+     */
+    static getClimate(biomes) {
+        const counts = new Map();
+        let humidity = 0;
+        let total = 0;
+        for (const biome of biomes) {
+            if (!biome) continue;
+            humidity += typeof biome.humidity === 'number' ? biome.humidity : 0;
+            const precipitation = biome.precipitation || 'rain';
+            counts.set(precipitation, (counts.get(precipitation) || 0) + 1);
+            total++;
+        }
+
+        let precipitation = 'rain';
+        let most = 0;
+        for (const [type, count] of counts) {
+            if (count > most) {
+                precipitation = type;
+                most = count;
+            }
+        }
+        return { humidity: total > 0 ? humidity / total : 0, precipitation };
+    }
+
+    /**
+     * Moisture of the air at a place and time, before the climate is applied
+     * @param {number} x - World x
+     * @param {number} z - World z
+     * @param {number} hours - World time in hours (WorldClock.hours)
+     * @returns {number} Moisture in [0, 1]
+     */
+    getMoisture(x, z, hours) {
+        const { frontSize, wind, spellHours } = this.params;
+
+        // Fronts drifting with the wind
+        const fronts = this.noise.fbm(
+            (x - wind[0] * hours) / frontSize,
+            (z - wind[1] * hours) / frontSize,
+            { octaves: 3 }
+        );
+
+        // Wet and dry spells over the whole world
+        const spell = this.noise.get(hours / spellHours, 0.5);
+
+        // Noise bunches up around 0.5, so stretch it to reach the wet and dry ends
+        const moisture = 0.5 + (fronts * 0.7 + spell * 0.3 - 0.5) * 2.5;
+        return Math.max(0, Math.min(1, moisture));
+    }
+
+    /**
+     * Weather at a place and time
+     * @param {number} x - World x
+     * @param {number} z - World z
+     * @param {number} hours - World time in hours (WorldClock.hours)
+     * @param {Object} climate - Climate from getClimate(), omit for a neutral climate
+     * @returns {Object} Conditions, see getConditions()
+     */
+    sample(x, z, hours, climate = { humidity: 0, precipitation: 'rain' }) {
+        const moisture = this.getMoisture(x, z, hours) + climate.humidity;
+        const conditions = this.getConditions(moisture, climate);
+
+        // Lightning flashes in some slots of a storm, the same slots on every client
+        if (conditions.state === 'storm') {
+            const slot = Math.floor(hours * this.params.flashesPerHour);
+            const random = new SeededRandom(SeededRandom.hash(this.seed, 'lightning', slot));
+            conditions.lightning = random.next() < this.params.lightningRate * conditions.precipitation;
+        }
+        return conditions;
+    }
+
+    /**
+     * Typical conditions of a state, e.g. to force the weather while testing
+     * @param {string} state - State name, see Weather.states
+     * @param {Object} climate - Climate the state is shown in
+     * @returns {Object} Conditions, see getConditions()
+     */
+    getTypical(state, climate = { humidity: 0, precipitation: 'rain' }) {
+        if (!(state in TYPICAL_MOISTURE)) {
+            throw new RangeError(`Unknown weather state: ${state}`);
+        }
+
+        // Rain and snow pick their own precipitation, and storms rain even where the climate is dry
+        let precipitation = climate.precipitation;
+        if (state === 'rain' || state === 'snow') {
+            precipitation = state;
+        } else if (state === 'storm' && precipitation === 'none') {
+            precipitation = 'rain';
+        }
+        return this.getConditions(TYPICAL_MOISTURE[state], { ...climate, precipitation });
+    }
+
+    /**
+     * Turn moisture into weather
+     * @param {number} moisture - Moisture with the climate's humidity applied
+     * @param {Object} climate - Climate, for the precipitation type
+     * @returns {Object} { state, moisture, cloudCover, fog, precipitation, precipitationType, wind, lightning } -
+     *                   cloudCover, fog, precipitation and wind run from 0 to 1
+     */
+    getConditions(moisture, climate) {
+        const dry = climate.precipitation === 'none';
+        const type = dry ? null : climate.precipitation === 'snow' ? 'snow' : 'rain';
+
+        let state = 'clear';
+        if (moisture >= THRESHOLDS.overcast) state = 'overcast';
+        if (!dry && moisture >= THRESHOLDS.precipitation) state = type;
+        if (!dry && moisture >= THRESHOLDS.storm) state = 'storm';
+
+        const precipitation = dry ? 0 : smoothstep(THRESHOLDS.precipitation - 0.02, THRESHOLDS.storm + 0.12, moisture);
+        return {
+            state,
+            moisture,
+            cloudCover: smoothstep(THRESHOLDS.overcast - 0.1, THRESHOLDS.storm, moisture),
+            fog: smoothstep(THRESHOLDS.overcast, THRESHOLDS.storm + 0.15, moisture) * (type === 'snow' ? 1 : 0.7),
+            precipitation,
+            precipitationType: precipitation > 0 ? type : null,
+            wind: 0.2 + 0.8 * smoothstep(THRESHOLDS.precipitation, THRESHOLDS.storm + 0.15, moisture),
+            lightning: false
+        };
+    }
+}
+
+export default Weather;
@@ -0,0 +1,263 @@
+/**
+ * Weather Effects
+ * Shows the conditions from Weather in the scene: falling rain or snow in a box
+ * around the focus, and how wet the ground is.
+ *
+ * Drops keep their world positions and wrap around the box, so walking through
+ * the rain does not drag it along. The heavier the precipitation the more of
+ * them are drawn; the wind slants the rain and blows the snow sideways.
+ *
+ * Wetness follows the precipitation in world time: the ground soaks within
+ * wetHours of heavy rain and dries over dryHours once it stops.
+ */
+
+import * as THREE from 'three';
+
+class WeatherEffects {
+    /**
+     * @param {THREE.Scene} scene - Scene to add the precipitation to
+     * @param {Object} options - Effect options
+     * @param {number} options.size - Width of the box of precipitation around the focus
+     * @param {number} options.height - Height of the box, above and below the focus
+     * @param {number} options.rainDrops - Drops drawn in the heaviest rain
+     * @param {number} options.snowFlakes - Flakes drawn in the heaviest snow
+     * @param {number} options.rainSpeed - Fall speed of rain in world units per second
+     * @param {number} options.snowSpeed - Fall speed of snow in world units per second
+     * @param {number} options.windSpeed - Sideways speed in the strongest wind
+     * @param {Array} options.windDirection - [x, z] direction the wind blows towards
+     * @param {number} options.wetHours - World hours of heavy rain that soak the ground
+     * @param {number} options.dryHours - World hours the soaked ground takes to dry
+     */
+    constructor(scene, options = {}) {
+        this.params = {
+            size: 60,
+            height: 30,
+            rainDrops: 4000,
+            snowFlakes: 3000,
+            rainSpeed: 24,
+            snowSpeed: 2.5,
+            windSpeed: 8,
+            windDirection: [0.92, 0.38],
+            wetHours: 0.5,
+            dryHours: 3,
+            ...options
+        };
+
+        this.scene = scene;
+        this.wetness = 0;
+        this.lastHours = null;
+        this.time = 0;
+
+        this.rain = this.createRain();
+        this.snow = this.createSnow();
+        this.scene.add(this.rain, this.snow);
+    }
+
+    /**
+     * Random positions spread through the box around the origin
+     * @param {number} count - Number of positions
+     * @returns {Float32Array} x, y, z per position
+     */
+    scatter(count) {
+        const { size, height } = this.params;
+        const positions = new Float32Array(count * 3);
+        for (let i = 0; i < count; i++) {
+            positions[i * 3] = (Math.random() - 0.5) * size;
+            positions[i * 3 + 1] = (Math.random() - 0.5) * height * 2;
+            positions[i * 3 + 2] = (Math.random() - 0.5) * size;
+        }
+        return positions;
+    }
+
+    /**
+     * Build the rain: one short line segment per drop
+     * @returns {THREE.LineSegments} Rain, hidden until it rains
+     */
+    createRain() {
+        const count = this.params.rainDrops;
+        this.rainDrops = this.scatter(count);
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(count * 6), 3));
+        geometry.setDrawRange(0, 0);
+
+        const material = new THREE.LineBasicMaterial({
+            color: 0xA8B8C8,
+            transparent: true,
+            opacity: 0.45,
+            depthWrite: false
+        });
+
+        const rain = new THREE.LineSegments(geometry, material);
+        rain.name = 'rain';
+        rain.frustumCulled = false;
+        rain.visible = false;
+        return rain;
+    }
+
+    /**
+     * Build the snow: one point per flake
+     * @returns {THREE.Points} Snow, hidden until it snows
+     */
+    createSnow() {
+        const count = this.params.snowFlakes;
+        this.snowFlakes = this.scatter(count);
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+        geometry.setDrawRange(0, 0);
+
+        const material = new THREE.PointsMaterial({
+            color: 0xFFFFFF,
+            size: 0.15,
+            transparent: true,
+            opacity: 0.85,
+            depthWrite: false
+        });
+
+        const snow = new THREE.Points(geometry, material);
+        snow.name = 'snow';
+        snow.frustumCulled = false;
+        snow.visible = false;
+        return snow;
+    }
+
+    /**
+     * Wrap a coordinate into the box around a centre
+     * @param {number} value - World coordinate
+     * @param {number} center - Box centre on the same axis
+     * @param {number} extent - Width of the box on this axis
+     * @returns {number} Coordinate within half the extent of the centre
+     */
+    wrap(value, center, extent) {
+        const offset = value - center + extent / 2;
+        return center + offset - Math.floor(offset / extent) * extent - extent / 2;
+    }
+
+    /**
+     * Move the precipitation and update the ground wetness
+     * @param {THREE.Vector3} focus - Centre of the box, e.g. the player position
+     * @param {Object} conditions - Conditions from Weather.sample()
+     * @param {number} hours - World time in hours (WorldClock.hours)
+     * @param {number} delta - Real seconds since the last update
+     */
+    update(focus, conditions, hours, delta) {
+        this.time += delta;
+        this.updateWetness(conditions, hours);
+
+        const rainAmount = conditions.precipitationType === 'rain' ? conditions.precipitation : 0;
+        const snowAmount = conditions.precipitationType === 'snow' ? conditions.precipitation : 0;
+        const wind = this.params.windSpeed * conditions.wind;
+
+        this.rain.visible = rainAmount > 0;
+        if (this.rain.visible) {
+            this.updateRain(focus, rainAmount, wind, delta);
+        }
+        this.snow.visible = snowAmount > 0;
+        if (this.snow.visible) {
+            this.updateSnow(focus, snowAmount, wind, delta);
+        }
+    }
+
+    /**
+     * Soak or dry the ground towards what the precipitation calls for
+     * A jump in time of more than an hour, e.g. from the time slider, sets the wetness straight away.
+     * @param {Object} conditions - Conditions from Weather.sample()
+     * @param {number} hours - World time in hours
+     */
+    updateWetness(conditions, hours) {
+        const target = Math.min(1, conditions.precipitation * 1.5);
+        const elapsed = this.lastHours === null ? Infinity : hours - this.lastHours;
+        this.lastHours = hours;
+
+        if (!(elapsed >= 0 && elapsed <= 1)) {
+            this.wetness = target;
+        } else if (target > this.wetness) {
+            this.wetness = Math.min(target, this.wetness + elapsed / this.params.wetHours * conditions.precipitation);
+        } else {
+            this.wetness = Math.max(target, this.wetness - elapsed / this.params.dryHours);
+        }
+    }
+
+    /**
+     * Let the rain fall and write the drop segments
+     * @param {THREE.Vector3} focus - Centre of the box
+     * @param {number} amount - Share of the drops to draw, 0 to 1
+     * @param {number} wind - Sideways speed
+     * @param {number} delta - Real seconds since the last update
+     */
+    updateRain(focus, amount, wind, delta) {
+        const { size, height, rainSpeed, windDirection } = this.params;
+        const count = Math.ceil(this.params.rainDrops * amount);
+        const drops = this.rainDrops;
+        const vx = windDirection[0] * wind;
+        const vz = windDirection[1] * wind;
+
+        // Segments point along the velocity, a twentieth of a second of fall long
+        const lx = vx * 0.05;
+        const ly = -rainSpeed * 0.05;
+        const lz = vz * 0.05;
+
+        const attribute = this.rain.geometry.attributes.position;
+        const segments = attribute.array;
+        for (let i = 0; i < count; i++) {
+            const j = i * 3;
+            const x = this.wrap(drops[j] + vx * delta, focus.x, size);
+            const y = this.wrap(drops[j + 1] - rainSpeed * delta, focus.y, height * 2);
+            const z = this.wrap(drops[j + 2] + vz * delta, focus.z, size);
+            drops[j] = x;
+            drops[j + 1] = y;
+            drops[j + 2] = z;
+
+            const k = i * 6;
+            segments[k] = x;
+            segments[k + 1] = y;
+            segments[k + 2] = z;
+            segments[k + 3] = x + lx;
+            segments[k + 4] = y + ly;
+            segments[k + 5] = z + lz;
+        }
+
+        attribute.needsUpdate = true;
+        this.rain.geometry.setDrawRange(0, count * 2);
+    }
+
+    /**
+     * Let the snow drift down, each flake swaying on its own
+     * @param {THREE.Vector3} focus - Centre of the box
+     * @param {number} amount - Share of the flakes to draw, 0 to 1
+     * @param {number} wind - Sideways speed
+     * @param {number} delta - Real seconds since the last update
+     */
+    updateSnow(focus, amount, wind, delta) {
+        const { size, height, snowSpeed, windDirection } = this.params;
+        const count = Math.ceil(this.params.snowFlakes * amount);
+        const flakes = this.snowFlakes;
+
+        const attribute = this.snow.geometry.attributes.position;
+        const points = attribute.array;
+        for (let i = 0; i < count; i++) {
+            const j = i * 3;
+            const sway = Math.sin(this.time * 1.3 + i * 0.71) * 0.6;
+            points[j] = flakes[j] = this.wrap(flakes[j] + (windDirection[0] * wind + sway) * delta, focus.x, size);
+            points[j + 1] = flakes[j + 1] = this.wrap(flakes[j + 1] - snowSpeed * delta, focus.y, height * 2);
+            points[j + 2] = flakes[j + 2] = this.wrap(flakes[j + 2] + (windDirection[1] * wind - sway) * delta, focus.z, size);
+        }
+
+        attribute.needsUpdate = true;
+        this.snow.geometry.setDrawRange(0, count);
+    }
+
+    /**
+     * Remove the precipitation from the scene
+     */
+    dispose() {
+        this.scene.remove(this.rain, this.snow);
+        for (const object of [this.rain, this.snow]) {
+            object.geometry.dispose();
+            object.material.dispose();
+        }
+    }
+}
+
+export default WeatherEffects;
@@ -0,0 +1,125 @@
+/**
+ * World Clock
+ * Keeps the time of day of the world. A day lasts dayLength real seconds, and
+ * the clock counts whole days as well, so anything driven by it (the sun, the
+ * weather) can work from one absolute world time.
+ *
+ * Times of day are in hours, 0 to 24: 6 is sunrise, 12 noon, 18 sunset.
+ * This module has no dependencies so the server can keep the same clock.
+ */
+
+class WorldClock {
+    /**
+     * @param {Object} options - Clock options
+     * @param {number} options.time - Time of day at start, in hours
+     * @param {number} options.day - Day number at start
+     * @param {number} options.dayLength - Real seconds per world day
+     * @param {boolean} options.paused - Start with the clock stopped
+     */
+    constructor(options = {}) {
+        this.params = {
+            time: 9,
+            day: 0,
+            dayLength: 600,
+            paused: false,
+            ...options
+        };
+
+        if (!(this.params.dayLength > 0)) {
+            throw new RangeError(`dayLength must be positive, got ${this.params.dayLength}`);
+        }
+
+        // World time in hours since the start of day 0
+        this.hours = this.params.day * 24 + WorldClock.wrapHours(this.params.time);
+        this.paused = this.params.paused;
+    }
+
+    /**
+     * Advance the clock
+     * @param {number} delta - Real seconds since the last update
+     */
+    update(delta) {
+        if (!this.paused) {
+            this.hours += delta / this.params.dayLength * 24;
+        }
+    }
+
+    /**
+     * Time of day
+     * @returns {number} Hours since midnight, 0 to 24
+     */
+    get time() {
+        return this.hours - this.day * 24;
+    }
+
+    /**
+     * Number of the current day
+     * @returns {number} Whole days since day 0
+     */
+    get day() {
+        return Math.floor(this.hours / 24);
+    }
+
+    /**
+     * Set the time of day, staying on the current day
+     * @param {number} time - Hours since midnight; values outside 0-24 wrap
+     */
+    setTime(time) {
+        this.hours = this.day * 24 + WorldClock.wrapHours(time);
+    }
+
+    /**
+     * Set the length of a day
+     * @param {number} dayLength - Real seconds per world day
+     */
+    setDayLength(dayLength) {
+        if (!(dayLength > 0)) {
+            throw new RangeError(`dayLength must be positive, got ${dayLength}`);
+        }
+        this.params.dayLength = dayLength;
+    }
+
+    /**
+     * Stop or restart the clock
+     * @param {boolean} paused - True to stop the clock
+     */
+    setPaused(paused) {
+        this.paused = paused;
+    }
+
+    /**
+     * Time of day as text
+     * @returns {string} Time as HH:MM
+     */
+    format() {
+        const minutes = Math.floor(this.time * 60);
+        const hh = String(Math.floor(minutes / 60) % 24).padStart(2, '0');
+        const mm = String(minutes % 60).padStart(2, '0');
+        return `${hh}:${mm}`;
+    }
+
+    /**
+     * Wrap hours into one day
+     * @param {number} hours - Hours, possibly negative or beyond 24
+     * @returns {number} Hours from 0 up to 24
+     */
+    static wrapHours(hours) {
+        return ((hours % 24) + 24) % 24;
+    }
+
+    /**
+     * Parse a time of day such as "18", "6.5" or "18:30"
+     * @param {string} text - Time of day text
+     * @returns {number|null} Hours since midnight, or null if the text is not a time of day
+     */
+    static parseTime(text) {
+        const match = /^(\d{1,2})(?::(\d{2}))?$/.exec(text) || /^(\d{1,2}\.\d+)$/.exec(text);
+        if (!match) {
+            return null;
+        }
+        const hours = parseFloat(match[1]) + (match[2] ? parseInt(match[2], 10) / 60 : 0);
+        return hours <= 24 && (!match[2] || parseInt(match[2], 10) < 60) ? hours : null;
+    }
+}
+
+export default WorldClock;
@@ -0,0 +1,123 @@
+/**
+ * Biome Decorator
+ * Scatters the models declared by each biome (grass, trees, rocks, ...) over
+ * the hexes of that biome, using one InstancedMesh per model per chunk.
+ * Geometry comes from the ModelLibrary and is shared by every chunk.
+ */
+
+import * as THREE from 'three';
+import ModelLibrary from '../models/ModelLibrary.js';
+import SeededRandom from '../utils/SeededRandom.js';
+
+class BiomeDecorator {
+    /**
+     * @param {Object} options - Decoration options
+     * @param {number} options.slotsPerHex - Candidate positions per hex; each is filled with probability density
+     * @param {number} options.spread - Radius around the hex centre models are placed in, as a fraction of hex size
+     * @param {number} options.hexSize - Effective hex size in world units
+     * @param {ModelLibrary} options.modelLibrary - Library to take models from, a private one is created if omitted
+     */
+    constructor(options = {}) {
+        this.params = {
+            slotsPerHex: 3,
+            spread: 0.6,
+            hexSize: 0.9,
+            ...options
+        };
+
+        // Only dispose the library if this decorator created it
+        this.ownsModelLibrary = !options.modelLibrary;
+        this.modelLibrary = options.modelLibrary || new ModelLibrary();
+
+        // Scratch objects reused while composing instance matrices
+        this.position = new THREE.Vector3();
+        this.quaternion = new THREE.Quaternion();
+        this.scale = new THREE.Vector3();
+        this.up = new THREE.Vector3(0, 1, 0);
+    }
+
+    /**
+     * Build the decorations for a chunk
+     * @param {Array} hexes - Hex data objects for the chunk
+     * @param {Array} biomes - Biome definitions indexed by the hexes' biomeIndex
+     * @param {number} cx - Chunk x coordinate
+     * @param {number} cz - Chunk z coordinate
+     * @returns {THREE.Group} Group holding one InstancedMesh per model
+     */
+    build(hexes, biomes, cx, cz) {
+        const group = new THREE.Group();
+        group.name = `decorations_${cx}_${cz}`;
+        if (!biomes) {
+            return group;
+        }
+
+        // Collect instance matrices per model, keyed by the library's model key
+        const instances = new Map();
+        for (const hex of hexes) {
+            // Hexes carrying a feature, such as a river, and hexes under the sea are left bare
+            const biome = biomes[hex.biomeIndex];
+            if (!biome || !biome.models || hex.featureIndex || hex.submerged) continue;
+
+            biome.models.forEach((definition, modelIndex) => {
+                const [col, row] = hex.gridCoords;
+                const random = new SeededRandom(SeededRandom.hash(cx, cz, col, row, modelIndex));
+                const model = this.modelLibrary.get(definition);
+                for (let slot = 0; slot < this.params.slotsPerHex; slot++) {
+                    if (random.next() >= definition.density) continue;
+                    if (!instances.has(model.key)) {
+                        instances.set(model.key, { model, type: definition.type, matrices: [] });
+                    }
+                    instances.get(model.key).matrices.push(this.composeMatrix(hex, definition, random));
+                }
+            });
+        }
+
+        instances.forEach(({ model, type, matrices }) => {
+            const mesh = new THREE.InstancedMesh(model.geometry, model.material, matrices.length);
+            mesh.name = `${type}_${cx}_${cz}`;
+            matrices.forEach((matrix, i) => mesh.setMatrixAt(i, matrix));
+            mesh.instanceMatrix.needsUpdate = true;
+            mesh.castShadow = true;
+            mesh.computeBoundingSphere();
+            group.add(mesh);
+        });
+
+        return group;
+    }
+
+    /**
+     * Compose the instance matrix for one model on a hex
+     * @param {Object} hex - Hex data object
+     * @param {Object} definition - Model definition with type, density and scale
+     * @param {SeededRandom} random - Random number generator for this hex
+     * @returns {THREE.Matrix4} Instance matrix
+     */
+    composeMatrix(hex, definition, random) {
+        // Uniform point within the spread radius around the hex centre
+        const angle = random.next() * Math.PI * 2;
+        const radius = Math.sqrt(random.next()) * this.params.spread * this.params.hexSize;
+        const x = hex.center[0] + Math.cos(angle) * radius;
+        const z = hex.center[2] + Math.sin(angle) * radius;
+
+        // The hex top is drawn at the height of its vertices
+        const y = hex.vertices[0][1];
+
+        const size = definition.scale * random.range(0.8, 1.2);
+        this.position.set(x, y, z);
+        this.quaternion.setFromAxisAngle(this.up, random.next() * Math.PI * 2);
+        this.scale.set(size, size, size);
+
+        return new THREE.Matrix4().compose(this.position, this.quaternion, this.scale);
+    }
+
+    /**
+     * Release the model library if this decorator created it
+     */
+    dispose() {
+        if (this.ownsModelLibrary) {
+            this.modelLibrary.dispose();
+        }
+    }
+}
+
+export default BiomeDecorator;
@@ -0,0 +1,160 @@
+/**
+ * Chunk Geometry Builder
+ * Merges the top, skirt and corner triangles of every hex in a chunk into
+ * a single BufferGeometry, so each chunk is one mesh and one draw call
+ */
+
+import * as THREE from 'three';
+
+class ChunkGeometryBuilder {
+    /**
+     * @param {HexGenerator} hexGenerator - Generator that produces the per-hex triangles
+     */
+    constructor(hexGenerator) {
+        this.hexGenerator = hexGenerator;
+        this.directionMaps = hexGenerator.hexUtils.getDirectionMaps();
+
+        // Scratch colour used to convert biome colours to linear RGB
+        this.color = new THREE.Color();
+    }
+
+    /**
+     * Build the merged geometry for a chunk
+     * Vertex attributes: position, normal, uv, color (biome colour) and
+     * biomeIndex (the hex's biome index, constant across each hex's triangles).
+     * In textured mode textureIndex holds the atlas slot of the hex's biome texture.
+     * In blend mode skirt and corner vertices take the colour of the hex they belong to,
+     * and textured blending adds textureIndices (atlas slots of the up to three biomes
+     * a triangle touches) and blendWeights (each vertex's share of them).
+     * geometry.userData.faceToHex maps each triangle to the index of its hex in hexes.
+     * @param {Array} hexes - Hex data objects for the chunk
+     * @returns {THREE.BufferGeometry} Merged geometry
+     */
+    build(hexes) {
+        const { directions, edgeVertexMap, oppositeDirection, clockwiseDirection } = this.directionMaps;
+
+        // First pass: generate each hex's triangles and size the buffers
+        const parts = [];
+        let vertexCount = 0;
+        let indexCount = 0;
+        for (const hex of hexes) {
+            const part = this.hexGenerator.createHexGeometry(hex, directions, edgeVertexMap, oppositeDirection, clockwiseDirection);
+            parts.push(part);
+            vertexCount += part.positions.length / 3;
+            indexCount += part.indices.length;
+        }
+
+        const positions = new Float32Array(vertexCount * 3);
+        const normals = new Float32Array(vertexCount * 3);
+        const uvs = new Float32Array(vertexCount * 2);
+        const colors = new Float32Array(vertexCount * 3);
+        const biomeIndices = new Float32Array(vertexCount);
+        const textureIndices = this.hexGenerator.textured ? new Float32Array(vertexCount) : null;
+        const blend = this.hexGenerator.params.blend;
+        const blendTextureIndices = blend && textureIndices ? new Float32Array(vertexCount * 3) : null;
+        const blendWeights = blend && textureIndices ? new Float32Array(vertexCount * 3) : null;
+        const indices = vertexCount > 65535 ? new Uint32Array(indexCount) : new Uint16Array(indexCount);
+        const faceToHex = new Uint32Array(indexCount / 3);
+
+        // Second pass: append every hex into the shared arrays
+        let vertexOffset = 0;
+        let indexOffset = 0;
+        parts.forEach((part, hexIndex) => {
+            const hex = hexes[hexIndex];
+            const partVertexCount = part.positions.length / 3;
+
+            positions.set(part.positions, vertexOffset * 3);
+            normals.set(part.normals, vertexOffset * 3);
+            uvs.set(part.uvs, vertexOffset * 2);
+
+            this.color.setHex(this.hexGenerator.getBiomeColor(hex.biomeIndex));
+            if (textureIndices) {
+                textureIndices.fill(this.hexGenerator.getTextureIndex(hex.biomeIndex), vertexOffset, vertexOffset + partVertexCount);
+            }
+            for (let v = 0; v < partVertexCount; v++) {
+                const i = vertexOffset + v;
+                if (blend) {
+                    this.setBlendedVertex(part, v, i, colors, blendTextureIndices);
+                } else {
+                    colors[i * 3] = this.color.r;
+                    colors[i * 3 + 1] = this.color.g;
+                    colors[i * 3 + 2] = this.color.b;
+                }
+                biomeIndices[i] = hex.biomeIndex;
+            }
+            if (blendWeights) {
+                blendWeights.set(part.blendWeights, vertexOffset * 3);
+            }
+
+            for (let i = 0; i < part.indices.length; i++) {
+                indices[indexOffset + i] = part.indices[i] + vertexOffset;
+            }
+            faceToHex.fill(hexIndex, indexOffset / 3, (indexOffset + part.indices.length) / 3);
+
+            vertexOffset += partVertexCount;
+            indexOffset += part.indices.length;
+        });
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+        geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        geometry.setAttribute('biomeIndex', new THREE.BufferAttribute(biomeIndices, 1));
+        if (textureIndices) {
+            geometry.setAttribute('textureIndex', new THREE.BufferAttribute(textureIndices, 1));
+        }
+        if (blendTextureIndices) {
+            geometry.setAttribute('textureIndices', new THREE.BufferAttribute(blendTextureIndices, 3));
+            geometry.setAttribute('blendWeights', new THREE.BufferAttribute(blendWeights, 3));
+        }
+        geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+        geometry.computeBoundingBox();
+        geometry.computeBoundingSphere();
+        geometry.userData.faceToHex = faceToHex;
+
+        return geometry;
+    }
+
+    /**
+     * Write the blend mode colour and texture slots of one vertex
+     * @param {Object} part - Hex geometry from createHexGeometry() with blend data
+     * @param {number} v - Vertex index within the part
+     * @param {number} i - Vertex index within the chunk
+     * @param {Float32Array} colors - Chunk colour array
+     * @param {Float32Array|null} blendTextureIndices - Chunk texture slot array, null without textures
+     */
+    setBlendedVertex(part, v, i, colors, blendTextureIndices) {
+        const weights = part.blendWeights;
+        const owner = weights[v * 3] === 1 ? 0 : weights[v * 3 + 1] === 1 ? 1 : 2;
+
+        // The vertex takes its own hex's colour, so colours interpolate across skirts
+        this.color.setHex(this.hexGenerator.getBiomeColor(part.blendBiomes[v * 3 + owner]));
+        colors[i * 3] = this.color.r;
+        colors[i * 3 + 1] = this.color.g;
+        colors[i * 3 + 2] = this.color.b;
+
+        if (blendTextureIndices) {
+            for (let k = 0; k < 3; k++) {
+                blendTextureIndices[i * 3 + k] = this.hexGenerator.getTextureIndex(part.blendBiomes[v * 3 + k]);
+            }
+        }
+    }
+
+    /**
+     * Map a raycast intersection with a chunk mesh back to its hex
+     * @param {Object} intersection - Intersection from THREE.Raycaster
+     * @returns {Object|null} Hex data object, or null if the object is not a chunk mesh
+     */
+    static getHexFromIntersection(intersection) {
+        const mesh = intersection.object;
+        const faceToHex = mesh.geometry.userData.faceToHex;
+        const hexes = mesh.userData.hexes;
+        if (!faceToHex || !hexes || intersection.faceIndex === undefined) {
+            return null;
+        }
+        return hexes[faceToHex[intersection.faceIndex]] || null;
+    }
+}
+
+export default ChunkGeometryBuilder;
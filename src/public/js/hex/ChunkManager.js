@@ -0,0 +1,460 @@
+/**
+ * Chunk Manager
+ * Streams hex chunks in and out of the scene around a focus point
+ * (the camera target or the player)
+ *
+ * Chunks are generated on the client by default. With a source they are loaded
+ * from the server's stored chunks instead: requests run in the background, and a
+ * chunk built before its neighbours arrived is rebuilt once they have, so skirts
+ * join across chunk borders. A chunk whose request failed is asked for again after
+ * a delay that doubles with every failure, and at once when the focus moved away
+ * from it and came back.
+ */
+
+import * as THREE from 'three';
+import TerrainQuery from '../terrain/TerrainQuery.js';
+
+class ChunkManager {
+    /**
+     * @param {THREE.Scene} scene - Scene the chunk groups are added to
+     * @param {HexGenerator} hexGenerator - Generator used to build chunk meshes
+     * @param {Object} options - Streaming options
+     * @param {number} options.loadRadius - Chunks within this distance (in chunks) of the focus are loaded
+     * @param {number} options.unloadRadius - Chunks further than this distance are unloaded
+     * @param {number} options.maxLoadsPerUpdate - Upper bound on chunks built per update() call
+     * @param {BiomeDecorator} options.decorator - Adds biome decorations to each chunk, optional
+     * @param {ChunkSource} options.source - Loads stored chunks from the server instead of generating them, optional
+     * @param {number} options.retryDelay - Milliseconds before a failed stored chunk is requested again
+     * @param {number} options.maxRetryDelay - Longest delay between requests of a chunk that keeps failing
+     */
+    constructor(scene, hexGenerator, options = {}) {
+        this.scene = scene;
+        this.hexGenerator = hexGenerator;
+
+        this.params = {
+            loadRadius: 2,
+            unloadRadius: 3,
+            maxLoadsPerUpdate: 1,
+            retryDelay: 1000,
+            maxRetryDelay: 30000,
+            ...options
+        };
+
+        this.decorator = options.decorator || null;
+        this.source = options.source || null;
+
+        // The unload radius must be larger than the load radius, otherwise chunks
+        // on the border would be loaded and unloaded on alternate frames
+        if (this.params.unloadRadius <= this.params.loadRadius) {
+            this.params.unloadRadius = this.params.loadRadius + 1;
+        }
+
+        // Loaded chunks keyed by "cx,cz"
+        this.chunks = new Map();
+
+        // Parent group for every chunk group
+        this.root = new THREE.Group();
+        this.root.name = 'chunks';
+        this.scene.add(this.root);
+
+        // Chunk the focus point was in during the last update
+        this.focusChunk = null;
+
+        // Stored chunks: keys of requests in flight, chunks that failed to load keyed by key
+        // ({ attempts, retryAt } in Date.now() milliseconds), chunks to rebuild now that a missing neighbour has arrived, and the chunks
+        // whose hexes were missing while the current chunk was built
+        this.requests = new Set();
+        this.failed = new Map();
+        this.stale = new Set();
+        this.missingNeighbors = null;
+        this.disposed = false;
+        if (this.source) {
+            hexGenerator.hexSource = coords => this.getSourceHex(coords);
+        }
+
+        // Size of a chunk in world units along each axis
+        const { colSpacing, rowSpacing } = hexGenerator.hexUtils;
+        this.chunkWorldWidth = colSpacing * hexGenerator.gridSize;
+        this.chunkWorldDepth = rowSpacing * hexGenerator.gridSize;
+
+        // Ground height, normal and hex queries over the loaded chunks
+        this.terrainQuery = new TerrainQuery(hexGenerator.hexUtils, coords => this.getHex(coords));
+    }
+
+    /**
+     * Build the map key for a chunk
+     * @param {number} cx - Chunk x coordinate
+     * @param {number} cz - Chunk z coordinate
+     * @returns {string} Key in the form "cx,cz"
+     */
+    static key(cx, cz) {
+        return `${cx},${cz}`;
+    }
+
+    /**
+     * Get the chunk coordinates containing a world position
+     * @param {number} x - World x coordinate
+     * @param {number} z - World z coordinate
+     * @returns {Array} [cx, cz] chunk coordinates
+     */
+    worldToChunk(x, z) {
+        return this.hexGenerator.hexUtils.worldToChunk(x, z);
+    }
+
+    /**
+     * Load and unload chunks around a focus position
+     * @param {THREE.Vector3} position - World position to stream around
+     * @param {number} maxLoads - Maximum number of chunks to build in this call
+     */
+    update(position, maxLoads = this.params.maxLoadsPerUpdate) {
+        const [fx, fz] = this.worldToChunk(position.x, position.z);
+        const focusChanged = !this.focusChunk || this.focusChunk[0] !== fx || this.focusChunk[1] !== fz;
+        this.focusChunk = [fx, fz];
+
+        if (focusChanged) {
+            this.unloadDistantChunks(fx, fz);
+            this.forgetDistantFailures(fx, fz);
+        }
+
+        // Load the missing chunks nearest to the focus first
+        const missing = this.getMissingChunks(fx, fz);
+        const loadCount = Math.min(missing.length, maxLoads);
+        for (let i = 0; i < loadCount; i++) {
+            const [cx, cz] = missing[i];
+            if (this.source) {
+                this.requestChunk(cx, cz);
+            } else {
+                this.loadChunk(cx, cz);
+            }
+        }
+
+        // Close the skirts of stored chunks whose neighbours have arrived since they were built
+        let rebuildCount = 0;
+        for (const key of [...this.stale]) {
+            if (rebuildCount++ >= maxLoads) break;
+            this.stale.delete(key);
+            const [cx, cz] = key.split(',').map(Number);
+            this.rebuildChunk(cx, cz);
+        }
+    }
+
+    /**
+     * Fetch a stored chunk and add it to the scene when it arrives
+     * @param {number} cx - Chunk x coordinate
+     * @param {number} cz - Chunk z coordinate
+     * @returns {Promise<void>} Resolves once the chunk is loaded, dropped or has failed
+     */
+    async requestChunk(cx, cz) {
+        const key = ChunkManager.key(cx, cz);
+        this.requests.add(key);
+        try {
+            const data = await this.source.load(cx, cz);
+
+            // Dropped if the manager was replaced or the focus moved away meanwhile
+            const [fx, fz] = this.focusChunk;
+            if (this.disposed || this.chunkDistance(cx, cz, fx, fz) > this.params.unloadRadius) {
+                return;
+            }
+            this.failed.delete(key);
+            this.loadChunk(cx, cz, data);
+        } catch (error) {
+            const attempts = (this.failed.has(key) ? this.failed.get(key).attempts : 0) + 1;
+            const delay = Math.min(this.params.retryDelay * Math.pow(2, attempts - 1), this.params.maxRetryDelay);
+            console.error(`Failed to load chunk ${key}, retrying in ${(delay / 1000).toFixed(1)} s:`, error);
+            this.failed.set(key, { attempts, retryAt: Date.now() + delay });
+        } finally {
+            this.requests.delete(key);
+        }
+    }
+
+    /**
+     * Look up a hex for the geometry of a stored chunk, remembering chunks that are not loaded yet
+     * @param {Array} coords - Global [col, row]
+     * @returns {Object|null} Hex data object, or null if its chunk is not loaded
+     */
+    getSourceHex(coords) {
+        const hex = this.getHex(coords);
+        if (!hex && this.missingNeighbors) {
+            const { chunk } = this.hexGenerator.hexUtils.globalToChunk(coords);
+            this.missingNeighbors.add(ChunkManager.key(chunk[0], chunk[1]));
+        }
+        return hex;
+    }
+
+    /**
+     * List chunks within the load radius that are not loaded yet, nearest first
+     * @param {number} fx - Focus chunk x coordinate
+     * @param {number} fz - Focus chunk z coordinate
+     * @returns {Array} Array of [cx, cz] chunk coordinates
+     */
+    getMissingChunks(fx, fz) {
+        const radius = this.params.loadRadius;
+        const missing = [];
+        const now = Date.now();
+
+        for (let cz = fz - radius; cz <= fz + radius; cz++) {
+            for (let cx = fx - radius; cx <= fx + radius; cx++) {
+                if (this.chunkDistance(cx, cz, fx, fz) > radius) continue;
+                const key = ChunkManager.key(cx, cz);
+                if (this.chunks.has(key) || this.requests.has(key)) continue;
+                if (this.failed.has(key) && this.failed.get(key).retryAt > now) continue;
+                missing.push([cx, cz]);
+            }
+        }
+
+        missing.sort((a, b) => this.chunkDistance(a[0], a[1], fx, fz) - this.chunkDistance(b[0], b[1], fx, fz));
+        return missing;
+    }
+
+    /**
+     * Distance between two chunks, measured in chunks
+     * @returns {number} Euclidean distance between chunk coordinates
+     */
+    chunkDistance(cx, cz, fx, fz) {
+        return Math.hypot(cx - fx, cz - fz);
+    }
+
+    /**
+     * Build a chunk and add it to the scene
+     * @param {number} cx - Chunk x coordinate
+     * @param {number} cz - Chunk z coordinate
+     * @param {Object} data - Stored chunk to build from, null to generate the terrain
+     * @returns {Object} The loaded chunk entry
+     */
+    loadChunk(cx, cz, data = null) {
+        const key = ChunkManager.key(cx, cz);
+        if (this.chunks.has(key)) {
+            return this.chunks.get(key);
+        }
+
+        const chunk = { cx, cz, data, group: null, terrain: null, hexes: null, waitingFor: null };
+        this.buildChunk(chunk);
+        this.chunks.set(key, chunk);
+
+        // Chunks built before this one arrived left their skirts towards it open
+        for (const other of this.chunks.values()) {
+            if (other.waitingFor && other.waitingFor.has(key)) {
+                this.stale.add(ChunkManager.key(other.cx, other.cz));
+            }
+        }
+        return chunk;
+    }
+
+    /**
+     * Build the meshes of a chunk entry and add them to the scene
+     * @param {Object} chunk - Chunk entry, updated in place
+     */
+    buildChunk(chunk) {
+        const { cx, cz, data } = chunk;
+
+        this.missingNeighbors = new Set();
+        let group;
+        try {
+            group = this.hexGenerator.renderChunk(cx, cz, data);
+            chunk.waitingFor = this.missingNeighbors.size > 0 ? this.missingNeighbors : null;
+        } finally {
+            this.missingNeighbors = null;
+        }
+
+        if (this.decorator) {
+            group.add(this.decorator.build(group.userData.hexes, group.userData.chunkBiomes, cx, cz));
+        }
+        this.root.add(group);
+
+        chunk.group = group;
+        chunk.terrain = group.getObjectByName(`terrain_${cx}_${cz}`);
+        chunk.hexes = group.userData.hexes;
+    }
+
+    /**
+     * Rebuild the meshes of a loaded chunk, e.g. after its stored data was edited
+     * @param {number} cx - Chunk x coordinate
+     * @param {number} cz - Chunk z coordinate
+     * @returns {boolean} True if the chunk is loaded and was rebuilt
+     */
+    rebuildChunk(cx, cz) {
+        const chunk = this.getChunk(cx, cz);
+        if (!chunk) {
+            return false;
+        }
+
+        this.root.remove(chunk.group);
+        this.hexGenerator.disposeChunk(chunk.group);
+        this.buildChunk(chunk);
+        return true;
+    }
+
+    /**
+     * Replace the stored data of loaded chunks, e.g. with edits from the server or an undo,
+     * and rebuild them together with the chunks around them, whose skirts meet theirs
+     * The data objects are updated in place, so everything holding them sees the new state.
+     * @param {Map} chunks - Stored chunks keyed by "cx,cz"
+     * @returns {number} Number of chunks replaced; chunks not loaded from stored data are skipped
+     */
+    replaceChunkData(chunks) {
+        const rebuilt = new Set();
+        let replaced = 0;
+        for (const [key, data] of chunks) {
+            const chunk = this.chunks.get(key);
+            if (!chunk || !chunk.data) continue;
+            try {
+                this.hexGenerator.checkChunkSize(data);
+            } catch (error) {
+                console.error(`Ignoring new data for chunk ${key}:`, error);
+                continue;
+            }
+            Object.assign(chunk.data, data);
+            replaced++;
+
+            for (let dz = -1; dz <= 1; dz++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    rebuilt.add(ChunkManager.key(chunk.cx + dx, chunk.cz + dz));
+                }
+            }
+        }
+
+        for (const key of rebuilt) {
+            const [cx, cz] = key.split(',').map(Number);
+            this.rebuildChunk(cx, cz);
+        }
+        return replaced;
+    }
+
+    /**
+     * Remove a chunk from the scene and release its geometry
+     * @param {number} cx - Chunk x coordinate
+     * @param {number} cz - Chunk z coordinate
+     */
+    unloadChunk(cx, cz) {
+        const key = ChunkManager.key(cx, cz);
+        const chunk = this.chunks.get(key);
+        if (!chunk) return;
+
+        this.root.remove(chunk.group);
+        this.hexGenerator.disposeChunk(chunk.group);
+        this.chunks.delete(key);
+        this.stale.delete(key);
+    }
+
+    /**
+     * Unload every chunk outside the unload radius
+     * @param {number} fx - Focus chunk x coordinate
+     * @param {number} fz - Focus chunk z coordinate
+     */
+    unloadDistantChunks(fx, fz) {
+        for (const chunk of [...this.chunks.values()]) {
+            if (this.chunkDistance(chunk.cx, chunk.cz, fx, fz) > this.params.unloadRadius) {
+                this.unloadChunk(chunk.cx, chunk.cz);
+            }
+        }
+    }
+
+    /**
+     * Forget the failures of chunks outside the unload radius, so they are requested
+     * again without waiting once the focus comes back to them
+     * @param {number} fx - Focus chunk x coordinate
+     * @param {number} fz - Focus chunk z coordinate
+     */
+    forgetDistantFailures(fx, fz) {
+        for (const key of [...this.failed.keys()]) {
+            const [cx, cz] = key.split(',').map(Number);
+            if (this.chunkDistance(cx, cz, fx, fz) > this.params.unloadRadius) {
+                this.failed.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Get a loaded chunk
+     * @param {number} cx - Chunk x coordinate
+     * @param {number} cz - Chunk z coordinate
+     * @returns {Object|undefined} Chunk entry or undefined if not loaded
+     */
+    getChunk(cx, cz) {
+        return this.chunks.get(ChunkManager.key(cx, cz));
+    }
+
+    /**
+     * Get the data of a hex in a loaded chunk
+     * @param {Array} coords - Global [col, row]
+     * @returns {Object|null} Hex data object, or null if its chunk is not loaded
+     */
+    getHex(coords) {
+        const hexUtils = this.hexGenerator.hexUtils;
+        const { chunk, local } = hexUtils.globalToChunk(coords);
+        const entry = this.getChunk(chunk[0], chunk[1]);
+        return entry ? entry.hexes[hexUtils.localIndex(local)] : null;
+    }
+
+    /**
+     * Height of the terrain surface at a world position
+     * @param {number} x - World x
+     * @param {number} z - World z
+     * @returns {number|null} Ground height, or null if the chunks there are not loaded
+     */
+    getHeightAt(x, z) {
+        return this.terrainQuery.getHeightAt(x, z);
+    }
+
+    /**
+     * Normal of the terrain surface at a world position
+     * @param {number} x - World x
+     * @param {number} z - World z
+     * @returns {Array|null} Unit [x, y, z] normal, or null if the chunks there are not loaded
+     */
+    getNormalAt(x, z) {
+        return this.terrainQuery.getNormalAt(x, z);
+    }
+
+    /**
+     * Hex the terrain surface at a world position belongs to
+     * @param {number} x - World x
+     * @param {number} z - World z
+     * @returns {Object|null} Hex data object, or null if the chunks there are not loaded
+     */
+    getHexAt(x, z) {
+        return this.terrainQuery.getHexAt(x, z);
+    }
+
+    /**
+     * Terrain meshes of the loaded chunks, for raycasting
+     * @returns {Array} Array of THREE.Mesh
+     */
+    get terrainMeshes() {
+        return [...this.chunks.values()].map(chunk => chunk.terrain);
+    }
+
+    /**
+     * Coordinates of the loaded chunks
+     * @returns {Array} [cx, cz] of each loaded chunk
+     */
+    get loadedChunks() {
+        return [...this.chunks.values()].map(chunk => [chunk.cx, chunk.cz]);
+    }
+
+    /**
+     * Number of chunks currently loaded
+     * @returns {number} Loaded chunk count
+     */
+    get loadedCount() {
+        return this.chunks.size;
+    }
+
+    /**
+     * Unload all chunks and remove the root group from the scene
+     */
+    dispose() {
+        for (const chunk of [...this.chunks.values()]) {
+            this.unloadChunk(chunk.cx, chunk.cz);
+        }
+        this.scene.remove(this.root);
+
+        // Requests still in flight are dropped when they arrive
+        this.disposed = true;
+        if (this.source) {
+            this.hexGenerator.hexSource = null;
+        }
+    }
+}
+
+export default ChunkManager;
@@ -0,0 +1,313 @@
+/**
+ * Hex Picker
+ * Raycasts the pointer against the loaded chunk meshes to find the hex under it,
+ * highlights the hovered and selected hexes and dispatches a 'hexselected' event
+ * when a hex is clicked.
+ *
+ * Highlights are small overlay meshes drawn over the hex top, so the shared
+ * terrain material is never cloned or modified.
+ *
+ * Usage:
+ *   picker.addEventListener('hexselected', ({ hex, previous, chunkCoords, localCoords, shiftKey }) => { ... });
+ * hex is null when the selection is cleared (a click on empty space or Escape);
+ * shiftKey tells whether Shift was held during the click.
+ */
+
+import * as THREE from 'three';
+import ChunkGeometryBuilder from './ChunkGeometryBuilder.js';
+import HexUtils from '../utils/HexUtils.js';
+
+class HexPicker extends THREE.EventDispatcher {
+    /**
+     * @param {THREE.Camera} camera - Camera the scene is rendered with
+     * @param {HTMLElement} domElement - Canvas receiving the pointer events
+     * @param {THREE.Scene} scene - Scene the highlight meshes are added to
+     * @param {ChunkManager} chunkManager - Chunk manager whose terrain is picked
+     * @param {Object} options - Picking options
+     * @param {number} options.hoverColor - Colour of the hover highlight
+     * @param {number} options.hoverOpacity - Opacity of the hover highlight
+     * @param {number} options.selectColor - Colour of the selection highlight
+     * @param {number} options.selectOpacity - Opacity of the selection highlight
+     * @param {boolean} options.highlightNeighbors - Also highlight the six neighbours of the selected hex
+     * @param {number} options.neighborColor - Colour of the neighbour highlights
+     * @param {number} options.lift - Height the highlight is drawn above the hex top
+     * @param {number} options.clickTolerance - Pointer travel in pixels after which a press is a drag, not a click
+     */
+    constructor(camera, domElement, scene, chunkManager, options = {}) {
+        super();
+
+        this.params = {
+            hoverColor: 0xFFFFFF,
+            hoverOpacity: 0.3,
+            selectColor: 0xFFEB3B,
+            selectOpacity: 0.5,
+            highlightNeighbors: false,
+            neighborColor: 0x00FFFF,
+            lift: 0.02,
+            clickTolerance: 5,
+            ...options
+        };
+
+        this.camera = camera;
+        this.domElement = domElement;
+        this.scene = scene;
+        this.chunkManager = chunkManager;
+
+        this.raycaster = new THREE.Raycaster();
+
+        // Pointer position in normalized device coordinates, null while outside the canvas
+        this.pointer = null;
+        this.pointerMoved = false;
+        this.pressPosition = null;
+
+        // Camera transform at the last raycast; hovering is refreshed when the view moves
+        this.lastCameraMatrix = new THREE.Matrix4();
+
+        this.hoveredHex = null;
+        this.selectedHex = null;
+
+        this.hoverHighlight = this.createHighlight(this.params.hoverColor, this.params.hoverOpacity);
+        this.selectHighlight = this.createHighlight(this.params.selectColor, this.params.selectOpacity);
+        this.neighborHighlights = [];
+        if (this.params.highlightNeighbors) {
+            for (let i = 0; i < 6; i++) {
+                this.neighborHighlights.push(this.createHighlight(this.params.neighborColor, this.params.hoverOpacity));
+            }
+        }
+        this.scene.add(this.hoverHighlight, this.selectHighlight, ...this.neighborHighlights);
+
+        this.onPointerMove = this.onPointerMove.bind(this);
+        this.onPointerDown = this.onPointerDown.bind(this);
+        this.onPointerUp = this.onPointerUp.bind(this);
+        this.onPointerLeave = this.onPointerLeave.bind(this);
+        this.onKeyDown = this.onKeyDown.bind(this);
+        this.domElement.addEventListener('pointermove', this.onPointerMove);
+        this.domElement.addEventListener('pointerdown', this.onPointerDown);
+        this.domElement.addEventListener('pointerup', this.onPointerUp);
+        this.domElement.addEventListener('pointerleave', this.onPointerLeave);
+        window.addEventListener('keydown', this.onKeyDown);
+    }
+
+    /**
+     * Create a flat hexagon overlay; its vertices are moved onto a hex by setHighlight()
+     * @param {number} color - Highlight colour
+     * @param {number} opacity - Highlight opacity
+     * @returns {THREE.Mesh} Hidden overlay mesh
+     */
+    createHighlight(color, opacity) {
+        // Centre vertex followed by the six corners, fanned into six triangles
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(7 * 3), 3));
+        geometry.setIndex([0, 2, 1, 0, 3, 2, 0, 4, 3, 0, 5, 4, 0, 6, 5, 0, 1, 6]);
+
+        const material = new THREE.MeshBasicMaterial({
+            color,
+            opacity,
+            transparent: true,
+            depthWrite: false,
+            side: THREE.DoubleSide,
+            // Pull the overlay towards the camera so it never fights the hex top
+            polygonOffset: true,
+            polygonOffsetFactor: -1,
+            polygonOffsetUnits: -1
+        });
+
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.visible = false;
+        mesh.frustumCulled = false;
+        mesh.renderOrder = 1;
+        return mesh;
+    }
+
+    /**
+     * Move an overlay onto a hex, or hide it
+     * @param {THREE.Mesh} highlight - Overlay from createHighlight()
+     * @param {Object|null} hex - Hex data object, null to hide the overlay
+     */
+    setHighlight(highlight, hex) {
+        highlight.visible = !!hex;
+        if (!hex) return;
+
+        const position = highlight.geometry.attributes.position;
+        const y = hex.vertices[0][1] + this.params.lift;
+        position.setXYZ(0, hex.center[0], y, hex.center[2]);
+        hex.vertices.forEach(([x, , z], i) => position.setXYZ(i + 1, x, y, z));
+        position.needsUpdate = true;
+    }
+
+    /**
+     * Switch to another chunk manager, e.g. after the grid was rebuilt
+     * The hover and selection are cleared because their hexes no longer exist.
+     * @param {ChunkManager} chunkManager - New chunk manager
+     */
+    setChunkManager(chunkManager) {
+        this.chunkManager = chunkManager;
+        this.setHovered(null);
+        this.select(null);
+    }
+
+    /**
+     * Find the hex under a screen position
+     * @param {THREE.Vector2} ndc - Position in normalized device coordinates
+     * @returns {Object|null} { hex, point } with the hit point in world space, or null over empty space
+     */
+    pick(ndc) {
+        this.raycaster.setFromCamera(ndc, this.camera);
+        const intersections = this.raycaster.intersectObjects(this.chunkManager.terrainMeshes, false);
+
+        for (const intersection of intersections) {
+            const hex = ChunkGeometryBuilder.getHexFromIntersection(intersection);
+            if (hex) {
+                return { hex, point: intersection.point };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Refresh the hover highlight; call once per frame
+     * Raycasting only happens when the pointer or the camera has moved.
+     */
+    update() {
+        if (!this.pointer) return;
+
+        const cameraMoved = !this.lastCameraMatrix.equals(this.camera.matrixWorld);
+        if (!this.pointerMoved && !cameraMoved) return;
+
+        this.pointerMoved = false;
+        this.lastCameraMatrix.copy(this.camera.matrixWorld);
+
+        const result = this.pick(this.pointer);
+        this.setHovered(result ? result.hex : null);
+    }
+
+    /**
+     * Set the hovered hex and move the hover highlight to it
+     * @param {Object|null} hex - Hex data object or null
+     */
+    setHovered(hex) {
+        if (hex === this.hoveredHex) return;
+        this.hoveredHex = hex;
+        this.domElement.style.cursor = hex ? 'pointer' : '';
+
+        // The selection highlight already marks the selected hex
+        this.setHighlight(this.hoverHighlight, hex !== this.selectedHex ? hex : null);
+    }
+
+    /**
+     * Select a hex and dispatch 'hexselected'
+     * @param {Object|null} hex - Hex data object, or null to clear the selection
+     * @param {PointerEvent|null} event - Click that made the selection, if any
+     */
+    select(hex, event = null) {
+        if (hex === this.selectedHex) return;
+        const previous = this.selectedHex;
+        this.selectedHex = hex;
+
+        this.setHighlight(this.selectHighlight, hex);
+        this.setHighlight(this.hoverHighlight, this.hoveredHex !== hex ? this.hoveredHex : null);
+        if (this.neighborHighlights.length > 0) {
+            // Neighbours in chunks that are not loaded stay unmarked
+            const neighbors = hex ? HexUtils.neighbors(hex.gridCoords) : [];
+            this.neighborHighlights.forEach((highlight, i) => {
+                this.setHighlight(highlight, neighbors[i] ? this.chunkManager.getHex(neighbors[i]) : null);
+            });
+        }
+
+        const hexUtils = this.chunkManager.hexGenerator.hexUtils;
+        const location = hex ? hexUtils.globalToChunk(hex.gridCoords) : null;
+        this.dispatchEvent({
+            type: 'hexselected',
+            hex,
+            previous,
+            chunkCoords: location ? location.chunk : null,
+            localCoords: location ? location.local : null,
+            shiftKey: !!(event && event.shiftKey)
+        });
+    }
+
+    /**
+     * Convert a pointer event to normalized device coordinates
+     * @param {PointerEvent} event - Pointer event on the canvas
+     * @returns {THREE.Vector2} Position in normalized device coordinates
+     */
+    getPointer(event) {
+        const rect = this.domElement.getBoundingClientRect();
+        return new THREE.Vector2(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+    }
+
+    /**
+     * Track the pointer for hovering
+     * @param {PointerEvent} event - Pointer event
+     */
+    onPointerMove(event) {
+        this.pointer = this.getPointer(event);
+        this.pointerMoved = true;
+    }
+
+    /**
+     * Remember where a press started, to tell clicks from camera drags
+     * @param {PointerEvent} event - Pointer event
+     */
+    onPointerDown(event) {
+        if (event.button !== 0) return;
+        this.pressPosition = [event.clientX, event.clientY];
+    }
+
+    /**
+     * Select the hex under the pointer when the press was a click
+     * @param {PointerEvent} event - Pointer event
+     */
+    onPointerUp(event) {
+        if (event.button !== 0 || !this.pressPosition) return;
+
+        const travel = Math.hypot(event.clientX - this.pressPosition[0], event.clientY - this.pressPosition[1]);
+        this.pressPosition = null;
+        if (travel > this.params.clickTolerance) return;
+
+        const result = this.pick(this.getPointer(event));
+        this.select(result ? result.hex : null, event);
+    }
+
+    /**
+     * Clear the hover highlight when the pointer leaves the canvas
+     */
+    onPointerLeave() {
+        this.pointer = null;
+        this.pressPosition = null;
+        this.setHovered(null);
+    }
+
+    /**
+     * Clear the selection with Escape
+     * @param {KeyboardEvent} event - Keyboard event
+     */
+    onKeyDown(event) {
+        if (event.key === 'Escape') {
+            this.select(null);
+        }
+    }
+
+    /**
+     * Remove the event listeners and highlight meshes
+     */
+    dispose() {
+        this.domElement.removeEventListener('pointermove', this.onPointerMove);
+        this.domElement.removeEventListener('pointerdown', this.onPointerDown);
+        this.domElement.removeEventListener('pointerup', this.onPointerUp);
+        this.domElement.removeEventListener('pointerleave', this.onPointerLeave);
+        window.removeEventListener('keydown', this.onKeyDown);
+
+        for (const highlight of [this.hoverHighlight, this.selectHighlight, ...this.neighborHighlights]) {
+            this.scene.remove(highlight);
+            highlight.geometry.dispose();
+            highlight.material.dispose();
+        }
+        this.domElement.style.cursor = '';
+    }
+}
+
+export default HexPicker;
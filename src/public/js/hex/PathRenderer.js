@@ -0,0 +1,111 @@
+/**
+ * Path Renderer
+ * Draws a hex path on the terrain: a translucent overlay on every hex of the
+ * path and a line through their centres, both rebuilt as one geometry each
+ * whenever the path changes. Without the line it marks any set of hexes,
+ * such as the terrain editor's brush.
+ */
+
+import * as THREE from 'three';
+
+class PathRenderer {
+    /**
+     * @param {THREE.Scene} scene - Scene the path is added to
+     * @param {Object} options - Display options
+     * @param {number} options.color - Colour of the hex overlays
+     * @param {number} options.opacity - Opacity of the hex overlays
+     * @param {number} options.lineColor - Colour of the line through the centres
+     * @param {number} options.lift - Height the path is drawn above the hex tops
+     * @param {boolean} options.line - Draw the line through the centres
+     */
+    constructor(scene, options = {}) {
+        this.params = {
+            color: 0xFF7043,
+            opacity: 0.45,
+            lineColor: 0xFFFFFF,
+            lift: 0.03,
+            line: true,
+            ...options
+        };
+
+        this.scene = scene;
+
+        this.group = new THREE.Group();
+        this.group.name = 'path';
+        this.scene.add(this.group);
+
+        this.overlayMaterial = new THREE.MeshBasicMaterial({
+            color: this.params.color,
+            opacity: this.params.opacity,
+            transparent: true,
+            depthWrite: false,
+            side: THREE.DoubleSide,
+            polygonOffset: true,
+            polygonOffsetFactor: -1,
+            polygonOffsetUnits: -1
+        });
+        this.lineMaterial = new THREE.LineBasicMaterial({ color: this.params.lineColor });
+    }
+
+    /**
+     * Show a path, replacing the previous one
+     * @param {Array} hexes - Hex data objects along the path, in order
+     */
+    show(hexes) {
+        this.clear();
+        if (hexes.length === 0) return;
+
+        const lift = this.params.lift;
+        const overlayPositions = [];
+        const overlayIndices = [];
+        const linePositions = [];
+
+        hexes.forEach((hex, i) => {
+            // Fan of six triangles around the centre of the hex top
+            const y = hex.vertices[0][1] + lift;
+            const base = i * 7;
+            overlayPositions.push(hex.center[0], y, hex.center[2]);
+            hex.vertices.forEach(([x, , z]) => overlayPositions.push(x, y, z));
+            for (let corner = 0; corner < 6; corner++) {
+                overlayIndices.push(base, base + 1 + (corner + 1) % 6, base + 1 + corner);
+            }
+
+            linePositions.push(hex.center[0], y + lift, hex.center[2]);
+        });
+
+        const overlayGeometry = new THREE.BufferGeometry();
+        overlayGeometry.setAttribute('position', new THREE.Float32BufferAttribute(overlayPositions, 3));
+        overlayGeometry.setIndex(overlayIndices);
+        const overlay = new THREE.Mesh(overlayGeometry, this.overlayMaterial);
+        overlay.renderOrder = 1;
+        this.group.add(overlay);
+
+        if (!this.params.line) return;
+
+        const lineGeometry = new THREE.BufferGeometry();
+        lineGeometry.setAttribute('position', new THREE.Float32BufferAttribute(linePositions, 3));
+        const line = new THREE.Line(lineGeometry, this.lineMaterial);
+        line.renderOrder = 2;
+        this.group.add(line);
+    }
+
+    /**
+     * Remove the current path
+     */
+    clear() {
+        this.group.children.forEach(child => child.geometry.dispose());
+        this.group.clear();
+    }
+
+    /**
+     * Remove the path and release the materials
+     */
+    dispose() {
+        this.clear();
+        this.scene.remove(this.group);
+        this.overlayMaterial.dispose();
+        this.lineMaterial.dispose();
+    }
+}
+
+export default PathRenderer;
@@ -0,0 +1,109 @@
+/**
+ * River Builder
+ * Builds the water surface of the rivers in a chunk: a ribbon along every river
+ * step between hex centres and a small hexagon on each river hex that closes
+ * the ribbon at bends. Every chunk's river mesh shares one material.
+ */
+
+import * as THREE from 'three';
+
+class RiverBuilder {
+    /**
+     * @param {HexGenerator} hexGenerator - Generator whose hydrology and grid the rivers follow
+     * @param {Object} options - Water options
+     * @param {number} options.color - Water colour
+     * @param {number} options.width - Ribbon width as a fraction of the effective hex size
+     * @param {number} options.waterDepth - Height of the water surface above the river bed
+     */
+    constructor(hexGenerator, options = {}) {
+        this.params = {
+            color: 0x3A86C8,
+            width: 0.6,
+            waterDepth: 0.2,
+            ...options
+        };
+
+        this.hexGenerator = hexGenerator;
+        this.hexUtils = hexGenerator.hexUtils;
+        this.hydrology = hexGenerator.hydrology;
+
+        this.material = new THREE.MeshStandardMaterial({
+            color: this.params.color,
+            roughness: 0.2,
+            metalness: 0.1,
+            side: THREE.DoubleSide
+        });
+    }
+
+    /**
+     * Build the water mesh for a chunk
+     * @param {number} cx - Chunk x coordinate
+     * @param {number} cz - Chunk z coordinate
+     * @returns {THREE.Mesh|null} Water mesh, or null if no river runs through the chunk
+     */
+    build(cx, cz) {
+        const { beds, segments } = this.hydrology.getChunkRivers(cx, cz);
+        if (beds.size === 0) {
+            return null;
+        }
+
+        const halfWidth = this.params.width * this.hexGenerator.effectiveSize / 2;
+        const positions = [];
+        const indices = [];
+
+        // Water surface point above a hex centre; the bed is the hex top, on its height step
+        const surface = coords => {
+            const [x, z] = this.hexUtils.hexToWorld(coords);
+            return [x, this.hexGenerator.getHexElevation(coords) + this.params.waterDepth, z];
+        };
+
+        // A ribbon from each river hex to the next one downstream
+        for (const [from, to] of segments) {
+            const [ax, ay, az] = surface(from);
+            const [bx, by, bz] = surface(to);
+            const length = Math.hypot(bx - ax, bz - az);
+            const px = -(bz - az) / length * halfWidth;
+            const pz = (bx - ax) / length * halfWidth;
+
+            const base = positions.length / 3;
+            positions.push(
+                ax + px, ay, az + pz,
+                ax - px, ay, az - pz,
+                bx + px, by, bz + pz,
+                bx - px, by, bz - pz
+            );
+            indices.push(base, base + 2, base + 1, base + 1, base + 2, base + 3);
+        }
+
+        // A hexagon on each river hex so ribbons join without notches at bends
+        for (const key of beds.keys()) {
+            const [x, y, z] = surface(key.split(',').map(Number));
+            const base = positions.length / 3;
+            positions.push(x, y, z);
+            for (let i = 0; i < 6; i++) {
+                const angle = Math.PI / 3 * i;
+                positions.push(x + Math.cos(angle) * halfWidth, y, z + Math.sin(angle) * halfWidth);
+                indices.push(base, base + 1 + (i + 1) % 6, base + 1 + i);
+            }
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geometry.setIndex(indices);
+        geometry.computeVertexNormals();
+
+        const mesh = new THREE.Mesh(geometry, this.material);
+        mesh.name = `river_${cx}_${cz}`;
+        mesh.receiveShadow = true;
+        return mesh;
+    }
+
+    /**
+     * Release the shared water material
+     */
+    dispose() {
+        this.material.dispose();
+    }
+}
+
+export default RiverBuilder;
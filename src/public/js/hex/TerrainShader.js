@@ -7,12 +7,26 @@
 import * as THREE from 'three';
 
 class TerrainShader {
-    constructor() {
+    /**
+     * @param {Object} options - Overrides for the default parameters below
+     */
+    constructor(options = {}) {
         // Default parameters
         this.params = {
             scale: 2.0,            // Increase scale to make textures more visible
             blendSharpness: 2.0,    // Increase sharpness for more defined transitions
-            useDebugColors: false   // Disable debug colors to show textures
+            useDebugColors: false,  // Disable debug colors to show textures
+            useTextures: false,     // Use the vertex colours until an atlas has been loaded
+            lightDirection: new THREE.Vector3(10, 20, 10).normalize(), // Towards the sun
+            lightColor: new THREE.Color(0xffffff),   // Colour and strength of the sunlight
+            ambient: 0.4,           // Light reaching faces turned away from the sun
+            ambientColor: new THREE.Color(0xffffff), // Colour and strength of the ambient light
+            wetness: 0,             // How wet the ground is after rain or snow, 0 (dry) to 1 (soaked)
+            blend: false,           // Mix biome textures across skirts using textureIndices and blendWeights
+            blendWidth: 0.5,        // Share of a skirt the textures mix over, 0 (hard edge) to 1
+            edgeNoise: 0,           // Noise added to the blend weights to break up the edge
+            edgeNoiseScale: 2.0,    // Frequency of the edge noise
+            ...options
         };
 
         // Initialize shader materials
@@ -31,19 +45,40 @@ class TerrainShader {
             // Variables passed to fragment shader
             varying vec3 vPosition;
             varying vec3 vNormal;
+            varying vec3 vColor;
             varying float vTextureIndex;
             
+            #ifdef BLEND_BIOMES
+            // Atlas slots of the biomes the triangle touches, constant across the triangle,
+            // and this vertex's weight for each of them
+            attribute vec3 textureIndices;
+            attribute vec3 blendWeights;
+            varying vec3 vTextureIndices;
+            varying vec3 vBlendWeights;
+            #endif
+            
+            #include <fog_pars_vertex>
+            
             void main() {
-                // Pass values to fragment shader
-                vPosition = position;
-                vNormal = normalize(normalMatrix * normal);
+                // Pass world space values so textures line up across chunks
+                vPosition = (modelMatrix * vec4(position, 1.0)).xyz;
+                vNormal = normalize(mat3(modelMatrix) * normal);
+                vColor = color;
                 
                 // Pass the texture index directly without interpolation
                 // This ensures clean boundaries between different textures
                 vTextureIndex = textureIndex;
                 
+                #ifdef BLEND_BIOMES
+                vTextureIndices = textureIndices;
+                vBlendWeights = blendWeights;
+                #endif
+                
                 // Standard vertex transformation
-                gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+                vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+                gl_Position = projectionMatrix * mvPosition;
+                
+                #include <fog_vertex>
             }
         `;
 
@@ -54,12 +89,29 @@ class TerrainShader {
             uniform float scale;
             uniform float blendSharpness;
             uniform bool useDebugColors;
+            uniform bool useTextures;
+            uniform vec3 lightDirection;
+            uniform vec3 lightColor;
+            uniform float ambient;
+            uniform vec3 ambientColor;
+            uniform float wetness;
+            uniform float blendWidth;
+            uniform float edgeNoise;
+            uniform float edgeNoiseScale;
             
             // Variables from vertex shader
             varying vec3 vPosition;
             varying vec3 vNormal;
+            varying vec3 vColor;
             varying float vTextureIndex;
             
+            #ifdef BLEND_BIOMES
+            varying vec3 vTextureIndices;
+            varying vec3 vBlendWeights;
+            #endif
+            
+            #include <fog_pars_fragment>
+            
             // Sample texture using triplanar mapping with atlas
             vec4 sampleTriplanar(vec3 position, vec3 normal, float textureIndex) {
                 // Round the texture index to the nearest integer to prevent interpolation between textures
@@ -81,25 +133,68 @@ class TerrainShader {
                 float vScale = 1.0 / textureCount;
                 
                 // Sample texture from three directions with correct atlas offset
+                // The atlas stacks textures vertically, so wrap v inside the texture's own slot
                 // XZ plane (top-down view) - most important for terrain
                 vec2 yUV = vec2(scaledPos.x, scaledPos.z);
-                yUV.y = (yUV.y * vScale) + vOffset;
+                yUV.y = (fract(yUV.y) * vScale) + vOffset;
                 vec4 yTexture = texture2D(textureAtlas, yUV);
                 
                 // YZ plane (side view)
                 vec2 xUV = vec2(scaledPos.z, scaledPos.y);
-                xUV.y = (xUV.y * vScale) + vOffset;
+                xUV.y = (fract(xUV.y) * vScale) + vOffset;
                 vec4 xTexture = texture2D(textureAtlas, xUV);
                 
                 // XY plane (front view)
                 vec2 zUV = vec2(scaledPos.x, scaledPos.y);
-                zUV.y = (zUV.y * vScale) + vOffset;
+                zUV.y = (fract(zUV.y) * vScale) + vOffset;
                 vec4 zTexture = texture2D(textureAtlas, zUV);
                 
                 // Blend the results
                 return xTexture * blend.x + yTexture * blend.y + zTexture * blend.z;
             }
             
+            // Texture colour for an atlas slot, or the vertex colour if the atlas does not hold it yet
+            vec3 sampleAlbedo(float textureIndex) {
+                float roundedIndex = floor(textureIndex + 0.5);
+                if (useTextures && roundedIndex < textureCount) {
+                    return sampleTriplanar(vPosition, vNormal, roundedIndex).rgb;
+                }
+                return vColor;
+            }
+            
+            #ifdef BLEND_BIOMES
+            float hash(vec2 p) {
+                return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453);
+            }
+            
+            // Smooth value noise in [0, 1]
+            float valueNoise(vec2 p) {
+                vec2 i = floor(p);
+                vec2 f = fract(p);
+                f = f * f * (3.0 - 2.0 * f);
+                return mix(
+                    mix(hash(i), hash(i + vec2(1.0, 0.0)), f.x),
+                    mix(hash(i + vec2(0.0, 1.0)), hash(i + vec2(1.0, 1.0)), f.x),
+                    f.y
+                );
+            }
+            
+            // Sharpen the interpolated weights so textures only mix within blendWidth
+            // of the point where two weights are equal, optionally along a noisy line
+            vec3 getBlendWeights(vec3 weights) {
+                if (edgeNoise > 0.0) {
+                    // Skirts are near vertical, so fold height into the noise coordinate
+                    vec2 p = vPosition.xz * edgeNoiseScale + vPosition.y;
+                    vec3 noise = vec3(valueNoise(p), valueNoise(p + 17.0), valueNoise(p + 43.0));
+                    weights += (noise - 0.5) * edgeNoise;
+                }
+                float strongest = max(weights.x, max(weights.y, weights.z));
+                float width = max(blendWidth, 0.001);
+                weights = clamp((weights - strongest + width) / width, 0.0, 1.0);
+                return weights / (weights.x + weights.y + weights.z);
+            }
+            #endif
+            
             void main() {
                 if (useDebugColors) {
                     // Use debug coloring based on position
@@ -124,27 +219,59 @@ class TerrainShader {
                         gl_FragColor = vec4(1.0, 0.5, 0.0, 1.0); // Orange
                     }
                 } else {
-                    // Round the texture index to ensure clean texture boundaries
-                    float roundedIndex = floor(vTextureIndex + 0.5);
+                    #ifdef BLEND_BIOMES
+                    // Mix the triplanar samples of every biome the triangle touches;
+                    // hex tops touch only their own biome and stay crisp
+                    vec3 weights = getBlendWeights(vBlendWeights);
+                    vec3 albedo = vec3(0.0);
+                    if (weights.x > 0.0) albedo += sampleAlbedo(vTextureIndices.x) * weights.x;
+                    if (weights.y > 0.0) albedo += sampleAlbedo(vTextureIndices.y) * weights.y;
+                    if (weights.z > 0.0) albedo += sampleAlbedo(vTextureIndices.z) * weights.z;
+                    #else
+                    // Sample the hex's own texture; the index is rounded for clean boundaries
+                    // and falls back to the biome colour until the atlas holds the texture
+                    vec3 albedo = sampleAlbedo(vTextureIndex);
+                    #endif
+                    
+                    // Wet ground soaks up light and looks darker, upward faces the most
+                    float soaked = wetness * mix(0.6, 1.0, max(normalize(vNormal).y, 0.0));
+                    albedo *= 1.0 - 0.45 * soaked;
                     
-                    // Sample using triplanar mapping with the atlas and the rounded index
-                    vec4 color = sampleTriplanar(vPosition, vNormal, roundedIndex);
-                    gl_FragColor = color;
+                    // Simple diffuse lighting so the terrain keeps its relief
+                    float diffuse = max(dot(normalize(vNormal), lightDirection), 0.0);
+                    vec3 light = ambientColor * ambient + lightColor * (1.0 - ambient) * diffuse;
+                    gl_FragColor = vec4(albedo * light, 1.0);
                 }
+                
+                #include <colorspace_fragment>
+                #include <fog_fragment>
             }
         `;
 
         // Create the shader material
         this.material = new THREE.ShaderMaterial({
             uniforms: {
+                ...THREE.UniformsUtils.clone(THREE.UniformsLib.fog),
                 textureAtlas: { value: null },
                 textureCount: { value: 1.0 },
                 scale: { value: this.params.scale },
                 blendSharpness: { value: this.params.blendSharpness },
-                useDebugColors: { value: this.params.useDebugColors }
+                useDebugColors: { value: this.params.useDebugColors },
+                useTextures: { value: this.params.useTextures },
+                lightDirection: { value: this.params.lightDirection },
+                lightColor: { value: this.params.lightColor.clone() },
+                ambient: { value: this.params.ambient },
+                ambientColor: { value: this.params.ambientColor.clone() },
+                wetness: { value: this.params.wetness },
+                blendWidth: { value: this.params.blendWidth },
+                edgeNoise: { value: this.params.edgeNoise },
+                edgeNoiseScale: { value: this.params.edgeNoiseScale }
             },
+            defines: this.params.blend ? { BLEND_BIOMES: '' } : {},
             vertexShader: vertexShader,
             fragmentShader: fragmentShader,
+            vertexColors: true,   // Biome colours are the fallback when textures are missing
+            fog: true,            // Fade into the scene fog with distance
             side: THREE.FrontSide // Using single-sided rendering for better performance
         });
     }
@@ -156,7 +283,7 @@ class TerrainShader {
      */
     createTextureAtlas(textures) {
         // Determine atlas size based on number and size of textures
-        // For simplicity, we'll assume all textures are the same size
+        // Every texture is scaled to the size of the first one
         const textureSize = textures[0].image.width;
         const atlasWidth = textureSize;
         const atlasHeight = textureSize * textures.length;
@@ -174,7 +301,7 @@ class TerrainShader {
             tempCanvas.width = textureSize;
             tempCanvas.height = textureSize;
             const tempCtx = tempCanvas.getContext('2d');
-            tempCtx.drawImage(texture.image, 0, 0);
+            tempCtx.drawImage(texture.image, 0, 0, textureSize, textureSize);
             
             // Draw the texture into the atlas
             ctx.drawImage(tempCanvas, 0, i * textureSize);
@@ -184,6 +311,12 @@ class TerrainShader {
         const atlasTexture = new THREE.CanvasTexture(canvas);
         atlasTexture.wrapS = THREE.RepeatWrapping;
         atlasTexture.wrapT = THREE.RepeatWrapping;
+        atlasTexture.colorSpace = THREE.SRGBColorSpace;
+
+        // fract() in the shader jumps at every texture repeat, which would pick the
+        // smallest mipmap along those lines, so sample the full-size atlas only
+        atlasTexture.generateMipmaps = false;
+        atlasTexture.minFilter = THREE.LinearFilter;
         
         return atlasTexture;
     }
@@ -238,6 +371,15 @@ class TerrainShader {
         this.material.uniforms.scale.value = this.params.scale;
         this.material.uniforms.blendSharpness.value = this.params.blendSharpness;
         this.material.uniforms.useDebugColors.value = this.params.useDebugColors;
+        this.material.uniforms.useTextures.value = this.params.useTextures;
+        this.material.uniforms.ambient.value = this.params.ambient;
+        this.material.uniforms.lightDirection.value.copy(this.params.lightDirection).normalize();
+        this.material.uniforms.lightColor.value.copy(this.params.lightColor);
+        this.material.uniforms.ambientColor.value.copy(this.params.ambientColor);
+        this.material.uniforms.wetness.value = this.params.wetness;
+        this.material.uniforms.blendWidth.value = this.params.blendWidth;
+        this.material.uniforms.edgeNoise.value = this.params.edgeNoise;
+        this.material.uniforms.edgeNoiseScale.value = this.params.edgeNoiseScale;
         
         // Update texture atlas if provided
         if (params.textureAtlas) {
@@ -6,8 +6,29 @@
 import * as THREE from 'three';
 
 class TextureManager {
-    constructor() {
-        // Map of biome indices to texture paths based on the chunk data
+    /**
+     * @param {Array} biomes - Biome definitions (globalBiomes from initial.json), optional
+     */
+    constructor(biomes = null) {
+        this.biomes = biomes;
+
+        // Textures for the biome names used in initial.json; a biome definition
+        // can also name its own texture with a "texture" path
+        this.biomeNameTextureMap = {
+            plains: '/assets/textures/grass.png',
+            grassland: '/assets/textures/grass.png',
+            forest: '/assets/textures/mud.png',
+            swamp: '/assets/textures/mud.png',
+            desert: '/assets/textures/sand.png',
+            beach: '/assets/textures/sand.png',
+            mountain: '/assets/textures/rock.png',
+            snow: '/assets/textures/snow.png',
+            tundra: '/assets/textures/snow.png',
+            water: '/assets/textures/blue.png',
+            ocean: '/assets/textures/blue.png'
+        };
+
+        // Map of biome indices to texture paths, used when the biome has no name match
         this.biomeTextureMap = {
             0: '/assets/textures/grass.png', // Plains (lower elevations)
             1: '/assets/textures/rock.png',  // Forest (medium elevations)
@@ -20,10 +41,30 @@ class TextureManager {
         
         // Cache for loaded textures
         this.textureCache = {};
+
+        // Biome indices in atlas order; a biome keeps its slot once it has one
+        this.atlasBiomes = [];
+        this.biomeToAtlasMap = new Map();
         
         // Texture loader
         this.textureLoader = new THREE.TextureLoader();
     }
+
+    /**
+     * Get the texture path for a biome
+     * @param {number} biomeIndex - Biome index
+     * @returns {string} Texture path
+     */
+    getTexturePath(biomeIndex) {
+        const biome = this.biomes ? this.biomes[biomeIndex] : null;
+        if (biome && biome.texture) {
+            return biome.texture;
+        }
+        if (biome && this.biomeNameTextureMap[biome.name]) {
+            return this.biomeNameTextureMap[biome.name];
+        }
+        return this.biomeTextureMap[biomeIndex] || this.biomeTextureMap['default'];
+    }
     
     /**
      * Get texture paths for specified biome indices
@@ -31,10 +72,7 @@ class TextureManager {
      * @returns {Array} Array of texture paths
      */
     getTexturePaths(biomeIndices) {
-        return biomeIndices.map(index => {
-            // Use default texture if biome index is not in the map
-            return this.biomeTextureMap[index] || this.biomeTextureMap[0];
-        });
+        return biomeIndices.map(index => this.getTexturePath(index));
     }
     
     /**
@@ -63,7 +101,7 @@ class TextureManager {
                         },
                         undefined,
                         (error) => {
-                            console.error('Error loading texture:', error);
+                            console.error('Error loading texture:', path, error);
                             reject(error);
                         }
                     );
@@ -77,34 +115,30 @@ class TextureManager {
     }
     
     /**
-     * Create a mapping from biome indices to atlas indices
-     * @param {Array} biomeIndices - Array of unique biome indices in the chunk
-     * @returns {Object} Mapping from biome index to atlas index
+     * Get the atlas slot for a biome, giving it the next free slot on first use
+     * Slots are never reused, so texture indices already written into
+     * geometry stay valid when the atlas grows.
+     * @param {number} biomeIndex - Biome index
+     * @returns {Object} { index, added } - the slot, and whether it was just allocated
      */
-    createBiomeToAtlasMap(biomeIndices) {
-        const map = {};
-        
-        // Make sure we include the default texture
-        if (!biomeIndices.includes('default')) {
-            biomeIndices.push('default');
+    getAtlasIndex(biomeIndex) {
+        let index = this.biomeToAtlasMap.get(biomeIndex);
+        if (index !== undefined) {
+            return { index, added: false };
         }
-        
-        biomeIndices.forEach((biomeIndex, i) => {
-            map[biomeIndex] = i;
-        });
-        
-        // Store the default texture index for easy access
-        this.defaultTextureIndex = map['default'];
-        
-        return map;
+
+        index = this.atlasBiomes.length;
+        this.atlasBiomes.push(biomeIndex);
+        this.biomeToAtlasMap.set(biomeIndex, index);
+        return { index, added: true };
     }
-    
+
     /**
-     * Get the default texture index to use for fallback cases
-     * @returns {number} Default texture index
+     * Release every loaded texture
      */
-    getDefaultTextureIndex() {
-        return this.defaultTextureIndex !== undefined ? this.defaultTextureIndex : 0;
+    dispose() {
+        Object.values(this.textureCache).forEach(texture => texture.dispose());
+        this.textureCache = {};
     }
 }
 
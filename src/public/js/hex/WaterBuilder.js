@@ -0,0 +1,90 @@
+/**
+ * Water Builder
+ * Builds the sea surface of a chunk at sea level. Every hex that is submerged, or
+ * borders a submerged hex, gets a hexagon of water whose corners sit at the centroid
+ * of the three hex centres meeting there, so the hexagons tile the surface without
+ * gaps across hexes, skirts and chunk borders. Each vertex carries the water depth
+ * below it (negative over land), which the WaterShader turns into colour and foam.
+ */
+
+import * as THREE from 'three';
+import HexUtils from '../utils/HexUtils.js';
+
+class WaterBuilder {
+    /**
+     * @param {HexGenerator} hexGenerator - Generator whose sea level and terrain the water follows
+     * @param {WaterShader} waterShader - Shader whose material every chunk's water shares
+     */
+    constructor(hexGenerator, waterShader) {
+        this.hexGenerator = hexGenerator;
+        this.hexUtils = hexGenerator.hexUtils;
+        this.material = waterShader.getMaterial();
+    }
+
+    /**
+     * Build the water mesh for a chunk
+     * @param {Array} hexes - Hex data objects for the chunk
+     * @param {number} cx - Chunk x coordinate
+     * @param {number} cz - Chunk z coordinate
+     * @returns {THREE.Mesh|null} Water mesh, or null if nothing in the chunk is under water
+     */
+    build(hexes, cx, cz) {
+        const seaLevel = this.hexGenerator.params.seaLevel;
+
+        // Depths of the chunk's own hexes, and of hexes beyond the border as they are needed
+        const depths = new Map();
+        hexes.forEach(hex => depths.set(`${hex.gridCoords[0]},${hex.gridCoords[1]}`, seaLevel - hex.elevation));
+        const depthAt = coords => {
+            const key = `${coords[0]},${coords[1]}`;
+            if (!depths.has(key)) {
+                depths.set(key, seaLevel - this.hexGenerator.getHexElevation(coords));
+            }
+            return depths.get(key);
+        };
+
+        const positions = [];
+        const depthValues = [];
+        for (const hex of hexes) {
+            const coords = hex.gridCoords;
+            const depth = depthAt(coords);
+            const neighbors = HexUtils.neighbors(coords);
+            const neighborDepths = neighbors.map(depthAt);
+            if (depth <= 0 && neighborDepths.every(neighborDepth => neighborDepth <= 0)) continue;
+
+            // Corner i lies between neighbours i + 1 and i + 2 (in N, NE, SE, S, SW, NW order)
+            const [x, z] = this.hexUtils.hexToWorld(coords);
+            const corners = [];
+            for (let i = 0; i < 6; i++) {
+                const a = (i + 1) % 6;
+                const b = (i + 2) % 6;
+                const [ax, az] = this.hexUtils.hexToWorld(neighbors[a]);
+                const [bx, bz] = this.hexUtils.hexToWorld(neighbors[b]);
+                corners.push([(x + ax + bx) / 3, (z + az + bz) / 3, (depth + neighborDepths[a] + neighborDepths[b]) / 3]);
+            }
+
+            // Fan of six triangles around the hex centre, wound to face up
+            for (let i = 0; i < 6; i++) {
+                const [x1, z1, d1] = corners[i];
+                const [x2, z2, d2] = corners[(i + 1) % 6];
+                positions.push(x, seaLevel, z, x2, seaLevel, z2, x1, seaLevel, z1);
+                depthValues.push(depth, d2, d1);
+            }
+        }
+
+        if (positions.length === 0) {
+            return null;
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geometry.setAttribute('depth', new THREE.Float32BufferAttribute(depthValues, 1));
+        geometry.computeBoundingSphere();
+
+        const mesh = new THREE.Mesh(geometry, this.material);
+        mesh.name = `water_${cx}_${cz}`;
+        mesh.renderOrder = 1;
+        return mesh;
+    }
+}
+
+export default WaterBuilder;
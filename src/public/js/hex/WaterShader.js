@@ -0,0 +1,191 @@
+/**
+ * Water Shader
+ * Draws the sea surface: colour and opacity follow the water depth under each
+ * vertex, foam gathers along the shoreline where the surface meets the hex
+ * skirts, and a few travelling waves ripple the surface normal.
+ */
+
+import * as THREE from 'three';
+
+class WaterShader {
+    /**
+     * @param {Object} options - Overrides for the default parameters below
+     */
+    constructor(options = {}) {
+        // Default parameters
+        this.params = {
+            shallowColor: 0x4FC3D9,    // Colour over the shore
+            deepColor: 0x0B3D6E,       // Colour at maxDepth and below
+            foamColor: 0xF4FBFF,
+            maxDepth: 3.0,             // Depth at which the water is fully deep and opaque
+            opacity: 0.55,             // Opacity of the shallowest water
+            foamWidth: 0.35,           // Depth over which shoreline foam fades out
+            rippleScale: 1.5,          // Frequency of the ripples in world units
+            rippleStrength: 0.08,      // Tilt of the surface normal by the ripples
+            lightDirection: new THREE.Vector3(10, 20, 10).normalize(), // Towards the sun
+            lightColor: new THREE.Color(0xffffff),   // Colour and strength of the sunlight
+            ambient: 0.5,              // Light reaching the water away from the sun
+            ambientColor: new THREE.Color(0xffffff), // Colour and strength of the ambient light
+            ...options
+        };
+
+        // Initialize shader material
+        this.initShaders();
+    }
+
+    /**
+     * Initialize shader material
+     */
+    initShaders() {
+        // Vertex shader - passes the depth and world position on
+        const vertexShader = `
+            // Water depth below this vertex, negative where the ground rises above the surface
+            attribute float depth;
+
+            varying float vDepth;
+            varying vec3 vPosition;
+
+            #include <fog_pars_vertex>
+
+            void main() {
+                vDepth = depth;
+                vPosition = (modelMatrix * vec4(position, 1.0)).xyz;
+                vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+                gl_Position = projectionMatrix * mvPosition;
+
+                #include <fog_vertex>
+            }
+        `;
+
+        // Fragment shader - depth colour, ripples and shoreline foam
+        const fragmentShader = `
+            uniform float time;
+            uniform vec3 shallowColor;
+            uniform vec3 deepColor;
+            uniform vec3 foamColor;
+            uniform float maxDepth;
+            uniform float opacity;
+            uniform float foamWidth;
+            uniform float rippleScale;
+            uniform float rippleStrength;
+            uniform vec3 lightDirection;
+            uniform vec3 lightColor;
+            uniform float ambient;
+            uniform vec3 ambientColor;
+
+            varying float vDepth;
+            varying vec3 vPosition;
+
+            #include <fog_pars_fragment>
+
+            void main() {
+                float depth = max(vDepth, 0.0);
+                float deep = clamp(depth / maxDepth, 0.0, 1.0);
+                vec3 color = mix(shallowColor, deepColor, deep);
+
+                // Three waves travelling in different directions; their slopes tilt the normal
+                vec2 p = vPosition.xz * rippleScale;
+                vec2 d1 = vec2(0.8, 0.6);
+                vec2 d2 = vec2(-0.5, 0.87);
+                vec2 d3 = vec2(0.28, -0.96);
+                float w1 = cos(dot(p, d1) + time * 1.3);
+                float w2 = cos(dot(p, d2) * 1.7 + time * 1.7);
+                float w3 = cos(dot(p, d3) * 2.3 + time * 2.1);
+                vec2 slope = (d1 * w1 + d2 * w2 + d3 * w3 * 0.8) * rippleStrength;
+                vec3 normal = normalize(vec3(-slope.x, 1.0, -slope.y));
+
+                // Diffuse light and a sun glint
+                float diffuse = max(dot(normal, lightDirection), 0.0);
+                vec3 viewDirection = normalize(cameraPosition - vPosition);
+                vec3 halfDirection = normalize(lightDirection + viewDirection);
+                float specular = pow(max(dot(normal, halfDirection), 0.0), 64.0) * 0.5;
+                color = color * (ambientColor * ambient + lightColor * (1.0 - ambient) * diffuse) + lightColor * specular;
+
+                // Foam along the shore, in bands that wash in and out with the waves
+                float shore = 1.0 - smoothstep(0.0, foamWidth, vDepth);
+                float bands = 0.5 + 0.5 * sin(vDepth / foamWidth * 6.0 - time * 2.0 + (w1 + w2) * 0.5);
+                float foam = shore * mix(0.5, 1.0, bands);
+                color = mix(color, foamColor, foam);
+
+                gl_FragColor = vec4(color, mix(opacity, 1.0, max(deep, foam)));
+
+                #include <colorspace_fragment>
+                #include <fog_fragment>
+            }
+        `;
+
+        // Create the shader material
+        this.material = new THREE.ShaderMaterial({
+            uniforms: {
+                ...THREE.UniformsUtils.clone(THREE.UniformsLib.fog),
+                time: { value: 0 },
+                shallowColor: { value: new THREE.Color(this.params.shallowColor) },
+                deepColor: { value: new THREE.Color(this.params.deepColor) },
+                foamColor: { value: new THREE.Color(this.params.foamColor) },
+                maxDepth: { value: this.params.maxDepth },
+                opacity: { value: this.params.opacity },
+                foamWidth: { value: this.params.foamWidth },
+                rippleScale: { value: this.params.rippleScale },
+                rippleStrength: { value: this.params.rippleStrength },
+                lightDirection: { value: this.params.lightDirection },
+                lightColor: { value: this.params.lightColor.clone() },
+                ambient: { value: this.params.ambient },
+                ambientColor: { value: this.params.ambientColor.clone() }
+            },
+            vertexShader: vertexShader,
+            fragmentShader: fragmentShader,
+            transparent: true,
+            depthWrite: false,    // The ground below must stay visible through shallow water
+            fog: true,            // Fade into the scene fog with distance
+            side: THREE.FrontSide
+        });
+    }
+
+    /**
+     * Advance the ripple and foam animation
+     * @param {number} time - Time in seconds
+     */
+    update(time) {
+        this.material.uniforms.time.value = time;
+    }
+
+    /**
+     * Update shader parameters
+     * @param {Object} params - New parameters
+     */
+    updateParams(params) {
+        this.params = { ...this.params, ...params };
+
+        // Update shader uniforms
+        const uniforms = this.material.uniforms;
+        uniforms.shallowColor.value.set(this.params.shallowColor);
+        uniforms.deepColor.value.set(this.params.deepColor);
+        uniforms.foamColor.value.set(this.params.foamColor);
+        uniforms.maxDepth.value = this.params.maxDepth;
+        uniforms.opacity.value = this.params.opacity;
+        uniforms.foamWidth.value = this.params.foamWidth;
+        uniforms.rippleScale.value = this.params.rippleScale;
+        uniforms.rippleStrength.value = this.params.rippleStrength;
+        uniforms.lightDirection.value.copy(this.params.lightDirection).normalize();
+        uniforms.lightColor.value.copy(this.params.lightColor);
+        uniforms.ambient.value = this.params.ambient;
+        uniforms.ambientColor.value.copy(this.params.ambientColor);
+    }
+
+    /**
+     * Get the shader material
+     * @returns {THREE.ShaderMaterial} The shader material
+     */
+    getMaterial() {
+        return this.material;
+    }
+
+    /**
+     * Release the material
+     */
+    dispose() {
+        this.material.dispose();
+    }
+}
+
+export default WaterShader;
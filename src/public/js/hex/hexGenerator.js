@@ -1,18 +1,70 @@
 /**
  * Hex Grid Generator
  * Creates the data structure for a flat-topped hexagonal grid
- * and handles mesh generation
+ * and handles mesh generation, one chunk of gridSize x gridSize hexes at a time
  */
 
 import * as THREE from 'three';
 import HexUtils from '../utils/HexUtils.js';
 import PerturbationUtils from '../utils/PerturbationUtils.js';
+import Hydrology from '../terrain/Hydrology.js';
+import ChunkSampler from '../terrain/ChunkSampler.js';
+import ChunkGeometryBuilder from './ChunkGeometryBuilder.js';
+import RiverBuilder from './RiverBuilder.js';
+import WaterBuilder from './WaterBuilder.js';
+import WaterShader from './WaterShader.js';
+import TerrainShader from './TerrainShader.js';
+import TextureManager from './TextureManager.js';
+
+// Biomes of a world without biome definitions, named like those in initial.json
+// so generated terrain and stored chunks pick them by the same names
+const DEFAULT_BIOMES = [
+    { id: 0, name: 'plains', color: 0x8BC34A },   // Light green
+    { id: 1, name: 'forest', color: 0x4CAF50 },   // Medium green
+    { id: 2, name: 'desert', color: 0xFFEB3B },   // Yellow
+    { id: 3, name: 'mountain', color: 0x795548 }  // Brown
+];
 
 class HexGenerator {
-    constructor(gridSize = 16, hexSize = 1, hexGap = 0.1) {
-        // Initialize utility classes
-        this.hexUtils = new HexUtils(gridSize, hexSize, hexGap);
-        this.perturbUtils = new PerturbationUtils();
+    /**
+     * @param {number} gridSize - Hexes per chunk side
+     * @param {number} hexSize - Hex size including the gap
+     * @param {number} hexGap - Gap between hexes
+     * @param {Array} biomes - Biome definitions (globalBiomes from initial.json), optional
+     * @param {Object} options - World and rendering options
+     * @param {number|string|null} options.seed - World seed; the same seed always gives the same terrain, random when null
+     * @param {boolean} options.textured - Draw the terrain with the triplanar texture shader instead of flat colours
+     * @param {boolean} options.blend - Blend biomes across skirt and corner triangles instead of hard seams
+     * @param {number} options.blendWidth - Textured blend: share of the skirt the textures mix over, 0 to 1
+     * @param {number} options.edgeNoise - Textured blend: how strongly noise breaks up the blend edge, 0 for a straight edge
+     * @param {number} options.edgeNoiseScale - Textured blend: frequency of the edge noise in world units
+     * @param {boolean} options.rivers - Generate rivers, carve them into the terrain and draw their water
+     * @param {number} options.riverFeatureIndex - Feature index river hexes are marked with (river in globalFeatures)
+     * @param {number} options.seaLevel - Elevation of the sea surface; hexes below it are submerged and rivers flow down to it
+     * @param {number} options.heightScale - World units per heightOffset step of stored chunks, as on the server
+     * @param {number} options.maxExtraBiomes - Most biomes from stored chunk palettes added to knownBiomes
+     */
+    constructor(gridSize = 16, hexSize = 1, hexGap = 0.1, biomes = null, options = {}) {
+        this.params = {
+            seed: null,
+            textured: false,
+            blend: false,
+            blendWidth: 0.5,
+            edgeNoise: 0,
+            edgeNoiseScale: 2.0,
+            rivers: true,
+            riverFeatureIndex: 1,
+            seaLevel: 0,
+            heightScale: 0.5,
+            maxExtraBiomes: 32,
+            ...options
+        };
+
+        // Initialize utility classes; both share one seeded noise source so
+        // hex vertices and elevations come from the same world
+        this.perturbUtils = new PerturbationUtils(this.params.seed);
+        this.hexUtils = new HexUtils(gridSize, hexSize, hexGap, this.perturbUtils);
+        this.seed = this.perturbUtils.seed;
 
         // Store grid parameters
         this.gridSize = gridSize;
@@ -23,119 +75,470 @@ class HexGenerator {
         this.effectiveSize = this.hexUtils.effectiveSize;
         this.width = this.hexUtils.width;
         this.height = this.hexUtils.height;
+
+        // Biome definitions every chunk uses as its palette, ordered from low to high ground.
+        // They are shared with the rest of the game and never modified here: biomes that
+        // only stored chunks know are added to knownBiomes, which hex biomeIndex values index
+        this.biomes = biomes;
+        this.knownBiomes = biomes ? biomes.slice() : null;
+
+        // Define biome color map
+        this.biomeColors = (biomes || DEFAULT_BIOMES).map(biome => biome.color);
+
+        // Biomes defined before any stored chunk added its own
+        this.baseBiomeCount = this.biomeColors.length;
+
+        // Approximate range of the perturbed elevations from PerturbationUtils
+        this.elevationRange = { min: -3, max: 9 };
+
+        if (this.params.textured) {
+            // Textured mode: one shader material whose atlas grows as new biomes appear.
+            // It shows the vertex colours until the textures have loaded, or if they fail to.
+            this.textureManager = new TextureManager(this.knownBiomes);
+            this.terrainShader = new TerrainShader({
+                blend: this.params.blend,
+                blendWidth: this.params.blendWidth,
+                edgeNoise: this.params.edgeNoise,
+                edgeNoiseScale: this.params.edgeNoiseScale
+            });
+            this.terrainMaterial = this.terrainShader.getMaterial();
+            this.atlasVersion = 0;
+            this.atlasUpdate = null;
+            this.texturesFailed = false;
+        } else {
+            // One material for every chunk; biome colours come from the vertex colours
+            this.terrainMaterial = new THREE.MeshStandardMaterial({
+                vertexColors: true,
+                flatShading: true,
+                side: THREE.FrontSide
+            });
+        }
+
+        // Rivers flowing downhill from the same noise, and the water drawn along them
+        this.hydrology = this.params.rivers ? new Hydrology(this.hexUtils, { seaLevel: this.params.seaLevel }) : null;
+        this.riverBuilder = this.hydrology ? new RiverBuilder(this) : null;
+
+        // Biomes and height steps of generated hexes, the same as the server generates
+        this.sampler = new ChunkSampler(this.hexUtils, this.hydrology, { heightScale: this.params.heightScale });
+
+        // Sea surface over the submerged hexes, one shared animated material for every chunk
+        this.waterShader = new WaterShader();
+        this.waterBuilder = new WaterBuilder(this, this.waterShader);
+
+        // Merges each chunk's hexes into a single geometry
+        this.geometryBuilder = new ChunkGeometryBuilder(this);
+
+        // Returns the hex at global [col, row] when chunks come from stored data
+        // (set by ChunkManager), so skirts join the stored neighbours
+        this.hexSource = null;
+    }
+
+    /**
+     * Generate the hex data for one chunk
+     * Grid coordinates are global, so chunk (cx, cz) covers columns
+     * cx * gridSize .. (cx + 1) * gridSize - 1 and the same range of rows for cz
+     * @param {number} cx - Chunk x coordinate
+     * @param {number} cz - Chunk z coordinate
+     * @returns {Array} Array of hex data objects in row-major order
+     */
+    generateChunk(cx, cz) {
+        return this.sampler.sample(cx, cz).cells.map(cell => this.buildHex(cell, [cx, cz]));
+    }
+
+    /**
+     * Build the hex data object of a sampled hex
+     * @param {Object} cell - Cell from ChunkSampler.sample()
+     * @param {Array} chunkCoords - [cx, cz] of the chunk holding the hex
+     * @returns {Object} Hex data object
+     */
+    buildHex(cell, chunkCoords) {
+        const { coords, x, z, elevation } = cell;
+        const hex = {
+            gridCoords: coords.slice(),
+            chunkCoords: chunkCoords,
+            center: [x, elevation, z],
+            vertices: this.hexUtils.generateHexVertices(x, z).map(([vx, , vz]) => [vx, elevation, vz]),
+            elevation: elevation,
+            biomeIndex: this.getBiomeIndex(cell.biome),
+            // River hexes keep the biome of their banks but are marked with the river feature
+            featureIndex: cell.river ? this.params.riverFeatureIndex : 0
+        };
+        hex.submerged = this.isSubmerged(hex);
+        return hex;
+    }
+
+    /**
+     * Build the hex data for a stored chunk (the chunk_0_0.json shape)
+     * Palette indices are resolved to indices into the global biome and feature lists,
+     * so stored hexes draw and decorate like generated ones.
+     * @param {number} cx - Chunk x coordinate
+     * @param {number} cz - Chunk z coordinate
+     * @param {Object} chunk - Stored chunk
+     * @returns {Array} Array of hex data objects in row-major order
+     */
+    hexesFromData(cx, cz, chunk) {
+        this.checkChunkSize(chunk);
+        const biomeIndices = chunk.chunkBiomes.map(biome => this.resolveBiome(biome));
+        const featureIndices = chunk.chunkFeatures.map(feature => this.resolveFeature(feature));
+
+        return chunk.hexes.map((stored, i) => {
+            const local = [i % this.gridSize, Math.floor(i / this.gridSize)];
+            const [col, row] = this.hexUtils.chunkToGlobal([cx, cz], local);
+            const [centerX, centerZ] = this.hexUtils.hexToWorld([col, row]);
+            const elevation = chunk.baseHeight + stored.heightOffset * this.params.heightScale;
+
+            const hex = {
+                gridCoords: [col, row],
+                chunkCoords: [cx, cz],
+                center: [centerX, elevation, centerZ],
+                vertices: this.hexUtils.generateHexVertices(centerX, centerZ).map(([x, , z]) => [x, elevation, z]),
+                elevation: elevation,
+                biomeIndex: biomeIndices[stored.biomeIndex],
+                featureIndex: featureIndices[stored.featureIndex] || 0
+            };
+            hex.submerged = this.isSubmerged(hex);
+            return hex;
+        });
+    }
+
+    /**
+     * Throw unless a stored chunk has this grid's chunk size and a hex for every position
+     * Hexes of a chunk of another size would land on the wrong positions.
+     * @param {Object} chunk - Stored chunk
+     */
+    checkChunkSize(chunk) {
+        if (chunk.chunkSize !== this.gridSize) {
+            throw new RangeError(`Stored chunk has chunkSize ${chunk.chunkSize}, this grid has ${this.gridSize} hexes per chunk side`);
+        }
+        const hexCount = this.gridSize * this.gridSize;
+        if (!Array.isArray(chunk.hexes) || chunk.hexes.length !== hexCount) {
+            throw new RangeError(`Stored chunk needs ${hexCount} hexes, got ${Array.isArray(chunk.hexes) ? chunk.hexes.length : chunk.hexes}`);
+        }
+    }
+
+    /**
+     * Find a chunk palette biome among the known biomes, adding biomes they do not include
+     * @param {Object} biome - Biome definition from a chunk palette
+     * @returns {number} Index into this.knownBiomes, 0 for an entry that is not a biome
+     */
+    resolveBiome(biome) {
+        if (!this.knownBiomes) {
+            this.knownBiomes = DEFAULT_BIOMES.map(biome => ({ ...biome }));
+        }
+        if (!biome || typeof biome !== 'object' || typeof biome.name !== 'string') {
+            return 0;
+        }
+
+        let index = this.knownBiomes.findIndex(known => known.id === biome.id && known.name === biome.name);
+        if (index < 0) {
+            index = this.knownBiomes.findIndex(known => known.name === biome.name);
+        }
+        if (index < 0) {
+            if (this.knownBiomes.length - this.baseBiomeCount >= this.params.maxExtraBiomes) {
+                console.warn(`Too many biomes from stored chunks, drawing ${biome.name} as ${this.knownBiomes[0].name}`);
+                return 0;
+            }
+
+            // A biome an AI-generated chunk introduced; it keeps its own colour and models
+            index = this.knownBiomes.length;
+            this.knownBiomes.push(biome);
+            this.biomeColors.push(typeof biome.color === 'number' ? biome.color : this.biomeColors[0]);
+        }
+        return index;
     }
 
     /**
-     * Render hex grid data
-     * @param {THREE.Scene} scene - Scene to render the grid into
-     * @returns {THREE.Group} Group of hex meshes
+     * Find a chunk palette feature among the global features
+     * @param {Object} feature - Feature definition from a chunk palette
+     * @returns {number} Global feature index, the river feature index for rivers, otherwise the palette feature's id
      */
-    renderGrid(scene) {
-        // Create a group to hold all hex meshes
+    resolveFeature(feature) {
+        if (!feature) {
+            return 0;
+        }
+        if (feature.name === 'river') {
+            return this.params.riverFeatureIndex;
+        }
+        return feature.id !== undefined ? feature.id : 0;
+    }
+
+    /**
+     * Build the mesh for one chunk
+     * Every hex of the chunk is merged into a single geometry drawn with one shared material
+     * @param {number} cx - Chunk x coordinate
+     * @param {number} cz - Chunk z coordinate
+     * @param {Object} data - Stored chunk to draw instead of generating the terrain, optional
+     * @returns {THREE.Group} Group holding the chunk mesh, with the chunk's hex data in userData
+     */
+    renderChunk(cx, cz, data = null) {
         const group = new THREE.Group();
-        const meshes = [];
+        group.name = `chunk_${cx}_${cz}`;
+
+        const hexes = data ? this.hexesFromData(cx, cz, data) : this.generateChunk(cx, cz);
+
+        // A stored chunk's own hexes are not in the hex source yet, so look them up here first
+        const hexSource = this.hexSource;
+        if (data) {
+            this.hexSource = coords => {
+                const { chunk, local } = this.hexUtils.globalToChunk(coords);
+                if (chunk[0] === cx && chunk[1] === cz) {
+                    return hexes[this.hexUtils.localIndex(local)];
+                }
+                return hexSource ? hexSource(coords) : null;
+            };
+        }
 
-        // Define biome color map
-        const biomeColors = [
-            0x8BC34A, // Light green (grass/plains)
-            0x4CAF50, // Medium green (forest)
-            0x795548, // Brown (mountains)
-            0xFFEB3B  // Yellow (desert)
-        ];
-
-        // For flat-topped hexagons
-        // Width is 2 * size, height is sqrt(3) * size
-        const hexWidth = 2 * this.effectiveSize;
-        const hexHeight = Math.sqrt(3) * this.effectiveSize;
-
-        // Calculate spacing with gaps
-        const colSpacing = hexWidth * 3 / 4 + this.hexGap;  // Horizontal distance between hex centers
-        const rowSpacing = hexHeight + this.hexGap;       // Vertical distance between hex centers
-
-        // Get direction maps from hexUtils
-        const { directions, edgeVertexMap, oppositeDirection, clockwiseDirection } = this.hexUtils.getDirectionMaps();
-
-        // Generate hexes and meshes
-        for (let row = 0; row < this.gridSize; row++) {
-            for (let col = 0; col < this.gridSize; col++) {
-                // Calculate center position for this hex with proper spacing
-                // For flat-topped hex grid, odd columns are offset vertically
-                const centerX = col * colSpacing;
-                const centerZ = row * rowSpacing + ((col % 2) * (rowSpacing / 2));
-
-                // Get elevation from perlin noise
-                const elevation = this.perturbUtils.getElevation(centerX, centerZ);                
-                const perturbedElevation = this.perturbUtils.perturbY(centerX, elevation, centerZ);
-
-                // Generate vertices for this hex
-                const vertices = this.hexUtils.generateHexVertices(centerX, centerZ);
-
-                // Determine biome index based on elevation
-                const biomeIndex = this.perturbUtils.getBiomeIndex(perturbedElevation, biomeColors.length);
-                const featureIndex = 0;
-
-                // Create hex object with necessary data
-                const hex = {
-                    gridCoords: [col, row],
-                    center: [centerX, perturbedElevation, centerZ],
-                    vertices: vertices,
-                    elevation: perturbedElevation,
-                    biomeIndex: biomeIndex,
-                    featureIndex: featureIndex
-                };
-
-                // Create mesh for this hex
-                const mesh = this.createHexMesh(hex, directions, edgeVertexMap, oppositeDirection, clockwiseDirection, biomeColors);
-                group.add(mesh);
-                meshes.push(mesh);
+        let geometry;
+        let sea;
+        try {
+            geometry = this.geometryBuilder.build(hexes);
+            sea = this.waterBuilder.build(hexes, cx, cz);
+        } finally {
+            this.hexSource = hexSource;
+        }
+
+        const mesh = new THREE.Mesh(geometry, this.terrainMaterial);
+        mesh.name = `terrain_${cx}_${cz}`;
+        mesh.receiveShadow = true;
+        mesh.userData = {
+            chunkCoords: [cx, cz],
+            hexes: hexes
+        };
+        group.add(mesh);
+
+        if (sea) {
+            group.add(sea);
+        }
+
+        // Stored chunks carry their rivers as features only
+        if (this.riverBuilder && !data) {
+            const river = this.riverBuilder.build(cx, cz);
+            if (river) {
+                group.add(river);
             }
         }
 
-        // Add the group to the scene
-        scene.add(group);
+        group.userData = {
+            chunkCoords: [cx, cz],
+            hexes: hexes,
+            chunkBiomes: this.knownBiomes
+        };
+
         return group;
     }
 
     /**
-     * Create a hex face geometry from vertices
+     * Get a neighbouring hex as generateChunk() builds it, or from the hex source when chunks come from stored data
      * @param {Object} hex - Hex data object
-     * @param {Array} directions - Array of direction strings
-     * @param {Object} edgeVertexMap - Mapping of directions to vertex indices
-     * @param {Object} oppositeDirection - Mapping of directions to their opposites
-     * @param {Object} clockwiseDirection - Mapping of directions to their clockwise neighbors
-     * @param {Array} biomeColors - Array of biome colors
-     * @returns {THREE.Mesh} Mesh representing the hex
+     * @param {string} direction - Direction: 'N', 'NE', 'SE', 'S', 'SW', or 'NW'
+     * @returns {Object|null} Neighbouring hex data object, null if the hex source does not have it
+     */
+    getNeighbor(hex, direction) {
+        if (this.hexSource) {
+            return this.hexSource(HexUtils.neighbor(hex.gridCoords, direction));
+        }
+
+        const coords = HexUtils.neighbor(hex.gridCoords, direction);
+        return this.buildHex(this.sampler.getCell(coords), this.hexUtils.globalToChunk(coords).chunk);
+    }
+
+    /**
+     * Get the elevation of any hex, carved where a river runs, without building the hex
+     * @param {Array} coords - Global [col, row]
+     * @returns {number} Elevation of the hex top
+     */
+    getHexElevation(coords) {
+        const stored = this.hexSource ? this.hexSource(coords) : null;
+        if (stored) {
+            return stored.elevation;
+        }
+        return this.sampler.getCell(coords).elevation;
+    }
+
+    /**
+     * Whether a hex lies below sea level
+     * @param {Object} hex - Hex data object
+     * @returns {boolean} True if the sea covers the hex top
+     */
+    isSubmerged(hex) {
+        return hex.elevation < this.params.seaLevel;
+    }
+
+    /**
+     * Advance animated materials such as the water
+     * @param {number} time - Time in seconds
      */
-    createHexMesh(hex, directions, edgeVertexMap, oppositeDirection, clockwiseDirection, biomeColors) {
-        const geometry = new THREE.BufferGeometry();
-
-        // Get face data
-        const { positions, indices, normals, uvs } = this.createHexGeometry(hex, directions, edgeVertexMap, oppositeDirection, clockwiseDirection);
-
-        // Set geometry attributes
-        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
-        geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
-        geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
-        geometry.setIndex(indices);
-
-        // Create material based on biome index
-        const colorIndex = hex.biomeIndex < biomeColors.length ? hex.biomeIndex : 0;
-        const material = new THREE.MeshStandardMaterial({
-            color: biomeColors[colorIndex],
-            flatShading: true,
-            side: THREE.FrontSide
+    update(time) {
+        this.waterShader.update(time);
+    }
+
+    /**
+     * Light the custom terrain and water shaders like the scene lights, e.g. for the time of day
+     * The flat-coloured terrain uses the scene lights directly.
+     * @param {Object} lighting - Lighting from DayNightCycle.getLighting()
+     * @param {THREE.Vector3} lighting.direction - Direction towards the light
+     * @param {THREE.Color} lighting.color - Light colour scaled by its strength, white at noon
+     * @param {THREE.Color} lighting.ambientColor - Ambient colour scaled by its strength, white at noon
+     */
+    setLighting({ direction, color, ambientColor }) {
+        const shaders = this.terrainShader ? [this.waterShader, this.terrainShader] : [this.waterShader];
+        for (const shader of shaders) {
+            const uniforms = shader.getMaterial().uniforms;
+            uniforms.lightDirection.value.copy(direction).normalize();
+            uniforms.lightColor.value.copy(color);
+            uniforms.ambientColor.value.copy(ambientColor);
+        }
+    }
+
+    /**
+     * Darken the terrain where the ground is wet from rain or snow
+     * The flat-coloured terrain has no wetness uniform, so its material colour is dimmed instead.
+     * @param {number} wetness - 0 (dry) to 1 (soaked)
+     */
+    setWetness(wetness) {
+        if (this.terrainShader) {
+            this.terrainShader.getMaterial().uniforms.wetness.value = wetness;
+        } else {
+            this.terrainMaterial.color.setScalar(1 - 0.35 * wetness);
+            this.terrainMaterial.roughness = 1 - 0.4 * wetness;
+        }
+    }
+
+    /**
+     * Get the perturbed terrain elevation at a hex centre
+     * @param {number} x - Hex centre x in world units
+     * @param {number} z - Hex centre z in world units
+     * @returns {number} Perturbed elevation
+     */
+    getElevationAt(x, z) {
+        const elevation = this.perturbUtils.getElevation(x, z);
+        return this.perturbUtils.perturbY(x, elevation, z);
+    }
+
+    /**
+     * Index of a sampled biome among the known biomes
+     * @param {string} name - Biome name from ChunkSampler.pickBiome()
+     * @returns {number} Biome index, 0 if no known biome has the name
+     */
+    getBiomeIndex(name) {
+        const index = (this.knownBiomes || DEFAULT_BIOMES).findIndex(biome => biome.name === name);
+        return Math.max(0, index);
+    }
+
+    /**
+     * Release the GPU resources owned by a chunk group
+     * The terrain and water materials are shared between chunks and are only released by dispose().
+     * Instanced meshes share their geometry too, so only their instance buffers are released.
+     * @param {THREE.Group} group - Group returned by renderChunk()
+     */
+    disposeChunk(group) {
+        group.traverse(object => {
+            if (object.isInstancedMesh) {
+                object.dispose();
+            } else if (object.isMesh) {
+                object.geometry.dispose();
+            }
         });
+        group.clear();
+    }
 
-        // Create mesh
-        const mesh = new THREE.Mesh(geometry, material);
-        mesh.userData = {
-            gridCoords: hex.gridCoords,
-            elevation: hex.elevation,
-            biomeIndex: hex.biomeIndex,
-            featureIndex: hex.featureIndex
-        };
+    /**
+     * Get the colour for a biome index, falling back to the first biome
+     * @param {number} biomeIndex - Biome index
+     * @returns {number} Colour as a hex number
+     */
+    getBiomeColor(biomeIndex) {
+        const colorIndex = biomeIndex >= 0 && biomeIndex < this.biomeColors.length ? biomeIndex : 0;
+        return this.biomeColors[colorIndex];
+    }
 
-        return mesh;
+    /**
+     * Whether chunks are drawn with the texture shader
+     * @returns {boolean} True in textured mode
+     */
+    get textured() {
+        return this.params.textured;
+    }
+
+    /**
+     * Get the atlas slot for a biome's texture, growing the atlas when the biome is new
+     * @param {number} biomeIndex - Biome index
+     * @returns {number} Texture index for the textureIndex vertex attribute
+     */
+    getTextureIndex(biomeIndex) {
+        const { index, added } = this.textureManager.getAtlasIndex(biomeIndex);
+        if (added) {
+            this.scheduleAtlasUpdate();
+        }
+        return index;
+    }
+
+    /**
+     * Rebuild the atlas once the current chunk has been built,
+     * so all the biomes a chunk adds share one rebuild
+     */
+    scheduleAtlasUpdate() {
+        if (this.atlasUpdate || this.texturesFailed) {
+            return;
+        }
+        this.atlasUpdate = Promise.resolve().then(() => {
+            this.atlasUpdate = null;
+            return this.updateAtlas();
+        });
+    }
+
+    /**
+     * Load the textures of every biome with an atlas slot and build the atlas
+     * If loading fails the shader keeps drawing the biome colours.
+     * @returns {Promise} Resolves when the atlas is in use or loading has failed
+     */
+    async updateAtlas() {
+        const biomeIndices = [...this.textureManager.atlasBiomes];
+        const version = ++this.atlasVersion;
+
+        try {
+            const textures = await this.textureManager.loadTextures(biomeIndices);
+
+            // A newer update or dispose() superseded this one while it was loading
+            if (version !== this.atlasVersion) {
+                return;
+            }
+
+            const previousAtlas = this.terrainMaterial.uniforms.textureAtlas.value;
+            this.terrainShader.updateParams({
+                textureAtlas: this.terrainShader.createTextureAtlas(textures),
+                textureCount: biomeIndices.length,
+                useTextures: true
+            });
+            if (previousAtlas) {
+                previousAtlas.dispose();
+            }
+            console.log('Terrain texture atlas built with', biomeIndices.length, 'textures');
+        } catch (error) {
+            console.error('Failed to load terrain textures, using biome colours:', error);
+            this.texturesFailed = true;
+            this.terrainShader.updateParams({ useTextures: false });
+        }
+    }
+
+    /**
+     * Release the shared materials, and the atlas and textures in textured mode
+     */
+    dispose() {
+        if (this.textured) {
+            // Stop any atlas still loading from being applied
+            this.atlasVersion++;
+            const atlas = this.terrainMaterial.uniforms.textureAtlas.value;
+            if (atlas) {
+                atlas.dispose();
+            }
+            this.textureManager.dispose();
+        }
+        if (this.riverBuilder) {
+            this.riverBuilder.dispose();
+        }
+        this.waterShader.dispose();
+        this.terrainMaterial.dispose();
     }
 
     /**
@@ -145,7 +548,9 @@ class HexGenerator {
      * @param {Object} edgeVertexMap - Mapping of directions to vertex indices
      * @param {Object} oppositeDirection - Mapping of directions to their opposites
      * @param {Object} clockwiseDirection - Mapping of directions to their clockwise neighbors
-     * @returns {Object} Object containing positions, indices, normals, and uvs
+     * @returns {Object} Object containing positions, indices, normals, and uvs; in blend mode also
+     *                   blendBiomes (the biomes of the up to three hexes each vertex's triangle touches)
+     *                   and blendWeights (one-hot, marking the hex the vertex belongs to), 3 per vertex
      */
     createHexGeometry(hex, directions, edgeVertexMap, oppositeDirection, clockwiseDirection) {
         const vertices = hex.vertices;
@@ -162,6 +567,20 @@ class HexGenerator {
         const normals = [];
         const uvs = [];
 
+        // Biome blending: every vertex records the biomes its triangle touches
+        // and which of them it belongs to, so weights interpolate across skirts
+        const blend = this.params.blend;
+        const blendBiomes = blend ? [] : null;
+        const blendWeights = blend ? [] : null;
+        const pushBlend = (biomes, owners) => {
+            if (!blend) return;
+            for (const owner of owners) {
+                blendBiomes.push(biomes[0], biomes[1], biomes[2]);
+                blendWeights.push(owner === 0 ? 1 : 0, owner === 1 ? 1 : 0, owner === 2 ? 1 : 0);
+            }
+        };
+        const biome = hex.biomeIndex;
+
         // Add center point first
         // Note: vertices[0][1] is a hack that will bite me later
         positions.push(centerX, vertices[0][1], centerZ);
@@ -188,16 +607,23 @@ class HexGenerator {
             }
         }
 
+        // Hex tops belong to this hex alone and stay crisp
+        pushBlend([biome, biome, biome], new Array(vertices.length + 1).fill(0));
+
         // Now create skirts for specific directions
         // We only process SE, S, and SW to avoid duplicate connections
         const skirtDirections = ['SE', 'S', 'SW'];
 
         for (const direction of skirtDirections) {
             // Get the neighbor hex
-            const neighborHex = this.hexUtils.getNeighbor(hex, direction);
-            
+            const neighborHex = this.getNeighbor(hex, direction);
+
+            // Without a neighbour (a stored chunk next to one not loaded yet) the edge stays open
+            if (!neighborHex) continue;
+
             // Get neighbor vertices
             const neighborVertices = neighborHex.vertices;
+            const neighborBiome = blend ? neighborHex.biomeIndex : 0;
 
             // Determine the opposite direction
             const neighborDirection = oppositeDirection[direction];
@@ -228,6 +654,7 @@ class HexGenerator {
             // First triangle vertices: v1, v2, nv1 (first two from current hex, third from neighbor)
             normals.push(0, 0, -1, 0, 0, -1, 0, 0, -1); // Face normal points outward
             uvs.push(0.5, 0.5, 0.5, 0.5, 0.5, 0.5); // Center of UV
+            pushBlend([biome, neighborBiome, neighborBiome], [0, 0, 1]);
 
             // Create the second triangle of the skirt (v1, nv1, nv2)
             const secondTriangleBaseIndex = positions.length / 3;
@@ -244,14 +671,17 @@ class HexGenerator {
             // Add normals and UVs for each vertex of the second triangle
             normals.push(0, 0, -1, 0, 0, -1, 0, 0, -1); // Face normal points outward
             uvs.push(0.5, 0.5, 0.5, 0.5, 0.5, 0.5); // Center of UV
+            pushBlend([biome, neighborBiome, neighborBiome], [0, 1, 1]);
 
             // Now create the corner triangle to fill the gap
             // We need to find the next neighbor in the clockwise direction
             const cwDirection = clockwiseDirection[direction];
-            const cwNeighborHex = this.hexUtils.getNeighbor(hex, cwDirection);
-            
+            const cwNeighborHex = this.getNeighbor(hex, cwDirection);
+            if (!cwNeighborHex) continue;
+
             // Get clockwise neighbor vertices
             const cwNeighborVertices = cwNeighborHex.vertices;
+            const cwNeighborBiome = blend ? cwNeighborHex.biomeIndex : 0;
 
             // Get the clockwise neighbor's opposite direction to our clockwise direction
             const cwNeighborDirection = oppositeDirection[cwDirection];
@@ -275,9 +705,10 @@ class HexGenerator {
             // Add normals and UVs for the corner triangle
             normals.push(0, 1, 0, 0, 1, 0, 0, 1, 0); // Face normal points up like the hex top
             uvs.push(0.5, 0.5, 0.5, 0.5, 0.5, 0.5); // Center of UV
+            pushBlend([biome, neighborBiome, cwNeighborBiome], [0, 1, 2]);
         }
 
-        return { positions, indices, normals, uvs };
+        return { positions, indices, normals, uvs, blendBiomes, blendWeights };
     }
 }
 
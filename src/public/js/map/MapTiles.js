@@ -0,0 +1,216 @@
+/**
+ * Map Tiles
+ * Draws each chunk top-down onto a small canvas of its own, for the minimap and
+ * the world map. Hexes are filled with their biome colour, darker low down and
+ * lighter high up; river hexes take the river colour and submerged hexes are
+ * tinted like the sea. The chunk border is kept as a path in world units, so it
+ * is stroked at the same width whatever the zoom.
+ *
+ * Tiles are redrawn when a chunk's hexes change (an edit rebuilds them) and are
+ * kept after the chunk unloads, so the map shows every chunk explored so far, up
+ * to maxTiles; the oldest unloaded tiles are dropped first.
+ */
+
+import HexUtils from '../utils/HexUtils.js';
+
+class MapTiles {
+    /**
+     * @param {HexGenerator} hexGenerator - Generator of the chunks: hex layout, biome colours and river feature
+     * @param {Object} options - Drawing options
+     * @param {number} options.pixelsPerUnit - Tile resolution in pixels per world unit
+     * @param {number} options.maxTiles - Tiles kept, loaded or not
+     * @param {number} options.riverColor - Colour of river hexes
+     * @param {number} options.seaColor - Colour submerged hexes are tinted with
+     * @param {number} options.seaTint - Share of the sea colour in a submerged hex
+     * @param {number} options.minShade - Brightness of the lowest hexes, 1 being the biome colour
+     * @param {number} options.maxShade - Brightness of the highest hexes
+     */
+    constructor(hexGenerator, options = {}) {
+        this.params = {
+            pixelsPerUnit: 4,
+            maxTiles: 256,
+            riverColor: 0x3A86C8,
+            seaColor: 0x0B3D6E,
+            seaTint: 0.6,
+            minShade: 0.55,
+            maxShade: 1.15,
+            ...options
+        };
+
+        this.hexGenerator = hexGenerator;
+        this.hexUtils = hexGenerator.hexUtils;
+
+        // Radius a hex is filled with, so neighbours touch across the gap between the terrain hexes
+        this.radius = Math.max(this.hexUtils.rowSpacing / Math.sqrt(3), this.hexUtils.colSpacing / 1.5);
+
+        // Tiles keyed by "cx,cz": { cx, cz, hexes, canvas, x, z, width, height, border }
+        this.tiles = new Map();
+    }
+
+    /**
+     * Draw the loaded chunks that have no tile yet or changed since their tile was drawn
+     * @param {Map} chunks - Loaded chunk entries keyed by "cx,cz" (ChunkManager.chunks)
+     * @returns {number} Number of tiles drawn
+     */
+    update(chunks) {
+        let drawn = 0;
+        for (const [key, chunk] of chunks) {
+            const tile = this.tiles.get(key);
+            if (!chunk.hexes || (tile && tile.hexes === chunk.hexes)) continue;
+
+            // Re-insert so the map order runs from the least to the most recently drawn tile
+            this.tiles.delete(key);
+            this.tiles.set(key, this.drawTile(chunk.cx, chunk.cz, chunk.hexes));
+            drawn++;
+        }
+
+        for (const key of this.tiles.keys()) {
+            if (this.tiles.size <= this.params.maxTiles) break;
+            if (!chunks.has(key)) {
+                this.tiles.delete(key);
+            }
+        }
+        return drawn;
+    }
+
+    /**
+     * Draw the tile of one chunk
+     * @param {number} cx - Chunk x coordinate
+     * @param {number} cz - Chunk z coordinate
+     * @param {Array} hexes - Hex data objects of the chunk
+     * @returns {Object} Tile
+     */
+    drawTile(cx, cz, hexes) {
+        const { pixelsPerUnit } = this.params;
+        const radius = this.radius;
+
+        // World bounds of the hexes
+        let minX = Infinity, minZ = Infinity, maxX = -Infinity, maxZ = -Infinity;
+        for (const { center } of hexes) {
+            minX = Math.min(minX, center[0] - radius);
+            maxX = Math.max(maxX, center[0] + radius);
+            minZ = Math.min(minZ, center[2] - radius);
+            maxZ = Math.max(maxZ, center[2] + radius);
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.ceil((maxX - minX) * pixelsPerUnit);
+        canvas.height = Math.ceil((maxZ - minZ) * pixelsPerUnit);
+        const context = canvas.getContext('2d');
+        context.setTransform(pixelsPerUnit, 0, 0, pixelsPerUnit, -minX * pixelsPerUnit, -minZ * pixelsPerUnit);
+
+        for (const hex of hexes) {
+            context.fillStyle = this.getHexColor(hex);
+            context.beginPath();
+            for (let i = 0; i < 6; i++) {
+                const angle = i * Math.PI / 3;
+                context.lineTo(hex.center[0] + radius * Math.cos(angle), hex.center[2] + radius * Math.sin(angle));
+            }
+            context.fill();
+        }
+
+        return {
+            cx,
+            cz,
+            hexes,
+            canvas,
+            x: minX,
+            z: minZ,
+            width: canvas.width / pixelsPerUnit,
+            height: canvas.height / pixelsPerUnit,
+            border: this.traceBorder(cx, cz, hexes)
+        };
+    }
+
+    /**
+     * Map colour of a hex: its biome colour shaded by height, or the river or sea colour
+     * @param {Object} hex - Hex data object
+     * @returns {string} CSS colour
+     */
+    getHexColor(hex) {
+        const { riverColor, seaColor, seaTint, minShade, maxShade } = this.params;
+        if (hex.featureIndex === this.hexGenerator.params.riverFeatureIndex) {
+            return MapTiles.toCss(riverColor, 1);
+        }
+
+        // Stored hexes step up by heightOffset, generated ones follow the noise; both end up in elevation
+        const { min, max } = this.hexGenerator.elevationRange;
+        const height = Math.max(0, Math.min(1, (hex.elevation - min) / (max - min)));
+        const biomeColors = this.hexGenerator.biomeColors;
+        const color = biomeColors[hex.biomeIndex] !== undefined ? biomeColors[hex.biomeIndex] : biomeColors[0];
+        const shade = minShade + (maxShade - minShade) * height;
+
+        if (hex.submerged) {
+            return MapTiles.toCss(color, shade, seaColor, seaTint);
+        }
+        return MapTiles.toCss(color, shade);
+    }
+
+    /**
+     * Trace the edges the hexes of a chunk share with hexes of other chunks
+     * @param {number} cx - Chunk x coordinate
+     * @param {number} cz - Chunk z coordinate
+     * @param {Array} hexes - Hex data objects of the chunk
+     * @returns {Path2D} Border path in world units
+     */
+    traceBorder(cx, cz, hexes) {
+        const border = new Path2D();
+        const radius = this.radius;
+
+        for (const hex of hexes) {
+            const [x, , z] = hex.center;
+            for (const neighbor of HexUtils.neighbors(hex.gridCoords)) {
+                const { chunk } = this.hexUtils.globalToChunk(neighbor);
+                if (chunk[0] === cx && chunk[1] === cz) continue;
+
+                // Edge i runs from corner i to corner i + 1 and faces the neighbour at 30 + 60 * i degrees
+                const [nx, nz] = this.hexUtils.hexToWorld(neighbor);
+                const facing = Math.atan2(nz - z, nx - x) * 180 / Math.PI;
+                const edge = ((Math.round((facing - 30) / 60) % 6) + 6) % 6;
+                const from = edge * Math.PI / 3;
+                const to = from + Math.PI / 3;
+                border.moveTo(x + radius * Math.cos(from), z + radius * Math.sin(from));
+                border.lineTo(x + radius * Math.cos(to), z + radius * Math.sin(to));
+            }
+        }
+        return border;
+    }
+
+    /**
+     * Tiles overlapping a world rectangle
+     * @param {number} minX - Left edge
+     * @param {number} minZ - Top edge
+     * @param {number} maxX - Right edge
+     * @param {number} maxZ - Bottom edge
+     * @returns {Array} Tiles in the rectangle
+     */
+    getTilesIn(minX, minZ, maxX, maxZ) {
+        return [...this.tiles.values()].filter(tile =>
+            tile.x < maxX && tile.x + tile.width > minX && tile.z < maxZ && tile.z + tile.height > minZ);
+    }
+
+    /**
+     * Forget every tile, e.g. when the world is rebuilt
+     */
+    clear() {
+        this.tiles.clear();
+    }
+
+    /**
+     * CSS colour of a packed RGB colour scaled by a shade, optionally mixed with a second colour
+     * @param {number} color - 0xRRGGBB colour
+     * @param {number} shade - Brightness factor
+     * @param {number} mixColor - 0xRRGGBB colour to mix in, optional
+     * @param {number} mix - Share of mixColor, 0 to 1
+     * @returns {string} CSS rgb() colour
+     */
+    static toCss(color, shade, mixColor = 0, mix = 0) {
+        const channel = shift => {
+            const value = ((color >> shift) & 255) * shade * (1 - mix) + ((mixColor >> shift) & 255) * mix;
+            return Math.max(0, Math.min(255, Math.round(value)));
+        };
+        return `rgb(${channel(16)}, ${channel(8)}, ${channel(0)})`;
+    }
+}
+
+export default MapTiles;
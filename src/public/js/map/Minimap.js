@@ -0,0 +1,395 @@
+/**
+ * Minimap
+ * A top-down map of the chunks around the player in a corner of the screen, and a
+ * full-screen world map of every chunk explored so far (M or the Map button opens
+ * and closes it, Escape closes it). Both show the chunk borders, rivers and sea,
+ * the player or camera as an arrow pointing where it faces, and the other players
+ * as dots. North (-z) is up.
+ *
+ * The mouse wheel and the + and - buttons zoom; the world map is dragged to look
+ * around. Clicking either map dispatches a 'travel' event with the world position
+ * clicked, which the game answers by moving the player or the camera there:
+ *
+ *   minimap.addEventListener('travel', ({ x, z, hex }) => { ... });
+ *
+ * hex is the global [col, row] of the hex clicked.
+ */
+
+import * as THREE from 'three';
+import MapTiles from './MapTiles.js';
+
+class Minimap extends THREE.EventDispatcher {
+    /**
+     * @param {ChunkManager} chunkManager - Chunk manager whose loaded chunks are mapped
+     * @param {Object} options - Map options
+     * @param {number} options.size - Width and height of the minimap in pixels
+     * @param {number} options.zoom - Minimap scale at start, in pixels per world unit
+     * @param {number} options.mapZoom - World map scale when opened, in pixels per world unit
+     * @param {number} options.minZoom - Smallest scale of either map
+     * @param {number} options.maxZoom - Largest scale of either map
+     * @param {number} options.zoomStep - Scale factor of one zoom step
+     * @param {number} options.playerColor - Colour of the player arrow
+     * @param {number} options.otherColor - Colour of the other players' dots
+     * @param {number} options.clickTolerance - Pointer travel in pixels after which a press is a drag, not a click
+     */
+    constructor(chunkManager, options = {}) {
+        super();
+
+        this.params = {
+            size: 200,
+            zoom: 3,
+            mapZoom: 1.5,
+            minZoom: 0.25,
+            maxZoom: 16,
+            zoomStep: 1.25,
+            playerColor: 0xE53935,
+            otherColor: 0x1E88E5,
+            clickTolerance: 5,
+            ...options
+        };
+
+        this.chunkManager = chunkManager;
+        this.tiles = new MapTiles(chunkManager.hexGenerator);
+        this.zoom = this.params.zoom;
+        this.mapZoom = this.params.mapZoom;
+        this.playerStyle = `#${new THREE.Color(this.params.playerColor).getHexString()}`;
+        this.otherStyle = `#${new THREE.Color(this.params.otherColor).getHexString()}`;
+
+        // Where the player (or camera) is and faces, and where the other players are
+        this.focus = new THREE.Vector3();
+        this.heading = 0;
+        this.others = [];
+
+        // World map: open or not, its centre, and the press of a drag in progress
+        this.mapOpen = false;
+        this.mapCenter = new THREE.Vector3();
+        this.press = null;
+
+        this.panel = this.createPanel();
+        this.overlay = this.createOverlay();
+        document.body.append(this.panel, this.overlay);
+
+        this.onKeyDown = this.onKeyDown.bind(this);
+        window.addEventListener('keydown', this.onKeyDown);
+    }
+
+    /**
+     * Build the minimap panel: the map canvas and the zoom and world map buttons
+     * @returns {HTMLElement} Panel element
+     */
+    createPanel() {
+        const panel = document.createElement('div');
+        panel.style.position = 'absolute';
+        panel.style.bottom = '10px';
+        panel.style.right = '10px';
+        panel.style.zIndex = '100';
+        panel.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+        panel.style.padding = '6px';
+        panel.style.borderRadius = '4px';
+        panel.style.fontFamily = 'monospace';
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = this.params.size;
+        this.canvas.height = this.params.size;
+        this.canvas.style.display = 'block';
+        this.canvas.style.cursor = 'crosshair';
+        this.canvas.addEventListener('click', event => {
+            const rect = this.canvas.getBoundingClientRect();
+            this.travel(this.toWorld(event.clientX - rect.left, event.clientY - rect.top, this.canvas, this.focus, this.zoom));
+        });
+        this.canvas.addEventListener('wheel', event => {
+            event.preventDefault();
+            this.zoom = this.zoomBy(this.zoom, event.deltaY < 0 ? 1 : -1);
+        }, { passive: false });
+
+        const buttons = document.createElement('div');
+        buttons.style.marginTop = '6px';
+        buttons.style.display = 'flex';
+        buttons.style.gap = '6px';
+        buttons.append(
+            this.createButton('-', () => { this.zoom = this.zoomBy(this.zoom, -1); }),
+            this.createButton('+', () => { this.zoom = this.zoomBy(this.zoom, 1); }),
+            this.createButton('Map (M)', () => this.setMapOpen(!this.mapOpen))
+        );
+
+        panel.append(this.canvas, buttons);
+        return panel;
+    }
+
+    /**
+     * Build the full-screen world map, hidden until opened
+     * @returns {HTMLElement} Overlay element
+     */
+    createOverlay() {
+        const overlay = document.createElement('div');
+        overlay.style.position = 'fixed';
+        overlay.style.top = '0';
+        overlay.style.left = '0';
+        overlay.style.width = '100%';
+        overlay.style.height = '100%';
+        overlay.style.zIndex = '200';
+        overlay.style.backgroundColor = 'rgba(0, 0, 0, 0.85)';
+        overlay.style.display = 'none';
+
+        const hint = document.createElement('div');
+        hint.style.position = 'absolute';
+        hint.style.top = '10px';
+        hint.style.left = '50%';
+        hint.style.transform = 'translateX(-50%)';
+        hint.style.color = 'white';
+        hint.style.fontFamily = 'monospace';
+        hint.style.fontSize = '14px';
+        hint.style.pointerEvents = 'none';
+        hint.textContent = 'Click to travel, drag to look around, wheel to zoom, M or Escape to close';
+
+        this.mapCanvas = document.createElement('canvas');
+        this.mapCanvas.style.display = 'block';
+        this.mapCanvas.style.cursor = 'crosshair';
+        this.mapCanvas.addEventListener('pointerdown', event => this.onMapPointerDown(event));
+        this.mapCanvas.addEventListener('pointermove', event => this.onMapPointerMove(event));
+        this.mapCanvas.addEventListener('pointerup', event => this.onMapPointerUp(event));
+        this.mapCanvas.addEventListener('wheel', event => {
+            event.preventDefault();
+            this.mapZoom = this.zoomBy(this.mapZoom, event.deltaY < 0 ? 1 : -1);
+        }, { passive: false });
+
+        overlay.append(this.mapCanvas, hint);
+        return overlay;
+    }
+
+    /**
+     * Create a panel button
+     * @param {string} label - Button text
+     * @param {Function} onClick - Click handler
+     * @returns {HTMLButtonElement} Button element
+     */
+    createButton(label, onClick) {
+        const button = document.createElement('button');
+        button.textContent = label;
+        button.style.fontFamily = 'monospace';
+        button.style.cursor = 'pointer';
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    /**
+     * Switch to another chunk manager, e.g. after the grid is rebuilt
+     * The world may look different now, so the explored tiles are dropped.
+     * @param {ChunkManager} chunkManager - New chunk manager
+     */
+    setChunkManager(chunkManager) {
+        this.chunkManager = chunkManager;
+        this.tiles = new MapTiles(chunkManager.hexGenerator);
+    }
+
+    /**
+     * Open or close the world map, centred on the player when opened
+     * @param {boolean} open - True to open
+     */
+    setMapOpen(open) {
+        this.mapOpen = open;
+        this.press = null;
+        this.overlay.style.display = open ? 'block' : 'none';
+        if (open) {
+            this.mapCenter.copy(this.focus);
+            this.mapZoom = this.params.mapZoom;
+            this.draw();
+        }
+    }
+
+    /**
+     * Scale a zoom up or down by steps, within the zoom limits
+     * @param {number} zoom - Current scale
+     * @param {number} steps - Steps to zoom in, negative to zoom out
+     * @returns {number} New scale
+     */
+    zoomBy(zoom, steps) {
+        const { minZoom, maxZoom, zoomStep } = this.params;
+        return THREE.MathUtils.clamp(zoom * Math.pow(zoomStep, steps), minZoom, maxZoom);
+    }
+
+    /**
+     * World position under a point of a map canvas
+     * @param {number} px - Pixels from the left of the canvas
+     * @param {number} py - Pixels from the top of the canvas
+     * @param {HTMLCanvasElement} canvas - Map canvas
+     * @param {THREE.Vector3} center - World position at the centre of the canvas
+     * @param {number} zoom - Scale in pixels per world unit
+     * @returns {Object} { x, z } world position
+     */
+    toWorld(px, py, canvas, center, zoom) {
+        return {
+            x: center.x + (px - canvas.width / 2) / zoom,
+            z: center.z + (py - canvas.height / 2) / zoom
+        };
+    }
+
+    /**
+     * Ask the game to move the player or camera to a world position
+     * @param {Object} position - { x, z } world position
+     */
+    travel({ x, z }) {
+        const hex = this.chunkManager.hexGenerator.hexUtils.worldToHex(x, z);
+        this.dispatchEvent({ type: 'travel', x, z, hex });
+    }
+
+    /**
+     * Start a drag, or a click, on the world map
+     * @param {PointerEvent} event - Pointer event
+     */
+    onMapPointerDown(event) {
+        if (event.button !== 0) return;
+        this.press = { x: event.clientX, y: event.clientY, center: this.mapCenter.clone(), dragged: false };
+        this.mapCanvas.setPointerCapture(event.pointerId);
+    }
+
+    /**
+     * Drag the world map
+     * @param {PointerEvent} event - Pointer event
+     */
+    onMapPointerMove(event) {
+        if (!this.press) return;
+
+        const dx = event.clientX - this.press.x;
+        const dy = event.clientY - this.press.y;
+        if (Math.hypot(dx, dy) > this.params.clickTolerance) {
+            this.press.dragged = true;
+        }
+        if (this.press.dragged) {
+            this.mapCenter.set(this.press.center.x - dx / this.mapZoom, 0, this.press.center.z - dy / this.mapZoom);
+        }
+    }
+
+    /**
+     * End a drag, or travel to the point clicked and close the world map
+     * @param {PointerEvent} event - Pointer event
+     */
+    onMapPointerUp(event) {
+        if (!this.press) return;
+
+        const { dragged } = this.press;
+        this.press = null;
+        if (!dragged) {
+            this.travel(this.toWorld(event.clientX, event.clientY, this.mapCanvas, this.mapCenter, this.mapZoom));
+            this.setMapOpen(false);
+        }
+    }
+
+    /**
+     * Toggle the world map with M and close it with Escape, ignoring typing in form fields
+     * @param {KeyboardEvent} event - Keyboard event
+     */
+    onKeyDown(event) {
+        const tag = event.target && event.target.tagName;
+        if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT') return;
+
+        if (event.code === 'KeyM' && !event.ctrlKey && !event.metaKey && !event.altKey) {
+            this.setMapOpen(!this.mapOpen);
+        } else if (event.key === 'Escape' && this.mapOpen) {
+            this.setMapOpen(false);
+        }
+    }
+
+    /**
+     * Map the chunks loaded since the last update and redraw the open maps
+     * @param {THREE.Vector3} focus - Position of the player, or the camera target
+     * @param {number} heading - Direction faced, in radians from +z towards +x
+     * @param {Array} others - Positions of the other players shown, as THREE.Vector3
+     */
+    update(focus, heading, others = []) {
+        this.focus.copy(focus);
+        this.heading = heading;
+        this.others = others;
+
+        this.tiles.update(this.chunkManager.chunks);
+        this.draw();
+    }
+
+    /**
+     * Draw the minimap, and the world map when it is open
+     */
+    draw() {
+        this.drawMap(this.canvas, this.focus, this.zoom);
+
+        if (this.mapOpen) {
+            if (this.mapCanvas.width !== window.innerWidth || this.mapCanvas.height !== window.innerHeight) {
+                this.mapCanvas.width = window.innerWidth;
+                this.mapCanvas.height = window.innerHeight;
+            }
+            this.drawMap(this.mapCanvas, this.mapCenter, this.mapZoom);
+        }
+    }
+
+    /**
+     * Draw the mapped chunks, borders and players onto a canvas
+     * @param {HTMLCanvasElement} canvas - Canvas to draw on
+     * @param {THREE.Vector3} center - World position at the centre of the canvas
+     * @param {number} zoom - Scale in pixels per world unit
+     */
+    drawMap(canvas, center, zoom) {
+        const context = canvas.getContext('2d');
+        const { width, height } = canvas;
+
+        context.setTransform(1, 0, 0, 1, 0, 0);
+        context.clearRect(0, 0, width, height);
+
+        // World units from here on
+        context.setTransform(zoom, 0, 0, zoom, width / 2 - center.x * zoom, height / 2 - center.z * zoom);
+        context.imageSmoothingEnabled = zoom < this.tiles.params.pixelsPerUnit;
+        const halfWidth = width / 2 / zoom;
+        const halfHeight = height / 2 / zoom;
+        const tiles = this.tiles.getTilesIn(center.x - halfWidth, center.z - halfHeight, center.x + halfWidth, center.z + halfHeight);
+        for (const tile of tiles) {
+            context.drawImage(tile.canvas, tile.x, tile.z, tile.width, tile.height);
+        }
+
+        context.strokeStyle = 'rgba(255, 255, 255, 0.35)';
+        context.lineWidth = 1 / zoom;
+        for (const tile of tiles) {
+            context.stroke(tile.border);
+        }
+
+        // Back to pixels for markers of the same size at any zoom
+        context.setTransform(1, 0, 0, 1, 0, 0);
+        const toPixels = position => [
+            width / 2 + (position.x - center.x) * zoom,
+            height / 2 + (position.z - center.z) * zoom
+        ];
+
+        context.fillStyle = this.otherStyle;
+        for (const position of this.others) {
+            const [x, y] = toPixels(position);
+            context.beginPath();
+            context.arc(x, y, 4, 0, Math.PI * 2);
+            context.fill();
+        }
+
+        // Arrow pointing along the heading; heading 0 faces +z, which is down on the map
+        const [x, y] = toPixels(this.focus);
+        const forward = [Math.sin(this.heading), Math.cos(this.heading)];
+        const side = [forward[1], -forward[0]];
+        context.fillStyle = this.playerStyle;
+        context.strokeStyle = 'white';
+        context.lineWidth = 1.5;
+        context.beginPath();
+        context.moveTo(x + forward[0] * 8, y + forward[1] * 8);
+        context.lineTo(x - forward[0] * 5 + side[0] * 5, y - forward[1] * 5 + side[1] * 5);
+        context.lineTo(x - forward[0] * 2, y - forward[1] * 2);
+        context.lineTo(x - forward[0] * 5 - side[0] * 5, y - forward[1] * 5 - side[1] * 5);
+        context.closePath();
+        context.fill();
+        context.stroke();
+    }
+
+    /**
+     * Remove the maps and their listeners
+     */
+    dispose() {
+        window.removeEventListener('keydown', this.onKeyDown);
+        this.panel.remove();
+        this.overlay.remove();
+        this.tiles.clear();
+    }
+}
+
+export default Minimap;
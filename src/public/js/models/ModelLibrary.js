@@ -0,0 +1,315 @@
+/**
+ * Model Library
+ * Builds low-poly models for biome elements (trees, rocks, grass, ...) from a
+ * small parameter set and caches them, so every chunk shares the same geometry.
+ *
+ * A model is requested with a biome model definition:
+ *   { type: 'tree', params: { kind: 'conifer', height: 1.4 } }
+ * The type selects a builder and default parameters; params override them.
+ * Types the library does not know (for example from AI-generated biomes) are
+ * matched by keyword and otherwise fall back to a rock seeded by the type name.
+ */
+
+import * as THREE from 'three';
+import SeededRandom from '../utils/SeededRandom.js';
+
+// Known types: the builder to use and its default parameters
+const MODEL_TYPES = {
+    grass: { builder: 'grass', params: {} },
+    reeds: { builder: 'grass', params: { height: 0.5, blades: 7, color: 0x8D9F4A } },
+    tree: { builder: 'tree', params: { kind: 'broadleaf' } },
+    broadleaf: { builder: 'tree', params: { kind: 'broadleaf' } },
+    oak: { builder: 'tree', params: { kind: 'broadleaf', height: 1.1, canopyRadius: 0.45 } },
+    conifer: { builder: 'tree', params: { kind: 'conifer' } },
+    pine: { builder: 'tree', params: { kind: 'conifer', height: 1.5 } },
+    bush: { builder: 'tree', params: { kind: 'broadleaf', height: 0.35, trunkHeight: 0.05, canopyRadius: 0.25 } },
+    rock: { builder: 'rock', params: {} },
+    stone: { builder: 'rock', params: { radius: 0.1 } },
+    boulder: { builder: 'rock', params: { radius: 0.3, jaggedness: 0.2, detail: 1 } }
+};
+
+// Keywords used to place unknown types in a family
+const TYPE_KEYWORDS = [
+    { pattern: /pine|spruce|fir|conifer|cedar/, type: 'conifer' },
+    { pattern: /tree|oak|birch|palm|willow|maple/, type: 'tree' },
+    { pattern: /bush|shrub|hedge|fern/, type: 'bush' },
+    { pattern: /grass|reed|flower|weed|plant/, type: 'grass' },
+    { pattern: /boulder/, type: 'boulder' },
+    { pattern: /rock|stone|crystal|pebble|ore/, type: 'rock' }
+];
+
+class ModelLibrary {
+    constructor() {
+        // Default parameters per builder
+        this.defaults = {
+            tree: {
+                kind: 'broadleaf',      // 'broadleaf' (round canopy) or 'conifer' (stacked cones)
+                height: 1.2,            // Total height
+                trunkHeight: 0.35,      // Height of the visible trunk
+                trunkRadius: 0.06,
+                canopyRadius: 0.35,
+                tiers: 3,               // Cone tiers for conifers
+                segments: 6,
+                trunkColor: 0x6D4C41,
+                canopyColor: 0x2E7D32,
+                seed: 0
+            },
+            rock: {
+                radius: 0.15,
+                jaggedness: 0.3,        // 0 is a smooth icosahedron, 1 is very irregular
+                flatten: 0.7,           // Vertical squash
+                detail: 0,              // Icosahedron subdivision level
+                color: 0x9E9E9E,
+                seed: 0
+            },
+            grass: {
+                blades: 5,
+                height: 0.3,
+                width: 0.04,
+                spread: 0.08,
+                color: 0x7CB342,
+                seed: 0
+            }
+        };
+
+        // Built models keyed by a stable description of type and parameters
+        this.cache = new Map();
+
+        // All models are vertex coloured, so one material serves every model
+        this.material = new THREE.MeshStandardMaterial({
+            vertexColors: true,
+            flatShading: true,
+            side: THREE.DoubleSide
+        });
+    }
+
+    /**
+     * Get the model for a biome model definition, building it on first use
+     * @param {Object|string} definition - Model definition ({ type, params }) or just a type
+     * @returns {Object} { key, geometry, material }
+     */
+    get(definition) {
+        const { builder, params, fallback } = this.resolve(definition);
+        const key = this.getKey(builder, params);
+
+        let model = this.cache.get(key);
+        if (!model) {
+            if (fallback) {
+                console.warn(`Unknown model type "${fallback.type}", using a ${fallback.family} model`);
+            }
+            const geometry = this.build(builder, params);
+            geometry.computeBoundingSphere();
+            model = { key, geometry, material: this.material };
+            this.cache.set(key, model);
+        }
+        return model;
+    }
+
+    /**
+     * Resolve a definition to a builder and its full parameter set
+     * @param {Object|string} definition - Model definition or type
+     * @returns {Object} { builder, params, fallback } - fallback describes the match for unknown types
+     */
+    resolve(definition) {
+        const type = String((typeof definition === 'string' ? definition : definition.type) || 'rock').toLowerCase();
+        const overrides = (typeof definition === 'object' && definition.params) || {};
+
+        let known = MODEL_TYPES[type];
+        let fallback = null;
+        if (!known) {
+            const match = TYPE_KEYWORDS.find(({ pattern }) => pattern.test(type));
+            const family = match ? match.type : 'rock';
+            known = MODEL_TYPES[family];
+            fallback = { type, family };
+        }
+
+        const params = {
+            ...this.defaults[known.builder],
+            ...known.params,
+            // Vary unknown types by name so different AI biomes get different shapes
+            ...(fallback ? { seed: SeededRandom.hash(type) } : {}),
+            ...overrides
+        };
+        return { builder: known.builder, params, fallback };
+    }
+
+    /**
+     * Build a stable cache key from the builder and its parameters
+     * @param {string} builder - Builder name
+     * @param {Object} params - Full parameter set
+     * @returns {string} Cache key
+     */
+    getKey(builder, params) {
+        const parts = Object.keys(params).sort().map(name => `${name}=${params[name]}`);
+        return `${builder}:${parts.join(',')}`;
+    }
+
+    /**
+     * Run a builder
+     * @param {string} builder - 'tree', 'rock' or 'grass'
+     * @param {Object} params - Full parameter set
+     * @returns {THREE.BufferGeometry} Geometry resting on y = 0 with a color attribute
+     */
+    build(builder, params) {
+        switch (builder) {
+            case 'tree':
+                return this.buildTree(params);
+            case 'grass':
+                return this.buildGrass(params);
+            default:
+                return this.buildRock(params);
+        }
+    }
+
+    /**
+     * Build a broadleaf or conifer tree
+     * @param {Object} params - Tree parameters
+     * @returns {THREE.BufferGeometry} Tree geometry
+     */
+    buildTree(params) {
+        const random = new SeededRandom(params.seed);
+        const parts = [];
+
+        const trunk = new THREE.CylinderGeometry(params.trunkRadius * 0.7, params.trunkRadius, params.trunkHeight, params.segments);
+        trunk.translate(0, params.trunkHeight / 2, 0);
+        parts.push({ geometry: trunk, color: params.trunkColor });
+
+        const canopyHeight = params.height - params.trunkHeight;
+        if (params.kind === 'conifer') {
+            // Stacked cones that shrink towards the top and overlap a little
+            const tierHeight = canopyHeight / params.tiers * 1.4;
+            for (let i = 0; i < params.tiers; i++) {
+                const t = i / params.tiers;
+                const radius = params.canopyRadius * (1 - t * 0.6);
+                const cone = new THREE.ConeGeometry(radius, tierHeight, params.segments);
+                cone.rotateY(random.next() * Math.PI);
+                cone.translate(0, params.trunkHeight + t * canopyHeight + tierHeight / 2 - tierHeight * 0.15 * i, 0);
+                parts.push({ geometry: cone, color: params.canopyColor });
+            }
+        } else {
+            const canopy = new THREE.IcosahedronGeometry(params.canopyRadius, 0);
+            canopy.scale(1, canopyHeight / (params.canopyRadius * 2), 1);
+            canopy.rotateY(random.next() * Math.PI);
+            canopy.translate(0, params.trunkHeight + canopyHeight / 2, 0);
+            parts.push({ geometry: canopy, color: params.canopyColor });
+        }
+
+        return this.mergeParts(parts);
+    }
+
+    /**
+     * Build an irregular rock by displacing an icosahedron
+     * @param {Object} params - Rock parameters
+     * @returns {THREE.BufferGeometry} Rock geometry
+     */
+    buildRock(params) {
+        const geometry = new THREE.IcosahedronGeometry(params.radius, params.detail);
+        const position = geometry.attributes.position;
+        const vertex = new THREE.Vector3();
+
+        // Displace along the radius; faces are not indexed, so seed by position so
+        // every copy of a shared corner moves the same way
+        for (let i = 0; i < position.count; i++) {
+            vertex.fromBufferAttribute(position, i);
+            const random = new SeededRandom(SeededRandom.hash(
+                params.seed,
+                Math.round(vertex.x * 1000),
+                Math.round(vertex.y * 1000),
+                Math.round(vertex.z * 1000)
+            ));
+            vertex.multiplyScalar(1 + (random.next() * 2 - 1) * params.jaggedness);
+            vertex.y *= params.flatten;
+            position.setXYZ(i, vertex.x, vertex.y, vertex.z);
+        }
+
+        // Sink the rock slightly so it sits in the ground rather than on it
+        geometry.translate(0, params.radius * params.flatten * 0.7, 0);
+        return this.mergeParts([{ geometry, color: params.color }]);
+    }
+
+    /**
+     * Build a tuft of grass blades
+     * @param {Object} params - Grass parameters
+     * @returns {THREE.BufferGeometry} Grass geometry
+     */
+    buildGrass(params) {
+        const random = new SeededRandom(params.seed);
+        const positions = [];
+
+        for (let i = 0; i < params.blades; i++) {
+            const angle = random.next() * Math.PI * 2;
+            const x = Math.cos(angle) * random.next() * params.spread;
+            const z = Math.sin(angle) * random.next() * params.spread;
+            const height = params.height * random.range(0.6, 1.0);
+            const lean = random.range(-0.3, 0.3) * height;
+            const facing = random.next() * Math.PI;
+            const dx = Math.cos(facing) * params.width / 2;
+            const dz = Math.sin(facing) * params.width / 2;
+
+            positions.push(
+                x - dx, 0, z - dz,
+                x + dx, 0, z + dz,
+                x + lean, height, z + lean * 0.5
+            );
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        return this.mergeParts([{ geometry, color: params.color }]);
+    }
+
+    /**
+     * Merge coloured parts into one non-indexed geometry with a color attribute
+     * @param {Array} parts - Array of { geometry, color }
+     * @returns {THREE.BufferGeometry} Merged geometry
+     */
+    mergeParts(parts) {
+        const flattened = parts.map(({ geometry, color }) => ({
+            geometry: geometry.index ? geometry.toNonIndexed() : geometry,
+            color: new THREE.Color(color)
+        }));
+        const vertexCount = flattened.reduce((sum, part) => sum + part.geometry.attributes.position.count, 0);
+
+        const positions = new Float32Array(vertexCount * 3);
+        const colors = new Float32Array(vertexCount * 3);
+        let offset = 0;
+        for (const { geometry, color } of flattened) {
+            const source = geometry.attributes.position;
+            positions.set(source.array.subarray(0, source.count * 3), offset * 3);
+            for (let i = 0; i < source.count; i++) {
+                colors[(offset + i) * 3] = color.r;
+                colors[(offset + i) * 3 + 1] = color.g;
+                colors[(offset + i) * 3 + 2] = color.b;
+            }
+            offset += source.count;
+        }
+
+        parts.forEach(({ geometry }) => geometry.dispose());
+        flattened.forEach(({ geometry }) => geometry.dispose());
+
+        const merged = new THREE.BufferGeometry();
+        merged.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        merged.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        merged.computeVertexNormals();
+        return merged;
+    }
+
+    /**
+     * Number of models built so far
+     * @returns {number} Cached model count
+     */
+    get size() {
+        return this.cache.size;
+    }
+
+    /**
+     * Release every cached geometry and the shared material
+     */
+    dispose() {
+        this.cache.forEach(({ geometry }) => geometry.dispose());
+        this.cache.clear();
+        this.material.dispose();
+    }
+}
+
+export default ModelLibrary;
@@ -0,0 +1,257 @@
+/**
+ * Multiplayer Client
+ * Connects to the server's WebSocket endpoint, joins as a player and keeps the
+ * server told where the player is and which chunks are loaded. What the server
+ * sends back is dispatched as events named after the message types of
+ * network/Protocol.js: 'joined', 'left', 'transform', 'hide' and 'chunk', plus
+ * 'close' when the connection ends.
+ *
+ * Transforms are sent at most transformRate times a second and only when they
+ * changed. Chunk updates older than the revision already received are dropped.
+ *
+ * The client uses no DOM, and takes the WebSocket class as an option, so it also
+ * runs headless in Node with the ws package (see src/bots.js).
+ */
+
+import * as THREE from 'three';
+import Protocol from './Protocol.js';
+
+class MultiplayerClient extends THREE.EventDispatcher {
+    /**
+     * @param {string} url - WebSocket URL of the server, e.g. ws://localhost:3000/ws
+     * @param {Object} options - Client options
+     * @param {string} options.name - Player name shown to the others; the server picks one if empty
+     * @param {Function} options.WebSocket - WebSocket class, the browser's by default
+     * @param {number} options.transformRate - Most transforms sent per second
+     */
+    constructor(url, options = {}) {
+        super();
+
+        this.params = {
+            name: '',
+            WebSocket: globalThis.WebSocket,
+            transformRate: 10,
+            ...options
+        };
+
+        this.url = url;
+        this.socket = null;
+
+        // Own player id once welcomed, and the other players keyed by id
+        this.id = null;
+        this.players = new Map();
+
+        // Edits waiting for the server's answer keyed by id, and the last revision of each chunk
+        this.pending = new Map();
+        this.nextEdit = 1;
+        this.revisions = new Map();
+
+        // Last transform and chunk list sent, to skip repeats
+        this.lastTransform = null;
+        this.lastTransformTime = -Infinity;
+        this.lastLoaded = null;
+    }
+
+    /**
+     * Whether the client has joined and the connection is open
+     * @returns {boolean} True while connected
+     */
+    get connected() {
+        return this.id !== null && this.socket !== null && this.socket.readyState === this.params.WebSocket.OPEN;
+    }
+
+    /**
+     * Open the connection and join
+     * @returns {Promise<Object>} Resolves with the welcome message, rejects if the connection closes first
+     */
+    connect() {
+        if (this.socket) {
+            throw new Error('Already connected');
+        }
+
+        const socket = new this.params.WebSocket(this.url);
+        this.socket = socket;
+
+        return new Promise((resolve, reject) => {
+            socket.onopen = () => {
+                socket.send(Protocol.encode('join', { name: this.params.name }));
+            };
+            socket.onmessage = event => {
+                const message = this.receive(event.data);
+                if (message && message.type === 'welcome') {
+                    resolve(message);
+                }
+            };
+            socket.onerror = () => {
+                // Followed by close, which reports the failure
+            };
+            socket.onclose = event => {
+                const reason = event.reason || `connection closed (${event.code})`;
+                if (this.id === null) {
+                    reject(new Error(`Could not join ${this.url}: ${reason}`));
+                }
+                this.onClose(reason);
+            };
+        });
+    }
+
+    /**
+     * Parse a message from the server and act on it
+     * @param {string} text - Message text
+     * @returns {Object|null} The message, or null if it could not be read
+     */
+    receive(text) {
+        let message;
+        try {
+            message = Protocol.decode(text);
+        } catch (error) {
+            console.warn('Ignoring multiplayer message:', error.message);
+            return null;
+        }
+
+        switch (message.type) {
+            case 'welcome':
+                this.id = message.id;
+                message.players.forEach(player => this.players.set(player.id, player));
+                break;
+            case 'joined':
+                this.players.set(message.player.id, message.player);
+                break;
+            case 'left':
+                this.players.delete(message.id);
+                break;
+            case 'chunk': {
+                const key = `${message.cx},${message.cz}`;
+                if (message.revision <= (this.revisions.get(key) || 0)) {
+                    return message;
+                }
+                this.revisions.set(key, message.revision);
+                break;
+            }
+            case 'edited':
+                this.settle(message.id, edit => edit.resolve(message));
+                return message;
+            case 'error':
+                if (message.id !== undefined && this.pending.has(message.id)) {
+                    this.settle(message.id, edit => edit.reject(new Error(message.message)));
+                    return message;
+                }
+                console.warn('Multiplayer server error:', message.message);
+                break;
+        }
+
+        this.dispatchEvent({ ...message });
+        return message;
+    }
+
+    /**
+     * Finish a pending edit
+     * @param {string} id - Edit id
+     * @param {Function} settle - Called with the pending { resolve, reject }
+     */
+    settle(id, settle) {
+        const edit = this.pending.get(id);
+        if (edit) {
+            this.pending.delete(id);
+            settle(edit);
+        }
+    }
+
+    /**
+     * Send a message if connected
+     * @param {string} type - Message type
+     * @param {Object} fields - Message fields
+     * @returns {boolean} True if the message was sent
+     */
+    send(type, fields) {
+        if (!this.connected) {
+            return false;
+        }
+        this.socket.send(Protocol.encode(type, fields));
+        return true;
+    }
+
+    /**
+     * Tell the server where the player is, at most transformRate times a second
+     * @param {Array} position - World [x, y, z] of the player's feet
+     * @param {number} heading - Direction the player faces, in radians
+     * @param {Array} chunk - [cx, cz] of the chunk the player is in
+     * @param {number} time - Current time in seconds
+     * @returns {boolean} True if the transform was sent
+     */
+    sendTransform(position, heading, chunk, time) {
+        const transform = { position: position.map(value => Math.round(value * 1000) / 1000), heading, chunk };
+        const text = JSON.stringify(transform);
+        if (text === this.lastTransform || time - this.lastTransformTime < 1 / this.params.transformRate) {
+            return false;
+        }
+        if (!this.send('transform', transform)) {
+            return false;
+        }
+        this.lastTransform = text;
+        this.lastTransformTime = time;
+        return true;
+    }
+
+    /**
+     * Tell the server which chunks are loaded, if that changed
+     * @param {Array} chunks - [cx, cz] of every loaded chunk
+     * @returns {boolean} True if the list was sent
+     */
+    setLoadedChunks(chunks) {
+        const loaded = chunks.map(([cx, cz]) => [cx, cz]).sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+        const text = JSON.stringify(loaded);
+        if (text === this.lastLoaded || !this.send('chunks', { loaded })) {
+            return false;
+        }
+        this.lastLoaded = text;
+        return true;
+    }
+
+    /**
+     * Send an edit for the server to apply
+     * @param {Object} edit - { strokes } brush strokes ({ center, tool, radius, level, definition })
+     *                        or { chunks } chunk snapshots ({ cx, cz, revision, chunk }) to put back
+     * @returns {Promise<Object>} Resolves with the server's edited message ({ revisions, warnings })
+     */
+    edit(edit) {
+        const id = String(this.nextEdit++);
+        return new Promise((resolve, reject) => {
+            if (!this.send('edit', { id, ...edit })) {
+                reject(new Error('Not connected to the multiplayer server'));
+                return;
+            }
+            this.pending.set(id, { resolve, reject });
+        });
+    }
+
+    /**
+     * Forget the session after the connection closed
+     * @param {string} reason - Why it closed
+     */
+    onClose(reason) {
+        for (const edit of this.pending.values()) {
+            edit.reject(new Error(`Multiplayer connection closed: ${reason}`));
+        }
+        this.pending.clear();
+        this.players.clear();
+        // Revisions start over when the server restarts
+        this.revisions.clear();
+        this.socket = null;
+        this.id = null;
+        this.lastTransform = null;
+        this.lastLoaded = null;
+        this.dispatchEvent({ type: 'close', reason });
+    }
+
+    /**
+     * Leave the game
+     */
+    close() {
+        if (this.socket) {
+            this.socket.close(1000, 'Left the game');
+        }
+    }
+}
+
+export default MultiplayerClient;
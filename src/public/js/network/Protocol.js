@@ -0,0 +1,162 @@
+/**
+ * Multiplayer Protocol
+ * Messages exchanged over the game's WebSocket, as JSON text. Every message carries
+ * the protocol version as v and its type; decode() rejects messages of another
+ * version, unknown types and messages missing a field their type needs.
+ *
+ * Client to server:
+ *   join { name }                          first message, answered by welcome
+ *   transform { position, heading, chunk } the player moved; chunk is the [cx, cz] it is in
+ *   chunks { loaded }                      [cx, cz] of every chunk the client has loaded
+ *   edit { id, strokes } or { id, chunks } brush strokes, or chunk snapshots to put back (undo);
+ *                                          a snapshot { cx, cz, revision, chunk } is refused unless
+ *                                          the chunk is still at that revision
+ *
+ * Server to client:
+ *   welcome { id, players }                the client's player id and the players already there
+ *   joined { player } / left { id }        another player connected or disconnected
+ *   transform { id, position, heading }    another player moved within the loaded chunks
+ *   hide { id }                            another player moved out of the loaded chunks
+ *   chunk { cx, cz, revision, chunk, player } a loaded chunk changed; revisions count up per chunk
+ *   edited { id, revisions, warnings }     the client's edit was applied
+ *   error { message, id }                  a message was refused; id names the edit, if any
+ *
+ * This module has no dependencies, so the server and headless clients share it.
+ */
+
+const VERSION = 1;
+
+/**
+ * Check for a finite number
+ * @param {*} value - Value to check
+ * @returns {boolean} True for a finite number
+ */
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Check for an array of a given length whose entries pass a check
+ * @param {*} value - Value to check
+ * @param {number} length - Required length
+ * @param {Function} check - Check for each entry
+ * @returns {boolean} True if the array matches
+ */
+function isTuple(value, length, check) {
+    return Array.isArray(value) && value.length === length && value.every(check);
+}
+
+const isCoords = value => isTuple(value, 2, Number.isInteger);
+const isVector = value => isTuple(value, 3, isNumber);
+const isString = value => typeof value === 'string';
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isArrayOf = check => value => Array.isArray(value) && value.every(check);
+
+// Required fields of each message type and the check each must pass
+const MESSAGE_FIELDS = {
+    join: { name: isString },
+    welcome: { id: isString, players: Array.isArray },
+    joined: { player: isObject },
+    left: { id: isString },
+    transform: { position: isVector, heading: isNumber },
+    hide: { id: isString },
+    chunks: { loaded: isArrayOf(isCoords) },
+    edit: { id: isString },
+    chunk: { cx: Number.isInteger, cz: Number.isInteger, revision: Number.isInteger, chunk: isObject },
+    edited: { id: isString, revisions: Array.isArray, warnings: isArrayOf(isString) },
+    error: { message: isString }
+};
+
+class Protocol {
+    /**
+     * Protocol version spoken by this build
+     * @returns {number} Version number
+     */
+    static get version() {
+        return VERSION;
+    }
+
+    /**
+     * Names of the message types
+     * @returns {Array} Message types
+     */
+    static get types() {
+        return Object.keys(MESSAGE_FIELDS);
+    }
+
+    /**
+     * Check for a message type, ignoring names every object inherits such as constructor
+     * @param {*} type - Type to check
+     * @returns {boolean} True for one of Protocol.types
+     */
+    static isType(type) {
+        return typeof type === 'string' && Object.prototype.hasOwnProperty.call(MESSAGE_FIELDS, type);
+    }
+
+    /**
+     * Build a message
+     * @param {string} type - Message type
+     * @param {Object} fields - Message fields
+     * @returns {string} JSON text to send
+     */
+    static encode(type, fields = {}) {
+        if (!Protocol.isType(type)) {
+            throw new RangeError(`Unknown message type: ${type}`);
+        }
+        return JSON.stringify({ v: VERSION, type, ...fields });
+    }
+
+    /**
+     * Parse and check a received message
+     * @param {string} text - JSON text received
+     * @returns {Object} Message with its type and fields
+     */
+    static decode(text) {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (error) {
+            throw new SyntaxError(`Message is not JSON: ${error.message}`);
+        }
+
+        if (!isObject(message)) {
+            throw new TypeError('Message must be a JSON object');
+        }
+        if (message.v !== VERSION) {
+            throw new RangeError(`Protocol version ${message.v} is not supported, expected ${VERSION}`);
+        }
+
+        if (!Protocol.isType(message.type)) {
+            throw new RangeError(`Unknown message type: ${message.type}`);
+        }
+        for (const [field, check] of Object.entries(MESSAGE_FIELDS[message.type])) {
+            if (!check(message[field])) {
+                throw new TypeError(`Message ${message.type} has an invalid ${field}`);
+            }
+        }
+        return message;
+    }
+
+    /**
+     * Check the body of an edit message
+     * @param {Object} message - Decoded edit message
+     * @returns {string|null} Why the edit is invalid, or null if it is valid
+     */
+    static checkEdit(message) {
+        if (Array.isArray(message.strokes)) {
+            const bad = message.strokes.find(stroke => !isObject(stroke) || !isCoords(stroke.center) ||
+                !isString(stroke.tool) || !Number.isInteger(stroke.radius) || stroke.radius < 0 ||
+                (stroke.level !== undefined && !isNumber(stroke.level)));
+            return bad ? 'Edit has an invalid stroke' : null;
+        }
+        if (Array.isArray(message.chunks)) {
+            const bad = message.chunks.find(entry => !isObject(entry) || !Number.isInteger(entry.cx) ||
+                !Number.isInteger(entry.cz) || !Number.isInteger(entry.revision) || entry.revision < 0 ||
+                !isObject(entry.chunk));
+            return bad ? 'Edit has an invalid chunk' : null;
+        }
+        return 'Edit needs strokes or chunks';
+    }
+}
+
+export default Protocol;
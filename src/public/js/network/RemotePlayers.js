@@ -0,0 +1,194 @@
+/**
+ * Remote Players
+ * Draws the avatars of the other players with their names above them.
+ *
+ * Transforms arrive a few times a second, so each avatar is drawn a little in
+ * the past (delay seconds), between the two transforms received around that
+ * time. Avatars then move smoothly at the sender's pace, and only stop at the
+ * last transform if no newer one arrives in time.
+ */
+
+import * as THREE from 'three';
+import PlayerController from '../player/PlayerController.js';
+
+class RemotePlayers {
+    /**
+     * @param {THREE.Scene} scene - Scene the avatars are added to
+     * @param {Object} options - Display options
+     * @param {number} options.delay - Seconds avatars are drawn behind the latest transform
+     * @param {number} options.height - Height of an avatar
+     * @param {number} options.color - Colour of the avatars
+     * @param {number} options.maxSamples - Transforms kept per player
+     */
+    constructor(scene, options = {}) {
+        this.params = {
+            delay: 0.2,
+            height: 0.8,
+            color: 0x1E88E5,
+            maxSamples: 20,
+            ...options
+        };
+
+        this.scene = scene;
+        this.material = new THREE.MeshStandardMaterial({ color: this.params.color, roughness: 0.6 });
+
+        // Shown players keyed by id: { avatar, label, samples: [{ time, position, heading }] }
+        this.players = new Map();
+
+        this.root = new THREE.Group();
+        this.root.name = 'remotePlayers';
+        this.scene.add(this.root);
+    }
+
+    /**
+     * Number of avatars shown
+     * @returns {number} Avatar count
+     */
+    get count() {
+        return this.players.size;
+    }
+
+    /**
+     * Where the avatars are drawn, e.g. for the minimap
+     * @returns {Array} Avatar positions as THREE.Vector3
+     */
+    get positions() {
+        return [...this.players.values()].map(player => player.avatar.position);
+    }
+
+    /**
+     * Record a transform of a player, showing the player if it was hidden
+     * @param {string} id - Player id
+     * @param {string} name - Player name for the label
+     * @param {Array} position - World [x, y, z] of the feet
+     * @param {number} heading - Direction faced, in radians
+     * @param {number} time - Time received, in seconds
+     */
+    push(id, name, position, heading, time) {
+        let player = this.players.get(id);
+        if (!player) {
+            player = this.createPlayer(name);
+            this.players.set(id, player);
+            player.avatar.position.fromArray(position);
+            player.avatar.rotation.y = heading;
+        }
+
+        // After a pause the player was standing still until just before this transform,
+        // so start the move from there rather than easing over the whole pause
+        const last = player.samples[player.samples.length - 1];
+        if (last && last.time < time - this.params.delay) {
+            player.samples.push({ ...last, time: time - this.params.delay });
+        }
+
+        player.samples.push({ time, position: new THREE.Vector3().fromArray(position), heading });
+        if (player.samples.length > this.params.maxSamples) {
+            player.samples.shift();
+        }
+    }
+
+    /**
+     * Build the avatar and name label of a player
+     * @param {string} name - Player name
+     * @returns {Object} Player entry
+     */
+    createPlayer(name) {
+        const avatar = PlayerController.buildAvatar(this.params.height, this.material);
+        avatar.name = `remote_${name}`;
+
+        const label = this.createLabel(name);
+        label.position.y = this.params.height + 0.35;
+        avatar.add(label);
+
+        this.root.add(avatar);
+        return { avatar, label, samples: [] };
+    }
+
+    /**
+     * Draw a name onto a sprite that always faces the camera
+     * @param {string} name - Text to show
+     * @returns {THREE.Sprite} Label sprite
+     */
+    createLabel(name) {
+        const canvas = document.createElement('canvas');
+        canvas.width = 256;
+        canvas.height = 64;
+        const context = canvas.getContext('2d');
+        context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.fillStyle = 'white';
+        context.font = '32px monospace';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillText(name, canvas.width / 2, canvas.height / 2, canvas.width - 16);
+
+        const texture = new THREE.CanvasTexture(canvas);
+        texture.colorSpace = THREE.SRGBColorSpace;
+        const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture, depthWrite: false }));
+        sprite.scale.set(1.2, 0.3, 1);
+        return sprite;
+    }
+
+    /**
+     * Stop showing a player, e.g. when it left or walked out of the loaded chunks
+     * @param {string} id - Player id
+     */
+    remove(id) {
+        const player = this.players.get(id);
+        if (!player) return;
+
+        this.root.remove(player.avatar);
+        player.avatar.traverse(child => {
+            if (child.geometry) child.geometry.dispose();
+        });
+        player.label.material.map.dispose();
+        player.label.material.dispose();
+        this.players.delete(id);
+    }
+
+    /**
+     * Move every avatar to where its player was delay seconds ago
+     * @param {number} time - Current time in seconds, on the clock passed to push()
+     */
+    update(time) {
+        const renderTime = time - this.params.delay;
+        for (const { avatar, samples } of this.players.values()) {
+            // Drop transforms older than the one just before the render time
+            while (samples.length > 2 && samples[1].time <= renderTime) {
+                samples.shift();
+            }
+
+            const [from, to] = samples;
+            if (!to || renderTime <= from.time) {
+                avatar.position.copy(from.position);
+                avatar.rotation.y = from.heading;
+                continue;
+            }
+
+            const t = THREE.MathUtils.clamp((renderTime - from.time) / (to.time - from.time), 0, 1);
+            avatar.position.lerpVectors(from.position, to.position, t);
+            // Turn the short way round
+            const turn = Math.atan2(Math.sin(to.heading - from.heading), Math.cos(to.heading - from.heading));
+            avatar.rotation.y = from.heading + turn * t;
+        }
+    }
+
+    /**
+     * Stop showing every player, e.g. after the connection closed
+     */
+    clear() {
+        for (const id of [...this.players.keys()]) {
+            this.remove(id);
+        }
+    }
+
+    /**
+     * Remove every avatar
+     */
+    dispose() {
+        this.clear();
+        this.scene.remove(this.root);
+        this.material.dispose();
+    }
+}
+
+export default RemotePlayers;
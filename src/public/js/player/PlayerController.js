@@ -0,0 +1,332 @@
+/**
+ * Player Controller
+ * Moves an avatar over the hex terrain with WASD (Shift to sprint, Space to jump)
+ * and keeps a third-person camera following it.
+ *
+ * The avatar stands on the terrain surface as ChunkManager.getHeightAt() finds it
+ * from the chunk data, so it follows hex tops, skirts and corner triangles alike.
+ * Moving onto another hex is refused when its top differs from the current hex by
+ * more than stepHeight (a jump lifts the feet and helps climbing), when its chunk is
+ * not loaded, and, unless enterWater is set, when it lies under the sea.
+ *
+ * The camera keeps orbiting with the mouse through OrbitControls; every frame the
+ * orbit target and the camera move along with the avatar.
+ */
+
+import * as THREE from 'three';
+
+// Keys held for each movement, by KeyboardEvent.code
+const MOVE_KEYS = {
+    forward: ['KeyW', 'ArrowUp'],
+    backward: ['KeyS', 'ArrowDown'],
+    left: ['KeyA', 'ArrowLeft'],
+    right: ['KeyD', 'ArrowRight'],
+    sprint: ['ShiftLeft', 'ShiftRight'],
+    jump: ['Space']
+};
+
+class PlayerController {
+    /**
+     * @param {THREE.Scene} scene - Scene the avatar is added to
+     * @param {THREE.Camera} camera - Camera that follows the avatar
+     * @param {OrbitControls} controls - Orbit controls of the camera, retargeted on the avatar
+     * @param {ChunkManager} chunkManager - Chunk manager whose terrain the avatar walks on
+     * @param {Object} options - Movement options, in world units and seconds
+     * @param {number} options.speed - Walking speed
+     * @param {number} options.sprintMultiplier - Speed factor while Shift is held
+     * @param {number} options.jumpSpeed - Upward speed at the start of a jump
+     * @param {number} options.gravity - Downward acceleration
+     * @param {number} options.stepHeight - Largest difference in hex height a step may cross
+     * @param {boolean} options.enterWater - Allow walking onto submerged hexes
+     * @param {number} options.height - Height of the avatar
+     * @param {number} options.color - Colour of the avatar
+     * @param {number} options.turnSpeed - How quickly the avatar turns to face its heading
+     */
+    constructor(scene, camera, controls, chunkManager, options = {}) {
+        this.params = {
+            speed: 4,
+            sprintMultiplier: 2,
+            jumpSpeed: 7,
+            gravity: 20,
+            stepHeight: 1,
+            enterWater: false,
+            height: 0.8,
+            color: 0xE53935,
+            turnSpeed: 10,
+            ...options
+        };
+
+        this.scene = scene;
+        this.camera = camera;
+        this.controls = controls;
+        this.chunkManager = chunkManager;
+
+        // Feet position of the avatar and its vertical speed
+        this.position = new THREE.Vector3();
+        this.verticalSpeed = 0;
+        this.grounded = false;
+        this.heading = 0;
+
+        // Codes of the keys currently held
+        this.keys = new Set();
+
+        this.avatar = this.createAvatar();
+        this.scene.add(this.avatar);
+
+        this.onKeyDown = this.onKeyDown.bind(this);
+        this.onKeyUp = this.onKeyUp.bind(this);
+        this.onBlur = this.onBlur.bind(this);
+        window.addEventListener('keydown', this.onKeyDown);
+        window.addEventListener('keyup', this.onKeyUp);
+        window.addEventListener('blur', this.onBlur);
+    }
+
+    /**
+     * Build the avatar: a capsule body with a nose showing which way it faces
+     * @returns {THREE.Group} Avatar group with its origin at the feet
+     */
+    createAvatar() {
+        this.material = new THREE.MeshStandardMaterial({ color: this.params.color, roughness: 0.6 });
+        return PlayerController.buildAvatar(this.params.height, this.material);
+    }
+
+    /**
+     * Build an avatar model, shared with the other players' avatars
+     * @param {number} height - Height of the avatar
+     * @param {THREE.Material} material - Material of the body and nose
+     * @returns {THREE.Group} Avatar group with its origin at the feet, facing +z
+     */
+    static buildAvatar(height, material) {
+        const radius = height / 4;
+
+        const body = new THREE.Mesh(new THREE.CapsuleGeometry(radius, height - radius * 2, 4, 12), material);
+        body.position.y = height / 2;
+        body.castShadow = true;
+
+        const nose = new THREE.Mesh(new THREE.ConeGeometry(radius / 2, radius, 8), material);
+        nose.rotation.x = Math.PI / 2;
+        nose.position.set(0, height * 0.7, radius * 1.2);
+        nose.castShadow = true;
+
+        const avatar = new THREE.Group();
+        avatar.name = 'player';
+        avatar.add(body, nose);
+        return avatar;
+    }
+
+    /**
+     * Switch to another chunk manager, e.g. after the grid is rebuilt
+     * @param {ChunkManager} chunkManager - New chunk manager
+     */
+    setChunkManager(chunkManager) {
+        this.chunkManager = chunkManager;
+    }
+
+    /**
+     * Place the avatar on the ground at a world position and centre the camera on it
+     * @param {number} x - World x
+     * @param {number} z - World z
+     */
+    spawn(x, z) {
+        const surface = this.getSurfaceHeight(x, z);
+        const offset = this.camera.position.clone().sub(this.controls.target);
+
+        this.position.set(x, surface !== null ? surface : 0, z);
+        this.verticalSpeed = 0;
+        this.grounded = surface !== null;
+        this.avatar.position.copy(this.position);
+
+        this.controls.target.set(x, this.position.y + this.params.height, z);
+        this.camera.position.copy(this.controls.target).add(offset);
+    }
+
+    /**
+     * Height of the rendered terrain surface at a world position
+     * @param {number} x - World x
+     * @param {number} z - World z
+     * @returns {number|null} Surface height, or null where no chunk is loaded
+     */
+    getSurfaceHeight(x, z) {
+        return this.chunkManager.getHeightAt(x, z);
+    }
+
+    /**
+     * Data of the hex whose ground is at a world position
+     * @param {number} x - World x
+     * @param {number} z - World z
+     * @returns {Object|null} Hex data object, or null if its chunk is not loaded
+     */
+    getHexAt(x, z) {
+        return this.chunkManager.getHexAt(x, z);
+    }
+
+    /**
+     * Hex the avatar is standing on
+     * @returns {Object|null} Hex data object
+     */
+    get hex() {
+        return this.getHexAt(this.position.x, this.position.z);
+    }
+
+    /**
+     * Check whether the avatar may move from one hex onto another
+     * @param {Object|null} from - Hex the avatar is on
+     * @param {Object|null} to - Hex it would move onto
+     * @returns {boolean} True if the move is allowed
+     */
+    canEnter(from, to) {
+        if (!to) return false;
+        if (!from || from === to) return true;
+
+        if (!this.params.enterWater && !from.submerged && this.chunkManager.hexGenerator.isSubmerged(to)) {
+            return false;
+        }
+
+        // Jumping lifts the feet, so a jump can climb more than a step
+        const { stepHeight } = this.params;
+        const rise = to.elevation - Math.max(from.elevation, this.position.y);
+        const drop = from.elevation - to.elevation;
+        return rise <= stepHeight && drop <= stepHeight;
+    }
+
+    /**
+     * Move the avatar by a horizontal offset, sliding along blocked hex edges
+     * @param {number} dx - Offset along x
+     * @param {number} dz - Offset along z
+     */
+    moveHorizontally(dx, dz) {
+        const from = this.hex;
+        const { x, z } = this.position;
+
+        // Try the full step, then each axis alone so the avatar slides along the blocking hex
+        for (const [mx, mz] of [[dx, dz], [dx, 0], [0, dz]]) {
+            if (mx === 0 && mz === 0) continue;
+            if (this.canEnter(from, this.getHexAt(x + mx, z + mz))) {
+                this.position.x = x + mx;
+                this.position.z = z + mz;
+                return;
+            }
+        }
+    }
+
+    /**
+     * Advance the avatar and the camera
+     * @param {number} delta - Seconds since the last frame
+     */
+    update(delta) {
+        const { speed, sprintMultiplier, jumpSpeed, gravity, turnSpeed, height } = this.params;
+        const previous = this.avatar.position.clone();
+
+        // Movement relative to the direction the camera looks in, flattened onto the ground
+        const forward = new THREE.Vector3();
+        this.camera.getWorldDirection(forward);
+        forward.y = 0;
+        forward.normalize();
+        const right = new THREE.Vector3(-forward.z, 0, forward.x);
+
+        const move = new THREE.Vector3();
+        if (this.isHeld('forward')) move.add(forward);
+        if (this.isHeld('backward')) move.sub(forward);
+        if (this.isHeld('right')) move.add(right);
+        if (this.isHeld('left')) move.sub(right);
+
+        if (move.lengthSq() > 0) {
+            move.normalize().multiplyScalar(speed * (this.isHeld('sprint') ? sprintMultiplier : 1) * delta);
+            this.moveHorizontally(move.x, move.z);
+
+            // Turn smoothly towards the direction of travel, the short way round
+            const target = Math.atan2(move.x, move.z);
+            const turn = Math.atan2(Math.sin(target - this.heading), Math.cos(target - this.heading));
+            this.heading += turn * Math.min(1, turnSpeed * delta);
+        }
+
+        // Jump from the ground, then fall back onto the surface
+        if (this.grounded && this.isHeld('jump')) {
+            this.verticalSpeed = jumpSpeed;
+            this.grounded = false;
+        }
+        this.verticalSpeed -= gravity * delta;
+        this.position.y += this.verticalSpeed * delta;
+
+        const surface = this.getSurfaceHeight(this.position.x, this.position.z);
+        if (surface !== null && this.position.y <= surface) {
+            this.position.y = surface;
+            this.verticalSpeed = 0;
+            this.grounded = true;
+        } else if (surface === null) {
+            // No terrain loaded below yet: hold still until the chunk arrives
+            this.position.y -= this.verticalSpeed * delta;
+            this.verticalSpeed = 0;
+        } else if (this.grounded && this.position.y - surface < 0.05) {
+            // Stay on the ground when walking down a slope instead of hopping off it
+            this.position.y = surface;
+            this.verticalSpeed = 0;
+        } else {
+            this.grounded = false;
+        }
+
+        this.avatar.position.copy(this.position);
+        this.avatar.rotation.y = this.heading;
+
+        // Carry the camera along, keeping the angle and distance the user orbited to
+        const offset = this.avatar.position.clone().sub(previous);
+        this.camera.position.add(offset);
+        this.controls.target.set(this.position.x, this.position.y + height, this.position.z);
+    }
+
+    /**
+     * Check whether any key of a movement is held
+     * @param {string} action - Key of MOVE_KEYS
+     * @returns {boolean} True if held
+     */
+    isHeld(action) {
+        return MOVE_KEYS[action].some(code => this.keys.has(code));
+    }
+
+    /**
+     * Remember a pressed key, ignoring typing in form fields
+     * @param {KeyboardEvent} event - Keyboard event
+     */
+    onKeyDown(event) {
+        const tag = event.target && event.target.tagName;
+        if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT') return;
+
+        this.keys.add(event.code);
+        if (event.code === 'Space') {
+            // Keep the page from scrolling
+            event.preventDefault();
+        }
+    }
+
+    /**
+     * Forget a released key
+     * @param {KeyboardEvent} event - Keyboard event
+     */
+    onKeyUp(event) {
+        this.keys.delete(event.code);
+    }
+
+    /**
+     * Release every key when the window loses focus, so the avatar does not keep walking
+     */
+    onBlur() {
+        this.keys.clear();
+    }
+
+    /**
+     * Remove the avatar and the key listeners
+     */
+    dispose() {
+        window.removeEventListener('keydown', this.onKeyDown);
+        window.removeEventListener('keyup', this.onKeyUp);
+        window.removeEventListener('blur', this.onBlur);
+
+        this.scene.remove(this.avatar);
+        this.avatar.traverse(child => {
+            if (child.geometry) child.geometry.dispose();
+        });
+        this.material.dispose();
+    }
+}
+
+export default PlayerController;
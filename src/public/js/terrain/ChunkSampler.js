@@ -0,0 +1,132 @@
+/**
+ * Chunk Sampler
+ * Samples the generated terrain of a chunk: the biome and the elevation of every hex.
+ * Shared by the client (HexGenerator) and the server (ProceduralChunkGenerator), so a
+ * seed gives the same world whether chunks are generated locally or by the server.
+ *
+ * A hex's biome comes from its terrain elevation and moisture. Its elevation lies on
+ * the steps a stored chunk can hold: the chunk's base height is its lowest hex floored
+ * to a heightScale step, and every hex is a whole number of steps (0 to
+ * maxHeightOffset) above it. River hexes keep the biome of their banks but sink to
+ * the river bed.
+ *
+ * This module has no dependencies; the grid, noise and rivers are passed in.
+ */
+
+// Upper bound on the cached chunk samples, so memory stays flat however far the world is explored
+const CHUNK_CACHE_SIZE = 64;
+
+class ChunkSampler {
+    /**
+     * @param {HexUtils} hexUtils - Grid utilities of the world, with its seeded PerturbationUtils
+     * @param {Hydrology|null} hydrology - Rivers of the world, null for a world without rivers
+     * @param {Object} options - Sampling options
+     * @param {number} options.heightScale - World units per heightOffset step of stored chunks
+     * @param {number} options.maxHeightOffset - Highest heightOffset a stored chunk can hold
+     */
+    constructor(hexUtils, hydrology = null, options = {}) {
+        this.params = {
+            heightScale: 0.5,
+            maxHeightOffset: 31,
+            ...options
+        };
+
+        this.hexUtils = hexUtils;
+        this.perturbUtils = hexUtils.perturbUtils;
+        this.hydrology = hydrology;
+
+        // Sampled chunks keyed by "cx,cz"
+        this.chunks = new Map();
+    }
+
+    /**
+     * Choose a biome from elevation and moisture
+     * @param {number} elevation - Terrain elevation in world units, before rivers are carved
+     * @param {number} moisture - Moisture noise value between 0 and 1
+     * @returns {string} Biome name: 'mountain', 'forest', 'desert' or 'plains'
+     */
+    static pickBiome(elevation, moisture) {
+        if (elevation > 5) return 'mountain';
+        if (elevation > 2) return 'forest';
+        if (moisture < 0.35) return 'desert';
+        return 'plains';
+    }
+
+    /**
+     * Moisture at a world position
+     * @param {number} x - World x
+     * @param {number} z - World z
+     * @returns {number} Moisture noise value between 0 and 1
+     */
+    getMoisture(x, z) {
+        return this.perturbUtils.secondaryNoise.get(x * 0.01 + 900, z * 0.01 + 900);
+    }
+
+    /**
+     * Sample every hex of a chunk
+     * @param {number} cx - Chunk x coordinate
+     * @param {number} cz - Chunk z coordinate
+     * @returns {Object} { baseHeight, cells } - cells in row-major order, each
+     *                   { coords, x, z, biome, river, heightOffset, elevation }; treat as read-only
+     */
+    sample(cx, cz) {
+        const key = `${cx},${cz}`;
+        if (this.chunks.has(key)) {
+            return this.chunks.get(key);
+        }
+
+        const { heightScale, maxHeightOffset } = this.params;
+        const gridSize = this.hexUtils.gridSize;
+        const rivers = this.hydrology ? this.hydrology.getChunkRivers(cx, cz) : null;
+
+        const cells = [];
+        let minElevation = Infinity;
+        for (let row = 0; row < gridSize; row++) {
+            for (let col = 0; col < gridSize; col++) {
+                const coords = this.hexUtils.chunkToGlobal([cx, cz], [col, row]);
+                const [x, z] = this.hexUtils.hexToWorld(coords);
+
+                const terrainElevation = this.perturbUtils.perturbY(x, this.perturbUtils.getElevation(x, z), z);
+                const bed = rivers ? rivers.beds.get(`${coords[0]},${coords[1]}`) : undefined;
+                const elevation = bed !== undefined ? bed : terrainElevation;
+
+                cells.push({
+                    coords,
+                    x,
+                    z,
+                    biome: ChunkSampler.pickBiome(terrainElevation, this.getMoisture(x, z)),
+                    river: bed !== undefined,
+                    elevation
+                });
+                minElevation = Math.min(minElevation, elevation);
+            }
+        }
+
+        // Base height is the lowest step in the chunk so offsets start at 0
+        const baseHeight = Math.floor(minElevation / heightScale) * heightScale;
+        cells.forEach(cell => {
+            const steps = Math.round((cell.elevation - baseHeight) / heightScale);
+            cell.heightOffset = Math.max(0, Math.min(maxHeightOffset, steps));
+            cell.elevation = baseHeight + cell.heightOffset * heightScale;
+        });
+
+        const sampled = { baseHeight, cells };
+        if (this.chunks.size >= CHUNK_CACHE_SIZE) {
+            this.chunks.delete(this.chunks.keys().next().value);
+        }
+        this.chunks.set(key, sampled);
+        return sampled;
+    }
+
+    /**
+     * Sample of a single hex, from the sample of its chunk
+     * @param {Array} coords - Global [col, row]
+     * @returns {Object} Cell as in sample()
+     */
+    getCell(coords) {
+        const { chunk, local } = this.hexUtils.globalToChunk(coords);
+        return this.sample(chunk[0], chunk[1]).cells[this.hexUtils.localIndex(local)];
+    }
+}
+
+export default ChunkSampler;
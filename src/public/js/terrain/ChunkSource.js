@@ -0,0 +1,85 @@
+/**
+ * Chunk Source
+ * Loads and saves stored chunks (the chunk_0_0.json shape) through the server's
+ * chunk API. Saves of the same chunk are sent one after another, so the server
+ * always ends up with the latest edit.
+ */
+
+class ChunkSource {
+    /**
+     * @param {string} baseUrl - URL the chunk API is mounted at
+     */
+    constructor(baseUrl = '/api/chunks') {
+        this.baseUrl = baseUrl;
+
+        // Last save of each chunk keyed by "cx,cz", so the next one waits for it
+        this.saves = new Map();
+    }
+
+    /**
+     * Get the URL of a chunk
+     * @param {number} cx - Chunk x coordinate
+     * @param {number} cz - Chunk z coordinate
+     * @returns {string} Chunk URL
+     */
+    getUrl(cx, cz) {
+        return `${this.baseUrl}/${cx}/${cz}`;
+    }
+
+    /**
+     * Load a chunk; the server generates it if it has not been stored yet
+     * @param {number} cx - Chunk x coordinate
+     * @param {number} cz - Chunk z coordinate
+     * @returns {Promise<Object>} The stored chunk
+     */
+    async load(cx, cz) {
+        const response = await fetch(this.getUrl(cx, cz));
+        return this.readResponse(response);
+    }
+
+    /**
+     * Save a chunk, after any earlier save of the same chunk has finished
+     * @param {number} cx - Chunk x coordinate
+     * @param {number} cz - Chunk z coordinate
+     * @param {Object} chunk - Chunk to store
+     * @returns {Promise<Object>} The chunk as the server stored it
+     */
+    save(cx, cz, chunk) {
+        const key = `${cx},${cz}`;
+        const body = JSON.stringify(chunk);
+        const previous = this.saves.get(key) || Promise.resolve();
+
+        const save = previous.catch(() => {}).then(async () => {
+            const response = await fetch(this.getUrl(cx, cz), {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body
+            });
+            return this.readResponse(response);
+        });
+
+        this.saves.set(key, save);
+        const clear = () => {
+            if (this.saves.get(key) === save) {
+                this.saves.delete(key);
+            }
+        };
+        save.then(clear, clear);
+        return save;
+    }
+
+    /**
+     * Parse a chunk API response, turning error responses into exceptions
+     * @param {Response} response - Fetch response
+     * @returns {Promise<Object>} Parsed JSON body
+     */
+    async readResponse(response) {
+        const body = await response.json().catch(() => null);
+        if (!response.ok) {
+            throw new Error(body && body.error ? body.error : `HTTP ${response.status}`);
+        }
+        return body;
+    }
+}
+
+export default ChunkSource;
@@ -0,0 +1,252 @@
+/**
+ * Hydrology
+ * Generates rivers from the world noise: sources on high ground flow by steepest
+ * descent through hex neighbours until they reach sea level or a sink.
+ *
+ * Every river is a pure function of the world seed, so any chunk can ask which of
+ * its hexes carry a river without knowing which chunks were generated before it,
+ * and a river leaving one chunk continues in the next one exactly where it left.
+ *
+ * The world is divided into square source cells of cellSize x cellSize hexes, each
+ * holding at most one source. A river is never longer than maxLength steps, so only
+ * the cells within maxLength hexes of a chunk can reach it.
+ *
+ * River hexes are carved into the terrain: the water level never rises downstream,
+ * a river may cut through a rise of up to maxCarve to escape a hollow, and the bed
+ * lies carveDepth below the water level.
+ *
+ * Shared by the client (HexGenerator) and the server (ProceduralChunkGenerator).
+ */
+
+import HexUtils from '../utils/HexUtils.js';
+import SeededRandom from '../utils/SeededRandom.js';
+
+// Upper bounds on the cached traces and chunk river maps, so memory stays flat
+// however far the world is explored
+const TRACE_CACHE_SIZE = 2048;
+const CHUNK_CACHE_SIZE = 64;
+
+class Hydrology {
+    /**
+     * @param {HexUtils} hexUtils - Grid utilities of the world, with its seeded PerturbationUtils
+     * @param {Object} options - River options
+     * @param {number} options.cellSize - Hexes per side of a source cell
+     * @param {number} options.sourceChance - Chance that a cell holds a source, 0 to 1
+     * @param {number} options.sourceCandidates - Hexes sampled per cell; the highest becomes the source
+     * @param {number} options.minSourceElevation - Lowest elevation a river may start at
+     * @param {number} options.seaLevel - Rivers end on reaching this elevation
+     * @param {number} options.maxLength - Longest river in steps
+     * @param {number} options.maxCarve - Highest rise a river cuts through before ending in a sink
+     * @param {number} options.carveDepth - Depth of the river bed below the water level
+     */
+    constructor(hexUtils, options = {}) {
+        this.params = {
+            cellSize: 12,
+            sourceChance: 0.7,
+            sourceCandidates: 6,
+            minSourceElevation: 2.5,
+            seaLevel: 0,
+            maxLength: 64,
+            maxCarve: 1.5,
+            carveDepth: 0.3,
+            ...options
+        };
+
+        this.hexUtils = hexUtils;
+        this.perturbUtils = hexUtils.perturbUtils;
+        this.seed = this.perturbUtils.seed;
+
+        // Traced rivers keyed by "gx,gz" source cell, null for cells without one
+        this.traces = new Map();
+
+        // River hexes per chunk keyed by "cx,cz"
+        this.chunkRivers = new Map();
+    }
+
+    /**
+     * Terrain elevation at a hex centre before carving, as HexGenerator computes it
+     * @param {Array} coords - Global [col, row]
+     * @returns {number} Elevation in world units
+     */
+    getTerrainElevation(coords) {
+        const [x, z] = this.hexUtils.hexToWorld(coords);
+        return this.perturbUtils.perturbY(x, this.perturbUtils.getElevation(x, z), z);
+    }
+
+    /**
+     * Pick the source hex of a cell
+     * @param {number} gx - Cell x
+     * @param {number} gz - Cell z
+     * @returns {Array|null} Global [col, row] of the source, or null if the cell has none
+     */
+    getSource(gx, gz) {
+        const { cellSize, sourceChance, sourceCandidates, minSourceElevation } = this.params;
+        const random = new SeededRandom(SeededRandom.hash(this.seed, 'river', gx, gz));
+        if (random.next() >= sourceChance) {
+            return null;
+        }
+
+        // The highest of a few sampled hexes, so sources sit on hilltops and ridges
+        let source = null;
+        let sourceElevation = -Infinity;
+        for (let i = 0; i < sourceCandidates; i++) {
+            const coords = [
+                gx * cellSize + Math.floor(random.next() * cellSize),
+                gz * cellSize + Math.floor(random.next() * cellSize)
+            ];
+            const elevation = this.getTerrainElevation(coords);
+            if (elevation > sourceElevation) {
+                source = coords;
+                sourceElevation = elevation;
+            }
+        }
+
+        return sourceElevation >= minSourceElevation ? source : null;
+    }
+
+    /**
+     * Trace the river of a cell downhill from its source
+     * @param {number} gx - Cell x
+     * @param {number} gz - Cell z
+     * @returns {Object|null} { hexes, beds } - [col, row] of every hex from source to mouth and the
+     *                        carved bed elevation of each, or null if the cell has no river
+     */
+    traceRiver(gx, gz) {
+        const key = `${gx},${gz}`;
+        if (this.traces.has(key)) {
+            return this.traces.get(key);
+        }
+
+        const source = this.getSource(gx, gz);
+        const trace = source ? this.followDescent(source) : null;
+        Hydrology.remember(this.traces, key, trace, TRACE_CACHE_SIZE);
+        return trace;
+    }
+
+    /**
+     * Follow the steepest descent from a source
+     * @param {Array} source - Global [col, row] of the source
+     * @returns {Object|null} { hexes, beds }, or null if the river would be a single hex
+     */
+    followDescent(source) {
+        const { seaLevel, maxLength, maxCarve, carveDepth } = this.params;
+
+        // Elevations looked up during this trace, since neighbours are shared between steps
+        const elevations = new Map();
+        const elevationAt = coords => {
+            const key = `${coords[0]},${coords[1]}`;
+            if (!elevations.has(key)) {
+                elevations.set(key, this.getTerrainElevation(coords));
+            }
+            return elevations.get(key);
+        };
+
+        let current = source;
+        let level = elevationAt(source);
+        const hexes = [source];
+        const beds = [level - carveDepth];
+        const visited = new Set([`${source[0]},${source[1]}`]);
+
+        while (hexes.length <= maxLength && elevationAt(current) > seaLevel) {
+            // Lowest neighbour the river has not already passed through
+            let next = null;
+            let nextElevation = Infinity;
+            for (const neighbor of HexUtils.neighbors(current)) {
+                if (visited.has(`${neighbor[0]},${neighbor[1]}`)) continue;
+                const elevation = elevationAt(neighbor);
+                if (elevation < nextElevation) {
+                    next = neighbor;
+                    nextElevation = elevation;
+                }
+            }
+
+            // A hollow too deep to cut out of: the river ends in a sink
+            if (!next || nextElevation - level > maxCarve) break;
+
+            level = Math.min(level, nextElevation);
+            current = next;
+            visited.add(`${next[0]},${next[1]}`);
+            hexes.push(next);
+            beds.push(level - carveDepth);
+        }
+
+        return hexes.length > 1 ? { hexes, beds } : null;
+    }
+
+    /**
+     * Rivers running through a chunk
+     * @param {number} cx - Chunk x coordinate
+     * @param {number} cz - Chunk z coordinate
+     * @returns {Object} { beds, segments } - beds maps "col,row" of each river hex in the chunk to its
+     *                   bed elevation; segments lists [from, to] river steps leaving a hex of the chunk,
+     *                   with "to" possibly in the next chunk
+     */
+    getChunkRivers(cx, cz) {
+        const key = `${cx},${cz}`;
+        if (this.chunkRivers.has(key)) {
+            return this.chunkRivers.get(key);
+        }
+
+        const { cellSize, maxLength } = this.params;
+        const gridSize = this.hexUtils.gridSize;
+        const [minCol, minRow] = this.hexUtils.chunkToGlobal([cx, cz], [0, 0]);
+        const maxCol = minCol + gridSize - 1;
+        const maxRow = minRow + gridSize - 1;
+        const inChunk = ([col, row]) => col >= minCol && col <= maxCol && row >= minRow && row <= maxRow;
+
+        const beds = new Map();
+        const segments = [];
+
+        // A step changes col and row by at most one, so only sources this close can reach the chunk
+        for (let gz = Math.floor((minRow - maxLength) / cellSize); gz <= Math.floor((maxRow + maxLength) / cellSize); gz++) {
+            for (let gx = Math.floor((minCol - maxLength) / cellSize); gx <= Math.floor((maxCol + maxLength) / cellSize); gx++) {
+                const trace = this.traceRiver(gx, gz);
+                if (!trace) continue;
+
+                trace.hexes.forEach((coords, i) => {
+                    if (!inChunk(coords)) return;
+
+                    // Where rivers meet, the deeper bed wins, whichever river is found first
+                    const hexKey = `${coords[0]},${coords[1]}`;
+                    const bed = trace.beds[i];
+                    if (!beds.has(hexKey) || bed < beds.get(hexKey)) {
+                        beds.set(hexKey, bed);
+                    }
+                    if (i < trace.hexes.length - 1) {
+                        segments.push([coords, trace.hexes[i + 1]]);
+                    }
+                });
+            }
+        }
+
+        const rivers = { beds, segments };
+        Hydrology.remember(this.chunkRivers, key, rivers, CHUNK_CACHE_SIZE);
+        return rivers;
+    }
+
+    /**
+     * Bed elevation of a hex, if a river runs through it
+     * @param {Array} coords - Global [col, row]
+     * @returns {number|undefined} Bed elevation, undefined for dry hexes
+     */
+    getBedElevation(coords) {
+        const { chunk } = this.hexUtils.globalToChunk(coords);
+        return this.getChunkRivers(chunk[0], chunk[1]).beds.get(`${coords[0]},${coords[1]}`);
+    }
+
+    /**
+     * Add an entry to a bounded cache, dropping the oldest entry when it is full
+     * @param {Map} cache - Cache in insertion order
+     * @param {string} key - Entry key
+     * @param {*} value - Entry value
+     * @param {number} limit - Largest number of entries
+     */
+    static remember(cache, key, value, limit) {
+        if (cache.size >= limit) {
+            cache.delete(cache.keys().next().value);
+        }
+        cache.set(key, value);
+    }
+}
+
+export default Hydrology;
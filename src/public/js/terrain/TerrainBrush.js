@@ -0,0 +1,252 @@
+/**
+ * Terrain Brush
+ * Edits stored chunks (the chunk_0_0.json shape) with a round brush measured in hexes:
+ * raise, lower, flatten and smooth the heightOffset of the hexes under it, or paint
+ * their biome or feature.
+ *
+ * Heights stay within the packed format's 0-31 heightOffset range of each chunk; a
+ * brush crossing chunks works in world heights, since neighbouring chunks have their
+ * own baseHeight. Painting a biome or feature a chunk's palette lacks allocates a
+ * palette slot: a free one if the palette has room, otherwise one no hex in the chunk
+ * uses any more. When every slot is taken the chunk's hexes are left as they are.
+ *
+ * Chunks are looked up through a callback, so the brush works on any set of stored
+ * chunks, and it only depends on HexUtils, so the server and the client share it.
+ */
+
+import HexUtils from '../utils/HexUtils.js';
+
+// Brushes that change heights, and the palette each paint brush writes to
+const HEIGHT_TOOLS = ['raise', 'lower', 'flatten', 'smooth'];
+const PAINT_TOOLS = {
+    biome: { palette: 'chunkBiomes', field: 'biomeIndex', limit: 'maxBiomes', label: 'biomes' },
+    feature: { palette: 'chunkFeatures', field: 'featureIndex', limit: 'maxFeatures', label: 'features' }
+};
+
+class TerrainBrush {
+    /**
+     * @param {HexUtils} hexUtils - Grid utilities of the world
+     * @param {Object} options - Format options, matching TerrainDataCompressor and the server
+     * @param {number} options.heightScale - World units per heightOffset step
+     * @param {number} options.maxHeightOffset - Largest heightOffset
+     * @param {number} options.maxBiomes - Biome palette slots per chunk
+     * @param {number} options.maxFeatures - Feature palette slots per chunk
+     */
+    constructor(hexUtils, options = {}) {
+        this.params = {
+            heightScale: 0.5,
+            maxHeightOffset: 31,
+            maxBiomes: 4,
+            maxFeatures: 2,
+            ...options
+        };
+
+        this.hexUtils = hexUtils;
+    }
+
+    /**
+     * Names of the brush tools
+     * @returns {Array} Tool names
+     */
+    static get tools() {
+        return [...HEIGHT_TOOLS, ...Object.keys(PAINT_TOOLS)];
+    }
+
+    /**
+     * Apply the brush once
+     * @param {Function} getChunk - Returns the stored chunk at (cx, cz), or null if it is not available
+     * @param {Array} center - Global [col, row] of the hex under the brush
+     * @param {Object} stroke - What to do
+     * @param {string} stroke.tool - 'raise', 'lower', 'flatten', 'smooth', 'biome' or 'feature'
+     * @param {number} stroke.radius - Brush radius in hexes, 0 for a single hex
+     * @param {number} stroke.level - Flatten: world height to flatten to
+     * @param {Object} stroke.definition - Biome or feature: definition to paint
+     * @returns {Object} { chunks, hexes, warnings } - keys ("cx,cz") of the chunks changed,
+     *                   [col, row] of the hexes changed and messages about edits that were limited
+     */
+    apply(getChunk, center, { tool, radius = 0, level = 0, definition = null }) {
+        if (!TerrainBrush.tools.includes(tool)) {
+            throw new RangeError(`Unknown brush tool: ${tool}`);
+        }
+
+        // Hexes under the brush, with the chunk and index each is stored at
+        const targets = [];
+        for (const coords of HexUtils.range(center, radius)) {
+            const { chunk, local } = this.hexUtils.globalToChunk(coords);
+            const data = getChunk(chunk[0], chunk[1]);
+            if (!data) continue;
+            targets.push({ coords, key: `${chunk[0]},${chunk[1]}`, data, index: this.hexUtils.localIndex(local) });
+        }
+
+        const result = { chunks: new Set(), hexes: [], warnings: [] };
+        if (HEIGHT_TOOLS.includes(tool)) {
+            this.applyHeights(getChunk, targets, tool, level, result);
+        } else {
+            this.applyPaint(targets, PAINT_TOOLS[tool], definition, result);
+        }
+        return result;
+    }
+
+    /**
+     * Raise, lower, flatten or smooth the hexes under the brush
+     * @param {Function} getChunk - Chunk lookup passed to apply()
+     * @param {Array} targets - Hexes under the brush
+     * @param {string} tool - Height tool
+     * @param {number} level - Flatten target height
+     * @param {Object} result - Result of apply(), filled in
+     */
+    applyHeights(getChunk, targets, tool, level, result) {
+        const { heightScale } = this.params;
+
+        // Work out every new height before changing any, so smoothing reads the original terrain
+        const heights = targets.map(({ coords, data, index }) => {
+            const elevation = this.getElevation(data, index);
+            switch (tool) {
+                case 'raise':
+                    return elevation + heightScale;
+                case 'lower':
+                    return elevation - heightScale;
+                case 'flatten':
+                    return level;
+                default:
+                    return this.getAverageElevation(getChunk, coords, elevation);
+            }
+        });
+
+        let limited = 0;
+        targets.forEach((target, i) => {
+            const hex = target.data.hexes[target.index];
+            const { offset, clamped } = this.toHeightOffset(target.data, heights[i]);
+            if (clamped) limited++;
+            if (offset === hex.heightOffset) return;
+
+            hex.heightOffset = offset;
+            result.chunks.add(target.key);
+            result.hexes.push(target.coords);
+        });
+
+        if (limited > 0) {
+            result.warnings.push(`${limited} hex${limited === 1 ? '' : 'es'} reached the 0-${this.params.maxHeightOffset} height range of their chunk`);
+        }
+    }
+
+    /**
+     * Paint a biome or feature onto the hexes under the brush
+     * @param {Array} targets - Hexes under the brush
+     * @param {Object} paint - Palette, hex field, slot limit and label of the paint tool
+     * @param {Object} definition - Biome or feature definition to paint
+     * @param {Object} result - Result of apply(), filled in
+     */
+    applyPaint(targets, paint, definition, result) {
+        if (!definition) {
+            throw new TypeError('Painting needs a biome or feature definition');
+        }
+
+        // Each chunk gets one slot for the definition, allocated around the hexes being repainted
+        const byChunk = new Map();
+        targets.forEach(target => {
+            if (!byChunk.has(target.key)) {
+                byChunk.set(target.key, []);
+            }
+            byChunk.get(target.key).push(target);
+        });
+
+        for (const [key, chunkTargets] of byChunk) {
+            const data = chunkTargets[0].data;
+            const painted = new Set(chunkTargets.map(target => target.index));
+            const slot = this.allocateSlot(data, paint, definition, painted);
+            if (slot < 0) {
+                result.warnings.push(`Chunk ${key} already uses ${this.params[paint.limit]} ${paint.label}; ${definition.name} was not painted there`);
+                continue;
+            }
+
+            for (const target of chunkTargets) {
+                const hex = data.hexes[target.index];
+                if (hex[paint.field] === slot) continue;
+                hex[paint.field] = slot;
+                result.chunks.add(key);
+                result.hexes.push(target.coords);
+            }
+        }
+    }
+
+    /**
+     * Find or make the palette slot of a definition in a chunk
+     * @param {Object} data - Stored chunk, whose palette may be extended or reassigned
+     * @param {Object} paint - Palette, hex field and slot limit of the paint tool
+     * @param {Object} definition - Biome or feature definition
+     * @param {Set} painted - Indices of the hexes about to be repainted, whose slots count as free
+     * @returns {number} Palette index, or -1 if every slot is in use
+     */
+    allocateSlot(data, paint, definition, painted) {
+        const palette = data[paint.palette];
+        const existing = palette.findIndex(entry => entry.id === definition.id && entry.name === definition.name);
+        if (existing >= 0) {
+            return existing;
+        }
+
+        const copy = JSON.parse(JSON.stringify(definition));
+        if (palette.length < this.params[paint.limit]) {
+            palette.push(copy);
+            return palette.length - 1;
+        }
+
+        // Reuse a slot no other hex of the chunk needs any more
+        const used = new Set();
+        data.hexes.forEach((hex, index) => {
+            if (!painted.has(index)) {
+                used.add(hex[paint.field]);
+            }
+        });
+        const free = palette.findIndex((entry, index) => !used.has(index));
+        if (free < 0) {
+            return -1;
+        }
+        palette[free] = copy;
+        return free;
+    }
+
+    /**
+     * World height of a stored hex
+     * @param {Object} data - Stored chunk
+     * @param {number} index - Hex index in the chunk
+     * @returns {number} Elevation in world units
+     */
+    getElevation(data, index) {
+        return data.baseHeight + data.hexes[index].heightOffset * this.params.heightScale;
+    }
+
+    /**
+     * Convert a world height to the nearest heightOffset a chunk can store
+     * @param {Object} data - Stored chunk
+     * @param {number} elevation - World height
+     * @returns {Object} { offset, clamped } - clamped tells whether the height was out of range
+     */
+    toHeightOffset(data, elevation) {
+        const steps = Math.round((elevation - data.baseHeight) / this.params.heightScale);
+        const offset = Math.max(0, Math.min(this.params.maxHeightOffset, steps));
+        return { offset, clamped: offset !== steps };
+    }
+
+    /**
+     * Mean height of a hex and its available neighbours
+     * @param {Function} getChunk - Chunk lookup passed to apply()
+     * @param {Array} coords - Global [col, row]
+     * @param {number} elevation - Height of the hex itself
+     * @returns {number} Mean elevation
+     */
+    getAverageElevation(getChunk, coords, elevation) {
+        let sum = elevation;
+        let count = 1;
+        for (const neighbor of HexUtils.neighbors(coords)) {
+            const { chunk, local } = this.hexUtils.globalToChunk(neighbor);
+            const data = getChunk(chunk[0], chunk[1]);
+            if (!data) continue;
+            sum += this.getElevation(data, this.hexUtils.localIndex(local));
+            count++;
+        }
+        return sum / count;
+    }
+}
+
+export default TerrainBrush;
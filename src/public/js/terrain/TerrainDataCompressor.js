@@ -0,0 +1,238 @@
+/**
+ * Terrain Data Compressor
+ * Encodes/decodes the bit-packed chunk format described in the README
+ *
+ * Each hex is stored in a single byte:
+ *   bits 7-6  biome index    (index into chunkBiomes, 4 per chunk)
+ *   bit  5    feature index  (index into chunkFeatures, 2 per chunk)
+ *   bits 4-0  height offset  (0-31, added to the chunk's baseHeight)
+ *
+ * A packed chunk is a Uint8Array laid out as:
+ *   0   magic "HXCK"
+ *   4   format version (uint8)
+ *   5   chunk size (uint8)
+ *   6   reserved (2 bytes)
+ *   8   base height (float32, little endian)
+ *   12  palette length in bytes (uint32, little endian)
+ *   16  chunkSize * chunkSize hex bytes, row-major
+ *   ..  palette as UTF-8 JSON: { chunkBiomes, chunkFeatures }
+ *
+ * This module has no dependencies so the server and the client share one format.
+ */
+
+const MAGIC = [0x48, 0x58, 0x43, 0x4B]; // "HXCK"
+const HEADER_SIZE = 16;
+
+class TerrainDataCompressor {
+    constructor() {
+        this.version = 1;
+
+        // Bit layout of a packed hex
+        this.biomeBits = 2;
+        this.featureBits = 1;
+        this.heightBits = 5;
+
+        // Largest value each field can hold
+        this.maxBiomes = 1 << this.biomeBits;          // 4
+        this.maxFeatures = 1 << this.featureBits;      // 2
+        this.maxHeightOffset = (1 << this.heightBits) - 1; // 31
+
+        this.maxChunkSize = 255;
+    }
+
+    /**
+     * Pack a single hex into one byte
+     * @param {Object} hex - Hex with biomeIndex, featureIndex and heightOffset
+     * @param {number} index - Position of the hex in the chunk, used in error messages
+     * @returns {number} Packed byte
+     */
+    packHex(hex, index = 0) {
+        if (!hex || typeof hex !== 'object') {
+            throw new TypeError(`Hex ${index}: expected an object, got ${hex}`);
+        }
+
+        const { biomeIndex, featureIndex, heightOffset } = hex;
+        this.checkRange(biomeIndex, this.maxBiomes - 1, `Hex ${index}: biomeIndex`);
+        this.checkRange(featureIndex, this.maxFeatures - 1, `Hex ${index}: featureIndex`);
+        this.checkRange(heightOffset, this.maxHeightOffset, `Hex ${index}: heightOffset`);
+
+        return (biomeIndex << (this.featureBits + this.heightBits)) |
+            (featureIndex << this.heightBits) |
+            heightOffset;
+    }
+
+    /**
+     * Unpack one byte into a hex object
+     * @param {number} byte - Packed byte
+     * @returns {Object} Hex with biomeIndex, featureIndex and heightOffset
+     */
+    unpackHex(byte) {
+        return {
+            biomeIndex: byte >> (this.featureBits + this.heightBits),
+            featureIndex: (byte >> this.heightBits) & (this.maxFeatures - 1),
+            heightOffset: byte & this.maxHeightOffset
+        };
+    }
+
+    /**
+     * Encode a chunk into a packed Uint8Array
+     * @param {Object} chunk - Chunk in the chunk_0_0.json shape
+     * @returns {Uint8Array} Packed chunk
+     */
+    encode(chunk) {
+        this.validate(chunk);
+
+        const { hexes, chunkBiomes, chunkFeatures, baseHeight, chunkSize } = chunk;
+        const palette = new TextEncoder().encode(JSON.stringify({ chunkBiomes, chunkFeatures }));
+
+        const bytes = new Uint8Array(HEADER_SIZE + hexes.length + palette.length);
+        const view = new DataView(bytes.buffer);
+
+        bytes.set(MAGIC, 0);
+        view.setUint8(4, this.version);
+        view.setUint8(5, chunkSize);
+        view.setFloat32(8, baseHeight, true);
+        view.setUint32(12, palette.length, true);
+
+        hexes.forEach((hex, i) => {
+            bytes[HEADER_SIZE + i] = this.packHex(hex, i);
+        });
+
+        bytes.set(palette, HEADER_SIZE + hexes.length);
+        return bytes;
+    }
+
+    /**
+     * Decode a packed Uint8Array back into a chunk
+     * @param {Uint8Array} bytes - Packed chunk produced by encode()
+     * @returns {Object} Chunk in the chunk_0_0.json shape
+     */
+    decode(bytes) {
+        if (!(bytes instanceof Uint8Array)) {
+            throw new TypeError('Packed chunk must be a Uint8Array');
+        }
+        if (bytes.length < HEADER_SIZE) {
+            throw new Error(`Packed chunk is truncated: ${bytes.length} bytes is smaller than the ${HEADER_SIZE} byte header`);
+        }
+        for (let i = 0; i < MAGIC.length; i++) {
+            if (bytes[i] !== MAGIC[i]) {
+                throw new Error('Packed chunk has an invalid magic number');
+            }
+        }
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const version = view.getUint8(4);
+        if (version !== this.version) {
+            throw new Error(`Unsupported packed chunk version ${version}, expected ${this.version}`);
+        }
+
+        const chunkSize = view.getUint8(5);
+        const baseHeight = view.getFloat32(8, true);
+        const paletteLength = view.getUint32(12, true);
+        const hexCount = chunkSize * chunkSize;
+
+        const expectedLength = HEADER_SIZE + hexCount + paletteLength;
+        if (bytes.length !== expectedLength) {
+            throw new Error(`Packed chunk length ${bytes.length} does not match the ${expectedLength} bytes its header describes`);
+        }
+
+        const hexes = new Array(hexCount);
+        for (let i = 0; i < hexCount; i++) {
+            hexes[i] = this.unpackHex(bytes[HEADER_SIZE + i]);
+        }
+
+        const paletteBytes = bytes.subarray(HEADER_SIZE + hexCount, expectedLength);
+        const { chunkBiomes, chunkFeatures } = JSON.parse(new TextDecoder().decode(paletteBytes));
+
+        const chunk = { hexes, chunkBiomes, chunkFeatures, baseHeight, chunkSize };
+        this.validate(chunk);
+        return chunk;
+    }
+
+    /**
+     * Check that a chunk can be represented in the packed format
+     * Throws a RangeError or TypeError describing the first problem found
+     * @param {Object} chunk - Chunk in the chunk_0_0.json shape
+     */
+    validate(chunk) {
+        if (!chunk || typeof chunk !== 'object') {
+            throw new TypeError('Chunk must be an object');
+        }
+
+        const { hexes, chunkBiomes, chunkFeatures, baseHeight, chunkSize } = chunk;
+
+        this.checkRange(chunkSize, this.maxChunkSize, 'chunkSize', 1);
+        if (typeof baseHeight !== 'number' || !Number.isFinite(baseHeight)) {
+            throw new TypeError(`baseHeight must be a finite number, got ${baseHeight}`);
+        }
+        // The header holds a float32; anything it cannot hold exactly would read back as another height
+        if (Math.fround(baseHeight) !== baseHeight) {
+            throw new RangeError(`baseHeight ${baseHeight} cannot be stored exactly as a 32-bit float`);
+        }
+
+        if (!Array.isArray(chunkBiomes) || chunkBiomes.length === 0) {
+            throw new TypeError('chunkBiomes must be a non-empty array');
+        }
+        if (chunkBiomes.length > this.maxBiomes) {
+            throw new RangeError(`chunkBiomes has ${chunkBiomes.length} entries, the packed format allows at most ${this.maxBiomes}`);
+        }
+        if (!Array.isArray(chunkFeatures) || chunkFeatures.length === 0) {
+            throw new TypeError('chunkFeatures must be a non-empty array');
+        }
+        if (chunkFeatures.length > this.maxFeatures) {
+            throw new RangeError(`chunkFeatures has ${chunkFeatures.length} entries, the packed format allows at most ${this.maxFeatures}`);
+        }
+        chunkBiomes.forEach((entry, i) => this.checkDefinition(entry, `chunkBiomes[${i}]`));
+        chunkFeatures.forEach((entry, i) => this.checkDefinition(entry, `chunkFeatures[${i}]`));
+
+        if (!Array.isArray(hexes)) {
+            throw new TypeError('hexes must be an array');
+        }
+        const hexCount = chunkSize * chunkSize;
+        if (hexes.length !== hexCount) {
+            throw new RangeError(`Chunk of size ${chunkSize} needs ${hexCount} hexes, got ${hexes.length}`);
+        }
+
+        hexes.forEach((hex, i) => {
+            this.packHex(hex, i);
+            if (hex.biomeIndex >= chunkBiomes.length) {
+                throw new RangeError(`Hex ${i}: biomeIndex ${hex.biomeIndex} has no entry in chunkBiomes (${chunkBiomes.length} entries)`);
+            }
+            if (hex.featureIndex >= chunkFeatures.length) {
+                throw new RangeError(`Hex ${i}: featureIndex ${hex.featureIndex} has no entry in chunkFeatures (${chunkFeatures.length} entries)`);
+            }
+        });
+    }
+
+    /**
+     * Throw unless value is an integer in [min, max]
+     * @param {*} value - Value to check
+     * @param {number} max - Largest allowed value
+     * @param {string} label - Name used in the error message
+     * @param {number} min - Smallest allowed value
+     */
+    checkRange(value, max, label, min = 0) {
+        if (!Number.isInteger(value)) {
+            throw new TypeError(`${label} must be an integer, got ${value}`);
+        }
+        if (value < min || value > max) {
+            throw new RangeError(`${label} ${value} is out of range ${min}-${max}`);
+        }
+    }
+
+    /**
+     * Throw unless a palette entry is a definition object with a name
+     * @param {*} entry - Palette entry
+     * @param {string} label - Name used in the error message
+     */
+    checkDefinition(entry, label) {
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+            throw new TypeError(`${label} must be an object, got ${JSON.stringify(entry)}`);
+        }
+        if (typeof entry.name !== 'string') {
+            throw new TypeError(`${label} must have a string name`);
+        }
+    }
+}
+
+export default TerrainDataCompressor;
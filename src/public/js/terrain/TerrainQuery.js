@@ -0,0 +1,323 @@
+/**
+ * Terrain Query
+ * Answers "what is the ground height, normal and hex at (x, z)?" from hex data,
+ * without meshes or raycasting.
+ *
+ * The ground is the surface HexGenerator.createHexGeometry() builds: a fan of six
+ * triangles on each hex top, a skirt quad (two triangles) across the gap between
+ * neighbouring hexes and a corner triangle where three hexes meet. A query finds the
+ * nearest hex centre, then the triangle of the surface around that hex (or, where
+ * perturbation folds it over, around a neighbour) that contains the point. Skirt quads
+ * are split along the same diagonal as the mesh, so heights match the rendered terrain.
+ *
+ * Hexes are looked up through a callback, so the same code runs on the client
+ * (ChunkManager.getHex()) and in Node over stored chunks (TerrainQuery.hexFromChunk()).
+ * Hexes need gridCoords and elevation; their perturbed vertices are used when present
+ * and otherwise derived from the grid.
+ *
+ * Shared by the client (ChunkManager) and the server.
+ */
+
+import HexUtils from '../utils/HexUtils.js';
+
+// Upper bound on the cached vertex outlines of hexes without vertices
+const OUTLINE_CACHE_SIZE = 4096;
+
+// Directions in the order of HexUtils.neighbors()
+const DIRECTIONS = ['N', 'NE', 'SE', 'S', 'SW', 'NW'];
+
+// Directions in which a hex builds the skirt to its neighbour (see createHexGeometry())
+const SKIRT_OWNER_DIRECTIONS = ['SE', 'S', 'SW'];
+
+// Barycentric slack so points exactly on a shared edge count as inside
+const EPSILON = 1e-9;
+
+class TerrainQuery {
+    /**
+     * @param {HexUtils} hexUtils - Grid utilities of the world, with its seeded PerturbationUtils
+     * @param {Function} getHex - Returns the hex data object at global [col, row], or null if it is not available
+     */
+    constructor(hexUtils, getHex) {
+        this.hexUtils = hexUtils;
+        this.getHex = getHex;
+
+        const { edgeVertexMap, oppositeDirection } = hexUtils.getDirectionMaps();
+        this.edgeVertexMap = edgeVertexMap;
+        this.oppositeDirection = oppositeDirection;
+
+        // Perturbed [x, z] corners of hexes without vertices, keyed by "col,row"
+        this.outlines = new Map();
+    }
+
+    /**
+     * Ground height at a world position
+     * @param {number} x - World x
+     * @param {number} z - World z
+     * @returns {number|null} Height of the terrain surface, or null where hexes are not available
+     */
+    getHeightAt(x, z) {
+        const location = this.locate(x, z);
+        return location ? location.height : null;
+    }
+
+    /**
+     * Ground normal at a world position
+     * @param {number} x - World x
+     * @param {number} z - World z
+     * @returns {Array|null} Unit [x, y, z] normal of the triangle under the point, pointing up,
+     *                       or null where hexes are not available
+     */
+    getNormalAt(x, z) {
+        const location = this.locate(x, z);
+        return location ? location.normal : null;
+    }
+
+    /**
+     * Hex the ground at a world position belongs to
+     * On a skirt or corner this is the hex whose edge the point is closest to.
+     * @param {number} x - World x
+     * @param {number} z - World z
+     * @returns {Object|null} Hex data object, or null where hexes are not available
+     */
+    getHexAt(x, z) {
+        const location = this.locate(x, z);
+        return location ? location.hex : null;
+    }
+
+    /**
+     * Find the surface triangle under a world position
+     * @param {number} x - World x
+     * @param {number} z - World z
+     * @returns {Object|null} { hex, part, triangle, height, normal } - part is 'top', 'skirt' or
+     *                        'corner', triangle its three [x, y, z] points; null where hexes are not available
+     */
+    locate(x, z) {
+        const coords = this.hexUtils.worldToHex(x, z);
+        const hex = this.getHex(coords);
+        if (!hex) {
+            return null;
+        }
+
+        // Best triangle so far; when none contains the point exactly the nearest one is kept
+        let best = null;
+        let bestScore = -Infinity;
+        const search = triangles => {
+            for (const { part, points, owners } of triangles) {
+                const weights = TerrainQuery.barycentric(x, z, points);
+                if (!weights) continue;
+                const score = Math.min(...weights);
+                if (score > bestScore) {
+                    best = { part, points, owners, weights };
+                    bestScore = score;
+                    if (score >= -EPSILON) return;
+                }
+            }
+        };
+
+        // Perturbation can push a neighbour's skirts and corners over the nearest centre,
+        // so the neighbours' surfaces are searched when the hex's own does not hold the point
+        search(this.surfaceTriangles(hex));
+        for (const neighborCoords of HexUtils.neighbors(coords)) {
+            if (bestScore >= -EPSILON) break;
+            const neighbor = this.getHex(neighborCoords);
+            if (neighbor) {
+                search(this.surfaceTriangles(neighbor));
+            }
+        }
+
+        const { part, points, owners, weights } = best;
+        const height = weights[0] * points[0][1] + weights[1] * points[1][1] + weights[2] * points[2][1];
+
+        // The point belongs to the hex whose vertex weighs most
+        const heaviest = weights.indexOf(Math.max(...weights));
+
+        return {
+            hex: owners[heaviest],
+            part,
+            triangle: points,
+            height,
+            normal: TerrainQuery.triangleNormal(points)
+        };
+    }
+
+    /**
+     * Triangles of the surface around a hex: its top, the skirts to its neighbours
+     * and the corners at its vertices
+     * @param {Object} hex - Hex data object
+     * @returns {Array} { part, points, owners } triangles, the top first; owners names the hex each point belongs to
+     */
+    surfaceTriangles(hex) {
+        const triangles = this.topTriangles(hex).map(points => ({ part: 'top', points, owners: [hex, hex, hex] }));
+
+        const neighbors = HexUtils.neighbors(hex.gridCoords).map(coords => this.getHex(coords));
+        neighbors.forEach((neighbor, i) => {
+            if (!neighbor) return;
+            this.skirtTriangles(hex, DIRECTIONS[i], neighbor).forEach(({ points, owners }) => {
+                triangles.push({ part: 'skirt', points, owners });
+            });
+        });
+        for (let i = 0; i < 6; i++) {
+            const corner = this.cornerTriangle(hex, i, neighbors);
+            if (corner) {
+                triangles.push({ part: 'corner', ...corner });
+            }
+        }
+
+        return triangles;
+    }
+
+    /**
+     * Perturbed corners of a hex at the height of its top
+     * @param {Object} hex - Hex data object
+     * @returns {Array} Six [x, y, z] corners, in HexUtils.generateHexVertices() order
+     */
+    getVertices(hex) {
+        if (hex.vertices) {
+            return hex.vertices;
+        }
+
+        const key = `${hex.gridCoords[0]},${hex.gridCoords[1]}`;
+        let outline = this.outlines.get(key);
+        if (!outline) {
+            const [centerX, centerZ] = this.hexUtils.hexToWorld(hex.gridCoords);
+            outline = this.hexUtils.generateHexVertices(centerX, centerZ).map(([vx, , vz]) => [vx, vz]);
+            if (this.outlines.size >= OUTLINE_CACHE_SIZE) {
+                this.outlines.delete(this.outlines.keys().next().value);
+            }
+            this.outlines.set(key, outline);
+        }
+        return outline.map(([vx, vz]) => [vx, hex.elevation, vz]);
+    }
+
+    /**
+     * Triangles of a hex top: a fan around the unperturbed centre
+     * @param {Object} hex - Hex data object
+     * @returns {Array} Six triangles of three [x, y, z] points
+     */
+    topTriangles(hex) {
+        const vertices = this.getVertices(hex);
+        const [centerX, centerZ] = this.hexUtils.hexToWorld(hex.gridCoords);
+        const center = [centerX, vertices[0][1], centerZ];
+        return vertices.map((vertex, i) => [center, vertices[(i + 1) % 6], vertex]);
+    }
+
+    /**
+     * Triangles of the skirt between a hex and a neighbour, split as the mesh splits them
+     * @param {Object} hex - Hex data object
+     * @param {string} direction - Direction of the neighbour
+     * @param {Object} neighbor - Neighbouring hex data object
+     * @returns {Array} Two { points, owners } triangles; owners names the hex each point belongs to
+     */
+    skirtTriangles(hex, direction, neighbor) {
+        // The mesh builds each skirt from the hex on its northern side
+        let owner = hex;
+        let other = neighbor;
+        let ownerDirection = direction;
+        if (!SKIRT_OWNER_DIRECTIONS.includes(direction)) {
+            owner = neighbor;
+            other = hex;
+            ownerDirection = this.oppositeDirection[direction];
+        }
+
+        const ownerVertices = this.getVertices(owner);
+        const otherVertices = this.getVertices(other);
+        const [v1Index, v2Index] = this.edgeVertexMap[ownerDirection];
+        const [nv1Index, nv2Index] = this.edgeVertexMap[this.oppositeDirection[ownerDirection]];
+        const v1 = ownerVertices[v1Index];
+        const v2 = ownerVertices[v2Index];
+        const nv1 = otherVertices[nv1Index];
+        const nv2 = otherVertices[nv2Index];
+
+        return [
+            { points: [v1, v2, nv1], owners: [owner, owner, other] },
+            { points: [v1, nv1, nv2], owners: [owner, other, other] }
+        ];
+    }
+
+    /**
+     * Corner triangle filling the gap where a hex and two neighbours meet
+     * @param {Object} hex - Hex data object
+     * @param {number} vertexIndex - Corner of the hex, 0 to 5
+     * @param {Array} neighbors - Neighbouring hexes in HexUtils.neighbors() order, null where unavailable
+     * @returns {Object|null} { points, owners }, or null if a neighbour is unavailable
+     */
+    cornerTriangle(hex, vertexIndex, neighbors) {
+        // The corner lies on the edge ending at the vertex and the edge starting at it
+        const before = DIRECTIONS.find(direction => this.edgeVertexMap[direction][1] === vertexIndex);
+        const after = DIRECTIONS.find(direction => this.edgeVertexMap[direction][0] === vertexIndex);
+        const beforeHex = neighbors[DIRECTIONS.indexOf(before)];
+        const afterHex = neighbors[DIRECTIONS.indexOf(after)];
+        if (!beforeHex || !afterHex) {
+            return null;
+        }
+
+        // A neighbour's edge runs the other way, so the shared corner is at the opposite end
+        const beforeVertex = this.getVertices(beforeHex)[this.edgeVertexMap[this.oppositeDirection[before]][0]];
+        const afterVertex = this.getVertices(afterHex)[this.edgeVertexMap[this.oppositeDirection[after]][1]];
+
+        return {
+            points: [this.getVertices(hex)[vertexIndex], beforeVertex, afterVertex],
+            owners: [hex, beforeHex, afterHex]
+        };
+    }
+
+    /**
+     * Barycentric weights of a point in a triangle, projected onto the ground plane
+     * @param {number} x - World x
+     * @param {number} z - World z
+     * @param {Array} points - Three [x, y, z] points
+     * @returns {Array|null} Three weights summing to 1, all >= 0 inside the triangle; null for a degenerate triangle
+     */
+    static barycentric(x, z, [a, b, c]) {
+        const denominator = (b[2] - c[2]) * (a[0] - c[0]) + (c[0] - b[0]) * (a[2] - c[2]);
+        if (Math.abs(denominator) < 1e-12) {
+            return null;
+        }
+        const wa = ((b[2] - c[2]) * (x - c[0]) + (c[0] - b[0]) * (z - c[2])) / denominator;
+        const wb = ((c[2] - a[2]) * (x - c[0]) + (a[0] - c[0]) * (z - c[2])) / denominator;
+        return [wa, wb, 1 - wa - wb];
+    }
+
+    /**
+     * Upward unit normal of a triangle
+     * @param {Array} points - Three [x, y, z] points
+     * @returns {Array} [x, y, z] normal with y >= 0
+     */
+    static triangleNormal([a, b, c]) {
+        const ux = b[0] - a[0], uy = b[1] - a[1], uz = b[2] - a[2];
+        const vx = c[0] - a[0], vy = c[1] - a[1], vz = c[2] - a[2];
+        let nx = uy * vz - uz * vy;
+        let ny = uz * vx - ux * vz;
+        let nz = ux * vy - uy * vx;
+        const length = Math.hypot(nx, ny, nz) * (ny < 0 ? -1 : 1);
+        if (length === 0) {
+            return [0, 1, 0];
+        }
+        return [nx / length, ny / length, nz / length];
+    }
+
+    /**
+     * Hex data for a hex of a stored chunk (the chunk_0_0.json shape)
+     * Stored heights are quantised to heightScale steps above the chunk's baseHeight.
+     * @param {Object} chunk - Stored chunk
+     * @param {Array} coords - Global [col, row] of a hex in the chunk
+     * @param {HexUtils} hexUtils - Grid utilities of the world
+     * @param {number} heightScale - World units per heightOffset step
+     * @returns {Object|null} Hex data object with gridCoords, elevation, biomeIndex and featureIndex
+     */
+    static hexFromChunk(chunk, coords, hexUtils, heightScale = 0.5) {
+        const { local } = hexUtils.globalToChunk(coords);
+        const hex = chunk.hexes[hexUtils.localIndex(local)];
+        if (!hex) {
+            return null;
+        }
+        return {
+            gridCoords: coords,
+            elevation: chunk.baseHeight + hex.heightOffset * heightScale,
+            biomeIndex: hex.biomeIndex,
+            featureIndex: hex.featureIndex
+        };
+    }
+}
+
+export default TerrainQuery;
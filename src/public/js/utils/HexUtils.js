@@ -1,13 +1,55 @@
 /**
  * Hex Grid Utilities
  * Provides functions for hex grid navigation and coordinate calculations
+ *
+ * Coordinate systems (all plain arrays, all valid for negative values):
+ * - offset [col, row]: the odd-q layout hexes are stored and addressed in (gridCoords).
+ *   Odd columns sit half a row lower.
+ * - axial [q, r]: q = col, r = row - (col - (col & 1)) / 2. Neighbours are constant offsets,
+ *   so distances, rings and lines are simple arithmetic.
+ * - cube [q, r, s] with q + r + s = 0, used for rounding and interpolation.
+ * Global offset coordinates split into a chunk [cx, cz] and a chunk-local [col, row]:
+ * global = chunk * gridSize + local.
  */
 
 import PerturbationUtils from './PerturbationUtils.js';
 
+// Unit offsets of the six corners of a flat-topped hex (0, 60, ... 300 degrees).
+// Written out with sqrt instead of Math.cos/Math.sin, which are not exactly
+// rounded, so vertices come out identical in every JavaScript engine
+const HALF_SQRT3 = Math.sqrt(3) / 2;
+const HEX_CORNERS = [
+    [1, 0],
+    [0.5, HALF_SQRT3],
+    [-0.5, HALF_SQRT3],
+    [-1, 0],
+    [-0.5, -HALF_SQRT3],
+    [0.5, -HALF_SQRT3]
+];
+
+// Axial offsets of the six neighbours of a flat-topped hex
+const AXIAL_DIRECTIONS = {
+    N: [0, -1],
+    NE: [1, -1],
+    SE: [1, 0],
+    S: [0, 1],
+    SW: [-1, 1],
+    NW: [-1, 0]
+};
+
+// Ring walk: start radius steps to the SW, then follow each side in turn
+const RING_START = 'SW';
+const RING_SIDES = ['SE', 'NE', 'N', 'NW', 'SW', 'S'];
+
 class HexUtils {
-    constructor(gridSize = 16, hexSize = 1, hexGap = 0.1) {
-        this.perturbUtils = new PerturbationUtils();
+    /**
+     * @param {number} gridSize - Hexes per chunk side
+     * @param {number} hexSize - Hex size including the gap
+     * @param {number} hexGap - Gap between hexes
+     * @param {PerturbationUtils|number|string|null} perturbation - Noise to share (e.g. HexGenerator's), or a world seed to build it from
+     */
+    constructor(gridSize = 16, hexSize = 1, hexGap = 0.1, perturbation = null) {
+        this.perturbUtils = perturbation instanceof PerturbationUtils ? perturbation : new PerturbationUtils(perturbation);
         this.gridSize = gridSize;
         this.hexSize = hexSize;
         this.hexGap = hexGap;
@@ -22,51 +64,283 @@ class HexUtils {
         // For flat-top hex, the width is 2*size and height is sqrt(3)*size
         this.horizDistance = this.width * 3 / 4; // Distance between hex centers horizontally
         this.vertDistance = this.height; // Distance between hex centers vertically
+
+        // Distances between hex centres including the gap
+        this.colSpacing = this.horizDistance + hexGap;
+        this.rowSpacing = this.vertDistance + hexGap;
+    }
+
+    /**
+     * Convert odd-q offset coordinates to axial
+     * @param {Array} coords - [col, row]
+     * @returns {Array} [q, r]
+     */
+    static offsetToAxial([col, row]) {
+        // col & 1 keeps the parity of negative columns (-1 % 2 would be -1)
+        return [col, row - (col - (col & 1)) / 2];
+    }
+
+    /**
+     * Convert axial coordinates to odd-q offset
+     * @param {Array} axial - [q, r]
+     * @returns {Array} [col, row]
+     */
+    static axialToOffset([q, r]) {
+        return [q, r + (q - (q & 1)) / 2];
+    }
+
+    /**
+     * Convert axial coordinates to cube
+     * @param {Array} axial - [q, r]
+     * @returns {Array} [q, r, s]
+     */
+    static axialToCube([q, r]) {
+        return [q, r, -q - r];
+    }
+
+    /**
+     * Convert cube coordinates to axial
+     * @param {Array} cube - [q, r, s]
+     * @returns {Array} [q, r]
+     */
+    static cubeToAxial([q, r]) {
+        return [q, r];
+    }
+
+    /**
+     * Round fractional cube coordinates to the hex containing them
+     * @param {Array} cube - Fractional [q, r, s]
+     * @returns {Array} Integer [q, r, s]
+     */
+    static cubeRound([q, r, s]) {
+        let rq = Math.round(q);
+        let rr = Math.round(r);
+        let rs = Math.round(s);
+
+        // Recompute the component that moved most so q + r + s stays 0
+        const dq = Math.abs(rq - q);
+        const dr = Math.abs(rr - r);
+        const ds = Math.abs(rs - s);
+        if (dq > dr && dq > ds) {
+            rq = -rr - rs;
+        } else if (dr > ds) {
+            rr = -rq - rs;
+        } else {
+            rs = -rq - rr;
+        }
+
+        // Avoid -0 so rounded coordinates compare and print cleanly
+        return [rq + 0, rr + 0, rs + 0];
+    }
+
+    /**
+     * Number of steps between two hexes
+     * @param {Array} a - [col, row]
+     * @param {Array} b - [col, row]
+     * @returns {number} Hex distance
+     */
+    static distance(a, b) {
+        const [aq, ar] = HexUtils.offsetToAxial(a);
+        const [bq, br] = HexUtils.offsetToAxial(b);
+        const dq = aq - bq;
+        const dr = ar - br;
+        return (Math.abs(dq) + Math.abs(dr) + Math.abs(dq + dr)) / 2;
+    }
+
+    /**
+     * Step from a hex in a direction
+     * @param {Array} coords - [col, row]
+     * @param {string} direction - 'N', 'NE', 'SE', 'S', 'SW' or 'NW'
+     * @param {number} steps - Number of steps
+     * @returns {Array|null} [col, row], or null for an unknown direction
+     */
+    static neighbor(coords, direction, steps = 1) {
+        const offset = AXIAL_DIRECTIONS[direction];
+        if (!offset) {
+            return null;
+        }
+        const [q, r] = HexUtils.offsetToAxial(coords);
+        return HexUtils.axialToOffset([q + offset[0] * steps, r + offset[1] * steps]);
+    }
+
+    /**
+     * All six neighbours of a hex
+     * @param {Array} coords - [col, row]
+     * @returns {Array} [col, row] of each neighbour, in N, NE, SE, S, SW, NW order
+     */
+    static neighbors(coords) {
+        return Object.keys(AXIAL_DIRECTIONS).map(direction => HexUtils.neighbor(coords, direction));
+    }
+
+    /**
+     * Hexes at exactly a distance from a centre
+     * @param {Array} center - [col, row]
+     * @param {number} radius - Distance, 0 gives just the centre
+     * @returns {Array} [col, row] of each hex, walking around the ring
+     */
+    static ring(center, radius) {
+        if (radius <= 0) {
+            return [[center[0], center[1]]];
+        }
+
+        const results = [];
+        let hex = HexUtils.neighbor(center, RING_START, radius);
+        for (const side of RING_SIDES) {
+            for (let step = 0; step < radius; step++) {
+                results.push(hex);
+                hex = HexUtils.neighbor(hex, side);
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Hexes within a distance, ordered outwards ring by ring
+     * @param {Array} center - [col, row]
+     * @param {number} radius - Largest distance
+     * @returns {Array} [col, row] of each hex, the centre first
+     */
+    static spiral(center, radius) {
+        const results = [];
+        for (let ring = 0; ring <= radius; ring++) {
+            results.push(...HexUtils.ring(center, ring));
+        }
+        return results;
+    }
+
+    /**
+     * Hexes within a distance, in axial scan order (cheaper than spiral when order does not matter)
+     * @param {Array} center - [col, row]
+     * @param {number} radius - Largest distance
+     * @returns {Array} [col, row] of each hex
+     */
+    static range(center, radius) {
+        const [cq, cr] = HexUtils.offsetToAxial(center);
+        const results = [];
+        for (let dq = -radius; dq <= radius; dq++) {
+            const minR = Math.max(-radius, -dq - radius);
+            const maxR = Math.min(radius, -dq + radius);
+            for (let dr = minR; dr <= maxR; dr++) {
+                results.push(HexUtils.axialToOffset([cq + dq, cr + dr]));
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Hexes on the straight line between two hexes
+     * @param {Array} a - [col, row] start
+     * @param {Array} b - [col, row] end
+     * @returns {Array} [col, row] of each hex from a to b inclusive
+     */
+    static line(a, b) {
+        const steps = HexUtils.distance(a, b);
+        const start = HexUtils.axialToCube(HexUtils.offsetToAxial(a));
+        const end = HexUtils.axialToCube(HexUtils.offsetToAxial(b));
+
+        // Nudge off hex edges so points exactly between two hexes round consistently
+        const nudge = [1e-6, 2e-6, -3e-6];
+
+        const results = [];
+        for (let i = 0; i <= steps; i++) {
+            const t = steps === 0 ? 0 : i / steps;
+            const cube = start.map((value, axis) => value + (end[axis] - value) * t + nudge[axis]);
+            results.push(HexUtils.axialToOffset(HexUtils.cubeToAxial(HexUtils.cubeRound(cube))));
+        }
+        return results;
+    }
+
+    /**
+     * World position of a hex centre
+     * @param {Array} coords - Global [col, row]
+     * @returns {Array} [x, z] in world units
+     */
+    hexToWorld([col, row]) {
+        // For flat-topped hex grid, odd columns are offset vertically
+        return [
+            col * this.colSpacing,
+            row * this.rowSpacing + ((col & 1) * (this.rowSpacing / 2))
+        ];
+    }
+
+    /**
+     * Hex whose centre is nearest to a world position
+     * @param {number} x - World x
+     * @param {number} z - World z
+     * @returns {Array} Global [col, row]
+     */
+    worldToHex(x, z) {
+        // Centres lie on a linear lattice: x = q * colSpacing, z = (r + q / 2) * rowSpacing
+        const q = x / this.colSpacing;
+        const r = z / this.rowSpacing - q / 2;
+        const guess = HexUtils.axialToOffset(HexUtils.cubeToAxial(HexUtils.cubeRound([q, r, -q - r])));
+
+        // The gap stretches the lattice away from a regular hex grid, so cube rounding
+        // can be off by one near edges; settle on the truly nearest centre
+        let best = guess;
+        let bestDistance = Infinity;
+        for (const candidate of [guess, ...HexUtils.neighbors(guess)]) {
+            const [cx, cz] = this.hexToWorld(candidate);
+            const distance = (cx - x) * (cx - x) + (cz - z) * (cz - z);
+            if (distance < bestDistance) {
+                best = candidate;
+                bestDistance = distance;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Split global hex coordinates into the chunk and the position within it
+     * @param {Array} coords - Global [col, row]
+     * @returns {Object} { chunk: [cx, cz], local: [col, row] }
+     */
+    globalToChunk([col, row]) {
+        const cx = Math.floor(col / this.gridSize);
+        const cz = Math.floor(row / this.gridSize);
+        return {
+            chunk: [cx, cz],
+            local: [col - cx * this.gridSize, row - cz * this.gridSize]
+        };
+    }
+
+    /**
+     * Global hex coordinates of a position within a chunk
+     * @param {Array} chunk - [cx, cz]
+     * @param {Array} local - Chunk-local [col, row]
+     * @returns {Array} Global [col, row]
+     */
+    chunkToGlobal([cx, cz], [col, row]) {
+        return [cx * this.gridSize + col, cz * this.gridSize + row];
+    }
+
+    /**
+     * Index of a chunk-local hex in a chunk's row-major hex array
+     * @param {Array} local - Chunk-local [col, row]
+     * @returns {number} Index
+     */
+    localIndex([col, row]) {
+        return row * this.gridSize + col;
+    }
+
+    /**
+     * Chunk containing a world position
+     * @param {number} x - World x
+     * @param {number} z - World z
+     * @returns {Array} [cx, cz]
+     */
+    worldToChunk(x, z) {
+        return this.globalToChunk(this.worldToHex(x, z)).chunk;
     }
 
     /**
      * Get the coordinates of a neighboring hex in the specified direction
      * @param {Array} coords - [col, row] coordinates of the current hex
      * @param {string} direction - Direction: 'N', 'NE', 'SE', 'S', 'SW', or 'NW'
-     * @returns {Array} [col, row] coordinates of the neighboring hex, or null if out of bounds
+     * @returns {Array} [col, row] coordinates of the neighboring hex, or null for an unknown direction
      */
     getNeighborCoords(coords, direction) {
-        const [col, row] = coords;
-        const isOddColumn = col % 2 === 1;
-        let newCol, newRow;
-
-        // Direction vectors for flat-topped hexagons
-        // Different for odd and even columns due to the offset
-        switch (direction) {
-            case 'N':
-                newCol = col;
-                newRow = row - 1;
-                break;
-            case 'NE':
-                newCol = col + 1;
-                newRow = isOddColumn ? row : row - 1;
-                break;
-            case 'SE':
-                newCol = col + 1;
-                newRow = isOddColumn ? row + 1 : row;
-                break;
-            case 'S':
-                newCol = col;
-                newRow = row + 1;
-                break;
-            case 'SW':
-                newCol = col - 1;
-                newRow = isOddColumn ? row + 1 : row;
-                break;
-            case 'NW':
-                newCol = col - 1;
-                newRow = isOddColumn ? row : row - 1;
-                break;
-            default:
-                return null;
-        }
-
-        return [newCol, newRow];
+        return HexUtils.neighbor(coords, direction);
     }
 
     /**
@@ -78,14 +352,8 @@ class HexUtils {
     getNeighbor(hex, direction) {
         const neighborCoords = this.getNeighborCoords(hex.gridCoords, direction);
 
-        const [neighborCol, neighborRow] = neighborCoords;
-
         // Calculate center position for the neighbor hex
-        const colSpacing = this.width * 3 / 4 + this.hexGap;
-        const rowSpacing = this.height + this.hexGap;
-
-        const neighborCenterX = neighborCol * colSpacing;
-        const neighborCenterZ = neighborRow * rowSpacing + ((neighborCol % 2) * (rowSpacing / 2));
+        const [neighborCenterX, neighborCenterZ] = this.hexToWorld(neighborCoords);
 
         // Get elevation and generate vertices
         const elevation = this.perturbUtils.getElevation(neighborCenterX, neighborCenterZ);
@@ -128,12 +396,11 @@ class HexUtils {
      * @returns {Array} Array of vertex coordinates [x, y, z]
      */
     getHexVertex(centerX, centerZ, i) {
-        const angles = [0, 60, 120, 180, 240, 300];
-        const angle = (Math.PI / 180) * angles[i];
+        const [cornerX, cornerZ] = HEX_CORNERS[i];
 
         // Calculate base vertex position
-        const x = centerX + this.effectiveSize * Math.cos(angle);
-        const z = centerZ + this.effectiveSize * Math.sin(angle);
+        const x = centerX + this.effectiveSize * cornerX;
+        const z = centerZ + this.effectiveSize * cornerZ;
 
         const [px, pz] = this.perturbUtils.perturbXZ(x, z);
 
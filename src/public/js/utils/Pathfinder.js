@@ -0,0 +1,273 @@
+/**
+ * Hex Pathfinder
+ * A* search over the hex grid with terrain-aware step costs.
+ *
+ * Hexes are looked up through a callback, so the search is not tied to a chunk:
+ * it crosses chunk boundaries wherever the callback can supply the hex (in the
+ * browser ChunkManager.getHex(), which covers the loaded chunks). Hexes the
+ * callback returns null for are treated as impassable.
+ *
+ * The cost of stepping onto a hex is
+ *   baseCost * biome movementCost * feature movementCost
+ *   + climbCost * height climbed + descentCost * height descended
+ * Biome and feature definitions may set movementCost (default 1), and a feature
+ * with passable: false (e.g. a river without a ford) blocks the hex entirely.
+ * Submerged hexes cost waterCost times as much, and cannot be entered at all
+ * with the default waterCost of Infinity. Steps that climb more than maxClimb
+ * are not allowed.
+ */
+
+import HexUtils from './HexUtils.js';
+
+/**
+ * Binary min-heap of entries ordered by their priority field
+ */
+class MinHeap {
+    constructor() {
+        this.items = [];
+    }
+
+    /**
+     * Number of entries
+     * @returns {number} Entry count
+     */
+    get size() {
+        return this.items.length;
+    }
+
+    /**
+     * Add an entry
+     * @param {Object} item - Entry with a numeric priority field
+     */
+    push(item) {
+        const items = this.items;
+        items.push(item);
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (items[parent].priority <= item.priority) break;
+            items[i] = items[parent];
+            i = parent;
+        }
+        items[i] = item;
+    }
+
+    /**
+     * Remove and return the entry with the lowest priority
+     * @returns {Object|undefined} Entry, or undefined if the heap is empty
+     */
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            let i = 0;
+            for (;;) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = left < items.length && items[left].priority < last.priority ? left : -1;
+                if (right < items.length && items[right].priority < (smallest === -1 ? last.priority : items[smallest].priority)) {
+                    smallest = right;
+                }
+                if (smallest === -1) break;
+                items[i] = items[smallest];
+                i = smallest;
+            }
+            items[i] = last;
+        }
+        return top;
+    }
+}
+
+class Pathfinder {
+    /**
+     * @param {Function} getHex - Returns the hex data object at global [col, row], or null if unknown
+     * @param {Object} options - Cost options
+     * @param {Array} options.biomes - Biome definitions indexed by the hexes' biomeIndex, read for movementCost
+     * @param {Array} options.features - Feature definitions indexed by featureIndex, read for movementCost and passable
+     * @param {number} options.baseCost - Cost of a step across level ground with costs of 1
+     * @param {number} options.climbCost - Extra cost per unit of height climbed
+     * @param {number} options.descentCost - Extra cost per unit of height descended
+     * @param {number} options.maxClimb - Largest height difference a single step may climb
+     * @param {Function} options.getElevation - Returns a hex's height, hex.elevation by default
+     * @param {Function} options.isSubmerged - Returns whether a hex is under water (HexGenerator.isSubmerged()), optional
+     * @param {number} options.waterCost - Cost multiplier of submerged hexes, Infinity to keep out of the water
+     * @param {number} options.maxNodes - Hexes expanded before the search gives up
+     */
+    constructor(getHex, options = {}) {
+        this.getHex = getHex;
+
+        this.params = {
+            biomes: null,
+            features: null,
+            baseCost: 1,
+            climbCost: 2,
+            descentCost: 0.5,
+            maxClimb: Infinity,
+            getElevation: hex => hex.elevation,
+            isSubmerged: null,
+            waterCost: Infinity,
+            maxNodes: 20000,
+            ...options
+        };
+
+        // The cheapest step possible, which keeps the heuristic admissible
+        // when some biomes or features cost less than 1
+        const cheapest = definitions => Math.min(1, ...(definitions || [])
+            .filter(definition => definition && typeof definition.movementCost === 'number')
+            .map(definition => definition.movementCost));
+        this.minStepCost = this.params.baseCost * cheapest(this.params.biomes) * cheapest(this.params.features) *
+            Math.min(1, this.params.waterCost);
+    }
+
+    /**
+     * Build the map key for a hex
+     * @param {Array} coords - [col, row]
+     * @returns {string} Key in the form "col,row"
+     */
+    static key([col, row]) {
+        return `${col},${row}`;
+    }
+
+    /**
+     * Movement cost multiplier of a hex's biome, feature and water
+     * @param {Object} hex - Hex data object
+     * @returns {number} Multiplier, Infinity if the hex cannot be entered
+     */
+    getTerrainCost(hex) {
+        const { biomes, features, isSubmerged, waterCost } = this.params;
+        let cost = 1;
+
+        if (isSubmerged && isSubmerged(hex)) {
+            if (waterCost === Infinity) {
+                return Infinity;
+            }
+            cost *= waterCost;
+        }
+
+        const biome = biomes && biomes[hex.biomeIndex];
+        if (biome && typeof biome.movementCost === 'number') {
+            cost *= biome.movementCost;
+        }
+
+        const feature = features && features[hex.featureIndex];
+        if (feature) {
+            if (feature.passable === false) {
+                return Infinity;
+            }
+            if (typeof feature.movementCost === 'number') {
+                cost *= feature.movementCost;
+            }
+        }
+
+        return cost;
+    }
+
+    /**
+     * Cost of stepping from one hex onto a neighbour
+     * @param {Object} from - Hex data object being left
+     * @param {Object} to - Neighbouring hex data object being entered
+     * @returns {number} Step cost, Infinity if the step is not allowed
+     */
+    getStepCost(from, to) {
+        const { baseCost, climbCost, descentCost, maxClimb, getElevation } = this.params;
+
+        const rise = getElevation(to) - getElevation(from);
+        if (rise > maxClimb) {
+            return Infinity;
+        }
+
+        const terrainCost = this.getTerrainCost(to);
+        if (terrainCost === Infinity) {
+            return Infinity;
+        }
+
+        return baseCost * terrainCost + (rise > 0 ? rise * climbCost : -rise * descentCost);
+    }
+
+    /**
+     * Estimated cost between two hexes, never more than the real cost
+     * @param {Array} a - [col, row]
+     * @param {Array} b - [col, row]
+     * @returns {number} Estimated cost
+     */
+    heuristic(a, b) {
+        return HexUtils.distance(a, b) * this.minStepCost;
+    }
+
+    /**
+     * Find the cheapest path between two hexes
+     * @param {Array} start - Global [col, row] to start from
+     * @param {Array} goal - Global [col, row] to reach
+     * @returns {Object|null} { path, cost } with path as [col, row] from start to goal inclusive,
+     *                        or null if the goal cannot be reached
+     */
+    findPath(start, goal) {
+        const startHex = this.getHex(start);
+        const goalHex = this.getHex(goal);
+        if (!startHex || !goalHex || this.getTerrainCost(goalHex) === Infinity) {
+            return null;
+        }
+
+        const goalKey = Pathfinder.key(goal);
+        const open = new MinHeap();
+        // Best known cost and predecessor per visited hex, keyed by "col,row"
+        const nodes = new Map();
+
+        const startKey = Pathfinder.key(start);
+        nodes.set(startKey, { coords: start, hex: startHex, cost: 0, parent: null, closed: false });
+        open.push({ key: startKey, priority: this.heuristic(start, goal) });
+
+        let expanded = 0;
+        while (open.size > 0) {
+            const { key } = open.pop();
+            const node = nodes.get(key);
+            if (node.closed) continue;
+
+            if (key === goalKey) {
+                return { path: this.reconstruct(node), cost: node.cost };
+            }
+
+            node.closed = true;
+            if (++expanded > this.params.maxNodes) {
+                console.warn(`Pathfinder gave up after expanding ${this.params.maxNodes} hexes`);
+                return null;
+            }
+
+            for (const coords of HexUtils.neighbors(node.coords)) {
+                const neighborKey = Pathfinder.key(coords);
+                const neighbor = nodes.get(neighborKey);
+                if (neighbor && neighbor.closed) continue;
+
+                const hex = neighbor ? neighbor.hex : this.getHex(coords);
+                if (!hex) continue;
+
+                const stepCost = this.getStepCost(node.hex, hex);
+                if (stepCost === Infinity) continue;
+
+                const cost = node.cost + stepCost;
+                if (neighbor && neighbor.cost <= cost) continue;
+
+                nodes.set(neighborKey, { coords, hex, cost, parent: node, closed: false });
+                open.push({ key: neighborKey, priority: cost + this.heuristic(coords, goal) });
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Walk the predecessor chain back to the start
+     * @param {Object} node - Search node of the goal
+     * @returns {Array} [col, row] from start to goal
+     */
+    reconstruct(node) {
+        const path = [];
+        for (let current = node; current; current = current.parent) {
+            path.push(current.coords);
+        }
+        return path.reverse();
+    }
+}
+
+export default Pathfinder;
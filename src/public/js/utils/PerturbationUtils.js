@@ -4,14 +4,19 @@
  */
 
 import PerlinNoise from './noise.js';
+import SeededRandom from './SeededRandom.js';
 
 class PerturbationUtils {
+    /**
+     * @param {number|string|null} seed - World seed, see SeededRandom.toSeed(); random when null
+     */
     constructor(seed = null, perturbationScale = 0.5, noiseScale = 0.1, elevationNoiseScale = 0.025, elevationScale = 12, elevationPerturbationScale = 3.0) {
         // Initialize Perlin noise generator with a random seed if none provided
-        this.noise = new PerlinNoise(seed !== null ? seed : Math.random() * 10000);
+        this.seed = seed !== null && seed !== undefined ? SeededRandom.toSeed(seed) : SeededRandom.randomSeed();
+        this.noise = new PerlinNoise(this.seed);
         
         // Create a second noise generator with a different seed for more variation
-        this.secondaryNoise = new PerlinNoise(seed !== null ? seed + 5432 : Math.random() * 10000);
+        this.secondaryNoise = new PerlinNoise((this.seed + 5432) | 0);
         
         // Perturbation settings
         this.perturbationScale = perturbationScale; // Scale of the perturbation (0-1, where 1 is full hexSize)
@@ -111,34 +116,25 @@ class PerturbationUtils {
      * @returns {number} Elevation value between 0 and 1
      */
     getElevation(x, z) {
-        // Use both noise generators for more variation
-        let primaryNoise = this.noise.get(x * this.elevationNoiseScale, z * this.elevationNoiseScale);
-        let secondaryNoise = this.secondaryNoise.get(x * this.elevationNoiseScale * 1.3, z * this.elevationNoiseScale * 1.3);
-        
-        // Create fractal noise with multiple octaves for natural-looking terrain
-        // Primary noise octaves
-        let elevation = primaryNoise;
-        elevation += 0.5 * this.noise.get(x * this.elevationNoiseScale * 2, z * this.elevationNoiseScale * 2);
-        elevation += 0.25 * this.noise.get(x * this.elevationNoiseScale * 4, z * this.elevationNoiseScale * 4);
-        elevation += 0.125 * this.noise.get(x * this.elevationNoiseScale * 8, z * this.elevationNoiseScale * 8);
-        
-        // Secondary noise octaves (at different frequencies for more variation)
-        let secondaryElevation = secondaryNoise;
-        secondaryElevation += 0.4 * this.secondaryNoise.get(x * this.elevationNoiseScale * 2.5, z * this.elevationNoiseScale * 2.5);
-        secondaryElevation += 0.2 * this.secondaryNoise.get(x * this.elevationNoiseScale * 5, z * this.elevationNoiseScale * 5);
-        
-        // Create ridge-like features for mountains
-        const ridgeNoise = Math.pow(Math.abs(primaryNoise * 2 - 1), 1.5) * this.ridgeInfluence;
-        
-        // Create valley-like features
-        const valleyNoise = Math.pow(1 - Math.abs(secondaryNoise * 2 - 1), 2) * this.valleyDepth;
-        
-        // Combine all noise types with appropriate weights
-        elevation = (elevation / 1.875) * 0.65;  // Primary noise contribution
-        secondaryElevation = (secondaryElevation / 1.6) * 0.35;  // Secondary noise contribution
-        
+        const scale = this.elevationNoiseScale;
+
+        // Four octave fBm for the overall shape of the land
+        const elevation = this.noise.fbm(x * scale, z * scale, { octaves: 4 });
+
+        // A second, shorter fBm at a different frequency for more variation
+        const secondaryElevation = this.secondaryNoise.fbm(x * scale * 1.3, z * scale * 1.3, { octaves: 3, gain: 0.45 });
+
+        // Create ridge-like features for mountains from creases in the base layer
+        // (x^1.5 written with sqrt, which unlike Math.pow is exactly rounded and so
+        // identical in every engine)
+        const ridge = this.noise.billow(x * scale, z * scale, { octaves: 1 });
+        const ridgeNoise = ridge * Math.sqrt(ridge) * this.ridgeInfluence;
+
+        // Create valley-like features along the crests of the secondary layer
+        const valleyNoise = this.secondaryNoise.ridged(x * scale * 1.3, z * scale * 1.3, { octaves: 1 }) * this.valleyDepth;
+
         // Mix all terrain features
-        let finalElevation = elevation + secondaryElevation + ridgeNoise - valleyNoise;
+        let finalElevation = elevation * 0.65 + secondaryElevation * 0.35 + ridgeNoise - valleyNoise;
         
         // Apply overall scaling
         finalElevation *= this.elevationScale;
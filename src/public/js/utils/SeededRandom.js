@@ -0,0 +1,82 @@
+/**
+ * Seeded Random
+ * Small deterministic random number generator (mulberry32) with a coordinate hash,
+ * so placement and procedural models come out the same on every client
+ */
+
+class SeededRandom {
+    /**
+     * @param {number} seed - 32-bit integer seed
+     */
+    constructor(seed = 0) {
+        this.state = seed | 0;
+    }
+
+    /**
+     * Hash any number of integers or strings into a 32-bit seed (FNV-1a)
+     * @param {...(number|string)} values - Values to hash
+     * @returns {number} 32-bit seed
+     */
+    static hash(...values) {
+        let hash = 2166136261;
+        for (const value of values) {
+            if (typeof value === 'string') {
+                for (let i = 0; i < value.length; i++) {
+                    hash = Math.imul(hash ^ value.charCodeAt(i), 16777619);
+                }
+            } else {
+                hash = Math.imul(hash ^ (value | 0), 16777619);
+            }
+        }
+        return hash;
+    }
+
+    /**
+     * Turn a world seed into a 32-bit integer
+     * Integers (or integer strings such as "?seed=42") are used as they are,
+     * any other string is hashed, so "?seed=hello" names a world too.
+     * @param {number|string} value - Seed as given
+     * @returns {number} 32-bit integer seed
+     */
+    static toSeed(value) {
+        if (typeof value === 'number' && Number.isFinite(value)) {
+            return Math.floor(value) | 0;
+        }
+        const text = String(value).trim();
+        if (/^-?\d+$/.test(text)) {
+            return Number(text) | 0;
+        }
+        return SeededRandom.hash(text);
+    }
+
+    /**
+     * Pick a random world seed
+     * @returns {number} 31-bit positive integer seed
+     */
+    static randomSeed() {
+        return Math.floor(Math.random() * 0x7FFFFFFF);
+    }
+
+    /**
+     * Get the next number
+     * @returns {number} Number in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) | 0;
+        let t = Math.imul(this.state ^ (this.state >>> 15), 1 | this.state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Get a number in a range
+     * @param {number} min - Lower bound
+     * @param {number} max - Upper bound
+     * @returns {number} Number in [min, max)
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+}
+
+export default SeededRandom;
@@ -1,34 +1,75 @@
 /**
  * Perlin Noise Implementation
  * Based on the improved Perlin noise algorithm by Ken Perlin
+ *
+ * Gradients come from a seeded permutation table, so sampling needs no cache
+ * and memory stays constant however much of the world is explored. Only integer
+ * hashing and exactly rounded arithmetic are used (no Math.sin/Math.cos/Math.pow,
+ * whose last bits differ between JavaScript engines), so the same seed gives
+ * byte-identical noise in Node and every browser.
+ *
+ * Every sampling function returns values in [0, 1].
  */
 
+import SeededRandom from './SeededRandom.js';
+
+// Sixteen evenly spaced unit gradients for Perlin noise
+const GRADIENTS_X = new Float64Array([
+    1, 0.9238795325112867, 0.7071067811865476, 0.3826834323650898,
+    0, -0.3826834323650898, -0.7071067811865476, -0.9238795325112867,
+    -1, -0.9238795325112867, -0.7071067811865476, -0.3826834323650898,
+    0, 0.3826834323650898, 0.7071067811865476, 0.9238795325112867
+]);
+const GRADIENTS_Y = new Float64Array([
+    0, 0.3826834323650898, 0.7071067811865476, 0.9238795325112867,
+    1, 0.9238795325112867, 0.7071067811865476, 0.3826834323650898,
+    0, -0.3826834323650898, -0.7071067811865476, -0.9238795325112867,
+    -1, -0.9238795325112867, -0.7071067811865476, -0.3826834323650898
+]);
+
+// Gradients for simplex noise (Gustavson's 2D set)
+const SIMPLEX_GRADIENTS = [[1, 1], [-1, 1], [1, -1], [-1, -1], [1, 0], [-1, 0], [0, 1], [0, -1]];
+
+// Simplex skew and unskew factors for two dimensions
+const F2 = (Math.sqrt(3) - 1) / 2;
+const G2 = (3 - Math.sqrt(3)) / 6;
+
+// Default fractal settings
+const FRACTAL_DEFAULTS = {
+    octaves: 4,         // Number of layers
+    lacunarity: 2,      // Frequency multiplier per octave
+    gain: 0.5,          // Amplitude multiplier per octave
+    simplex: false      // Layer simplex noise instead of Perlin noise
+};
+
 // A simple implementation of Perlin noise
 class PerlinNoise {
-    constructor(seed = Math.random()) {
-        this.seed = seed;
-        this.gradients = {};
-        this.memory = {};
-    }
+    /**
+     * @param {number|string} seed - World seed, see SeededRandom.toSeed(); random if omitted
+     */
+    constructor(seed = SeededRandom.randomSeed()) {
+        this.seed = SeededRandom.toSeed(seed);
 
-    // Generate a random gradient vector
-    getRandomGradient(ix, iy) {
-        // Use a hash function to get a unique, but deterministic value for each coordinate
-        const key = ix + "," + iy;
-        
-        if (!this.gradients[key]) {
-            // Use the seed to generate a deterministic random angle
-            const angle = 2 * Math.PI * this._random(ix, iy);
-            this.gradients[key] = {
-                x: Math.cos(angle),
-                y: Math.sin(angle)
-            };
+        // Shuffle 0-255 with the seed and repeat it, so lookups never need wrapping twice
+        const random = new SeededRandom(this.seed);
+        const table = new Uint8Array(256);
+        for (let i = 0; i < 256; i++) {
+            table[i] = i;
+        }
+        for (let i = 255; i > 0; i--) {
+            const j = Math.floor(random.next() * (i + 1));
+            const swap = table[i];
+            table[i] = table[j];
+            table[j] = swap;
+        }
+
+        this.perm = new Uint8Array(512);
+        for (let i = 0; i < 512; i++) {
+            this.perm[i] = table[i & 255];
         }
-        
-        return this.gradients[key];
     }
 
-    // Interpolation function (cubic Hermite curve)
+    // Interpolation function (quintic fade curve)
     smootherstep(t) {
         return t * t * t * (t * (t * 6 - 15) + 10);
     }
@@ -38,65 +79,189 @@ class PerlinNoise {
         return a + t * (b - a);
     }
 
-    // Compute dot product of distance and gradient vectors
-    dotGridGradient(ix, iy, x, y) {
-        // Get gradient at grid point
-        const gradient = this.getRandomGradient(ix, iy);
-        
-        // Compute the distance vector
-        const dx = x - ix;
-        const dy = y - iy;
-        
-        // Compute the dot-product
-        return dx * gradient.x + dy * gradient.y;
+    /**
+     * Hash a lattice point to a table index
+     * @param {number} ix - Integer x
+     * @param {number} iy - Integer y
+     * @returns {number} Value in 0-255
+     */
+    hash(ix, iy) {
+        return this.perm[this.perm[ix & 255] + (iy & 255)];
     }
 
-    // Simple deterministic random function based on coordinates and seed
-    _random(x, y) {
-        const dot = x * 12.9898 + y * 78.233 + this.seed;
-        return this._fract(Math.sin(dot) * 43758.5453123);
+    /**
+     * Dot product of a lattice point's gradient with the offset to the sample
+     * @param {number} ix - Integer x of the lattice point
+     * @param {number} iy - Integer y of the lattice point
+     * @param {number} dx - Sample x minus ix
+     * @param {number} dy - Sample y minus iy
+     * @returns {number} Gradient contribution
+     */
+    dotGridGradient(ix, iy, dx, dy) {
+        const g = this.hash(ix, iy) & 15;
+        return dx * GRADIENTS_X[g] + dy * GRADIENTS_Y[g];
     }
 
-    // Fractional part of a number
-    _fract(n) {
-        return n - Math.floor(n);
-    }
-
-    // Get noise value at coordinates (x, y)
+    /**
+     * Perlin noise
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {number} Noise value in [0, 1]
+     */
     get(x, y) {
-        const key = x + "," + y;
-        
-        // Check if we've already calculated this value
-        if (this.memory[key]) {
-            return this.memory[key];
-        }
-        
         // Get grid cell coordinates
         const x0 = Math.floor(x);
         const y0 = Math.floor(y);
-        const x1 = x0 + 1;
-        const y1 = y0 + 1;
-        
+        const dx = x - x0;
+        const dy = y - y0;
+
         // Get interpolation weights
-        const sx = this.smootherstep(x - x0);
-        const sy = this.smootherstep(y - y0);
-        
+        const sx = this.smootherstep(dx);
+        const sy = this.smootherstep(dy);
+
         // Interpolate between grid point gradients
-        const n0 = this.dotGridGradient(x0, y0, x, y);
-        const n1 = this.dotGridGradient(x1, y0, x, y);
+        const n0 = this.dotGridGradient(x0, y0, dx, dy);
+        const n1 = this.dotGridGradient(x0 + 1, y0, dx - 1, dy);
         const ix0 = this.lerp(n0, n1, sx);
-        
-        const n2 = this.dotGridGradient(x0, y1, x, y);
-        const n3 = this.dotGridGradient(x1, y1, x, y);
+
+        const n2 = this.dotGridGradient(x0, y0 + 1, dx, dy - 1);
+        const n3 = this.dotGridGradient(x0 + 1, y0 + 1, dx - 1, dy - 1);
         const ix1 = this.lerp(n2, n3, sx);
-        
+
         // Result is in range [-1, 1], so we normalize to [0, 1]
-        const result = this.lerp(ix0, ix1, sy) * 0.5 + 0.5;
-        
-        // Cache the result
-        this.memory[key] = result;
-        
-        return result;
+        return this.lerp(ix0, ix1, sy) * 0.5 + 0.5;
+    }
+
+    /**
+     * 2D simplex noise: fewer directional artefacts than Perlin noise
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {number} Noise value in [0, 1]
+     */
+    simplex(x, y) {
+        // Skew into the simplex grid to find the containing cell
+        const s = (x + y) * F2;
+        const i = Math.floor(x + s);
+        const j = Math.floor(y + s);
+        const t = (i + j) * G2;
+        const x0 = x - (i - t);
+        const y0 = y - (j - t);
+
+        // Pick the upper or lower triangle of the cell
+        const i1 = x0 > y0 ? 1 : 0;
+        const j1 = x0 > y0 ? 0 : 1;
+
+        const x1 = x0 - i1 + G2;
+        const y1 = y0 - j1 + G2;
+        const x2 = x0 - 1 + 2 * G2;
+        const y2 = y0 - 1 + 2 * G2;
+
+        const n0 = this.simplexCorner(i, j, x0, y0);
+        const n1 = this.simplexCorner(i + i1, j + j1, x1, y1);
+        const n2 = this.simplexCorner(i + 1, j + 1, x2, y2);
+
+        // Scale to [-1, 1], then to [0, 1]; clamp the rare overshoot
+        const value = 70 * (n0 + n1 + n2) * 0.5 + 0.5;
+        return value < 0 ? 0 : value > 1 ? 1 : value;
+    }
+
+    /**
+     * Contribution of one simplex corner
+     * @param {number} i - Corner lattice x
+     * @param {number} j - Corner lattice y
+     * @param {number} x - Offset from the corner, x
+     * @param {number} y - Offset from the corner, y
+     * @returns {number} Contribution
+     */
+    simplexCorner(i, j, x, y) {
+        let t = 0.5 - x * x - y * y;
+        if (t < 0) {
+            return 0;
+        }
+        const [gx, gy] = SIMPLEX_GRADIENTS[this.hash(i, j) & 7];
+        t *= t;
+        return t * t * (gx * x + gy * y);
+    }
+
+    /**
+     * Fractal Brownian motion: octaves of noise at rising frequency and falling amplitude
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {Object} options - octaves, lacunarity, gain, simplex (see FRACTAL_DEFAULTS)
+     * @returns {number} Noise value in [0, 1]
+     */
+    fbm(x, y, options = {}) {
+        return this.fractal(x, y, options, value => value);
+    }
+
+    /**
+     * Ridged noise: sharp crests where the noise crosses its midpoint, good for mountain ranges
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {Object} options - octaves, lacunarity, gain, simplex (see FRACTAL_DEFAULTS)
+     * @returns {number} Noise value in [0, 1], 1 on the ridges
+     */
+    ridged(x, y, options = {}) {
+        return this.fractal(x, y, options, value => {
+            const ridge = 1 - Math.abs(value * 2 - 1);
+            return ridge * ridge;
+        });
+    }
+
+    /**
+     * Billow noise: rounded bumps with creases between them, good for hills and clouds
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {Object} options - octaves, lacunarity, gain, simplex (see FRACTAL_DEFAULTS)
+     * @returns {number} Noise value in [0, 1]
+     */
+    billow(x, y, options = {}) {
+        return this.fractal(x, y, options, value => Math.abs(value * 2 - 1));
+    }
+
+    /**
+     * Sum shaped octaves and normalise by the total amplitude
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {Object} options - Fractal options
+     * @param {Function} shape - Maps a [0, 1] sample to a [0, 1] octave value
+     * @returns {number} Value in [0, 1]
+     */
+    fractal(x, y, options, shape) {
+        const { octaves, lacunarity, gain, simplex } = { ...FRACTAL_DEFAULTS, ...options };
+
+        let sum = 0;
+        let amplitude = 1;
+        let total = 0;
+        let frequency = 1;
+        for (let octave = 0; octave < octaves; octave++) {
+            const value = simplex ? this.simplex(x * frequency, y * frequency) : this.get(x * frequency, y * frequency);
+            sum += shape(value) * amplitude;
+            total += amplitude;
+            amplitude *= gain;
+            frequency *= lacunarity;
+        }
+
+        return total > 0 ? sum / total : 0;
+    }
+
+    /**
+     * Domain warping: offset coordinates by noise, so sampling the result bends
+     * features into swirls and meanders, e.g. noise.fbm(...noise.warp(x, y, 2))
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {number} strength - Largest offset, in the units of x and y
+     * @param {number} frequency - Frequency of the warping noise relative to x and y
+     * @returns {Array} Warped [x, y]
+     */
+    warp(x, y, strength = 1, frequency = 1) {
+        // Offset the second sample so the two axes are not correlated
+        const wx = this.fbm(x * frequency, y * frequency, { octaves: 2 });
+        const wy = this.fbm(x * frequency + 31.7, y * frequency + 17.3, { octaves: 2 });
+        return [
+            x + (wx * 2 - 1) * strength,
+            y + (wy * 2 - 1) * strength
+        ];
     }
 }
 
@@ -0,0 +1,165 @@
+/**
+ * Chunk API Routes
+ * GET /api/chunks lists the stored chunks
+ * GET/PUT/DELETE /api/chunks/:cx/:cz
+ * Missing chunks are generated on first request and persisted
+ * Chunks PUT by clients keep only biomes and features the server knows
+ * Reads and writes go through the ChunkAuthority shared with the multiplayer
+ * server, so they are ordered with players' edits and players hear about PUTs
+ */
+
+const express = require('express');
+const { loadShared } = require('../terrain/sharedModules');
+const { resolvePalettes } = require('../terrain/palettes');
+const ChunkAuthority = require('../terrain/ChunkAuthority');
+
+/**
+ * Parse a chunk coordinate route parameter
+ * @param {string} value - Raw route parameter
+ * @returns {number|null} Integer coordinate, or null if the value is not an integer
+ */
+function parseCoord(value) {
+    return /^-?\d+$/.test(value) ? parseInt(value, 10) : null;
+}
+
+/**
+ * Create the chunk router
+ * @param {Object} options - Router dependencies
+ * @param {ChunkStore|RegionStore} options.store - Store chunks are read from and written to
+ * @param {Object} options.generator - Generator with an async generate(cx, cz) method
+ * @param {Object} options.definitions - initial.json, whose biomes and features PUT chunks may use
+ * @param {ChunkAuthority} options.authority - Queue and revisions shared with the multiplayer server,
+ *                                             created for the store if omitted
+ * @returns {express.Router} Router to mount under /api/chunks
+ */
+function createChunkRouter({ store, generator, definitions, authority = new ChunkAuthority(store) }) {
+    const router = express.Router();
+
+    // Generations in flight keyed by "cx,cz", so concurrent requests for the
+    // same missing chunk share one generate-and-persist
+    const pending = new Map();
+
+    /**
+     * Read a chunk, generating and persisting it if it is not stored yet
+     * @param {number} cx - Chunk x coordinate
+     * @param {number} cz - Chunk z coordinate
+     * @returns {Promise<Object>} The chunk
+     */
+    function getOrGenerate(cx, cz) {
+        const key = `${cx},${cz}`;
+        if (pending.has(key)) {
+            return pending.get(key);
+        }
+
+        // Queued with every other read and write of the chunk, so a generation that
+        // found the chunk missing cannot overwrite a PUT or edit still being stored
+        const promise = authority.run([[cx, cz]], async () => {
+            const stored = await authority.get(cx, cz);
+            if (stored) {
+                return stored;
+            }
+
+            const chunk = await generator.generate(cx, cz);
+            if (authority.getRevision(cx, cz) > 0) {
+                // Deleted while the server ran: players may still hold the old version
+                await authority.write(cx, cz, chunk);
+            } else {
+                await store.put(cx, cz, chunk);
+            }
+            console.log(`Generated chunk ${cx},${cz}`);
+            return chunk;
+        });
+
+        pending.set(key, promise);
+        const clear = () => pending.delete(key);
+        promise.then(clear, clear);
+        return promise;
+    }
+
+    // Validate coordinates for every route
+    router.param('cx', (req, res, next, value) => {
+        req.cx = parseCoord(value);
+        if (req.cx === null) {
+            return res.status(400).json({ error: `Invalid chunk coordinate cx: ${value}` });
+        }
+        next();
+    });
+
+    router.param('cz', (req, res, next, value) => {
+        req.cz = parseCoord(value);
+        if (req.cz === null) {
+            return res.status(400).json({ error: `Invalid chunk coordinate cz: ${value}` });
+        }
+        next();
+    });
+
+    router.get('/', async (req, res, next) => {
+        try {
+            res.json({ chunks: await store.list() });
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    router.get('/:cx/:cz', async (req, res, next) => {
+        try {
+            res.json(await getOrGenerate(req.cx, req.cz));
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    router.put('/:cx/:cz', express.json({ limit: '1mb' }), async (req, res, next) => {
+        try {
+            // Reject chunks that cannot be represented in the packed format
+            const TerrainDataCompressor = await loadShared('terrain/TerrainDataCompressor.js');
+            try {
+                new TerrainDataCompressor().validate(req.body);
+            } catch (error) {
+                return res.status(400).json({ error: error.message });
+            }
+
+            // Queued behind any generation in flight, and ahead of any that starts later
+            const chunk = await authority.run([[req.cx, req.cz]], async () => {
+                const stored = await authority.get(req.cx, req.cz);
+                let resolved;
+                try {
+                    resolved = resolvePalettes(req.body, definitions, stored);
+                } catch (error) {
+                    error.status = 400;
+                    throw error;
+                }
+                await authority.write(req.cx, req.cz, resolved);
+                return resolved;
+            });
+            res.json(chunk);
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    router.delete('/:cx/:cz', async (req, res, next) => {
+        try {
+            const deleted = await authority.run([[req.cx, req.cz]], () => authority.delete(req.cx, req.cz));
+            if (!deleted) {
+                return res.status(404).json({ error: `Chunk ${req.cx},${req.cz} not found` });
+            }
+            res.status(204).end();
+        } catch (error) {
+            next(error);
+        }
+    });
+
+    // Report failures as JSON rather than the default HTML error page
+    router.use((error, req, res, next) => {
+        const status = error.status || 500;
+        if (status >= 500) {
+            console.error('Chunk API error:', error);
+        }
+        res.status(status).json({ error: error.message });
+    });
+
+    return router;
+}
+
+module.exports = createChunkRouter;
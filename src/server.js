@@ -6,6 +6,15 @@
 const express = require('express');
 const path = require('path');
 const fs = require('fs');
+const ChunkStore = require('./terrain/ChunkStore');
+const RegionStore = require('./terrain/RegionStore');
+const ChunkAuthority = require('./terrain/ChunkAuthority');
+const ProceduralChunkGenerator = require('./terrain/ProceduralChunkGenerator');
+const AITerrainGenerator = require('./terrain/AITerrainGenerator');
+const { createProvider } = require('./terrain/providers');
+const createChunkRouter = require('./routes/chunks');
+const MultiplayerServer = require('./multiplayer/MultiplayerServer');
+const { loadWorldSeed, loadSeaLevel, isValidSeed } = require('./terrain/worldSeed');
 
 // Create Express app
 const app = express();
@@ -22,6 +31,60 @@ app.use('/assets', express.static(path.join(__dirname, '..', 'assets')));
 // Serve node_modules for client-side imports
 app.use('/node_modules', express.static(path.join(__dirname, '..', 'node_modules')));
 
+// Terrain data
+const terrainDataDir = path.join(__dirname, '..', 'assets', 'terrainData');
+const definitions = JSON.parse(fs.readFileSync(path.join(terrainDataDir, 'initial.json'), 'utf8'));
+
+// Chunk API
+// Chunks are kept in region files; CHUNK_STORE=json keeps one JSON file per chunk instead
+let chunkStore;
+let storeReady = Promise.resolve();
+if (process.env.CHUNK_STORE === 'json') {
+    chunkStore = new ChunkStore(terrainDataDir);
+} else {
+    const regionDir = path.join(terrainDataDir, 'regions');
+    const firstStart = !fs.existsSync(regionDir);
+    chunkStore = new RegionStore(regionDir);
+
+    // Bring the JSON chunks of an older world into the region files once. A chunk
+    // left behind would be generated anew on its first request, so refuse to start
+    if (firstStart) {
+        storeReady = chunkStore.importJson(terrainDataDir).then(({ copied, failed, padded }) => {
+            padded.forEach(({ cx, cz, added }) => console.warn(`Padded chunk_${cx}_${cz}.json with ${added} hexes copied from the rows above`));
+            if (copied > 0) {
+                console.log(`Imported ${copied} JSON chunks into ${regionDir}`);
+            }
+            if (failed.length > 0) {
+                const reasons = failed.map(({ cx, cz, error }) => `chunk_${cx}_${cz}.json: ${error.message}`).join('; ');
+                throw new Error(`Could not import ${failed.length} JSON chunks (${reasons}). ` +
+                    `Fix them and run npm run world -- import ${terrainDataDir}, or start with CHUNK_STORE=json`);
+            }
+            return fs.promises.mkdir(regionDir, { recursive: true });
+        });
+    }
+}
+const worldSeed = loadWorldSeed(terrainDataDir, process.env.WORLD_SEED);
+console.log(`World seed: ${worldSeed}`);
+const seaLevel = loadSeaLevel(terrainDataDir, process.env.SEA_LEVEL);
+console.log(`Sea level: ${seaLevel}`);
+
+// TERRAIN_GENERATOR=ai describes new chunks with TERRAIN_PROVIDER (mock or openrouter)
+let chunkGenerator;
+if (process.env.TERRAIN_GENERATOR === 'ai') {
+    const provider = createProvider(process.env.TERRAIN_PROVIDER || 'mock', {
+        seed: worldSeed,
+        apiKey: process.env.OPENROUTER_API_KEY,
+        model: process.env.OPENROUTER_MODEL
+    });
+    chunkGenerator = new AITerrainGenerator({ provider, definitions, store: chunkStore });
+    console.log(`Generating chunks with the ${provider.name} terrain provider`);
+} else {
+    chunkGenerator = new ProceduralChunkGenerator({ definitions, seed: worldSeed, seaLevel });
+}
+// The chunk API and the multiplayer server change chunks through one queue and revision count
+const chunkAuthority = new ChunkAuthority(chunkStore);
+app.use('/api/chunks', createChunkRouter({ store: chunkStore, generator: chunkGenerator, definitions, authority: chunkAuthority }));
+
 // Routes
 app.get('/', (req, res) => {
     res.render('index', {
@@ -36,16 +99,34 @@ app.get('/game', (req, res) => {
     const gridSize = parseInt(req.query.gridSize) || 16;
     const hexSize = parseFloat(req.query.hexSize) || 1.0;
     const hexGap = parseFloat(req.query.hexGap) || 0.1;
+    const loadRadius = parseInt(req.query.loadRadius) || 2;
+    const textures = req.query.textures === 'true';
+    // ?seed= explores another world on the client; the chunk API keeps the world seed
+    const seed = isValidSeed(req.query.seed) ? req.query.seed : worldSeed;
+    const querySeaLevel = parseFloat(req.query.seaLevel);
+    const gameSeaLevel = Number.isFinite(querySeaLevel) ? querySeaLevel : seaLevel;
     
     res.render('game', {
         title: 'Hex Game 2025',
         gridSize,
         hexSize,
-        hexGap
+        hexGap,
+        loadRadius,
+        textures,
+        seed,
+        seaLevel: gameSeaLevel
     });
 });
 
-// Start server
-app.listen(port, () => {
-    console.log(`Hex Game server running at http://localhost:${port}`);
+// Start server once the chunk store is ready
+storeReady.then(() => {
+    const server = app.listen(port, () => {
+        console.log(`Hex Game server running at http://localhost:${port}`);
+    });
+
+    // Players and their terrain edits are shared over a WebSocket on the same port
+    new MultiplayerServer(server, chunkAuthority, { chunkSize: chunkGenerator.chunkSize || 16, definitions });
+}).catch(error => {
+    console.error('Error preparing the chunk store:', error);
+    process.exit(1);
 });
\ No newline at end of file
@@ -0,0 +1,198 @@
+/**
+ * AI Terrain Generator
+ * Asks a terrain provider (OpenRouter or the offline mock) to describe a chunk.
+ * The prompt gives the model the chunk's world position, the edge hexes of any
+ * stored neighbouring chunks and the available global biomes and features.
+ */
+
+const TerrainDescriptionParser = require('./TerrainDescriptionParser');
+const { loadShared } = require('./sharedModules');
+
+// Neighbouring chunks and the edge of each that touches the requested chunk
+const NEIGHBORS = {
+    north: { dx: 0, dz: -1, edge: 'lastRow' },
+    south: { dx: 0, dz: 1, edge: 'firstRow' },
+    west: { dx: -1, dz: 0, edge: 'lastColumn' },
+    east: { dx: 1, dz: 0, edge: 'firstColumn' }
+};
+
+class AITerrainGenerator {
+    /**
+     * @param {Object} options - Generator options
+     * @param {Object} options.provider - Terrain provider (see providers/index.js)
+     * @param {Object} options.definitions - Contents of initial.json (globalBiomes, globalFeatures)
+     * @param {ChunkStore} options.store - Store the neighbouring chunks are read from
+     * @param {number} options.chunkSize - Hexes per chunk side
+     * @param {number} options.heightScale - World units per height level
+     */
+    constructor(options = {}) {
+        this.provider = options.provider;
+        this.definitions = options.definitions;
+        this.store = options.store;
+        this.chunkSize = options.chunkSize || 16;
+        this.heightScale = options.heightScale || 0.5;
+
+        // Heights are exchanged with the model as integer levels; one chunk spans 32 of them
+        this.levelRange = 32;
+
+        this.parser = new TerrainDescriptionParser({
+            definitions: this.definitions,
+            chunkSize: this.chunkSize,
+            heightScale: this.heightScale
+        });
+    }
+
+    /**
+     * Generate a chunk: describe it, parse the reply and validate the result
+     * @param {number} cx - Chunk x coordinate
+     * @param {number} cz - Chunk z coordinate
+     * @returns {Promise<Object>} Chunk in the chunk_0_0.json shape
+     */
+    async generate(cx, cz) {
+        const { text } = await this.describe(cx, cz);
+        const { chunk, summary, repairs } = this.parser.parse(text);
+
+        if (repairs.length > 0) {
+            console.warn(`Repaired ${repairs.length} problems in the description of chunk ${cx},${cz}:`);
+            repairs.forEach(({ code, message }) => console.warn(`  [${code}] ${message}`));
+        }
+        if (summary) {
+            console.log(`Chunk ${cx},${cz}: ${summary}`);
+        }
+
+        // The parser should always produce a valid chunk; check before it is saved
+        const TerrainDataCompressor = await loadShared('terrain/TerrainDataCompressor.js');
+        new TerrainDataCompressor().validate(chunk);
+
+        return chunk;
+    }
+
+    /**
+     * Ask the provider to describe a chunk
+     * @param {number} cx - Chunk x coordinate
+     * @param {number} cz - Chunk z coordinate
+     * @returns {Promise<Object>} { text, context } - the reply and the context it was built from
+     */
+    async describe(cx, cz) {
+        const context = await this.buildContext(cx, cz);
+        const { system, prompt } = this.buildPrompt(context);
+
+        const text = await this.provider.complete({ system, prompt, context });
+        console.log(`Terrain provider ${this.provider.name} described chunk ${cx},${cz}`);
+        return { text, context };
+    }
+
+    /**
+     * Collect everything the model needs to know about a chunk
+     * @param {number} cx - Chunk x coordinate
+     * @param {number} cz - Chunk z coordinate
+     * @returns {Promise<Object>} Prompt context
+     */
+    async buildContext(cx, cz) {
+        const { globalBiomes, globalFeatures } = this.definitions;
+
+        const neighbors = {};
+        for (const [side, { dx, dz, edge }] of Object.entries(NEIGHBORS)) {
+            const chunk = this.store ? await this.store.get(cx + dx, cz + dz) : null;
+            neighbors[side] = chunk ? this.getEdge(chunk, edge) : null;
+        }
+
+        return {
+            position: {
+                cx,
+                cz,
+                firstColumn: cx * this.chunkSize,
+                firstRow: cz * this.chunkSize
+            },
+            chunkSize: this.chunkSize,
+            levelRange: this.levelRange,
+            biomes: globalBiomes.map(({ id, name }) => ({ id, name })),
+            features: globalFeatures.map(({ id, name }) => ({ id, name })),
+            neighbors
+        };
+    }
+
+    /**
+     * Extract one edge of a stored chunk as biome names, feature names and height levels
+     * @param {Object} chunk - Chunk in the chunk_0_0.json shape
+     * @param {string} edge - 'firstRow', 'lastRow', 'firstColumn' or 'lastColumn'
+     * @returns {Array} Edge hexes ordered by column (rows) or by row (columns)
+     */
+    getEdge(chunk, edge) {
+        const size = chunk.chunkSize || this.chunkSize;
+        const baseLevel = Math.round((chunk.baseHeight || 0) / this.heightScale);
+        const result = [];
+
+        for (let i = 0; i < size; i++) {
+            let row, col;
+            switch (edge) {
+                case 'firstRow': row = 0; col = i; break;
+                case 'lastRow': row = size - 1; col = i; break;
+                case 'firstColumn': row = i; col = 0; break;
+                case 'lastColumn': row = i; col = size - 1; break;
+            }
+
+            const hex = chunk.hexes[row * size + col];
+            if (!hex) {
+                result.push(null);
+                continue;
+            }
+
+            const biome = chunk.chunkBiomes[hex.biomeIndex];
+            const feature = chunk.chunkFeatures[hex.featureIndex];
+            result.push({
+                biome: biome ? biome.name : 'unknown',
+                feature: feature ? feature.name : 'none',
+                level: baseLevel + hex.heightOffset
+            });
+        }
+
+        return result;
+    }
+
+    /**
+     * Build the system and user prompts for a chunk
+     * @param {Object} context - Context from buildContext()
+     * @returns {Object} { system, prompt }
+     */
+    buildPrompt(context) {
+        const { position, chunkSize, levelRange, biomes, features, neighbors } = context;
+
+        const system = [
+            'You design terrain for a hexagonal world made of square chunks of flat-topped hexes.',
+            'Each hex has a biome, a feature and an integer height level.',
+            'Make the terrain geographically plausible and continue smoothly from any neighbouring chunk edges you are given.',
+            '',
+            'Reply in exactly this format and nothing else:',
+            'SUMMARY: <one or two sentences describing the chunk>',
+            'BIOMES: <comma separated biome names, at most 4, chosen from the available biomes>',
+            'FEATURES: <comma separated feature names, at most 2, the first must be none>',
+            'GRID:',
+            `<${chunkSize} lines, one per row from north to south, each with ${chunkSize} tokens from west to east>`,
+            'Each token is biome:feature:level, where biome and feature are indices into your BIOMES and FEATURES lists',
+            `and level is an integer height. Keep the levels of one chunk within a span of ${levelRange}.`
+        ].join('\n');
+
+        const lines = [
+            `Chunk position: cx=${position.cx}, cz=${position.cz} (hex columns ${position.firstColumn}-${position.firstColumn + chunkSize - 1}, rows ${position.firstRow}-${position.firstRow + chunkSize - 1}).`,
+            `Available biomes: ${biomes.map(biome => biome.name).join(', ')}.`,
+            `Available features: ${features.map(feature => feature.name).join(', ')}.`,
+            ''
+        ];
+
+        for (const [side, edge] of Object.entries(neighbors)) {
+            if (!edge) {
+                lines.push(`${side} neighbour: not generated yet, you are free to choose.`);
+                continue;
+            }
+            const tokens = edge.map(hex => hex ? `${hex.biome}/${hex.feature}/${hex.level}` : '?');
+            lines.push(`${side} neighbour edge (biome/feature/level): ${tokens.join(' ')}`);
+        }
+
+        lines.push('', `Generate chunk ${position.cx},${position.cz}.`);
+
+        return { system, prompt: lines.join('\n') };
+    }
+}
+
+module.exports = AITerrainGenerator;
@@ -0,0 +1,131 @@
+/**
+ * Chunk Authority
+ * The one way the server changes stored chunks, shared by the chunk API and the
+ * multiplayer server. Operations on a chunk run one after another: a task queued
+ * on several chunks waits for every task queued on any of them before, so a read,
+ * change and write of one request cannot interleave with another's.
+ *
+ * Every chunk written or deleted through it gets the next revision of that chunk,
+ * counted from the server start, and listeners hear about each write so players
+ * that have the chunk loaded can be sent the new version whoever made it.
+ */
+
+class ChunkAuthority {
+    /**
+     * @param {ChunkStore|RegionStore} store - Store the chunks are read from and written to
+     */
+    constructor(store) {
+        this.store = store;
+
+        // Last task queued on each chunk keyed by "cx,cz"
+        this.queues = new Map();
+
+        // Revision of every chunk written or deleted since the start, keyed by "cx,cz"
+        this.revisions = new Map();
+
+        this.listeners = [];
+    }
+
+    /**
+     * Build the key of a chunk
+     * @param {number} cx - Chunk x coordinate
+     * @param {number} cz - Chunk z coordinate
+     * @returns {string} Key in the form "cx,cz"
+     */
+    static key(cx, cz) {
+        return `${cx},${cz}`;
+    }
+
+    /**
+     * Run a task once every task queued before it on any of its chunks has finished
+     * @param {Array} chunks - [cx, cz] of every chunk the task reads or writes
+     * @param {Function} task - Async function to run
+     * @returns {Promise<*>} Result of the task
+     */
+    run(chunks, task) {
+        const keys = [...new Set(chunks.map(([cx, cz]) => ChunkAuthority.key(cx, cz)))];
+        const previous = keys.map(key => (this.queues.get(key) || Promise.resolve()).catch(() => {}));
+        const promise = Promise.all(previous).then(task);
+
+        const done = promise.catch(() => {});
+        keys.forEach(key => this.queues.set(key, done));
+        done.then(() => keys.forEach(key => {
+            if (this.queues.get(key) === done) {
+                this.queues.delete(key);
+            }
+        }));
+        return promise;
+    }
+
+    /**
+     * Revision of a chunk
+     * @param {number} cx - Chunk x coordinate
+     * @param {number} cz - Chunk z coordinate
+     * @returns {number} Revision, 0 if the chunk was not changed since the start
+     */
+    getRevision(cx, cz) {
+        return this.revisions.get(ChunkAuthority.key(cx, cz)) || 0;
+    }
+
+    /**
+     * Read a chunk; call inside run() when the read must not overlap a write
+     * @param {number} cx - Chunk x coordinate
+     * @param {number} cz - Chunk z coordinate
+     * @returns {Promise<Object|null>} The chunk, or null if it is not stored
+     */
+    get(cx, cz) {
+        return this.store.get(cx, cz);
+    }
+
+    /**
+     * Store a chunk under its next revision and tell the listeners; call inside run()
+     * @param {number} cx - Chunk x coordinate
+     * @param {number} cz - Chunk z coordinate
+     * @param {Object} chunk - Chunk to store
+     * @param {string|null} player - Id of the player that made the change, null for the chunk API
+     * @returns {Promise<number>} New revision of the chunk
+     */
+    async write(cx, cz, chunk, player = null) {
+        await this.store.put(cx, cz, chunk);
+        const revision = this.bump(cx, cz);
+        this.listeners.forEach(listener => listener({ cx, cz, revision, chunk, player }));
+        return revision;
+    }
+
+    /**
+     * Delete a chunk; call inside run()
+     * The revision still moves on, so the chunk generated in its place is sent to the players.
+     * @param {number} cx - Chunk x coordinate
+     * @param {number} cz - Chunk z coordinate
+     * @returns {Promise<boolean>} True if a stored chunk was deleted
+     */
+    async delete(cx, cz) {
+        const deleted = await this.store.delete(cx, cz);
+        if (deleted) {
+            this.bump(cx, cz);
+        }
+        return deleted;
+    }
+
+    /**
+     * Move a chunk on to its next revision
+     * @param {number} cx - Chunk x coordinate
+     * @param {number} cz - Chunk z coordinate
+     * @returns {number} New revision
+     */
+    bump(cx, cz) {
+        const revision = this.getRevision(cx, cz) + 1;
+        this.revisions.set(ChunkAuthority.key(cx, cz), revision);
+        return revision;
+    }
+
+    /**
+     * Listen for chunk writes
+     * @param {Function} listener - Called with { cx, cz, revision, chunk, player } after each write
+     */
+    addListener(listener) {
+        this.listeners.push(listener);
+    }
+}
+
+module.exports = ChunkAuthority;
@@ -0,0 +1,108 @@
+/**
+ * Chunk Store
+ * Persists chunks as JSON files named chunk_<cx>_<cz>.json
+ * Used with CHUNK_STORE=json, and to import and export chunks in the JSON shape
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Distinguishes temporary files written by overlapping put() calls
+let tempCounter = 0;
+
+const CHUNK_FILE_PATTERN = /^chunk_(-?\d+)_(-?\d+)\.json$/;
+
+class ChunkStore {
+    /**
+     * @param {string} directory - Directory holding the chunk files
+     */
+    constructor(directory) {
+        this.directory = directory;
+    }
+
+    /**
+     * Get the file path for a chunk
+     * @param {number} cx - Chunk x coordinate
+     * @param {number} cz - Chunk z coordinate
+     * @returns {string} Absolute path of the chunk file
+     */
+    getPath(cx, cz) {
+        return path.join(this.directory, `chunk_${cx}_${cz}.json`);
+    }
+
+    /**
+     * Read a chunk
+     * @param {number} cx - Chunk x coordinate
+     * @param {number} cz - Chunk z coordinate
+     * @returns {Promise<Object|null>} The chunk, or null if it has not been stored
+     */
+    async get(cx, cz) {
+        try {
+            const json = await fs.promises.readFile(this.getPath(cx, cz), 'utf8');
+            return JSON.parse(json);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Write a chunk, replacing any stored version
+     * The file is written to a temporary name and renamed into place so readers
+     * never see a partially written chunk
+     * @param {number} cx - Chunk x coordinate
+     * @param {number} cz - Chunk z coordinate
+     * @param {Object} chunk - Chunk data
+     */
+    async put(cx, cz, chunk) {
+        await fs.promises.mkdir(this.directory, { recursive: true });
+
+        const target = this.getPath(cx, cz);
+        const temp = `${target}.${process.pid}.${++tempCounter}.tmp`;
+        await fs.promises.writeFile(temp, JSON.stringify(chunk, null, 2));
+        await fs.promises.rename(temp, target);
+    }
+
+    /**
+     * Delete a chunk
+     * @param {number} cx - Chunk x coordinate
+     * @param {number} cz - Chunk z coordinate
+     * @returns {Promise<boolean>} True if a stored chunk was deleted
+     */
+    async delete(cx, cz) {
+        try {
+            await fs.promises.unlink(this.getPath(cx, cz));
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * List the stored chunks
+     * @returns {Promise<Array>} [cx, cz] of every stored chunk
+     */
+    async list() {
+        let names;
+        try {
+            names = await fs.promises.readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        return names.sort()
+            .map(name => CHUNK_FILE_PATTERN.exec(name))
+            .filter(Boolean)
+            .map(([, cx, cz]) => [parseInt(cx, 10), parseInt(cz, 10)]);
+    }
+}
+
+module.exports = ChunkStore;
@@ -0,0 +1,90 @@
+/**
+ * Procedural Chunk Generator
+ * Builds chunks in the chunk_0_0.json shape from the shared noise utilities.
+ * Used by the server whenever a requested chunk has not been stored yet.
+ */
+
+const { loadShared } = require('./sharedModules');
+
+class ProceduralChunkGenerator {
+    /**
+     * @param {Object} options - Generator options
+     * @param {Object} options.definitions - Contents of initial.json (globalBiomes, globalFeatures)
+     * @param {number} options.chunkSize - Hexes per chunk side
+     * @param {number} options.hexSize - Hex size, must match the client
+     * @param {number} options.hexGap - Gap between hexes, must match the client
+     * @param {number} options.heightScale - World units per heightOffset step
+     * @param {number|null} options.seed - Noise seed, random when null
+     * @param {number} options.seaLevel - Elevation of the sea surface, which rivers flow down to
+     */
+    constructor(options = {}) {
+        this.definitions = options.definitions;
+        this.chunkSize = options.chunkSize || 16;
+        this.hexSize = options.hexSize || 1.0;
+        this.hexGap = options.hexGap !== undefined ? options.hexGap : 0.1;
+        this.heightScale = options.heightScale || 0.5;
+        this.seed = options.seed !== undefined ? options.seed : null;
+        this.seaLevel = options.seaLevel !== undefined ? options.seaLevel : 0;
+
+        this.perturbUtils = null;
+        this.hexUtils = null;
+        this.hydrology = null;
+        this.sampler = null;
+    }
+
+    /**
+     * Load the shared noise, grid, river and sampling modules on first use
+     * @returns {Promise<ChunkSampler>} Sampler of the generated terrain
+     */
+    async getSampler() {
+        if (!this.sampler) {
+            const PerturbationUtils = await loadShared('utils/PerturbationUtils.js');
+            const HexUtils = await loadShared('utils/HexUtils.js');
+            const Hydrology = await loadShared('terrain/Hydrology.js');
+            const ChunkSampler = await loadShared('terrain/ChunkSampler.js');
+            this.perturbUtils = new PerturbationUtils(this.seed);
+            // Same grid layout, rivers, biomes and height steps as HexGenerator on the client
+            this.hexUtils = new HexUtils(this.chunkSize, this.hexSize, this.hexGap, this.perturbUtils);
+            this.hydrology = new Hydrology(this.hexUtils, { seaLevel: this.seaLevel });
+            this.sampler = new ChunkSampler(this.hexUtils, this.hydrology, { heightScale: this.heightScale });
+        }
+        return this.sampler;
+    }
+
+    /**
+     * Generate a chunk
+     * @param {number} cx - Chunk x coordinate
+     * @param {number} cz - Chunk z coordinate
+     * @returns {Promise<Object>} Chunk in the chunk_0_0.json shape
+     */
+    async generate(cx, cz) {
+        const sampler = await this.getSampler();
+        const { globalBiomes, globalFeatures } = this.definitions;
+        const { baseHeight, cells } = sampler.sample(cx, cz);
+
+        // Sampled biomes are looked up by name among the global biomes
+        const byName = name => globalBiomes.find(biome => biome.name === name) || globalBiomes[0];
+
+        // Palette holds only the biomes that occur, ordered by global id
+        const usedBiomes = [...new Set(cells.map(cell => byName(cell.biome)))].sort((a, b) => a.id - b.id);
+        const chunkBiomes = usedBiomes.map(biome => JSON.parse(JSON.stringify(biome)));
+        const chunkFeatures = globalFeatures.slice(0, 2).map(feature => ({ ...feature }));
+        const riverIndex = Math.max(0, chunkFeatures.findIndex(feature => feature.name === 'river'));
+
+        const hexes = cells.map(({ biome, river, heightOffset }) => ({
+            biomeIndex: usedBiomes.indexOf(byName(biome)),
+            featureIndex: river ? riverIndex : 0,
+            heightOffset
+        }));
+
+        return {
+            hexes,
+            chunkBiomes,
+            chunkFeatures,
+            baseHeight,
+            chunkSize: this.chunkSize
+        };
+    }
+}
+
+module.exports = ProceduralChunkGenerator;
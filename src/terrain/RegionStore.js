@@ -0,0 +1,740 @@
+/**
+ * Region Store
+ * Persists chunks in region files of regionSize x regionSize chunks, named
+ * r.<rx>.<rz>.hxr, instead of one JSON file per chunk. Chunks are kept in the
+ * packed format of TerrainDataCompressor (one byte per hex plus the palettes).
+ *
+ * A region file is laid out as:
+ *   0   magic "HXRG"
+ *   4   format version (uint8)
+ *   5   region size (uint8)
+ *   6   reserved (10 bytes)
+ *   16  index: regionSize * regionSize entries of (record offset, payload length),
+ *       uint32 little endian each, row-major by local chunk position; offset 0 means
+ *       the chunk is not stored
+ *   ..  records, appended one after another:
+ *         0   magic "HXRC"
+ *         4   local chunk position (uint16)
+ *         6   flags (uint8, 1 = deleted)
+ *         7   reserved (uint8)
+ *         8   payload length (uint32)
+ *         12  CRC-32 of the payload (uint32)
+ *         16  payload: packed chunk
+ *
+ * Writes never modify a record in place: a new version of a chunk is appended and
+ * synced before its index entry is switched over, so a crash leaves either the old
+ * or the new version. On first use of a region the index is checked against the
+ * records; a torn index write is repaired by scanning the records (the last valid
+ * record of each chunk wins), and a partly appended record at the end is truncated.
+ * New region files and compactions, which drop superseded records once they
+ * outweigh the live ones, are written to a temporary file and renamed into place.
+ *
+ * Operations on a region run one at a time. The store assumes it is the only process
+ * writing to its directory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ChunkStore = require('./ChunkStore');
+const { loadShared } = require('./sharedModules');
+
+const REGION_MAGIC = Buffer.from('HXRG');
+const RECORD_MAGIC = Buffer.from('HXRC');
+const VERSION = 1;
+const HEADER_SIZE = 16;
+const INDEX_ENTRY_SIZE = 8;
+const RECORD_HEADER_SIZE = 16;
+const FLAG_DELETED = 1;
+
+const REGION_FILE_PATTERN = /^r\.(-?\d+)\.(-?\d+)\.hxr$/;
+
+// Distinguishes temporary files written by overlapping compactions
+let tempCounter = 0;
+
+// CRC-32 (IEEE) lookup table
+const CRC_TABLE = new Uint32Array(256).map((value, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+/**
+ * CRC-32 of a byte sequence
+ * @param {Uint8Array} bytes - Bytes to check
+ * @returns {number} Unsigned checksum
+ */
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+class RegionStore {
+    /**
+     * @param {string} directory - Directory holding the region files
+     * @param {Object} options - Store options
+     * @param {number} options.regionSize - Chunks along each side of a region (1-255)
+     * @param {number} options.compactBytes - Superseded bytes a region may hold before it is compacted,
+     *                                        once they also exceed its live bytes
+     */
+    constructor(directory, options = {}) {
+        this.params = {
+            regionSize: 32,
+            compactBytes: 64 * 1024,
+            ...options
+        };
+
+        if (!Number.isInteger(this.params.regionSize) || this.params.regionSize < 1 || this.params.regionSize > 255) {
+            throw new RangeError(`regionSize ${this.params.regionSize} is out of range 1-255`);
+        }
+
+        this.directory = directory;
+        this.chunkCount = this.params.regionSize * this.params.regionSize;
+        this.dataStart = HEADER_SIZE + this.chunkCount * INDEX_ENTRY_SIZE;
+
+        // Loaded region indexes keyed by "rx,rz"
+        this.regions = new Map();
+
+        // Last queued operation of each region, so the next one waits for it
+        this.queues = new Map();
+    }
+
+    /**
+     * Get the file path of a region
+     * @param {number} rx - Region x coordinate
+     * @param {number} rz - Region z coordinate
+     * @returns {string} Absolute path of the region file
+     */
+    getRegionPath(rx, rz) {
+        return path.join(this.directory, `r.${rx}.${rz}.hxr`);
+    }
+
+    /**
+     * Find the region holding a chunk and the chunk's position in it
+     * @param {number} cx - Chunk x coordinate
+     * @param {number} cz - Chunk z coordinate
+     * @returns {Object} { rx, rz, local } - region coordinates and row-major local index
+     */
+    locate(cx, cz) {
+        const size = this.params.regionSize;
+        const rx = Math.floor(cx / size);
+        const rz = Math.floor(cz / size);
+        return { rx, rz, local: (cz - rz * size) * size + (cx - rx * size) };
+    }
+
+    /**
+     * Read a chunk
+     * @param {number} cx - Chunk x coordinate
+     * @param {number} cz - Chunk z coordinate
+     * @returns {Promise<Object|null>} The chunk, or null if it has not been stored
+     */
+    async get(cx, cz) {
+        const { rx, rz, local } = this.locate(cx, cz);
+        const payload = await this.enqueue(rx, rz, async () => {
+            const region = await this.loadRegion(rx, rz);
+            if (!region || region.offsets[local] === 0) {
+                return null;
+            }
+
+            const record = await this.readRecord(region.path, region.offsets[local]);
+            if (!this.isValidRecord(record, local, region.lengths[local])) {
+                throw new Error(`Chunk ${cx},${cz} in ${region.path} is corrupt`);
+            }
+            return record.payload;
+        });
+
+        if (!payload) {
+            return null;
+        }
+        const compressor = await this.getCompressor();
+        return compressor.decode(payload);
+    }
+
+    /**
+     * Write a chunk, replacing any stored version
+     * The packed chunk is decoded again before it is appended, so a chunk that would not
+     * read back as it was given is refused instead of breaking every later get().
+     * @param {number} cx - Chunk x coordinate
+     * @param {number} cz - Chunk z coordinate
+     * @param {Object} chunk - Chunk in the chunk_0_0.json shape
+     */
+    async put(cx, cz, chunk) {
+        const compressor = await this.getCompressor();
+        const payload = compressor.encode(chunk);
+        const readBack = compressor.decode(payload);
+        if (readBack.baseHeight !== chunk.baseHeight) {
+            throw new RangeError(`Chunk ${cx},${cz} would be read back with baseHeight ${readBack.baseHeight} instead of ${chunk.baseHeight}`);
+        }
+
+        const { rx, rz, local } = this.locate(cx, cz);
+        await this.enqueue(rx, rz, async () => {
+            const region = await this.loadRegion(rx, rz) || await this.createRegion(rx, rz);
+            await this.append(region, local, payload, 0);
+            await this.compactIfWasteful(region);
+        });
+    }
+
+    /**
+     * Delete a chunk
+     * @param {number} cx - Chunk x coordinate
+     * @param {number} cz - Chunk z coordinate
+     * @returns {Promise<boolean>} True if a stored chunk was deleted
+     */
+    async delete(cx, cz) {
+        const { rx, rz, local } = this.locate(cx, cz);
+        return this.enqueue(rx, rz, async () => {
+            const region = await this.loadRegion(rx, rz);
+            if (!region || region.offsets[local] === 0) {
+                return false;
+            }
+
+            // A tombstone keeps the chunk deleted if the index ever has to be rebuilt from the records
+            await this.append(region, local, new Uint8Array(0), FLAG_DELETED);
+            await this.compactIfWasteful(region);
+            return true;
+        });
+    }
+
+    /**
+     * List the stored chunks
+     * @returns {Promise<Array>} [cx, cz] of every stored chunk, ordered by region
+     */
+    async list() {
+        let names;
+        try {
+            names = await fs.promises.readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        const size = this.params.regionSize;
+        const chunks = [];
+        for (const name of names.sort()) {
+            const match = REGION_FILE_PATTERN.exec(name);
+            if (!match) continue;
+
+            const rx = parseInt(match[1], 10);
+            const rz = parseInt(match[2], 10);
+            const offsets = await this.enqueue(rx, rz, async () => {
+                const region = await this.loadRegion(rx, rz);
+                return region ? region.offsets.slice() : new Uint32Array(0);
+            });
+            offsets.forEach((offset, local) => {
+                if (offset !== 0) {
+                    chunks.push([rx * size + local % size, rz * size + Math.floor(local / size)]);
+                }
+            });
+        }
+        return chunks;
+    }
+
+    /**
+     * Copy every chunk_<cx>_<cz>.json file of a directory into the store
+     * Chunks with too few hexes, such as the 240-hex chunk_0_0.json shipped with the
+     * game, are padded (see padHexes()); chunks that still do not fit the packed
+     * format are skipped and reported.
+     * @param {string} directory - Directory holding the JSON chunk files
+     * @returns {Promise<Object>} { copied, failed, padded } - number of chunks copied, [{ cx, cz, error }] of those
+     *                            skipped and [{ cx, cz, added }] of those padded
+     */
+    async importJson(directory) {
+        const padded = [];
+        const result = await RegionStore.copyChunks(new ChunkStore(directory), this, (chunk, cx, cz) => {
+            const { added, chunk: full } = RegionStore.padHexes(chunk);
+            if (added > 0) {
+                padded.push({ cx, cz, added });
+            }
+            return full;
+        });
+        return { ...result, padded };
+    }
+
+    /**
+     * Fill up the hexes of a chunk that has fewer than chunkSize * chunkSize
+     * Each missing hex copies the hex one row above it, so the last rows repeat the
+     * row before them.
+     * @param {Object} chunk - Chunk in the chunk_0_0.json shape
+     * @returns {Object} { chunk, added } - the padded copy (or the chunk itself) and the number of hexes added
+     */
+    static padHexes(chunk) {
+        const size = chunk && chunk.chunkSize;
+        if (!Number.isInteger(size) || size < 1 || !Array.isArray(chunk.hexes) ||
+            chunk.hexes.length === 0 || chunk.hexes.length >= size * size) {
+            return { chunk, added: 0 };
+        }
+
+        const hexes = chunk.hexes.slice();
+        while (hexes.length < size * size) {
+            hexes.push({ ...hexes[hexes.length >= size ? hexes.length - size : hexes.length - 1] });
+        }
+        return { chunk: { ...chunk, hexes }, added: hexes.length - chunk.hexes.length };
+    }
+
+    /**
+     * Write every stored chunk to a directory as chunk_<cx>_<cz>.json files
+     * @param {string} directory - Directory to write the JSON chunk files to
+     * @returns {Promise<Object>} { copied, failed } - number of chunks written and [{ cx, cz, error }] of those that failed
+     */
+    exportJson(directory) {
+        return RegionStore.copyChunks(this, new ChunkStore(directory));
+    }
+
+    /**
+     * Copy every chunk of one store into another
+     * @param {Object} from - Store with list() and get()
+     * @param {Object} to - Store with put()
+     * @param {Function} prepare - Called with (chunk, cx, cz) before each put, returns the chunk to store; optional
+     * @returns {Promise<Object>} { copied, failed } - number of chunks copied and [{ cx, cz, error }] of those that failed
+     */
+    static async copyChunks(from, to, prepare = chunk => chunk) {
+        const result = { copied: 0, failed: [] };
+        for (const [cx, cz] of await from.list()) {
+            try {
+                await to.put(cx, cz, prepare(await from.get(cx, cz), cx, cz));
+                result.copied++;
+            } catch (error) {
+                result.failed.push({ cx, cz, error });
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Load the shared packed chunk codec
+     * @returns {Promise<TerrainDataCompressor>} Codec instance
+     */
+    async getCompressor() {
+        if (!this.compressor) {
+            const TerrainDataCompressor = await loadShared('terrain/TerrainDataCompressor.js');
+            this.compressor = new TerrainDataCompressor();
+        }
+        return this.compressor;
+    }
+
+    /**
+     * Run an operation on a region after the operations queued before it
+     * @param {number} rx - Region x coordinate
+     * @param {number} rz - Region z coordinate
+     * @param {Function} operation - Async function to run
+     * @returns {Promise<*>} Result of the operation
+     */
+    enqueue(rx, rz, operation) {
+        const key = `${rx},${rz}`;
+        const previous = this.queues.get(key) || Promise.resolve();
+        const promise = previous.catch(() => {}).then(operation);
+
+        this.queues.set(key, promise);
+        const clear = () => {
+            if (this.queues.get(key) === promise) {
+                this.queues.delete(key);
+            }
+        };
+        promise.then(clear, clear);
+        return promise;
+    }
+
+    /**
+     * Get the index of a region, reading and checking it on first use
+     * @param {number} rx - Region x coordinate
+     * @param {number} rz - Region z coordinate
+     * @returns {Promise<Object|null>} Region { path, offsets, lengths, size, live }, or null if there is no region file
+     */
+    async loadRegion(rx, rz) {
+        const key = `${rx},${rz}`;
+        if (this.regions.has(key)) {
+            return this.regions.get(key);
+        }
+
+        const regionPath = this.getRegionPath(rx, rz);
+        let handle;
+        try {
+            handle = await fs.promises.open(regionPath, 'r+');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+
+        let region;
+        try {
+            const { size } = await handle.stat();
+            const header = Buffer.alloc(this.dataStart);
+            const { bytesRead } = await handle.read(header, 0, this.dataStart, 0);
+            this.checkHeader(header, bytesRead, regionPath);
+
+            region = {
+                path: regionPath,
+                offsets: new Uint32Array(this.chunkCount),
+                lengths: new Uint32Array(this.chunkCount),
+                size,
+                live: 0
+            };
+            for (let local = 0; local < this.chunkCount; local++) {
+                region.offsets[local] = header.readUInt32LE(HEADER_SIZE + local * INDEX_ENTRY_SIZE);
+                region.lengths[local] = header.readUInt32LE(HEADER_SIZE + local * INDEX_ENTRY_SIZE + 4);
+            }
+
+            if (await this.isIndexConsistent(handle, region)) {
+                // Drop a record a crash left half appended after the last whole one
+                const end = await this.getWrittenEnd(handle, region);
+                if (end < size) {
+                    console.warn(`Region ${regionPath}: discarding ${size - end} bytes of unfinished writes`);
+                    await handle.truncate(end);
+                    await handle.sync();
+                    region.size = end;
+                }
+            } else {
+                region = null;
+            }
+        } finally {
+            await handle.close();
+        }
+
+        if (!region) {
+            region = await this.recoverRegion(rx, rz);
+        }
+
+        region.live = this.getLiveBytes(region);
+        this.regions.set(key, region);
+        return region;
+    }
+
+    /**
+     * Throw unless a region file header matches this store
+     * @param {Buffer} header - Header and index bytes
+     * @param {number} bytesRead - Number of bytes actually read
+     * @param {string} regionPath - File path, used in error messages
+     */
+    checkHeader(header, bytesRead, regionPath) {
+        if (bytesRead < this.dataStart || !header.subarray(0, 4).equals(REGION_MAGIC)) {
+            throw new Error(`Region ${regionPath} is not a region file`);
+        }
+        const version = header.readUInt8(4);
+        if (version !== VERSION) {
+            throw new Error(`Region ${regionPath} has unsupported version ${version}, expected ${VERSION}`);
+        }
+        const regionSize = header.readUInt8(5);
+        if (regionSize !== this.params.regionSize) {
+            throw new Error(`Region ${regionPath} holds ${regionSize}x${regionSize} chunks, the store expects ${this.params.regionSize}x${this.params.regionSize}`);
+        }
+    }
+
+    /**
+     * Check that every index entry points at a whole record of its own chunk
+     * @param {FileHandle} handle - Open region file
+     * @param {Object} region - Region with its index read
+     * @returns {Promise<boolean>} True if the index can be trusted
+     */
+    async isIndexConsistent(handle, region) {
+        const header = Buffer.alloc(RECORD_HEADER_SIZE);
+        for (let local = 0; local < this.chunkCount; local++) {
+            const offset = region.offsets[local];
+            if (offset === 0) continue;
+
+            const length = region.lengths[local];
+            if (offset < this.dataStart || offset + RECORD_HEADER_SIZE + length > region.size) {
+                return false;
+            }
+            await handle.read(header, 0, RECORD_HEADER_SIZE, offset);
+            if (!header.subarray(0, 4).equals(RECORD_MAGIC) ||
+                header.readUInt16LE(4) !== local ||
+                header.readUInt8(6) & FLAG_DELETED ||
+                header.readUInt32LE(8) !== length) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Rebuild a region's index from its records and rewrite the file
+     * The records are read in order up to the first damaged one; the last record of each chunk wins.
+     * @param {number} rx - Region x coordinate
+     * @param {number} rz - Region z coordinate
+     * @returns {Promise<Object>} Recovered region
+     */
+    async recoverRegion(rx, rz) {
+        const regionPath = this.getRegionPath(rx, rz);
+        console.warn(`Region ${regionPath}: index is damaged, rebuilding it from the records`);
+
+        const bytes = await fs.promises.readFile(regionPath);
+        const payloads = new Array(this.chunkCount).fill(null);
+        let offset = this.dataStart;
+        let recovered = 0;
+        while (offset + RECORD_HEADER_SIZE <= bytes.length) {
+            const record = this.parseRecord(bytes, offset);
+            if (!record || record.local >= this.chunkCount) break;
+
+            payloads[record.local] = record.flags & FLAG_DELETED ? null : record.payload;
+            offset += RECORD_HEADER_SIZE + record.payload.length;
+            recovered++;
+        }
+        if (offset < bytes.length) {
+            console.warn(`Region ${regionPath}: dropping ${bytes.length - offset} bytes after the last readable record`);
+        }
+        console.log(`Region ${regionPath}: read ${recovered} records`);
+
+        return this.writeRegion(rx, rz, payloads);
+    }
+
+    /**
+     * Create an empty region file
+     * @param {number} rx - Region x coordinate
+     * @param {number} rz - Region z coordinate
+     * @returns {Promise<Object>} New region
+     */
+    async createRegion(rx, rz) {
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        const region = await this.writeRegion(rx, rz, new Array(this.chunkCount).fill(null));
+        this.regions.set(`${rx},${rz}`, region);
+        return region;
+    }
+
+    /**
+     * Write a whole region file with the given chunks, atomically replacing any existing one
+     * @param {number} rx - Region x coordinate
+     * @param {number} rz - Region z coordinate
+     * @param {Array} payloads - Packed chunk (or null) for every local position
+     * @returns {Promise<Object>} Region describing the new file
+     */
+    async writeRegion(rx, rz, payloads) {
+        const regionPath = this.getRegionPath(rx, rz);
+        const region = {
+            path: regionPath,
+            offsets: new Uint32Array(this.chunkCount),
+            lengths: new Uint32Array(this.chunkCount),
+            size: this.dataStart,
+            live: 0
+        };
+
+        const records = [];
+        payloads.forEach((payload, local) => {
+            if (!payload) return;
+            const record = this.buildRecord(local, payload, 0);
+            region.offsets[local] = region.size;
+            region.lengths[local] = payload.length;
+            region.size += record.length;
+            records.push(record);
+        });
+
+        const header = Buffer.alloc(this.dataStart);
+        REGION_MAGIC.copy(header, 0);
+        header.writeUInt8(VERSION, 4);
+        header.writeUInt8(this.params.regionSize, 5);
+        for (let local = 0; local < this.chunkCount; local++) {
+            header.writeUInt32LE(region.offsets[local], HEADER_SIZE + local * INDEX_ENTRY_SIZE);
+            header.writeUInt32LE(region.lengths[local], HEADER_SIZE + local * INDEX_ENTRY_SIZE + 4);
+        }
+
+        const temp = `${regionPath}.${process.pid}.${++tempCounter}.tmp`;
+        const handle = await fs.promises.open(temp, 'w');
+        try {
+            await handle.writeFile(Buffer.concat([header, ...records]));
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+        await fs.promises.rename(temp, regionPath);
+        await this.syncDirectory();
+
+        region.live = this.getLiveBytes(region);
+        return region;
+    }
+
+    /**
+     * Append a record to a region and point the chunk's index entry at it
+     * The record is synced before the index entry changes, and the index entry is synced before returning.
+     * @param {Object} region - Loaded region, updated in place
+     * @param {number} local - Local chunk position
+     * @param {Uint8Array} payload - Packed chunk, empty for a tombstone
+     * @param {number} flags - Record flags
+     */
+    async append(region, local, payload, flags) {
+        const record = this.buildRecord(local, payload, flags);
+        const deleted = (flags & FLAG_DELETED) !== 0;
+
+        const entry = Buffer.alloc(INDEX_ENTRY_SIZE);
+        entry.writeUInt32LE(deleted ? 0 : region.size, 0);
+        entry.writeUInt32LE(deleted ? 0 : payload.length, 4);
+
+        const handle = await fs.promises.open(region.path, 'r+');
+        try {
+            await handle.write(record, 0, record.length, region.size);
+            await handle.sync();
+            await handle.write(entry, 0, INDEX_ENTRY_SIZE, HEADER_SIZE + local * INDEX_ENTRY_SIZE);
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+
+        region.offsets[local] = entry.readUInt32LE(0);
+        region.lengths[local] = entry.readUInt32LE(4);
+        region.size += record.length;
+        region.live = this.getLiveBytes(region);
+    }
+
+    /**
+     * Rewrite a region without its superseded records once they take up more room than the live ones
+     * @param {Object} region - Loaded region
+     */
+    async compactIfWasteful(region) {
+        const waste = region.size - this.dataStart - region.live;
+        if (waste < this.params.compactBytes || waste <= region.live) {
+            return;
+        }
+
+        const bytes = await fs.promises.readFile(region.path);
+        const payloads = Array.from(region.offsets, (offset, local) => {
+            if (offset === 0) return null;
+            const start = offset + RECORD_HEADER_SIZE;
+            return bytes.subarray(start, start + region.lengths[local]);
+        });
+
+        const [, rx, rz] = REGION_FILE_PATTERN.exec(path.basename(region.path)).map(Number);
+        const compacted = await this.writeRegion(rx, rz, payloads);
+        this.regions.set(`${rx},${rz}`, compacted);
+        console.log(`Compacted region ${region.path}: ${region.size} -> ${compacted.size} bytes`);
+    }
+
+    /**
+     * Build a record
+     * @param {number} local - Local chunk position
+     * @param {Uint8Array} payload - Packed chunk
+     * @param {number} flags - Record flags
+     * @returns {Buffer} Record header and payload
+     */
+    buildRecord(local, payload, flags) {
+        const record = Buffer.alloc(RECORD_HEADER_SIZE + payload.length);
+        RECORD_MAGIC.copy(record, 0);
+        record.writeUInt16LE(local, 4);
+        record.writeUInt8(flags, 6);
+        record.writeUInt32LE(payload.length, 8);
+        record.writeUInt32LE(crc32(payload), 12);
+        record.set(payload, RECORD_HEADER_SIZE);
+        return record;
+    }
+
+    /**
+     * Read a record from a region file
+     * @param {string} regionPath - Region file path
+     * @param {number} offset - Record offset
+     * @returns {Promise<Object|null>} Parsed record, or null if it is damaged
+     */
+    async readRecord(regionPath, offset) {
+        const handle = await fs.promises.open(regionPath, 'r');
+        try {
+            const header = Buffer.alloc(RECORD_HEADER_SIZE);
+            await handle.read(header, 0, RECORD_HEADER_SIZE, offset);
+            const length = header.readUInt32LE(8);
+
+            const bytes = Buffer.alloc(RECORD_HEADER_SIZE + length);
+            const { bytesRead } = await handle.read(bytes, 0, bytes.length, offset);
+            return this.parseRecord(bytes.subarray(0, bytesRead), 0);
+        } finally {
+            await handle.close();
+        }
+    }
+
+    /**
+     * Parse and check the record at an offset
+     * @param {Buffer} bytes - Buffer holding the record
+     * @param {number} offset - Record offset within bytes
+     * @returns {Object|null} { local, flags, payload }, or null if the record is truncated or fails its checksum
+     */
+    parseRecord(bytes, offset) {
+        if (offset + RECORD_HEADER_SIZE > bytes.length || !bytes.subarray(offset, offset + 4).equals(RECORD_MAGIC)) {
+            return null;
+        }
+        const length = bytes.readUInt32LE(offset + 8);
+        const start = offset + RECORD_HEADER_SIZE;
+        if (start + length > bytes.length) {
+            return null;
+        }
+
+        const payload = new Uint8Array(bytes.buffer, bytes.byteOffset + start, length);
+        if (crc32(payload) !== bytes.readUInt32LE(offset + 12)) {
+            return null;
+        }
+        return { local: bytes.readUInt16LE(offset + 4), flags: bytes.readUInt8(offset + 6), payload };
+    }
+
+    /**
+     * Check that a record is the live version of a chunk
+     * @param {Object|null} record - Parsed record
+     * @param {number} local - Expected local chunk position
+     * @param {number} length - Expected payload length
+     * @returns {boolean} True if the record matches
+     */
+    isValidRecord(record, local, length) {
+        return record !== null && record.local === local && !(record.flags & FLAG_DELETED) && record.payload.length === length;
+    }
+
+    /**
+     * End of the last whole record: the last indexed one, or a tombstone or unindexed record appended after it
+     * @param {FileHandle} handle - Open region file
+     * @param {Object} region - Region with its index read
+     * @returns {Promise<number>} Byte offset
+     */
+    async getWrittenEnd(handle, region) {
+        let end = this.dataStart;
+        region.offsets.forEach((offset, local) => {
+            if (offset !== 0) {
+                end = Math.max(end, offset + RECORD_HEADER_SIZE + region.lengths[local]);
+            }
+        });
+        if (end >= region.size) {
+            return end;
+        }
+
+        const tail = Buffer.alloc(region.size - end);
+        await handle.read(tail, 0, tail.length, end);
+        let offset = 0;
+        let record;
+        while ((record = this.parseRecord(tail, offset)) !== null) {
+            offset += RECORD_HEADER_SIZE + record.payload.length;
+        }
+        return end + offset;
+    }
+
+    /**
+     * Bytes taken by the live records of a region
+     * @param {Object} region - Loaded region
+     * @returns {number} Byte count
+     */
+    getLiveBytes(region) {
+        let live = 0;
+        region.offsets.forEach((offset, local) => {
+            if (offset !== 0) {
+                live += RECORD_HEADER_SIZE + region.lengths[local];
+            }
+        });
+        return live;
+    }
+
+    /**
+     * Make renames in the store directory durable, where the platform allows syncing a directory
+     */
+    async syncDirectory() {
+        let handle;
+        try {
+            handle = await fs.promises.open(this.directory, 'r');
+            await handle.sync();
+        } catch (error) {
+            // Directories cannot be opened or synced on every platform
+        } finally {
+            if (handle) {
+                await handle.close();
+            }
+        }
+    }
+}
+
+module.exports = RegionStore;
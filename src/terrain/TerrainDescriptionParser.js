@@ -0,0 +1,566 @@
+/**
+ * Terrain Description Parser
+ * Converts the AI's reply into a chunk in the chunk_0_0.json shape.
+ *
+ * Accepts the GRID reply format requested by AITerrainGenerator, JSON (optionally
+ * inside a code fence, including the chunk_0_0.json shape itself) and, as a last
+ * resort, free-form prose that only names biomes. Anything that does not fit the
+ * chunk format is repaired, and every repair is listed in the returned report.
+ */
+
+// Common words for the global biomes that a model may use instead of their names
+const BIOME_SYNONYMS = {
+    grass: 'plains',
+    grassland: 'plains',
+    grasslands: 'plains',
+    meadow: 'plains',
+    prairie: 'plains',
+    field: 'plains',
+    woods: 'forest',
+    woodland: 'forest',
+    jungle: 'forest',
+    trees: 'forest',
+    taiga: 'forest',
+    sand: 'desert',
+    dunes: 'desert',
+    badlands: 'desert',
+    beach: 'desert',
+    hills: 'mountain',
+    highlands: 'mountain',
+    peaks: 'mountain',
+    rock: 'mountain',
+    cliffs: 'mountain',
+    mountains: 'mountain'
+};
+
+const FEATURE_SYNONYMS = {
+    empty: 'none',
+    nothing: 'none',
+    stream: 'river',
+    creek: 'river',
+    water: 'river'
+};
+
+// A grid token: biome:feature:level, biome:level or level, with ':' or '/' separators
+const TOKEN_PATTERN = /^(?:([A-Za-z_-]+|\d+)[:/])?(?:([A-Za-z_-]+|\d+)[:/])?(-?\d+(?:\.\d+)?)$/;
+
+class TerrainDescriptionParser {
+    /**
+     * @param {Object} options - Parser options
+     * @param {Object} options.definitions - Contents of initial.json (globalBiomes, globalFeatures)
+     * @param {number} options.chunkSize - Hexes per chunk side
+     * @param {number} options.heightScale - World units per height level
+     * @param {number} options.minHeight - Lowest height in world units a hex may have
+     * @param {number} options.maxHeight - Highest height in world units a hex may have
+     */
+    constructor(options = {}) {
+        this.definitions = options.definitions;
+        this.chunkSize = options.chunkSize || 16;
+        this.heightScale = options.heightScale || 0.5;
+
+        // Height range of the world, well beyond the generated terrain (about -3 to 9),
+        // as levels; heights outside it are clamped
+        this.minLevel = Math.ceil((options.minHeight !== undefined ? options.minHeight : -32) / this.heightScale);
+        this.maxLevel = Math.floor((options.maxHeight !== undefined ? options.maxHeight : 64) / this.heightScale);
+
+        // Limits of the packed format
+        this.maxBiomes = 4;
+        this.maxFeatures = 2;
+        this.maxHeightOffset = 31;
+    }
+
+    /**
+     * Parse a reply into a validated chunk
+     * @param {string} text - Raw reply from the terrain provider
+     * @returns {Object} { chunk, summary, repairs } where repairs lists every fix that was applied
+     */
+    parse(text) {
+        const repairs = [];
+        const repair = (code, message) => repairs.push({ code, message });
+
+        const description = this.parseJson(text, repair) || this.parseGrid(text, repair) || this.parseProse(text, repair);
+
+        const biomeMap = this.resolveBiomes(description, repair);
+        const featureMap = this.resolveFeatures(description, repair);
+        const rows = this.normalizeRows(description.rows, repair);
+
+        // Translate every cell to palette indices and collect levels
+        const cells = [];
+        rows.forEach((row, r) => row.forEach((cell, c) => {
+            cells.push({
+                biomeIndex: this.lookupIndex(cell.biome, description.biomeNames, biomeMap, `Hex ${r},${c} biome`, repair),
+                featureIndex: this.lookupIndex(cell.feature, description.featureNames, featureMap, `Hex ${r},${c} feature`, repair),
+                level: cell.level
+            });
+        }));
+
+        const { baseLevel, offsets } = this.fitLevels(cells.map(cell => cell.level), repair);
+
+        const chunk = {
+            hexes: cells.map((cell, i) => ({
+                biomeIndex: cell.biomeIndex,
+                featureIndex: cell.featureIndex,
+                heightOffset: offsets[i]
+            })),
+            chunkBiomes: biomeMap.palette.map(biome => JSON.parse(JSON.stringify(biome))),
+            chunkFeatures: featureMap.palette.map(feature => ({ ...feature })),
+            baseHeight: baseLevel * this.heightScale,
+            chunkSize: this.chunkSize
+        };
+
+        return { chunk, summary: description.summary, repairs };
+    }
+
+    /**
+     * Parse a JSON reply, possibly wrapped in a code fence or surrounded by prose
+     * @param {string} text - Raw reply
+     * @param {Function} repair - Repair reporter
+     * @returns {Object|null} Intermediate description, or null if the reply is not JSON
+     */
+    parseJson(text, repair) {
+        const start = text.indexOf('{');
+        const end = text.lastIndexOf('}');
+        if (start === -1 || end <= start) return null;
+
+        let data;
+        try {
+            data = JSON.parse(text.slice(start, end + 1));
+        } catch (error) {
+            return null;
+        }
+        if (!data || typeof data !== 'object') return null;
+
+        const names = list => (Array.isArray(list) ? list.map(item => (item && typeof item === 'object' ? item.name : item)) : null);
+        let summary = [data.summary, data.description].find(value => value !== undefined && value !== null && value !== '');
+        if (summary !== undefined && typeof summary !== 'string') {
+            repair('bad-summary', `Summary was ${Array.isArray(summary) ? 'an array' : `a ${typeof summary}`}, dropped it`);
+            summary = '';
+        }
+        const description = {
+            summary: summary || '',
+            biomeNames: names(data.chunkBiomes || data.biomes),
+            featureNames: names(data.chunkFeatures || data.features),
+            rows: []
+        };
+
+        if (Array.isArray(data.hexes) && data.hexes.length > 0 && typeof data.hexes[0] === 'object' && !Array.isArray(data.hexes[0])) {
+            // chunk_0_0.json shape: flat row-major hex objects with offsets from baseHeight
+            // Rows are always read at the generator's chunk size; a size of 0, a negative
+            // or a string would otherwise split the hexes wrongly or never advance
+            const size = this.chunkSize;
+            if (data.chunkSize !== undefined && data.chunkSize !== size) {
+                repair('chunk-size', `Reply gave chunk size ${JSON.stringify(data.chunkSize)}, ignored it and read rows of ${size} hexes`);
+            }
+            const baseLevel = Math.round((Number(data.baseHeight) || 0) / this.heightScale);
+
+            // Entries that are not hex objects copy the hex before them
+            let previous = { biomeIndex: 0, featureIndex: 0, heightOffset: 0 };
+            const hexes = data.hexes.map((hex, i) => {
+                if (!hex || typeof hex !== 'object' || Array.isArray(hex)) {
+                    repair('bad-hex', `Hex ${i} was ${JSON.stringify(hex)}, copied the previous hex`);
+                    return previous;
+                }
+                previous = hex;
+                return hex;
+            });
+
+            for (let i = 0; i < hexes.length; i += size) {
+                description.rows.push(hexes.slice(i, i + size).map(hex => ({
+                    biome: hex.biomeIndex,
+                    feature: hex.featureIndex,
+                    level: baseLevel + Number(hex.heightOffset)
+                })));
+            }
+            return description;
+        }
+
+        const grid = data.grid || data.rows || data.hexes;
+        if (!Array.isArray(grid)) return null;
+
+        grid.forEach((row, r) => {
+            const tokens = Array.isArray(row) ? row.map(String) : String(row).trim().split(/[\s,]+/);
+            description.rows.push(this.parseRow(tokens, r, repair));
+        });
+        return description;
+    }
+
+    /**
+     * Parse the SUMMARY/BIOMES/FEATURES/GRID reply format
+     * Grid lines are recognised anywhere in the reply, so missing headers are tolerated
+     * @param {string} text - Raw reply
+     * @param {Function} repair - Repair reporter
+     * @returns {Object|null} Intermediate description, or null if no grid lines were found
+     */
+    parseGrid(text, repair) {
+        const description = { summary: '', biomeNames: null, featureNames: null, rows: [] };
+
+        for (const rawLine of text.replace(/```[a-z]*/gi, '').split(/\r?\n/)) {
+            const line = rawLine.trim();
+            const header = line.match(/^(summary|biomes|features|grid)\s*[:=-]\s*(.*)$/i);
+            if (header) {
+                const key = header[1].toLowerCase();
+                const value = header[2].trim();
+                if (key === 'summary') description.summary = value;
+                if (key === 'biomes') description.biomeNames = this.splitNames(value);
+                if (key === 'features') description.featureNames = this.splitNames(value);
+                continue;
+            }
+
+            // Drop row labels such as "row 3:" or "3)"
+            const body = line.replace(/^(row\s*\d+\s*[:.)-]?|\d+\s*[:.)]\s+)\s*/i, '');
+            const tokens = body.split(/[\s,]+/).filter(Boolean);
+            if (tokens.length < 2) continue;
+
+            const matched = tokens.filter(token => TOKEN_PATTERN.test(token)).length;
+            if (matched >= tokens.length / 2) {
+                description.rows.push(this.parseRow(tokens, description.rows.length, repair));
+            }
+        }
+
+        return description.rows.length > 0 ? description : null;
+    }
+
+    /**
+     * Build a flat description from prose that only mentions biomes
+     * @param {string} text - Raw reply
+     * @param {Function} repair - Repair reporter
+     * @returns {Object} Intermediate description
+     */
+    parseProse(text, repair) {
+        const words = text.toLowerCase().match(/[a-z]+/g) || [];
+        const known = this.definitions.globalBiomes.map(biome => biome.name);
+        const mentioned = words
+            .map(word => (known.includes(word) ? word : BIOME_SYNONYMS[word]))
+            .filter(Boolean);
+        const biome = mentioned.length > 0 ? mentioned[0] : known[0];
+
+        repair('no-grid', `Reply contained no hex grid, filled the chunk with flat ${biome}`);
+
+        const rows = [];
+        for (let r = 0; r < this.chunkSize; r++) {
+            rows.push(new Array(this.chunkSize).fill(null).map(() => ({ biome: 0, feature: 0, level: 0 })));
+        }
+        return { summary: text.trim().split(/\r?\n/)[0].slice(0, 200), biomeNames: [biome], featureNames: null, rows };
+    }
+
+    /**
+     * Parse one row of grid tokens
+     * Unreadable tokens copy the previous cell in the row
+     * @param {Array} tokens - Token strings
+     * @param {number} r - Row number, used in repair messages
+     * @param {Function} repair - Repair reporter
+     * @returns {Array} Cells with biome, feature and level
+     */
+    parseRow(tokens, r, repair) {
+        const cells = [];
+        tokens.forEach((token, c) => {
+            const match = token.match(TOKEN_PATTERN);
+            if (!match) {
+                const previous = cells[cells.length - 1] || { biome: 0, feature: 0, level: 0 };
+                repair('bad-token', `Row ${r} column ${c}: could not read "${token}", copied the previous hex`);
+                cells.push({ ...previous });
+                return;
+            }
+
+            // With two parts the first is the biome, with three it is biome:feature:level
+            const [, first, second, level] = match;
+            const asValue = value => (value === undefined ? 0 : /^\d+$/.test(value) ? parseInt(value, 10) : value);
+            cells.push({
+                biome: asValue(first),
+                feature: first !== undefined && second !== undefined ? asValue(second) : 0,
+                level: Number(level)
+            });
+        });
+        return cells;
+    }
+
+    /**
+     * Pad, trim and fill the rows so the grid is exactly chunkSize x chunkSize
+     * @param {Array} rows - Parsed rows
+     * @param {Function} repair - Repair reporter
+     * @returns {Array} chunkSize rows of chunkSize cells
+     */
+    normalizeRows(rows, repair) {
+        const size = this.chunkSize;
+        const result = rows.slice(0, size);
+
+        if (rows.length > size) {
+            repair('extra-rows', `Reply had ${rows.length} rows, dropped ${rows.length - size}`);
+        }
+
+        result.forEach((row, r) => {
+            if (row.length > size) {
+                repair('long-row', `Row ${r} had ${row.length} hexes, dropped ${row.length - size}`);
+                result[r] = row.slice(0, size);
+            } else if (row.length < size) {
+                repair('short-row', `Row ${r} had ${row.length} hexes, padded to ${size}`);
+                const last = row[row.length - 1] || (r > 0 ? result[r - 1][row.length] : { biome: 0, feature: 0, level: 0 });
+                while (row.length < size) {
+                    const above = r > 0 ? result[r - 1][row.length] : null;
+                    row.push({ ...(above || last) });
+                }
+            }
+        });
+
+        if (result.length === 0) {
+            repair('no-rows', `Reply had no rows, filled the first with flat hexes`);
+            result.push(new Array(size).fill(null).map(() => ({ biome: 0, feature: 0, level: 0 })));
+        }
+
+        if (result.length < size) {
+            repair('missing-rows', `Reply had ${result.length} rows, copied the last row into the ${size - result.length} missing`);
+            while (result.length < size) {
+                const last = result[result.length - 1];
+                result.push(last.map(cell => ({ ...cell })));
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Map the reply's biome names onto global biomes and build the chunk palette
+     * @param {Object} description - Intermediate description
+     * @param {Function} repair - Repair reporter
+     * @returns {Object} { palette, byRaw, positions } - global biomes in palette order, palette index per
+     *                   raw name, and the raw name of each listed entry (see collectNames())
+     */
+    resolveBiomes(description, repair) {
+        const globals = this.definitions.globalBiomes;
+        const { names: rawNames, positions } = this.collectNames(description.biomeNames, description.rows, 'biome');
+
+        if (rawNames.length === 0) {
+            repair('no-biomes', `Reply listed no biomes, used ${globals[0].name}`);
+            rawNames.push(globals[0].name);
+        }
+        description.biomeNames = rawNames;
+
+        // Resolve each raw name and count how many hexes use it
+        const counts = new Map();
+        const resolved = rawNames.map(name => this.resolveName(name, globals, BIOME_SYNONYMS, 'biome', repair));
+        description.rows.forEach(row => row.forEach(cell => {
+            const biome = resolved[this.rawIndex(cell.biome, rawNames, positions)];
+            if (biome) counts.set(biome, (counts.get(biome) || 0) + 1);
+        }));
+
+        // Unique globals in order of first listing, trimmed to the most used
+        let palette = [...new Set(resolved)];
+        if (palette.length > this.maxBiomes) {
+            const kept = [...palette].sort((a, b) => (counts.get(b) || 0) - (counts.get(a) || 0)).slice(0, this.maxBiomes);
+            const dropped = palette.filter(biome => !kept.includes(biome));
+            repair('too-many-biomes', `Reply used ${palette.length} biomes, merged ${dropped.map(biome => biome.name).join(', ')} into ${kept[0].name}`);
+            palette = palette.filter(biome => kept.includes(biome));
+        }
+
+        const fallback = palette.indexOf([...palette].sort((a, b) => (counts.get(b) || 0) - (counts.get(a) || 0))[0]);
+        const byRaw = resolved.map(biome => (palette.includes(biome) ? palette.indexOf(biome) : fallback));
+        return { palette, byRaw, positions };
+    }
+
+    /**
+     * Map the reply's feature names onto global features and build the chunk palette
+     * The first palette entry is always the 'none' feature
+     * @param {Object} description - Intermediate description
+     * @param {Function} repair - Repair reporter
+     * @returns {Object} { palette, byRaw, positions }
+     */
+    resolveFeatures(description, repair) {
+        const globals = this.definitions.globalFeatures;
+        const none = globals.find(feature => feature.name === 'none') || globals[0];
+        const { names: rawNames, positions } = this.collectNames(description.featureNames, description.rows, 'feature');
+        if (rawNames.length === 0) rawNames.push(none.name);
+        description.featureNames = rawNames;
+
+        const resolved = rawNames.map(name => this.resolveName(name, globals, FEATURE_SYNONYMS, 'feature', repair));
+
+        let palette = [none, ...new Set(resolved.filter(feature => feature !== none))];
+        if (resolved[0] !== none) {
+            repair('feature-order', `First feature must be none, reordered the feature palette`);
+        }
+        if (palette.length > this.maxFeatures) {
+            repair('too-many-features', `Reply used ${palette.length} features, dropped ${palette.slice(this.maxFeatures).map(feature => feature.name).join(', ')}`);
+            palette = palette.slice(0, this.maxFeatures);
+        }
+
+        const byRaw = resolved.map(feature => Math.max(0, palette.indexOf(feature)));
+        return { palette, byRaw, positions };
+    }
+
+    /**
+     * Collect raw names from the header list plus any names used directly in grid tokens
+     * Listed entries without a name are left out, so numeric references into the list
+     * are translated through positions rather than used as indices into the names.
+     * @param {Array|null} listed - Names from the BIOMES/FEATURES line
+     * @param {Array} rows - Parsed rows
+     * @param {string} field - 'biome' or 'feature'
+     * @returns {Object} { names, positions } - raw names, header names first, and the index in
+     *                   names of each listed entry (-1 for nameless ones), null without a list
+     */
+    collectNames(listed, rows, field) {
+        const names = [];
+        const positions = listed ? listed.map(name => {
+            if (typeof name !== 'string' || !name.trim()) return -1;
+            names.push(name.trim());
+            return names.length - 1;
+        }) : null;
+        rows.forEach(row => row.forEach(cell => {
+            if (typeof cell[field] === 'string' && !names.includes(cell[field])) {
+                names.push(cell[field]);
+            }
+        }));
+        return { names, positions };
+    }
+
+    /**
+     * Index into the raw names of a cell's biome or feature reference
+     * @param {number|string} value - Index into the reply's list, or a name
+     * @param {Array} rawNames - Raw names from collectNames()
+     * @param {Array|null} positions - Positions from collectNames()
+     * @returns {number} Index into rawNames, -1 if the reference names nothing
+     */
+    rawIndex(value, rawNames, positions) {
+        if (typeof value !== 'number') {
+            return rawNames.indexOf(value);
+        }
+        if (!positions) {
+            return value;
+        }
+        return Number.isInteger(value) && value >= 0 && value < positions.length ? positions[value] : -1;
+    }
+
+    /**
+     * Resolve a name to a global definition: exact match, then synonym, then closest spelling
+     * @param {string} name - Raw name from the reply
+     * @param {Array} globals - Global definitions
+     * @param {Object} synonyms - Synonym table
+     * @param {string} kind - 'biome' or 'feature', used in repair messages
+     * @param {Function} repair - Repair reporter
+     * @returns {Object} Global definition
+     */
+    resolveName(name, globals, synonyms, kind, repair) {
+        const key = name.toLowerCase().trim();
+        const exact = globals.find(item => item.name === key);
+        if (exact) return exact;
+
+        const synonym = synonyms[key] && globals.find(item => item.name === synonyms[key]);
+        if (synonym) {
+            repair(`unknown-${kind}`, `Unknown ${kind} "${name}" mapped to ${synonym.name}`);
+            return synonym;
+        }
+
+        let nearest = globals[0];
+        let nearestDistance = Infinity;
+        for (const item of globals) {
+            const distance = this.editDistance(key, item.name);
+            if (distance < nearestDistance) {
+                nearest = item;
+                nearestDistance = distance;
+            }
+        }
+        repair(`unknown-${kind}`, `Unknown ${kind} "${name}" mapped to nearest ${kind} ${nearest.name}`);
+        return nearest;
+    }
+
+    /**
+     * Translate a cell's raw biome or feature reference to a palette index
+     * @param {number|string} value - Raw index into the reply's list, or a name
+     * @param {Array} rawNames - Names from the reply
+     * @param {Object} map - { byRaw, positions } from resolveBiomes()/resolveFeatures()
+     * @param {string} label - Cell label for repair messages
+     * @param {Function} repair - Repair reporter
+     * @returns {number} Palette index
+     */
+    lookupIndex(value, rawNames, map, label, repair) {
+        const rawIndex = this.rawIndex(value, rawNames, map.positions);
+        if (rawIndex < 0 || rawIndex >= map.byRaw.length || !Number.isInteger(rawIndex)) {
+            repair('bad-index', `${label} ${value} is not in the reply's list, used palette index ${map.byRaw[0]}`);
+            return map.byRaw[0];
+        }
+        return map.byRaw[rawIndex];
+    }
+
+    /**
+     * Choose a base level and convert levels to 5-bit offsets
+     * @param {Array} levels - Height level per hex
+     * @param {Function} repair - Repair reporter
+     * @returns {Object} { baseLevel, offsets }
+     */
+    fitLevels(levels, repair) {
+        // Levels outside the world's height range are brought into it first
+        let outside = 0;
+        const finite = levels.map(level => {
+            if (!Number.isFinite(level)) return NaN;
+            if (level < this.minLevel || level > this.maxLevel) {
+                outside++;
+                return Math.max(this.minLevel, Math.min(this.maxLevel, level));
+            }
+            return level;
+        });
+        if (outside > 0) {
+            repair('world-height', `Clamped ${outside} heights to the world's range of levels ${this.minLevel}-${this.maxLevel}`);
+        }
+
+        const valid = finite.filter(level => !Number.isNaN(level));
+        const baseLevel = valid.length > 0 ? Math.floor(Math.min(...valid)) : Math.max(this.minLevel, Math.min(this.maxLevel, 0));
+
+        let rounded = 0;
+        let clamped = 0;
+        const offsets = finite.map(level => {
+            if (Number.isNaN(level)) {
+                clamped++;
+                return 0;
+            }
+            if (!Number.isInteger(level)) rounded++;
+            const offset = Math.round(level) - baseLevel;
+            if (offset > this.maxHeightOffset) {
+                clamped++;
+                return this.maxHeightOffset;
+            }
+            return offset;
+        });
+
+        if (rounded > 0) {
+            repair('fractional-height', `Rounded ${rounded} fractional heights`);
+        }
+        if (clamped > 0) {
+            repair('height-range', `Clamped ${clamped} heights to levels ${baseLevel}-${baseLevel + this.maxHeightOffset}`);
+        }
+
+        return { baseLevel, offsets };
+    }
+
+    /**
+     * Split a comma or whitespace separated list of names
+     * @param {string} value - List text
+     * @returns {Array} Names
+     */
+    splitNames(value) {
+        return value.split(/[,;]|\s+and\s+/).map(name => name.replace(/^[\s\d.)-]+|[\s.]+$/g, '')).filter(Boolean);
+    }
+
+    /**
+     * Levenshtein distance between two strings
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @returns {number} Edit distance
+     */
+    editDistance(a, b) {
+        const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            let diagonal = previous[0];
+            previous[0] = i;
+            for (let j = 1; j <= b.length; j++) {
+                const above = previous[j];
+                previous[j] = Math.min(
+                    previous[j] + 1,
+                    previous[j - 1] + 1,
+                    diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+                diagonal = above;
+            }
+        }
+        return previous[b.length];
+    }
+}
+
+module.exports = TerrainDescriptionParser;
@@ -0,0 +1,56 @@
+/**
+ * Chunk Palettes
+ * Chunks sent by clients name the biomes and features they use. Only definitions
+ * the server already knows are accepted, and each is replaced by the server's own
+ * copy, so a client cannot store or pass on names, colours or models of its own.
+ * A definition is known when initial.json has one with its id, or when the stored
+ * chunk's palette holds it (generated chunks may bring biomes of their own).
+ */
+
+// Palettes of a stored chunk and the initial.json lists their entries come from
+const PALETTES = [
+    { palette: 'chunkBiomes', global: 'globalBiomes', label: 'biome' },
+    { palette: 'chunkFeatures', global: 'globalFeatures', label: 'feature' }
+];
+
+/**
+ * Find the server's copy of a definition
+ * @param {*} entry - Definition sent by a client
+ * @param {Array} globals - Definitions from initial.json, matched by id
+ * @param {Array} stored - Palette of the stored chunk, matched by id and name, optional
+ * @returns {Object|null} Known definition, or null if the entry is not one
+ */
+function findDefinition(entry, globals, stored = []) {
+    if (!entry || typeof entry !== 'object' || entry.id === undefined) {
+        return null;
+    }
+    return stored.find(known => known && known.id === entry.id && known.name === entry.name) ||
+        globals.find(known => known.id === entry.id) ||
+        null;
+}
+
+/**
+ * Replace the palettes of a chunk sent by a client with the server's definitions
+ * Throws a TypeError naming the first entry that is not known.
+ * @param {Object} chunk - Chunk in the chunk_0_0.json shape, already validated
+ * @param {Object} definitions - initial.json, with globalBiomes and globalFeatures
+ * @param {Object|null} stored - Chunk currently stored at the same coordinates, if any
+ * @returns {Object} Copy of the chunk with known palette entries only
+ */
+function resolvePalettes(chunk, definitions, stored) {
+    const resolved = { ...chunk };
+    for (const { palette, global, label } of PALETTES) {
+        const globals = (definitions && definitions[global]) || [];
+        const storedPalette = (stored && Array.isArray(stored[palette])) ? stored[palette] : [];
+        resolved[palette] = chunk[palette].map((entry, index) => {
+            const known = findDefinition(entry, globals, storedPalette);
+            if (!known) {
+                throw new TypeError(`${palette}[${index}] is not a known ${label}`);
+            }
+            return JSON.parse(JSON.stringify(known));
+        });
+    }
+    return resolved;
+}
+
+module.exports = { findDefinition, resolvePalettes };
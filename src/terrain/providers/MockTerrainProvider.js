@@ -0,0 +1,112 @@
+/**
+ * Mock Terrain Provider
+ * Offline stand-in for the AI that answers in the same reply format.
+ * Replies are either canned (keyed by "cx,cz") or derived from seeded noise,
+ * so the same seed always describes the same world.
+ */
+
+const { loadShared } = require('../sharedModules');
+
+class MockTerrainProvider {
+    /**
+     * @param {Object} options - Provider options
+     * @param {number} options.seed - Noise seed
+     * @param {Object} options.responses - Canned replies keyed by "cx,cz"
+     */
+    constructor(options = {}) {
+        this.name = 'mock';
+        this.seed = options.seed !== undefined && options.seed !== null ? options.seed : 0;
+        this.responses = options.responses || {};
+
+        // Noise frequencies in hexes
+        this.heightScale = 0.04;
+        this.moistureScale = 0.015;
+
+        this.noise = null;
+    }
+
+    /**
+     * Load the shared noise module on first use
+     * @returns {Promise<Object>} PerlinNoise instance
+     */
+    async getNoise() {
+        if (!this.noise) {
+            const PerlinNoise = await loadShared('utils/noise.js');
+            this.noise = new PerlinNoise(this.seed);
+        }
+        return this.noise;
+    }
+
+    /**
+     * Describe a chunk
+     * @param {Object} request - { system, prompt, context }
+     * @returns {Promise<string>} Reply in the format the prompt asks for
+     */
+    async complete({ context }) {
+        const { cx, cz, firstColumn, firstRow } = context.position;
+
+        const canned = this.responses[`${cx},${cz}`];
+        if (canned !== undefined) {
+            return canned;
+        }
+
+        const noise = await this.getNoise();
+        const size = context.chunkSize;
+        const available = context.biomes.map(biome => biome.name);
+
+        // Pick per-hex biome names and levels from noise over global hex coordinates
+        const cells = [];
+        for (let row = 0; row < size; row++) {
+            for (let col = 0; col < size; col++) {
+                const x = firstColumn + col;
+                const z = firstRow + row;
+
+                const height = noise.get(x * this.heightScale, z * this.heightScale) * 0.75 +
+                    noise.get(x * this.heightScale * 3 + 100, z * this.heightScale * 3 + 100) * 0.25;
+                const moisture = noise.get(x * this.moistureScale + 500, z * this.moistureScale + 500);
+
+                const level = Math.round(height * (context.levelRange - 1));
+                cells.push({ biome: this.pickBiome(height, moisture, available), level });
+            }
+        }
+
+        // Build the palette in the order biomes are listed as available
+        const biomes = available.filter(name => cells.some(cell => cell.biome === name)).slice(0, 4);
+        const lines = [
+            `SUMMARY: Mock terrain for chunk ${cx},${cz} with ${biomes.join(', ')}.`,
+            `BIOMES: ${biomes.join(', ')}`,
+            'FEATURES: none',
+            'GRID:'
+        ];
+
+        for (let row = 0; row < size; row++) {
+            const tokens = [];
+            for (let col = 0; col < size; col++) {
+                const cell = cells[row * size + col];
+                tokens.push(`${Math.max(0, biomes.indexOf(cell.biome))}:0:${cell.level}`);
+            }
+            lines.push(tokens.join(' '));
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Choose a biome name from height and moisture
+     * @param {number} height - Height noise between 0 and 1
+     * @param {number} moisture - Moisture noise between 0 and 1
+     * @param {Array} available - Available biome names
+     * @returns {string} Biome name
+     */
+    pickBiome(height, moisture, available) {
+        let name;
+        if (height > 0.65) name = 'mountain';
+        else if (moisture < 0.4) name = 'desert';
+        else if (moisture > 0.55) name = 'forest';
+        else name = 'plains';
+
+        return available.includes(name) ? name : available[0];
+    }
+}
+
+module.exports = MockTerrainProvider;
@@ -0,0 +1,77 @@
+/**
+ * OpenRouter Provider
+ * Sends terrain prompts to the OpenRouter chat completions API
+ */
+
+class OpenRouterProvider {
+    /**
+     * @param {Object} options - Provider options
+     * @param {string} options.apiKey - OpenRouter API key
+     * @param {string} options.model - Model identifier, e.g. 'anthropic/claude-3.5-sonnet'
+     * @param {number} options.temperature - Sampling temperature
+     * @param {number} options.timeoutMs - Request timeout in milliseconds
+     * @param {Function} options.fetch - fetch implementation, defaults to the global fetch
+     */
+    constructor(options = {}) {
+        this.name = 'openrouter';
+        this.apiKey = options.apiKey;
+        this.model = options.model || 'anthropic/claude-3.5-sonnet';
+        this.temperature = options.temperature !== undefined ? options.temperature : 0.7;
+        this.timeoutMs = options.timeoutMs || 60000;
+        this.endpoint = options.endpoint || 'https://openrouter.ai/api/v1/chat/completions';
+        this.fetch = options.fetch || globalThis.fetch;
+
+        if (!this.apiKey) {
+            throw new Error('OpenRouterProvider requires an API key (set OPENROUTER_API_KEY)');
+        }
+        if (typeof this.fetch !== 'function') {
+            throw new Error('OpenRouterProvider needs a fetch implementation (Node 18+ or options.fetch)');
+        }
+    }
+
+    /**
+     * Request a completion for a terrain prompt
+     * @param {Object} request - { system, prompt, context }
+     * @returns {Promise<string>} The model's reply text
+     */
+    async complete({ system, prompt }) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+
+        try {
+            const response = await this.fetch(this.endpoint, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${this.apiKey}`,
+                    'Content-Type': 'application/json',
+                    'X-Title': 'Hex Game 2025'
+                },
+                body: JSON.stringify({
+                    model: this.model,
+                    temperature: this.temperature,
+                    messages: [
+                        { role: 'system', content: system },
+                        { role: 'user', content: prompt }
+                    ]
+                }),
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                const body = await response.text();
+                throw new Error(`OpenRouter request failed with ${response.status}: ${body.slice(0, 500)}`);
+            }
+
+            const data = await response.json();
+            const content = data.choices && data.choices[0] && data.choices[0].message && data.choices[0].message.content;
+            if (typeof content !== 'string' || content.length === 0) {
+                throw new Error('OpenRouter response did not contain a message');
+            }
+            return content;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
+
+module.exports = OpenRouterProvider;
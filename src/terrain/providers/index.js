@@ -0,0 +1,32 @@
+/**
+ * Terrain Providers
+ * A provider turns a terrain prompt into the model's raw text reply.
+ *
+ * Provider interface:
+ *   name                      - Short identifier used in logs
+ *   async complete(request)   - Returns the reply text for
+ *                               { system, prompt, context }, where context is the
+ *                               structured data the prompt was built from
+ */
+
+const MockTerrainProvider = require('./MockTerrainProvider');
+const OpenRouterProvider = require('./OpenRouterProvider');
+
+/**
+ * Create a provider by name
+ * @param {string} name - 'mock' or 'openrouter'
+ * @param {Object} options - Options passed to the provider constructor
+ * @returns {Object} Provider instance
+ */
+function createProvider(name, options = {}) {
+    switch (name) {
+        case 'mock':
+            return new MockTerrainProvider(options);
+        case 'openrouter':
+            return new OpenRouterProvider(options);
+        default:
+            throw new Error(`Unknown terrain provider: ${name}`);
+    }
+}
+
+module.exports = { createProvider, MockTerrainProvider, OpenRouterProvider };
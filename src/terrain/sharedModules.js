@@ -0,0 +1,27 @@
+/**
+ * Shared Module Loader
+ * Loads the ES modules under src/public/js that the server shares with the client
+ */
+
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const sharedRoot = path.join(__dirname, '..', 'public', 'js');
+
+// Import promises keyed by module path, so each module is only loaded once
+const cache = new Map();
+
+/**
+ * Import a shared module and return its default export
+ * @param {string} modulePath - Path relative to src/public/js, e.g. 'terrain/TerrainDataCompressor.js'
+ * @returns {Promise<*>} The module's default export
+ */
+function loadShared(modulePath) {
+    if (!cache.has(modulePath)) {
+        const url = pathToFileURL(path.join(sharedRoot, modulePath)).href;
+        cache.set(modulePath, import(url).then(module => module.default));
+    }
+    return cache.get(modulePath);
+}
+
+module.exports = { loadShared };
@@ -0,0 +1,83 @@
+/**
+ * World Seed
+ * Chooses the seed every noise user in the world shares. The seed comes from
+ * WORLD_SEED when set, otherwise from world.json next to the chunk files, which
+ * is created with a random seed on first start so the world survives restarts.
+ * world.json may also set the world's seaLevel, which SEA_LEVEL overrides.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Sea level of worlds whose world.json does not set one
+const DEFAULT_SEA_LEVEL = 0;
+
+/**
+ * Read world.json
+ * @param {string} directory - Terrain data directory
+ * @returns {Object|null} World settings, or null if there is no world.json yet
+ */
+function readWorldSettings(directory) {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(directory, 'world.json'), 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw error;
+        }
+        return null;
+    }
+}
+
+/**
+ * Load the world seed, creating it if there is none yet
+ * @param {string} directory - Terrain data directory
+ * @param {string} [override] - Seed that takes precedence (WORLD_SEED)
+ * @returns {number|string} World seed, an integer or a string that is hashed on use
+ */
+function loadWorldSeed(directory, override) {
+    if (override !== undefined && override !== '') {
+        return override;
+    }
+
+    const settings = readWorldSettings(directory);
+    if (settings && settings.seed !== undefined) {
+        return settings.seed;
+    }
+
+    // Keep any other settings already in the file
+    const file = path.join(directory, 'world.json');
+    const seed = Math.floor(Math.random() * 0x7FFFFFFF);
+    fs.writeFileSync(file, JSON.stringify({ ...settings, seed }, null, 2));
+    console.log(`Created world seed ${seed} in ${file}`);
+    return seed;
+}
+
+/**
+ * Load the sea level of the world
+ * @param {string} directory - Terrain data directory
+ * @param {string} [override] - Sea level that takes precedence (SEA_LEVEL)
+ * @returns {number} Elevation of the sea surface in world units
+ */
+function loadSeaLevel(directory, override) {
+    const overrideLevel = parseFloat(override);
+    if (Number.isFinite(overrideLevel)) {
+        return overrideLevel;
+    }
+
+    const settings = readWorldSettings(directory);
+    if (settings && typeof settings.seaLevel === 'number') {
+        return settings.seaLevel;
+    }
+    return DEFAULT_SEA_LEVEL;
+}
+
+/**
+ * Check a seed given in a URL
+ * @param {*} value - Query parameter value
+ * @returns {boolean} True for 1-64 letters, digits, '-' or '_'
+ */
+function isValidSeed(value) {
+    return typeof value === 'string' && /^[\w-]{1,64}$/.test(value);
+}
+
+module.exports = { loadWorldSeed, loadSeaLevel, isValidSeed };
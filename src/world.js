@@ -0,0 +1,66 @@
+/**
+ * World Store Tool
+ * Lists the chunks in the region files, and imports or exports them as
+ * chunk_<cx>_<cz>.json files:
+ *
+ *   npm run world -- list
+ *   npm run world -- import <directory>
+ *   npm run world -- export <directory>
+ *
+ * The region files are read from assets/terrainData/regions, or from REGION_DIR.
+ * Run it while the server is stopped, since the store expects to be the only writer.
+ */
+
+const path = require('path');
+const RegionStore = require('./terrain/RegionStore');
+
+const regionDir = process.env.REGION_DIR || path.join(__dirname, '..', 'assets', 'terrainData', 'regions');
+
+/**
+ * Report the outcome of an import or export
+ * @param {string} verb - What was done, e.g. 'Imported'
+ * @param {Object} result - { copied, failed, padded } from RegionStore
+ */
+function report(verb, { copied, failed, padded = [] }) {
+    padded.forEach(({ cx, cz, added }) => console.warn(`Chunk ${cx},${cz}: padded with ${added} hexes`));
+    failed.forEach(({ cx, cz, error }) => console.warn(`Chunk ${cx},${cz}: ${error.message}`));
+    console.log(`${verb} ${copied} chunks${failed.length > 0 ? `, ${failed.length} failed` : ''}`);
+    if (failed.length > 0) {
+        process.exitCode = 1;
+    }
+}
+
+/**
+ * Run the command given on the command line
+ */
+async function main() {
+    const [command, directory] = process.argv.slice(2);
+    const store = new RegionStore(regionDir);
+
+    switch (command) {
+        case 'list': {
+            const chunks = await store.list();
+            chunks.forEach(([cx, cz]) => console.log(`${cx},${cz}`));
+            console.log(`${chunks.length} chunks in ${regionDir}`);
+            break;
+        }
+        case 'import':
+        case 'export':
+            if (!directory) {
+                throw new Error(`Usage: npm run world -- ${command} <directory>`);
+            }
+            if (command === 'import') {
+                report('Imported', await store.importJson(path.resolve(directory)));
+            } else {
+                report('Exported', await store.exportJson(path.resolve(directory)));
+            }
+            break;
+        default:
+            throw new Error('Usage: npm run world -- list | import <directory> | export <directory>');
+    }
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
@@ -0,0 +1,301 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const express = require('express');
+const { WebSocket } = require('ws');
+const MultiplayerServer = require('../src/multiplayer/MultiplayerServer');
+const ChunkAuthority = require('../src/terrain/ChunkAuthority');
+const createChunkRouter = require('../src/routes/chunks');
+const { loadShared } = require('../src/terrain/sharedModules');
+
+const definitions = {
+    globalBiomes: [{ id: 0, name: 'plains', color: 8311865 }, { id: 1, name: 'forest', color: 2967070 }],
+    globalFeatures: [{ id: 0, name: 'none' }, { id: 1, name: 'river', color: 3447643 }]
+};
+
+/**
+ * Build a flat 4x4 chunk
+ * @returns {Object} Chunk in the chunk_0_0.json shape
+ */
+function makeChunk() {
+    return {
+        hexes: new Array(16).fill(null).map(() => ({ biomeIndex: 0, featureIndex: 0, heightOffset: 10 })),
+        chunkBiomes: [{ ...definitions.globalBiomes[0] }],
+        chunkFeatures: [{ ...definitions.globalFeatures[0] }],
+        baseHeight: 0,
+        chunkSize: 4
+    };
+}
+
+/**
+ * In-memory chunk store whose reads and writes take a random while, so edits
+ * applied side by side would overwrite each other
+ * @returns {Object} Store with get and put
+ */
+function slowStore() {
+    const chunks = new Map([['0,0', makeChunk()]]);
+    const pause = () => new Promise(resolve => setTimeout(resolve, Math.random() * 10));
+    return {
+        chunks,
+        async get(cx, cz) {
+            await pause();
+            const chunk = chunks.get(`${cx},${cz}`);
+            return chunk ? JSON.parse(JSON.stringify(chunk)) : null;
+        },
+        async put(cx, cz, chunk) {
+            await pause();
+            chunks.set(`${cx},${cz}`, JSON.parse(JSON.stringify(chunk)));
+        },
+        async delete(cx, cz) {
+            await pause();
+            return chunks.delete(`${cx},${cz}`);
+        },
+        async list() {
+            return [...chunks.keys()].map(key => key.split(',').map(Number));
+        }
+    };
+}
+
+/**
+ * Start a multiplayer server and the chunk API on a free port, sharing one authority
+ * @param {Object} store - Chunk store
+ * @returns {Promise<Object>} { url, api, close }
+ */
+async function startServer(store) {
+    const authority = new ChunkAuthority(store);
+    const generator = { generate: async () => makeChunk() };
+    const app = express();
+    app.use('/api/chunks', createChunkRouter({ store, generator, definitions, authority }));
+
+    const server = http.createServer(app);
+    const multiplayer = new MultiplayerServer(server, authority, { chunkSize: 4, definitions });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `ws://127.0.0.1:${server.address().port}/ws`,
+        api: `http://127.0.0.1:${server.address().port}/api/chunks`,
+        close: async () => {
+            await multiplayer.close();
+            await new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+/**
+ * Connect a player that has chunk 0,0 loaded
+ * @param {string} url - WebSocket URL
+ * @param {string} name - Player name
+ * @returns {Promise<Object>} { messages, send, waitFor, close }
+ */
+async function connect(url, name) {
+    const socket = new WebSocket(url);
+    const messages = [];
+    const waiting = [];
+    socket.on('message', data => {
+        const message = JSON.parse(data.toString());
+        messages.push(message);
+        for (const waiter of waiting.slice()) {
+            if (waiter.check(message)) {
+                waiting.splice(waiting.indexOf(waiter), 1);
+                waiter.resolve(message);
+            }
+        }
+    });
+    await new Promise((resolve, reject) => {
+        socket.once('open', resolve);
+        socket.once('error', reject);
+    });
+
+    const player = {
+        messages,
+        send: (type, fields) => socket.send(JSON.stringify({ v: 1, type, ...fields })),
+        waitFor: check => new Promise(resolve => {
+            const found = messages.find(check);
+            if (found) {
+                resolve(found);
+            } else {
+                waiting.push({ check, resolve });
+            }
+        }),
+        close: () => socket.close()
+    };
+    player.send('join', { name });
+    await player.waitFor(message => message.type === 'welcome');
+    player.send('chunks', { loaded: [[0, 0]] });
+    return player;
+}
+
+test('edits of two players on the same hex are applied one after another', async () => {
+    const store = slowStore();
+    const server = await startServer(store);
+    const players = [await connect(server.url, 'a'), await connect(server.url, 'b')];
+
+    try {
+        // Each player raises the same hex five times without waiting for answers
+        const answers = [];
+        for (let i = 0; i < 5; i++) {
+            players.forEach((player, p) => {
+                const id = `${p}-${i}`;
+                player.send('edit', { id, strokes: [{ center: [1, 1], tool: 'raise', radius: 0 }] });
+                answers.push(player.waitFor(message => message.type === 'edited' && message.id === id));
+            });
+        }
+        const edited = await Promise.all(answers);
+
+        assert.strictEqual(store.chunks.get('0,0').hexes[5].heightOffset, 20);
+        const revisions = edited.map(message => message.revisions[0][2]).sort((a, b) => a - b);
+        assert.deepStrictEqual(revisions, [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+
+        // Every player hears the changes in revision order
+        await Promise.all(players.map(player => player.waitFor(message => message.type === 'chunk' && message.revision === 10)));
+        for (const player of players) {
+            const heard = player.messages.filter(message => message.type === 'chunk').map(message => message.revision);
+            assert.deepStrictEqual(heard, [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+        }
+    } finally {
+        players.forEach(player => player.close());
+        await server.close();
+    }
+});
+
+test('painted definitions are replaced by the server\'s, unknown ones refused', async () => {
+    const store = slowStore();
+    const server = await startServer(store);
+    const player = await connect(server.url, 'a');
+
+    try {
+        player.send('edit', { id: 'unknown', strokes: [{ center: [1, 1], tool: 'biome', radius: 0, definition: { id: 9, name: 'lava' } }] });
+        const refused = await player.waitFor(message => message.type === 'error' && message.id === 'unknown');
+        assert.match(refused.message, /does not know/);
+
+        player.send('edit', { id: 'known', strokes: [{ center: [1, 1], tool: 'biome', radius: 0, definition: { id: 1, name: '<img src=x>', color: 0 } }] });
+        await player.waitFor(message => message.type === 'edited' && message.id === 'known');
+        assert.deepStrictEqual(store.chunks.get('0,0').chunkBiomes[1], definitions.globalBiomes[1]);
+    } finally {
+        player.close();
+        await server.close();
+    }
+});
+
+test('snapshots with palette entries the server does not know are refused', async () => {
+    const store = slowStore();
+    const server = await startServer(store);
+    const player = await connect(server.url, 'a');
+
+    try {
+        const unknown = makeChunk();
+        unknown.chunkBiomes[0] = { id: 7, name: 'lava' };
+        player.send('edit', { id: 'unknown', chunks: [{ cx: 0, cz: 0, revision: 0, chunk: unknown }] });
+        await player.waitFor(message => message.type === 'error' && message.id === 'unknown');
+
+        const broken = makeChunk();
+        broken.chunkFeatures[0] = null;
+        player.send('edit', { id: 'broken', chunks: [{ cx: 0, cz: 0, revision: 0, chunk: broken }] });
+        await player.waitFor(message => message.type === 'error' && message.id === 'broken');
+
+        assert.deepStrictEqual(store.chunks.get('0,0'), makeChunk());
+    } finally {
+        player.close();
+        await server.close();
+    }
+});
+
+test('an undo snapshot is refused once another player changed the chunk', async () => {
+    const store = slowStore();
+    const server = await startServer(store);
+    const a = await connect(server.url, 'a');
+    const b = await connect(server.url, 'b');
+
+    try {
+        const before = makeChunk();
+        a.send('edit', { id: 'a1', strokes: [{ center: [1, 1], tool: 'raise', radius: 0 }] });
+        const raised = await a.waitFor(message => message.type === 'edited' && message.id === 'a1');
+        const revision = raised.revisions[0][2];
+
+        b.send('edit', { id: 'b1', strokes: [{ center: [2, 2], tool: 'raise', radius: 0 }] });
+        await b.waitFor(message => message.type === 'edited' && message.id === 'b1');
+        const afterB = JSON.parse(JSON.stringify(store.chunks.get('0,0')));
+
+        // a's undo was taken before b's raise, so putting it back would undo b's too
+        a.send('edit', { id: 'undo', chunks: [{ cx: 0, cz: 0, revision, chunk: before }] });
+        const refused = await a.waitFor(message => message.id === 'undo');
+        assert.strictEqual(refused.type, 'error');
+        assert.match(refused.message, /changed by another edit/);
+        assert.deepStrictEqual(store.chunks.get('0,0'), afterB);
+
+        // At the current revision the snapshot applies
+        a.send('edit', { id: 'current', chunks: [{ cx: 0, cz: 0, revision: revision + 1, chunk: before }] });
+        const applied = await a.waitFor(message => message.id === 'current');
+        assert.strictEqual(applied.type, 'edited');
+        assert.deepStrictEqual(store.chunks.get('0,0'), before);
+    } finally {
+        a.close();
+        b.close();
+        await server.close();
+    }
+});
+
+test('chunks PUT through the chunk API reach the players that have them loaded', async () => {
+    const store = slowStore();
+    const server = await startServer(store);
+    const player = await connect(server.url, 'a');
+
+    try {
+        const response = await fetch(`${server.api}/0/0`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...makeChunk(), baseHeight: 2 })
+        });
+        assert.strictEqual(response.status, 200);
+
+        const sent = await player.waitFor(message => message.type === 'chunk');
+        assert.strictEqual(sent.revision, 1);
+        assert.strictEqual(sent.player, null);
+        assert.strictEqual(sent.chunk.baseHeight, 2);
+    } finally {
+        player.close();
+        await server.close();
+    }
+});
+
+test('a chunk API PUT and a player\'s edit of the same chunk are applied one after the other', async () => {
+    // Loaded up front, so the PUT reaches the store without waiting for the import
+    await loadShared('terrain/TerrainDataCompressor.js');
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+        const store = slowStore();
+        const server = await startServer(store);
+        const player = await connect(server.url, 'a');
+
+        try {
+            const replacement = makeChunk();
+            replacement.hexes.forEach(hex => { hex.heightOffset = 3; });
+
+            player.send('edit', { id: 'raise', strokes: [{ center: [1, 1], tool: 'raise', radius: 0 }] });
+            const put = fetch(`${server.api}/0/0`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(replacement)
+            });
+            const [edited, response] = await Promise.all([
+                player.waitFor(message => message.type === 'edited' && message.id === 'raise'),
+                put
+            ]);
+            assert.strictEqual(response.status, 200);
+
+            // Either the PUT replaced the raised chunk, or the raise applied to the PUT chunk
+            const heights = store.chunks.get('0,0').hexes.map(hex => hex.heightOffset);
+            const raisedLast = heights[5] === 4 && heights.filter(height => height === 3).length === 15;
+            const putLast = heights.every(height => height === 3);
+            assert.ok(raisedLast || putLast, `Stored heights ${heights.join(',')} mix the two writes`);
+
+            // Both writes got a revision, and the player heard the stored version last
+            await player.waitFor(message => message.type === 'chunk' && message.revision === 2);
+            const last = player.messages.filter(message => message.type === 'chunk').pop();
+            assert.deepStrictEqual(last.chunk.hexes.map(hex => hex.heightOffset), heights);
+            assert.ok([1, 2].includes(edited.revisions[0][2]));
+        } finally {
+            player.close();
+            await server.close();
+        }
+    }
+});
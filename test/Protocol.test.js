@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadShared } = require('../src/terrain/sharedModules');
+
+const protocol = loadShared('network/Protocol.js');
+
+test('decode returns what encode built', async () => {
+    const Protocol = await protocol;
+    const text = Protocol.encode('transform', { position: [1, 2.5, -3], heading: 0.5, chunk: [0, -1] });
+    assert.deepStrictEqual(Protocol.decode(text), {
+        v: Protocol.version,
+        type: 'transform',
+        position: [1, 2.5, -3],
+        heading: 0.5,
+        chunk: [0, -1]
+    });
+});
+
+test('decode rejects text that is not a JSON object', async () => {
+    const Protocol = await protocol;
+    assert.throws(() => Protocol.decode('{"v": 1,'), SyntaxError);
+    assert.throws(() => Protocol.decode('[1, 2]'), TypeError);
+    assert.throws(() => Protocol.decode('null'), TypeError);
+});
+
+test('decode rejects other versions and unknown types', async () => {
+    const Protocol = await protocol;
+    assert.throws(() => Protocol.decode(JSON.stringify({ v: Protocol.version + 1, type: 'join', name: 'a' })), RangeError);
+    assert.throws(() => Protocol.decode(JSON.stringify({ type: 'join', name: 'a' })), RangeError);
+    assert.throws(() => Protocol.decode(JSON.stringify({ v: Protocol.version, type: 'teleport' })), RangeError);
+    assert.throws(() => Protocol.decode(JSON.stringify({ v: Protocol.version, type: 'constructor' })), RangeError);
+});
+
+test('decode rejects messages with a missing or invalid field', async () => {
+    const Protocol = await protocol;
+    const decode = fields => () => Protocol.decode(JSON.stringify({ v: Protocol.version, ...fields }));
+
+    assert.throws(decode({ type: 'join' }), /join has an invalid name/);
+    assert.throws(decode({ type: 'transform', position: [0, 0], heading: 0 }), /invalid position/);
+    assert.throws(decode({ type: 'transform', position: [0, 0, 0], heading: null }), /invalid heading/);
+    assert.throws(decode({ type: 'chunks', loaded: [[0, 0], [1.5, 0]] }), /invalid loaded/);
+    assert.throws(decode({ type: 'edit', id: 7 }), /edit has an invalid id/);
+    assert.throws(decode({ type: 'chunk', cx: 0, cz: 0, revision: 1, chunk: [] }), /invalid chunk/);
+});
+
+test('checkEdit accepts strokes or chunks and names what is wrong', async () => {
+    const Protocol = await protocol;
+    assert.strictEqual(Protocol.checkEdit({ strokes: [{ center: [1, 2], tool: 'raise', radius: 1 }] }), null);
+    assert.strictEqual(Protocol.checkEdit({ chunks: [{ cx: 0, cz: 0, revision: 0, chunk: {} }] }), null);
+    assert.strictEqual(Protocol.checkEdit({ strokes: [{ center: [1, 2], tool: 'raise', radius: -1 }] }), 'Edit has an invalid stroke');
+    assert.strictEqual(Protocol.checkEdit({ chunks: [{ cx: '0', cz: 0, revision: 0, chunk: {} }] }), 'Edit has an invalid chunk');
+    assert.strictEqual(Protocol.checkEdit({ chunks: [{ cx: 0, cz: 0, chunk: {} }] }), 'Edit has an invalid chunk');
+    assert.strictEqual(Protocol.checkEdit({}), 'Edit needs strokes or chunks');
+});
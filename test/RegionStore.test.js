@@ -0,0 +1,153 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RegionStore = require('../src/terrain/RegionStore');
+
+// Offset of the first index entry in a region file, and the size of each entry
+const INDEX_START = 16;
+const INDEX_ENTRY_SIZE = 8;
+
+/**
+ * Build a small valid chunk
+ * @param {number} height - heightOffset of every hex
+ * @returns {Object} Chunk in the chunk_0_0.json shape
+ */
+function makeChunk(height) {
+    return {
+        hexes: new Array(16).fill(null).map((_, i) => ({ biomeIndex: i % 2, featureIndex: 0, heightOffset: height })),
+        chunkBiomes: [{ id: 0, name: 'plains', color: 8311865 }, { id: 1, name: 'forest', color: 2967070 }],
+        chunkFeatures: [{ id: 0, name: 'none' }],
+        baseHeight: 1.5,
+        chunkSize: 4
+    };
+}
+
+/**
+ * Run a test in a fresh temporary directory, removed afterwards
+ * @param {Function} body - Async function given the directory
+ * @returns {Function} Test function
+ */
+function inTempDir(body) {
+    return async () => {
+        const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'regionstore-'));
+        try {
+            await body(directory);
+        } finally {
+            await fs.promises.rm(directory, { recursive: true, force: true });
+        }
+    };
+}
+
+/**
+ * Silence console.warn and console.log while a store recovers a region
+ * @param {Function} body - Async function to run
+ * @returns {Promise<*>} Result of the function
+ */
+async function quietly(body) {
+    const { warn, log } = console;
+    console.warn = console.log = () => {};
+    try {
+        return await body();
+    } finally {
+        console.warn = warn;
+        console.log = log;
+    }
+}
+
+test('chunks read back as they were stored, from a new store too', inTempDir(async directory => {
+    const store = new RegionStore(directory, { regionSize: 4 });
+    await store.put(0, 0, makeChunk(3));
+    await store.put(-1, 5, makeChunk(7));
+    await store.put(0, 0, makeChunk(4));
+
+    assert.deepStrictEqual(await store.get(0, 0), makeChunk(4));
+    assert.strictEqual(await store.get(1, 1), null);
+
+    const reopened = new RegionStore(directory, { regionSize: 4 });
+    assert.deepStrictEqual(await reopened.get(0, 0), makeChunk(4));
+    assert.deepStrictEqual(await reopened.get(-1, 5), makeChunk(7));
+    assert.deepStrictEqual((await reopened.list()).sort(), [[-1, 5], [0, 0]].sort());
+}));
+
+test('deleted chunks stay deleted after reopening', inTempDir(async directory => {
+    const store = new RegionStore(directory, { regionSize: 4 });
+    await store.put(2, 2, makeChunk(1));
+    assert.strictEqual(await store.delete(2, 2), true);
+    assert.strictEqual(await store.delete(2, 2), false);
+
+    const reopened = new RegionStore(directory, { regionSize: 4 });
+    assert.strictEqual(await reopened.get(2, 2), null);
+}));
+
+test('a torn index is rebuilt from the records, the last record of a chunk winning', inTempDir(async directory => {
+    const store = new RegionStore(directory, { regionSize: 4 });
+    await store.put(0, 0, makeChunk(2));
+    await store.put(1, 0, makeChunk(5));
+    await store.put(0, 0, makeChunk(9));
+
+    // Point chunk 0,0 past the end of the file, as a half-written index entry might
+    const file = store.getRegionPath(0, 0);
+    const bytes = await fs.promises.readFile(file);
+    bytes.writeUInt32LE(bytes.length + 100, INDEX_START);
+    await fs.promises.writeFile(file, bytes);
+
+    const reopened = new RegionStore(directory, { regionSize: 4 });
+    assert.deepStrictEqual(await quietly(() => reopened.get(0, 0)), makeChunk(9));
+    assert.deepStrictEqual(await reopened.get(1, 0), makeChunk(5));
+
+    // The rebuilt file needs no further repair
+    const again = new RegionStore(directory, { regionSize: 4 });
+    assert.deepStrictEqual(await again.get(0, 0), makeChunk(9));
+}));
+
+test('an index entry pointing at another chunk\'s record is rebuilt', inTempDir(async directory => {
+    const store = new RegionStore(directory, { regionSize: 4 });
+    await store.put(0, 0, makeChunk(2));
+    await store.put(1, 0, makeChunk(5));
+
+    const file = store.getRegionPath(0, 0);
+    const bytes = await fs.promises.readFile(file);
+    bytes.copy(bytes, INDEX_START, INDEX_START + INDEX_ENTRY_SIZE, INDEX_START + 2 * INDEX_ENTRY_SIZE);
+    await fs.promises.writeFile(file, bytes);
+
+    const reopened = new RegionStore(directory, { regionSize: 4 });
+    assert.deepStrictEqual(await quietly(() => reopened.get(0, 0)), makeChunk(2));
+    assert.deepStrictEqual(await reopened.get(1, 0), makeChunk(5));
+}));
+
+test('a half-appended record at the end is discarded', inTempDir(async directory => {
+    const store = new RegionStore(directory, { regionSize: 4 });
+    await store.put(0, 0, makeChunk(6));
+
+    const file = store.getRegionPath(0, 0);
+    const { size } = await fs.promises.stat(file);
+    await fs.promises.appendFile(file, Buffer.from('HXRC\u0001\u0000'));
+
+    const reopened = new RegionStore(directory, { regionSize: 4 });
+    assert.deepStrictEqual(await quietly(() => reopened.get(0, 0)), makeChunk(6));
+    assert.strictEqual((await fs.promises.stat(file)).size, size);
+}));
+
+test('short chunks are padded with copies of the row above', () => {
+    const chunk = makeChunk(3);
+    chunk.hexes = chunk.hexes.slice(0, 13);
+
+    const { chunk: padded, added } = RegionStore.padHexes(chunk);
+    assert.strictEqual(added, 3);
+    assert.strictEqual(padded.hexes.length, 16);
+    assert.deepStrictEqual(padded.hexes[13], padded.hexes[9]);
+});
+
+test('a chunk that would not read back is refused and the stored version kept', inTempDir(async directory => {
+    const store = new RegionStore(directory, { regionSize: 4 });
+    await store.put(0, 0, makeChunk(4));
+
+    for (const baseHeight of [1e39, 0.1]) {
+        await assert.rejects(store.put(0, 0, { ...makeChunk(5), baseHeight }), RangeError);
+    }
+
+    const reopened = new RegionStore(directory, { regionSize: 4 });
+    assert.deepStrictEqual(await reopened.get(0, 0), makeChunk(4));
+}));
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadShared } = require('../src/terrain/sharedModules');
+
+const compressor = loadShared('terrain/TerrainDataCompressor.js').then(TerrainDataCompressor => new TerrainDataCompressor());
+
+/**
+ * Build a small valid chunk
+ * @param {Object} fields - Fields replacing the defaults
+ * @returns {Object} Chunk in the chunk_0_0.json shape
+ */
+function makeChunk(fields = {}) {
+    return {
+        hexes: new Array(16).fill(null).map((_, i) => ({ biomeIndex: i % 4, featureIndex: i % 2, heightOffset: i * 2 % 32 })),
+        chunkBiomes: ['plains', 'forest', 'desert', 'mountain'].map((name, id) => ({ id, name })),
+        chunkFeatures: [{ id: 0, name: 'none' }, { id: 1, name: 'river', color: 3447643 }],
+        baseHeight: -2.5,
+        chunkSize: 4,
+        ...fields
+    };
+}
+
+test('a chunk decodes to what was encoded', async () => {
+    const packer = await compressor;
+    for (const baseHeight of [0, -2.5, 1024.5, 3.25]) {
+        const chunk = makeChunk({ baseHeight });
+        assert.deepStrictEqual(packer.decode(packer.encode(chunk)), chunk);
+    }
+});
+
+test('baseHeights a 32-bit float cannot hold exactly are refused', async () => {
+    const packer = await compressor;
+    for (const baseHeight of [1e39, -1e39, 0.1, 16777217]) {
+        assert.throws(() => packer.encode(makeChunk({ baseHeight })), RangeError, `baseHeight ${baseHeight}`);
+    }
+    assert.throws(() => packer.validate(makeChunk({ baseHeight: Infinity })), TypeError);
+});
+
+test('palette entries must be definition objects with a name', async () => {
+    const packer = await compressor;
+    for (const entry of [null, 'plains', ['plains'], { id: 0 }, { id: 0, name: 3 }]) {
+        const chunk = makeChunk();
+        chunk.chunkBiomes[1] = entry;
+        assert.throws(() => packer.validate(chunk), TypeError, JSON.stringify(entry));
+    }
+});
+
+test('hexes outside the packed ranges are refused', async () => {
+    const packer = await compressor;
+    const tooHigh = makeChunk();
+    tooHigh.hexes[0].heightOffset = 32;
+    assert.throws(() => packer.validate(tooHigh), RangeError);
+
+    const noPaletteEntry = makeChunk({ chunkFeatures: [{ id: 0, name: 'none' }] });
+    assert.throws(() => packer.validate(noPaletteEntry), /featureIndex 1 has no entry/);
+
+    assert.throws(() => packer.validate(makeChunk({ hexes: [] })), /needs 16 hexes/);
+});
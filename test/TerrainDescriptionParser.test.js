@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const TerrainDescriptionParser = require('../src/terrain/TerrainDescriptionParser');
+const { loadShared } = require('../src/terrain/sharedModules');
+
+const definitions = require(path.join(__dirname, '..', 'assets', 'terrainData', 'initial.json'));
+const parser = new TerrainDescriptionParser({ definitions, chunkSize: 4 });
+
+/**
+ * Parse a reply and check the chunk fits the packed format
+ * @param {string} text - Reply to parse
+ * @returns {Promise<Object>} { chunk, summary, repairs, codes }
+ */
+async function parseValid(text) {
+    const result = parser.parse(text);
+    const TerrainDataCompressor = await loadShared('terrain/TerrainDataCompressor.js');
+    new TerrainDataCompressor().validate(result.chunk);
+    return { ...result, codes: result.repairs.map(repair => repair.code) };
+}
+
+/**
+ * Build a reply in the chunk_0_0.json shape
+ * @param {Object} fields - Fields replacing the defaults
+ * @returns {string} JSON reply
+ */
+function jsonChunk(fields) {
+    return JSON.stringify({
+        hexes: new Array(16).fill(null).map(() => ({ biomeIndex: 0, featureIndex: 0, heightOffset: 2 })),
+        chunkBiomes: [{ name: 'plains' }],
+        chunkFeatures: [{ name: 'none' }],
+        baseHeight: 0,
+        chunkSize: 4,
+        ...fields
+    });
+}
+
+test('a well-formed grid reply needs no repairs', async () => {
+    const reply = [
+        'SUMMARY: Rolling plains',
+        'BIOMES: plains, forest',
+        'FEATURES: none, river',
+        'GRID:',
+        'plains:none:1 plains:none:1 forest:none:2 forest:none:2',
+        'plains:none:1 plains:river:0 forest:none:2 forest:none:3',
+        'plains:none:1 plains:river:0 plains:none:1 forest:none:3',
+        'plains:none:1 plains:river:0 plains:none:1 plains:none:1'
+    ].join('\n');
+
+    const { chunk, summary, codes } = await parseValid(reply);
+    assert.deepStrictEqual(codes, []);
+    assert.strictEqual(summary, 'Rolling plains');
+    assert.deepStrictEqual(chunk.chunkBiomes.map(biome => biome.name), ['plains', 'forest']);
+    assert.strictEqual(chunk.hexes[5].featureIndex, 1);
+});
+
+test('short and missing rows are filled in', async () => {
+    const { chunk, codes } = await parseValid('GRID:\nplains:1 plains:2\nforest:3 forest:3 forest:3 forest:3');
+    assert.ok(codes.includes('short-row'));
+    assert.ok(codes.includes('missing-rows'));
+    assert.strictEqual(chunk.hexes.length, 16);
+});
+
+test('prose without a grid becomes a flat chunk of the biome it names', async () => {
+    const { chunk, codes } = await parseValid('A quiet woodland with tall trees.');
+    assert.deepStrictEqual(codes, ['no-grid']);
+    assert.deepStrictEqual(chunk.chunkBiomes.map(biome => biome.name), ['forest']);
+});
+
+for (const chunkSize of [-1, 0, '4', 'four', 2.5]) {
+    test(`a reply chunkSize of ${JSON.stringify(chunkSize)} is ignored`, async () => {
+        const { chunk, codes } = await parseValid(jsonChunk({ chunkSize }));
+        assert.ok(codes.includes('chunk-size'));
+        assert.strictEqual(chunk.chunkSize, 4);
+        assert.strictEqual(chunk.hexes.length, 16);
+    });
+}
+
+test('an empty grid is filled with flat hexes', async () => {
+    const { chunk, codes } = await parseValid('{"grid": []}');
+    assert.ok(codes.includes('no-rows'));
+    assert.ok(chunk.hexes.every(hex => hex.heightOffset === chunk.hexes[0].heightOffset));
+});
+
+test('hex entries that are not objects copy the previous hex', async () => {
+    const hexes = new Array(16).fill(null).map((_, i) => ({ biomeIndex: 0, featureIndex: 0, heightOffset: i }));
+    hexes[3] = null;
+    hexes[7] = 'hill';
+    hexes[9] = [1, 2];
+
+    const { chunk, codes } = await parseValid(jsonChunk({ hexes }));
+    assert.strictEqual(codes.filter(code => code === 'bad-hex').length, 3);
+    assert.strictEqual(chunk.hexes[3].heightOffset, chunk.hexes[2].heightOffset);
+    assert.strictEqual(chunk.hexes[7].heightOffset, chunk.hexes[6].heightOffset);
+});
+
+test('unreadable grid tokens copy the previous hex', async () => {
+    const rows = ['plains:2 ??? plains:3 plains:3', ...new Array(3).fill('plains:2 plains:2 plains:2 plains:2')];
+    const { chunk, codes } = await parseValid(`GRID:\n${rows.join('\n')}`);
+    assert.ok(codes.includes('bad-token'));
+    assert.strictEqual(chunk.hexes[1].heightOffset, chunk.hexes[0].heightOffset);
+});
+
+test('a summary that is not a string is dropped', async () => {
+    const { summary, codes } = await parseValid(jsonChunk({ summary: { text: 'hills' } }));
+    assert.strictEqual(summary, '');
+    assert.ok(codes.includes('bad-summary'));
+
+    assert.strictEqual((await parseValid(jsonChunk({ summary: 'Hills' }))).summary, 'Hills');
+});
+
+test('palette indices after a nameless entry keep pointing at the entry they named', async () => {
+    const hexes = new Array(16).fill(null).map((_, i) => ({ biomeIndex: i < 8 ? 1 : 2, featureIndex: 0, heightOffset: 2 }));
+    const { chunk } = await parseValid(jsonChunk({ hexes, chunkBiomes: [{ id: 0 }, { name: 'forest' }, { name: 'desert' }] }));
+    const names = chunk.hexes.map(hex => chunk.chunkBiomes[hex.biomeIndex].name);
+    assert.deepStrictEqual(names, [...new Array(8).fill('forest'), ...new Array(8).fill('desert')]);
+
+    // A hex naming the nameless entry falls back like any other bad index
+    hexes[0] = { biomeIndex: 0, featureIndex: 0, heightOffset: 2 };
+    const { codes } = await parseValid(jsonChunk({ hexes, chunkBiomes: [null, { name: 'forest' }, { name: 'desert' }] }));
+    assert.ok(codes.includes('bad-index'));
+});
+
+test('heights beyond the world range are clamped into it', async () => {
+    const { chunk, codes } = await parseValid(jsonChunk({ baseHeight: 5e21 }));
+    assert.ok(codes.includes('world-height'));
+    assert.strictEqual(chunk.baseHeight, 64);
+
+    const rows = new Array(4).fill('plains:-1000000000 plains:0 plains:2 plains:3');
+    const low = await parseValid(`GRID:\n${rows.join('\n')}`);
+    assert.strictEqual(low.chunk.baseHeight, -32);
+    assert.ok(low.codes.includes('world-height'));
+});
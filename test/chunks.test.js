@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const createChunkRouter = require('../src/routes/chunks');
+const { loadShared } = require('../src/terrain/sharedModules');
+
+const definitions = {
+    globalBiomes: [{ id: 0, name: 'plains', color: 8311865 }],
+    globalFeatures: [{ id: 0, name: 'none' }]
+};
+
+/**
+ * Build a flat 4x4 chunk
+ * @param {number} height - heightOffset of every hex
+ * @returns {Object} Chunk in the chunk_0_0.json shape
+ */
+function makeChunk(height) {
+    return {
+        hexes: new Array(16).fill(null).map(() => ({ biomeIndex: 0, featureIndex: 0, heightOffset: height })),
+        chunkBiomes: [{ ...definitions.globalBiomes[0] }],
+        chunkFeatures: [{ ...definitions.globalFeatures[0] }],
+        baseHeight: 0,
+        chunkSize: 4
+    };
+}
+
+/**
+ * Serve the chunk API on a free port, with a store whose writes are slow
+ * @returns {Promise<Object>} { base, store, close }
+ */
+async function startApi() {
+    const chunks = new Map();
+    const store = {
+        chunks,
+        get: async (cx, cz) => chunks.get(`${cx},${cz}`) || null,
+        put: async (cx, cz, chunk) => {
+            await new Promise(resolve => setTimeout(resolve, 100));
+            chunks.set(`${cx},${cz}`, chunk);
+        },
+        delete: async (cx, cz) => chunks.delete(`${cx},${cz}`),
+        list: async () => [...chunks.keys()].map(key => key.split(',').map(Number))
+    };
+    const generator = { generate: async () => makeChunk(1) };
+
+    const app = express();
+    app.use('/api/chunks', createChunkRouter({ store, generator, definitions }));
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    return {
+        base: `http://127.0.0.1:${server.address().port}/api/chunks`,
+        store,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+/**
+ * PUT a chunk
+ * @param {string} url - Chunk URL
+ * @param {Object} chunk - Chunk to store
+ * @returns {Promise<Response>} Response
+ */
+function put(url, chunk) {
+    return fetch(url, { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(chunk) });
+}
+
+test('a GET that generates a missing chunk does not overwrite a PUT still being stored', async () => {
+    // Loaded up front, so the PUT reaches the store straight away
+    await loadShared('terrain/TerrainDataCompressor.js');
+    const api = await startApi();
+    try {
+        const stored = put(`${api.base}/2/3`, makeChunk(7));
+        await new Promise(resolve => setTimeout(resolve, 30));
+        const read = await (await fetch(`${api.base}/2/3`)).json();
+
+        assert.strictEqual((await stored).status, 200);
+        assert.strictEqual(read.hexes[0].heightOffset, 7);
+        assert.strictEqual(api.store.chunks.get('2,3').hexes[0].heightOffset, 7);
+    } finally {
+        await api.close();
+    }
+});
+
+test('PUT keeps the server\'s definitions and refuses unknown or broken palette entries', async () => {
+    const api = await startApi();
+    try {
+        const renamed = makeChunk(2);
+        renamed.chunkBiomes[0] = { id: 0, name: '<img src=x onerror=alert(1)>' };
+        const response = await put(`${api.base}/0/0`, renamed);
+        assert.strictEqual(response.status, 200);
+        assert.deepStrictEqual((await response.json()).chunkBiomes, definitions.globalBiomes);
+
+        const unknown = makeChunk(2);
+        unknown.chunkBiomes[0] = { id: 5, name: 'lava' };
+        assert.strictEqual((await put(`${api.base}/0/0`, unknown)).status, 400);
+
+        const broken = makeChunk(2);
+        broken.chunkBiomes[0] = null;
+        assert.strictEqual((await put(`${api.base}/0/0`, broken)).status, 400);
+
+        assert.deepStrictEqual(api.store.chunks.get('0,0').chunkBiomes, definitions.globalBiomes);
+    } finally {
+        await api.close();
+    }
+});
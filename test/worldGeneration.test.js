@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const ProceduralChunkGenerator = require('../src/terrain/ProceduralChunkGenerator');
+const { loadShared } = require('../src/terrain/sharedModules');
+
+const definitions = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'assets', 'terrainData', 'initial.json'), 'utf8'));
+const seed = 1234;
+
+// Chunks around the origin, including negative coordinates
+const chunks = [[0, 0], [1, 0], [-1, 2], [3, -2]];
+
+/**
+ * Fields of a hex that generated and stored chunks must agree on
+ * @param {Object} hex - Hex data object from HexGenerator
+ * @returns {Object} Comparable copy
+ */
+function describe(hex) {
+    const { gridCoords, elevation, biomeIndex, featureIndex, submerged } = hex;
+    return { gridCoords, elevation, biomeIndex, featureIndex, submerged };
+}
+
+test('server chunks and local generation give the same hexes for a seed', async () => {
+    const HexGenerator = await loadShared('hex/hexGenerator.js');
+    const server = new ProceduralChunkGenerator({ definitions, seed });
+    const local = new HexGenerator(16, 1, 0.1, definitions.globalBiomes, { seed });
+    const fromServer = new HexGenerator(16, 1, 0.1, definitions.globalBiomes, { seed });
+
+    const biomes = new Set();
+    for (const [cx, cz] of chunks) {
+        const generated = local.generateChunk(cx, cz).map(describe);
+        const stored = fromServer.hexesFromData(cx, cz, await server.generate(cx, cz)).map(describe);
+        assert.deepStrictEqual(stored, generated, `chunk ${cx},${cz}`);
+        generated.forEach(hex => biomes.add(hex.biomeIndex));
+    }
+
+    // More than one biome, so the comparison covers the biome choice
+    assert.ok(biomes.size > 1);
+    assert.strictEqual(fromServer.knownBiomes.length, definitions.globalBiomes.length);
+});
+
+test('generated elevations lie on the stored height steps', async () => {
+    const HexGenerator = await loadShared('hex/hexGenerator.js');
+    const local = new HexGenerator(16, 1, 0.1, null, { seed });
+    const hexes = local.generateChunk(0, 0);
+    const base = Math.min(...hexes.map(hex => hex.elevation));
+
+    hexes.forEach(hex => {
+        const steps = (hex.elevation - base) / local.params.heightScale;
+        assert.strictEqual(steps, Math.round(steps));
+        assert.strictEqual(local.getHexElevation(hex.gridCoords), hex.elevation);
+    });
+});
+
+test('stored chunks of another size are refused instead of drawn out of place', async () => {
+    const HexGenerator = await loadShared('hex/hexGenerator.js');
+    const server = new ProceduralChunkGenerator({ definitions, seed, chunkSize: 8 });
+    const local = new HexGenerator(16, 1, 0.1, definitions.globalBiomes, { seed });
+
+    const small = await server.generate(0, 0);
+    assert.throws(() => local.hexesFromData(0, 0, small), /chunkSize 8/);
+    assert.throws(() => local.hexesFromData(0, 0, { ...small, chunkSize: 16 }), /needs 256 hexes, got 64/);
+});